@@ -0,0 +1,52 @@
+/**
+ * Check that syncing a bookings file against itself reports no changes.
+ * Runs every file in public/mock-data/data through utils/bookingSync.mergeBookingChanges.
+ *
+ * Usage: npm run check:sync
+ */
+import { readdirSync, readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import Papa from 'papaparse';
+import { createServer } from 'vite';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const dataDir = path.join(root, 'public/mock-data/data');
+
+// Vite resolves the app's extensionless imports and JSON modules
+const server = await createServer({
+  root,
+  logLevel: 'error',
+  server: { middlewareMode: true, hmr: false },
+  optimizeDeps: { noDiscovery: true, include: [] }
+});
+
+let failed = false;
+try {
+  const { normalizeBooking } = await server.ssrLoadModule('/src/utils/bookingProcessing.js');
+  const { mergeBookingChanges, createSyncState, describeChanges } = await server.ssrLoadModule('/src/utils/bookingSync.js');
+
+  for (const fileName of readdirSync(dataDir).filter(name => /^bookings\d{6}\.csv$/.test(name))) {
+    const year = fileName.match(/\d{6}/)[0];
+    const parse = () => Papa.parse(readFileSync(path.join(dataDir, fileName), 'utf8'), {
+      header: true,
+      dynamicTyping: true,
+      skipEmptyLines: true
+    }).data.map(row => normalizeBooking(row, year));
+
+    const previous = parse();
+    const { bookings, changes } = mergeBookingChanges(previous, parse(), createSyncState(previous), year);
+    const total = changes.newCount + changes.updatedCount + changes.removedCount;
+
+    if (total > 0 || bookings.length !== previous.length) {
+      failed = true;
+      console.error(`✗ ${fileName}: ${describeChanges(changes)}`, [...changes.newKeys, ...changes.changedKeys].slice(0, 10));
+    } else {
+      console.log(`✓ ${fileName}: ${previous.length} bookings, ${describeChanges(changes)}`);
+    }
+  }
+} finally {
+  await server.close();
+}
+
+process.exit(failed ? 1 : 0);
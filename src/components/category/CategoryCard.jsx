@@ -2,6 +2,8 @@ import React, { useCallback, useMemo } from 'react';
 import PropTypes from 'prop-types';
 import { formatUtils } from '../../utils/formatUtils';
 import Tooltip from '../common/Tooltip';
+import CustomerLink from '../common/CustomerLink';
+import ChangeIndicator from '../common/ChangeIndicator';
 
 /**
  * CategoryCard component displays category information with key statistics
@@ -9,9 +11,10 @@ import Tooltip from '../common/Tooltip';
  * @param {string} props.title - Category title
  * @param {Object} props.stats - Category statistics
  * @param {Object} props.config - Category configuration
+ * @param {Object} props.comparison - Changes against the comparison baseline (see comparisonService.compareCategoryStats)
  * @param {Function} props.onClick - Click handler for the card
  */
-const CategoryCard = React.memo(function CategoryCard({ title, stats, config, onClick }) {
+const CategoryCard = React.memo(function CategoryCard({ title, stats, config, comparison, onClick }) {
   // Remove console.log to reduce memory usage
   if (!stats) {
     return null;
@@ -21,11 +24,11 @@ const CategoryCard = React.memo(function CategoryCard({ title, stats, config, on
   const formatStatValue = useCallback((value) => {
     if (value === undefined || value === null) return 'N/A';
     
-    // If value is an object with displayText, use that
+    // If value is an object with displayText, use that; customers link to their profile
     if (typeof value === 'object' && value !== null && 'displayText' in value) {
       return (
         <Tooltip content={`Phone: ${value.phone}`}>
-          <span className="cursor-help">{value.displayText}</span>
+          <CustomerLink phone={value.phone}>{value.displayText}</CustomerLink>
         </Tooltip>
       );
     }
@@ -88,8 +91,11 @@ const CategoryCard = React.memo(function CategoryCard({ title, stats, config, on
         {stats.totalBookings !== undefined && (
           <div className="flex justify-between">
             <span className="text-text-medium">Total Bookings</span>
-            <span className="font-semibold text-text-dark">
-              {formatUtils.number(stats.totalBookings)}
+            <span className="flex flex-col items-end">
+              <span className="font-semibold text-text-dark">
+                {formatUtils.number(stats.totalBookings)}
+              </span>
+              <ChangeIndicator delta={comparison?.totalBookings} type="number" showBaseline={false} />
             </span>
           </div>
         )}
@@ -97,8 +103,11 @@ const CategoryCard = React.memo(function CategoryCard({ title, stats, config, on
         {stats.totalCollection !== undefined && (
           <div className="flex justify-between">
             <span className="text-text-medium">Total Collection</span>
-            <span className="font-semibold text-text-dark">
-              {formatUtils.currency(stats.totalCollection)}
+            <span className="flex flex-col items-end">
+              <span className="font-semibold text-text-dark">
+                {formatUtils.currency(stats.totalCollection)}
+              </span>
+              <ChangeIndicator delta={comparison?.totalCollection} type="currency" showBaseline={false} />
             </span>
           </div>
         )}
@@ -106,8 +115,11 @@ const CategoryCard = React.memo(function CategoryCard({ title, stats, config, on
         {stats.totalBalance !== undefined && (
           <div className="flex justify-between">
             <span className="text-text-medium">Total Outstanding</span>
-            <span className="font-semibold text-text-dark">
-              {formatUtils.currency(stats.totalBalance)}
+            <span className="flex flex-col items-end">
+              <span className="font-semibold text-text-dark">
+                {formatUtils.currency(stats.totalBalance)}
+              </span>
+              <ChangeIndicator delta={comparison?.totalBalance} type="currency" lowerIsBetter showBaseline={false} />
             </span>
           </div>
         )}
@@ -115,8 +127,11 @@ const CategoryCard = React.memo(function CategoryCard({ title, stats, config, on
         {stats.uniqueCustomers !== undefined && (
           <div className="flex justify-between">
             <span className="text-text-medium">Unique Customers</span>
-            <span className="font-semibold text-text-dark">
-              {formatUtils.number(stats.uniqueCustomers)}
+            <span className="flex flex-col items-end">
+              <span className="font-semibold text-text-dark">
+                {formatUtils.number(stats.uniqueCustomers)}
+              </span>
+              <ChangeIndicator delta={comparison?.uniqueCustomers} type="number" showBaseline={false} />
             </span>
           </div>
         )}
@@ -124,6 +139,10 @@ const CategoryCard = React.memo(function CategoryCard({ title, stats, config, on
         {/* Display memoized extra stats */}
         {extraStats}
       </div>
+
+      {comparison?.baselineCategory && comparison.baselineCategory !== title && (
+        <p className="text-xs text-text-light mt-4">Compared with {comparison.baselineCategory}</p>
+      )}
     </div>
   );
 }, (prevProps, nextProps) => {
@@ -132,6 +151,7 @@ const CategoryCard = React.memo(function CategoryCard({ title, stats, config, on
     prevProps.title === nextProps.title &&
     JSON.stringify(prevProps.stats) === JSON.stringify(nextProps.stats) &&
     JSON.stringify(prevProps.config) === JSON.stringify(nextProps.config) &&
+    JSON.stringify(prevProps.comparison) === JSON.stringify(nextProps.comparison) &&
     prevProps.onClick === nextProps.onClick
   );
 });
@@ -150,6 +170,7 @@ CategoryCard.propTypes = {
       calculate: PropTypes.func.isRequired
     }))
   }),
+  comparison: PropTypes.object,
   onClick: PropTypes.func
 };
 
@@ -2,6 +2,7 @@ import React, { useCallback, useMemo } from 'react';
 import PropTypes from 'prop-types';
 import { formatUtils } from '../../utils/formatUtils';
 import BaseModal from '../common/BaseModal';
+import CustomerLink from '../common/CustomerLink';
 
 const CategoryDetail = React.memo(function CategoryDetail({ category, onClose }) {
   const { title, stats, config } = category;
@@ -12,7 +13,7 @@ const CategoryDetail = React.memo(function CategoryDetail({ category, onClose })
     
     // Handle Top Customer object structure
     if (typeof value === 'object' && value.displayText) {
-      return value.displayText;
+      return <CustomerLink phone={value.phone}>{value.displayText}</CustomerLink>;
     }
     
     switch (type) {
@@ -3,6 +3,7 @@ import { useApp } from '../../context/AppContext';
 import { useBookings } from '../../hooks/useBookings';
 import { useErrorHandler } from '../../hooks/useErrorHandler';
 import { statsService } from '../../services/statsService';
+import { comparisonService } from '../../services/comparisonService';
 import { categoryConfigs } from '../../utils/constants';
 import { logger } from '../../utils/logger';
 import { ErrorSeverity, ErrorCategory } from '../../utils/errorTypes';
@@ -12,6 +13,10 @@ import Loading from '../common/Loading';
 import React from 'react';
 import PropTypes from 'prop-types';
 import { sortService } from '../../services/sortService';
+import { parseFacilityKey } from '../../services/groupingService';
+import { TIME_GRAIN_LABELS } from '../../utils/dateUtils';
+import TimeGrainSwitcher from '../common/TimeGrainSwitcher';
+import ComparisonSwitcher from '../common/ComparisonSwitcher';
 
 /**
  * CategoryView component for displaying category-specific statistics
@@ -19,8 +24,10 @@ import { sortService } from '../../services/sortService';
 const CategoryView = React.memo(function CategoryView({ type }) {
   const [stats, setStats] = useState(null);
   const [isLoading, setIsLoading] = useState(true); // Start with loading=true
-  const [selectedCategory, setSelectedCategory] = useState(null);
-  const { filteredData } = useApp();
+  // Each card's change against the comparison baseline
+  const [comparisons, setComparisons] = useState(null);
+  // The opened category is app state so it can be shared in the URL
+  const { filteredData, selectedCategory, setSelectedCategory, timeGrain, baselineData } = useApp();
   const { groupedData, groupData } = useBookings();
   const { handleAsync, handleError } = useErrorHandler();
   
@@ -28,8 +35,13 @@ const CategoryView = React.memo(function CategoryView({ type }) {
   const statsCache = useRef(new Map());
   const lastCalculationRef = useRef({ type, data: null, dataLength: 0 });
 
-  // Memoize category configuration
-  const config = useMemo(() => categoryConfigs[type], [type]);
+  // Memoize category configuration - period categories carry the grain they are grouped by
+  const config = useMemo(() => {
+    const typeConfig = categoryConfigs[type];
+    return typeConfig?.groupBy === 'period' ? { ...typeConfig, grain: timeGrain } : typeConfig;
+  }, [type, timeGrain]);
+  // Key the grouping is stored under
+  const groupKey = config?.groupBy || type;
 
   // Directly trigger groupData when type changes or filteredData changes
   useEffect(() => {
@@ -37,7 +49,7 @@ const CategoryView = React.memo(function CategoryView({ type }) {
       try {
         console.log(`[CategoryView] Directly grouping data for type: ${type}`);
         setIsLoading(true);
-        await groupData(type); // Directly trigger grouping when component mounts or type changes
+        await groupData(groupKey); // Directly trigger grouping when component mounts or type changes
       } catch (error) {
         console.error(`[CategoryView] Error grouping data: ${error.message}`);
       } finally {
@@ -46,17 +58,17 @@ const CategoryView = React.memo(function CategoryView({ type }) {
     };
     
     loadData();
-  }, [type, groupData, filteredData]);
+  }, [type, groupKey, groupData, filteredData]);
 
   // Memoize the grouped data for this category
   const categoryGroupedData = useMemo(() => {
-    const data = groupedData[type] || {};
+    const data = groupedData[groupKey] || {};
     console.log(`[CategoryView] Grouped data for ${type}:`, {
       keysCount: Object.keys(data).length,
       keys: Object.keys(data)
     });
     return data;
-  }, [groupedData, type]);
+  }, [groupedData, groupKey, type]);
 
   // Calculate stats when groupedData changes
   useEffect(() => {
@@ -111,19 +123,53 @@ const CategoryView = React.memo(function CategoryView({ type }) {
     calculateCategoryStats();
   }, [categoryGroupedData, config, type]);
 
+  // Compare the cards with the same categories in the comparison baseline, once it has loaded
+  useEffect(() => {
+    if (!stats || !config || !baselineData?.bookings) {
+      setComparisons(null);
+      return;
+    }
+
+    let cancelled = false;
+    handleAsync(
+      async () => {
+        const result = await comparisonService.compareCategoryStats(stats, baselineData, config);
+        if (!cancelled) setComparisons(result);
+      },
+      'CategoryView.compareWithBaseline',
+      {
+        severity: ErrorSeverity.WARNING,
+        category: ErrorCategory.DATA,
+        metadata: { type, range: baselineData.range }
+      }
+    );
+
+    return () => {
+      cancelled = true;
+    };
+  }, [stats, config, baselineData, type, handleAsync]);
+
   // Handle category card click
-  const handleCategoryClick = useCallback((title, categoryStats) => {
-    setSelectedCategory({
-      title,
-      stats: categoryStats,
-      config
-    });
-  }, [config]);
+  const handleCategoryClick = useCallback((title) => {
+    setSelectedCategory(title);
+  }, [setSelectedCategory]);
 
   // Handle closing the detail view
   const handleCloseDetail = useCallback(() => {
     setSelectedCategory(null);
-  }, []);
+  }, [setSelectedCategory]);
+
+  // The opened category belongs to this view - close it when switching views.
+  // The setter changes with the selection, so it is read through a ref.
+  const setSelectedCategoryRef = useRef(setSelectedCategory);
+  setSelectedCategoryRef.current = setSelectedCategory;
+  useEffect(() => () => setSelectedCategoryRef.current(null), [type]);
+
+  // Detail for the opened category, once its stats are available
+  const selectedDetail = useMemo(() => {
+    if (!selectedCategory || !stats?.[selectedCategory]) return null;
+    return { title: selectedCategory, stats: stats[selectedCategory], config };
+  }, [selectedCategory, stats, config]);
 
   // Memoize category cards rendering
   const categoryCards = useMemo(() => {
@@ -143,10 +189,42 @@ const CategoryView = React.memo(function CategoryView({ type }) {
       );
     }
     
-    const sortedEntries = type === 'months' 
-  ? sortService.sortMonthsInFinancialYearOrder(entries)
-  : entries.sort(([a], [b]) => a.localeCompare(b));
+    const sortedEntries = config.grain
+      ? sortService.sortPeriods(entries, config.grain)
+      : entries.sort(([a], [b]) => a.localeCompare(b));
     
+    // Nested categories (facilities) get one section per parent, with cards titled by the child
+    if (config.nestedUnder) {
+      const sections = sortedEntries.reduce((groups, [category, categoryStats]) => {
+        const { location, facility } = parseFacilityKey(category);
+        groups[location] = groups[location] || [];
+        groups[location].push({ category, facility, categoryStats });
+        return groups;
+      }, {});
+
+      return (
+        <div className="space-y-8">
+          {Object.entries(sections).map(([parent, items]) => (
+            <section key={parent}>
+              <h3 className="text-lg font-semibold text-gray-700 mb-3">{parent}</h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                {items.map(({ category, facility, categoryStats }) => (
+                  <CategoryCard
+                    key={category}
+                    title={facility}
+                    stats={categoryStats}
+                    config={config}
+                    comparison={comparisons?.[category]}
+                    onClick={() => handleCategoryClick(category)}
+                  />
+                ))}
+              </div>
+            </section>
+          ))}
+        </div>
+      );
+    }
+
     return (
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
         {sortedEntries.map(([category, categoryStats]) => (
@@ -155,12 +233,13 @@ const CategoryView = React.memo(function CategoryView({ type }) {
             title={category}
             stats={categoryStats}
             config={config}
+            comparison={comparisons?.[category]}
             onClick={handleCategoryClick}
           />
         ))}
       </div>
     );
-  }, [stats, config, handleCategoryClick, type]);
+  }, [stats, config, comparisons, handleCategoryClick, type]);
 
   // Show loading state
   if (isLoading) {
@@ -187,15 +266,21 @@ const CategoryView = React.memo(function CategoryView({ type }) {
 
   return (
     <div className="space-y-6">
-      <h2 className="text-2xl font-semibold text-gray-900">
-        {config.title || `${type} Statistics`}
-      </h2>
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-2xl font-semibold text-gray-900">
+          {config.grain ? `Bookings by ${TIME_GRAIN_LABELS[config.grain]}` : config.title || `${type} Statistics`}
+        </h2>
+        <div className="flex flex-wrap items-start gap-4">
+          {config.grain && <TimeGrainSwitcher />}
+          <ComparisonSwitcher />
+        </div>
+      </div>
       {categoryCards}
 
       {/* Category detail modal */}
-      {selectedCategory && (
+      {selectedDetail && (
         <CategoryDetail
-          category={selectedCategory}
+          category={selectedDetail}
           onClose={handleCloseDetail}
         />
       )}
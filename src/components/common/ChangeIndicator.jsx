@@ -0,0 +1,73 @@
+import PropTypes from 'prop-types';
+import { formatUtils } from '../../utils/formatUtils';
+
+/**
+ * Readable change, e.g. "+18.2%", "-2.5 pts" for percentages, or "+₹1,200" when the baseline was 0
+ * @param {Object} delta - From comparisonService.calculateDelta
+ * @param {string} type - Type of the figure (number, currency, percentage)
+ * @returns {string} Change label
+ */
+function describeChange({ change, percentChange }, type) {
+  if (!change) return 'No change';
+
+  const sign = change > 0 ? '+' : '-';
+  if (type === 'percentage') return `${sign}${Math.abs(change).toFixed(1)} pts`;
+  if (percentChange !== null) return `${sign}${Math.abs(percentChange).toFixed(1)}%`;
+  return `${sign}${formatUtils.byType(Math.abs(change), type)}`;
+}
+
+/**
+ * Up/down arrow with the change of a figure against its comparison baseline.
+ * Green means better: up, or down for figures where lower is better (cancellations, outstanding balance).
+ * @param {Object} props - Component props
+ * @param {Object} props.delta - { baseline, change, percentChange, direction } from comparisonService.calculateDelta
+ * @param {string} props.type - Type of the figure (number, currency, percentage)
+ * @param {boolean} props.lowerIsBetter - Whether a fall is good news
+ * @param {boolean} props.showBaseline - Add the baseline figure ("vs ₹4,20,000")
+ * @param {string} props.className - Additional CSS classes
+ */
+function ChangeIndicator({ delta, type = 'number', lowerIsBetter = false, showBaseline = true, className = '' }) {
+  if (!delta) return null;
+
+  const { direction } = delta;
+  const isGood = direction === (lowerIsBetter ? 'down' : 'up');
+  const color = direction === 'neutral' ? 'text-text-light' : isGood ? 'text-success' : 'text-error';
+  const baselineLabel = formatUtils.byType(delta.baseline, type);
+
+  return (
+    <span
+      className={`inline-flex items-center gap-1 text-sm ${color} ${className}`}
+      title={`Was ${baselineLabel}`}
+    >
+      {direction === 'up' && (
+        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 10l7-7m0 0l7 7m-7-7v18" />
+        </svg>
+      )}
+      {direction === 'down' && (
+        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 14l-7 7m0 0l-7-7m7 7V3" />
+        </svg>
+      )}
+      <span>
+        {describeChange(delta, type)}
+        {showBaseline && <span className="text-text-light"> vs {baselineLabel}</span>}
+      </span>
+    </span>
+  );
+}
+
+ChangeIndicator.propTypes = {
+  delta: PropTypes.shape({
+    baseline: PropTypes.number,
+    change: PropTypes.number,
+    percentChange: PropTypes.number,
+    direction: PropTypes.oneOf(['up', 'down', 'neutral'])
+  }),
+  type: PropTypes.oneOf(['text', 'number', 'currency', 'percentage']),
+  lowerIsBetter: PropTypes.bool,
+  showBaseline: PropTypes.bool,
+  className: PropTypes.string
+};
+
+export default ChangeIndicator;
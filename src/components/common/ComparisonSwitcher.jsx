@@ -0,0 +1,103 @@
+import PropTypes from 'prop-types';
+import { useApp } from '../../context/AppContext';
+import { useBookings } from '../../hooks/useBookings';
+import { LoadingProgress } from './Loading';
+import { ComparisonModes, COMPARISON_MODE_LABELS } from '../../services/comparisonService';
+import { formatUtils } from '../../utils/formatUtils';
+import { formatFinancialYear } from '../../utils/dateUtils';
+
+/**
+ * Readable date range
+ * @param {Object} range - { start, end }, DD/MM/YYYY
+ * @returns {string} e.g. "1 Apr 2024 – 30 Apr 2024"
+ */
+function describeRange(range) {
+  return `${formatUtils.formatDateForDisplay(range.start)} – ${formatUtils.formatDateForDisplay(range.end)}`;
+}
+
+/**
+ * Picks the period the dashboard figures are compared with, shared across the dashboard,
+ * and says which dates are being compared, with the load progress while baseline years are fetched
+ * @param {Object} props - Component props
+ * @param {string} props.className - Additional CSS classes
+ */
+function ComparisonSwitcher({ className = '' }) {
+  const { comparison, setComparison, baselineData } = useApp();
+  const { cancelLoad } = useBookings();
+  const isCustom = comparison.mode === ComparisonModes.CUSTOM;
+
+  const handleModeChange = (e) => {
+    setComparison({ ...comparison, mode: e.target.value });
+  };
+
+  // Date inputs work in YYYY-MM-DD, the comparison in DD/MM/YYYY like the bookings
+  const handleCustomDateChange = (field, value) => {
+    setComparison({
+      ...comparison,
+      customRange: { ...comparison.customRange, [field]: value ? value.split('-').reverse().join('/') : '' }
+    });
+  };
+
+  const inputClass = 'px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-primary';
+
+  return (
+    <div className={`flex flex-col items-end gap-1 ${className}`}>
+      <div className="flex flex-wrap items-center gap-2">
+        <label htmlFor="comparison-mode" className="text-sm text-text-medium">Compare with</label>
+        <select
+          id="comparison-mode"
+          value={comparison.mode}
+          onChange={handleModeChange}
+          className={inputClass}
+        >
+          {Object.values(ComparisonModes).map(mode => (
+            <option key={mode} value={mode}>{COMPARISON_MODE_LABELS[mode]}</option>
+          ))}
+        </select>
+        {isCustom && (
+          <>
+            <input
+              type="date"
+              aria-label="Comparison start date"
+              value={formatUtils.date(comparison.customRange?.start)}
+              onChange={(e) => handleCustomDateChange('start', e.target.value)}
+              className={inputClass}
+            />
+            <span className="text-sm text-text-light">to</span>
+            <input
+              type="date"
+              aria-label="Comparison end date"
+              value={formatUtils.date(comparison.customRange?.end)}
+              onChange={(e) => handleCustomDateChange('end', e.target.value)}
+              className={inputClass}
+            />
+          </>
+        )}
+      </div>
+
+      {baselineData ? (
+        <div className="text-xs text-text-light text-right">
+          {baselineData.bookings
+            ? `Comparing ${describeRange(baselineData.currentRange)} with ${describeRange(baselineData.range)}`
+            : `Loading ${describeRange(baselineData.range)}...`}
+          {baselineData.missingYears.length > 0 && (
+            <span className="block text-yellow-700">
+              No bookings found for {baselineData.missingYears.map(formatFinancialYear).join(', ')}
+            </span>
+          )}
+          {!baselineData.bookings && baselineData.progress && (
+            <LoadingProgress progress={baselineData.progress} onCancel={cancelLoad} />
+          )}
+        </div>
+      ) : isCustom && (
+        <p className="text-xs text-text-light text-right">Pick the first and last day to compare with</p>
+      )}
+    </div>
+  );
+}
+
+ComparisonSwitcher.propTypes = {
+  className: PropTypes.string
+};
+
+export default ComparisonSwitcher;
@@ -0,0 +1,38 @@
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import { getCustomerRoute } from '../../config/routes';
+import { normalizeMobile } from '../../utils/customerIdentity';
+
+/**
+ * Link to a customer's profile page, for use inside clickable rows and cards:
+ * following it does not also trigger the click handler of the row or card.
+ * Without a mobile number the content is shown as plain text.
+ * @param {Object} props - Component props
+ * @param {string} props.phone - Customer phone number
+ * @param {React.ReactNode} props.children - Link content
+ * @param {string} props.className - Additional CSS classes
+ */
+function CustomerLink({ phone, children, className = '' }) {
+  if (!normalizeMobile(phone)) {
+    return <span className={className}>{children}</span>;
+  }
+
+  return (
+    <Link
+      to={getCustomerRoute(phone)}
+      onClick={(e) => e.stopPropagation()}
+      className={`text-primary hover:underline ${className}`}
+      title="Open customer profile"
+    >
+      {children}
+    </Link>
+  );
+}
+
+CustomerLink.propTypes = {
+  phone: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  children: PropTypes.node.isRequired,
+  className: PropTypes.string
+};
+
+export default CustomerLink;
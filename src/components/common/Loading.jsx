@@ -1,5 +1,71 @@
 import PropTypes from 'prop-types';
 
+/**
+ * Format a byte count for progress text
+ * @param {number} bytes - Byte count
+ * @returns {string} Human readable size
+ */
+function formatBytes(bytes) {
+  if (!bytes) return '0 KB';
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Progress bar and cancel button shown under the spinner
+ * @param {Object} props - Component props
+ * @param {Object} props.progress - Load progress ({ stage, rowsParsed, bytesProcessed, totalBytes, yearIndex, yearCount })
+ * @param {Function} props.onCancel - Cancel handler
+ */
+export function LoadingProgress({ progress, onCancel }) {
+  const { stage, rowsParsed, bytesProcessed, totalBytes, yearIndex, yearCount } = progress || {};
+  const percent = totalBytes ? Math.min(100, Math.round((bytesProcessed / totalBytes) * 100)) : null;
+
+  const stageLabels = {
+    queued: 'Waiting for the current load',
+    cache: 'Loaded from cache',
+    download: 'Downloading',
+    parse: 'Parsing',
+    missing: 'No file for this year'
+  };
+
+  return (
+    <div className="mt-4 w-64 mx-auto text-sm text-text-medium">
+      {progress && (
+        <>
+          {yearCount > 1 && (
+            <p className="mb-1">Year {yearIndex + 1} of {yearCount}</p>
+          )}
+          <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+            <div
+              className={`h-full bg-primary transition-all ${percent === null ? 'animate-pulse w-full' : ''}`}
+              style={percent === null ? undefined : { width: `${percent}%` }}
+            />
+          </div>
+          <p className="mt-1">
+            {stageLabels[stage] || 'Loading'}
+            {rowsParsed ? ` · ${rowsParsed.toLocaleString()} rows` : ''}
+            {totalBytes ? ` · ${formatBytes(bytesProcessed)} of ${formatBytes(totalBytes)}` : ''}
+          </p>
+        </>
+      )}
+      {onCancel && (
+        <button
+          onClick={onCancel}
+          className="mt-3 px-4 py-1 border border-gray-300 text-gray-700 rounded hover:bg-gray-50 transition-colors"
+        >
+          Cancel
+        </button>
+      )}
+    </div>
+  );
+}
+
+LoadingProgress.propTypes = {
+  progress: PropTypes.object,
+  onCancel: PropTypes.func
+};
+
 /**
  * Loading component for showing loading states
  * @param {Object} props - Component props
@@ -8,13 +74,17 @@ import PropTypes from 'prop-types';
  * @param {boolean} props.fullScreen - Whether to display full screen
  * @param {boolean} props.overlay - Whether to display as overlay
  * @param {string} props.className - Additional CSS classes
+ * @param {Object} props.progress - Optional load progress to show as a progress bar
+ * @param {Function} props.onCancel - Optional handler that shows a cancel button
  */
 function Loading({ 
   message = 'Loading data...', 
   size = 'md', 
   fullScreen = false,
   overlay = false,
-  className = ''
+  className = '',
+  progress = null,
+  onCancel = null
 }) {
   // Determine spinner size
   const spinnerSizes = {
@@ -24,6 +94,9 @@ function Loading({
   };
   
   const spinnerSize = spinnerSizes[size] || spinnerSizes.md;
+  const progressDetails = (progress || onCancel) && (
+    <LoadingProgress progress={progress} onCancel={onCancel} />
+  );
   
   // Full screen loading
   if (fullScreen) {
@@ -32,6 +105,7 @@ function Loading({
         <div className="text-center">
           <div className={`${spinnerSize} animate-spin rounded-full border-primary border-t-transparent mx-auto`}></div>
           {message && <p className="mt-4 text-text-medium">{message}</p>}
+          {progressDetails}
         </div>
       </div>
     );
@@ -44,6 +118,7 @@ function Loading({
         <div className="text-center">
           <div className={`${spinnerSize} animate-spin rounded-full border-primary border-t-transparent mx-auto`}></div>
           {message && <p className="mt-4 text-text-medium">{message}</p>}
+          {progressDetails}
         </div>
       </div>
     );
@@ -54,6 +129,7 @@ function Loading({
     <div className={`flex flex-col items-center justify-center py-8 ${className}`}>
       <div className={`${spinnerSize} animate-spin rounded-full border-primary border-t-transparent`}></div>
       {message && <p className="mt-4 text-text-medium">{message}</p>}
+      {progressDetails}
     </div>
   );
 }
@@ -63,7 +139,16 @@ Loading.propTypes = {
   size: PropTypes.oneOf(['sm', 'md', 'lg']),
   fullScreen: PropTypes.bool,
   overlay: PropTypes.bool,
-  className: PropTypes.string
+  className: PropTypes.string,
+  progress: PropTypes.shape({
+    stage: PropTypes.string,
+    rowsParsed: PropTypes.number,
+    bytesProcessed: PropTypes.number,
+    totalBytes: PropTypes.number,
+    yearIndex: PropTypes.number,
+    yearCount: PropTypes.number
+  }),
+  onCancel: PropTypes.func
 };
 
 export default Loading;
\ No newline at end of file
@@ -0,0 +1,75 @@
+import { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * Dropdown of checkboxes for picking several values
+ */
+function MultiSelect({ options, selected, onChange, placeholder = 'Select values' }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (isOpen && !containerRef.current?.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const toggleOption = (option) => {
+    onChange(selected.includes(option)
+      ? selected.filter(value => value !== option)
+      : options.filter(value => value === option || selected.includes(value)));
+  };
+
+  const summary = selected.length === 0
+    ? placeholder
+    : selected.length <= 2 ? selected.join(', ') : `${selected.length} selected`;
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="py-3 px-5 rounded border border-gray-300 bg-white text-text-medium shadow-sm focus:border-primary focus:outline-none focus:ring-1 focus:ring-primary min-w-[180px] text-left"
+      >
+        {summary}
+      </button>
+
+      {isOpen && (
+        <div className="absolute top-full left-0 mt-1 w-64 max-h-72 overflow-y-auto bg-white rounded-md shadow-lg z-50 py-2 border border-gray-200">
+          {options.length === 0 && (
+            <p className="px-4 py-1 text-sm text-gray-500">No values in the loaded data</p>
+          )}
+          {options.map(option => (
+            <label
+              key={option}
+              className="flex items-center gap-2 px-4 py-1 text-sm text-text-medium hover:bg-gray-100 cursor-pointer"
+            >
+              <input
+                type="checkbox"
+                className="w-4 h-4 text-primary focus:ring-primary rounded border-gray-300"
+                checked={selected.includes(option)}
+                onChange={() => toggleOption(option)}
+              />
+              {option}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+MultiSelect.propTypes = {
+  options: PropTypes.arrayOf(PropTypes.string).isRequired,
+  selected: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onChange: PropTypes.func.isRequired,
+  placeholder: PropTypes.string
+};
+
+export default MultiSelect;
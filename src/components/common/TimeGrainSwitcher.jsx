@@ -0,0 +1,65 @@
+import PropTypes from 'prop-types';
+import { useApp } from '../../context/AppContext';
+import { TimeGrains, TIME_GRAIN_LABELS } from '../../utils/dateUtils';
+
+// Finest first
+const GRAIN_ORDER = Object.values(TimeGrains);
+
+/**
+ * Buttons for the period time-based views group by, shared across the dashboard.
+ * The arrows drill down to the next finer grain or roll up to the next coarser one.
+ * @param {Object} props - Component props
+ * @param {string} props.className - Additional CSS classes
+ */
+function TimeGrainSwitcher({ className = '' }) {
+  const { timeGrain, setTimeGrain } = useApp();
+  const index = GRAIN_ORDER.indexOf(timeGrain);
+
+  const arrowClass = 'px-2 py-1 rounded text-sm text-text-medium hover:bg-gray-100 disabled:opacity-30 disabled:cursor-not-allowed';
+
+  return (
+    <div className={`flex items-center gap-1 ${className}`} role="group" aria-label="Time grain">
+      <button
+        type="button"
+        onClick={() => setTimeGrain(GRAIN_ORDER[index - 1])}
+        disabled={index <= 0}
+        className={arrowClass}
+        title="Drill down"
+        aria-label="Drill down to a finer grain"
+      >
+        &lsaquo;
+      </button>
+      {GRAIN_ORDER.map(grain => (
+        <button
+          key={grain}
+          type="button"
+          onClick={() => setTimeGrain(grain)}
+          aria-pressed={grain === timeGrain}
+          className={`px-3 py-1 rounded text-sm font-medium transition-colors ${
+            grain === timeGrain
+              ? 'bg-primary text-white'
+              : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+          }`}
+        >
+          {TIME_GRAIN_LABELS[grain]}
+        </button>
+      ))}
+      <button
+        type="button"
+        onClick={() => setTimeGrain(GRAIN_ORDER[index + 1])}
+        disabled={index === -1 || index >= GRAIN_ORDER.length - 1}
+        className={arrowClass}
+        title="Roll up"
+        aria-label="Roll up to a coarser grain"
+      >
+        &rsaquo;
+      </button>
+    </div>
+  );
+}
+
+TimeGrainSwitcher.propTypes = {
+  className: PropTypes.string
+};
+
+export default TimeGrainSwitcher;
@@ -0,0 +1,260 @@
+import { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useApp } from '../../context/AppContext';
+import { statsService } from '../../services/statsService';
+import { formatUtils } from '../../utils/formatUtils';
+import { getStatusColor } from '../../utils/statusUtils';
+import { getPeriodKey, TimeGrains } from '../../utils/dateUtils';
+import StatsCard from '../summary/StatsCard';
+import EmptyState from '../common/EmptyState';
+
+const PAYMENT_MODES = [
+  { key: 'cash', label: 'Cash', color: 'bg-green-500' },
+  { key: 'bank', label: 'Bank', color: 'bg-blue-500' },
+  { key: 'hudle', label: 'Hudle', color: 'bg-purple-500' }
+];
+
+/**
+ * Card for a customer's most booked location, sport or time
+ * @param {Object} props - Component props
+ * @param {string} props.title - Card title
+ * @param {Object|null} props.favourite - { value, count, share } from the profile
+ * @param {string} [props.detail] - Extra line under the share
+ */
+function FavouriteCard({ title, favourite, detail }) {
+  return (
+    <StatsCard title={title} value={favourite?.value || 'N/A'}>
+      {favourite && (
+        <p className="text-sm text-text-light text-center">
+          {formatUtils.number(favourite.count)} bookings ({Math.round(favourite.share)}%)
+          {detail && <span className="block">{detail}</span>}
+        </p>
+      )}
+    </StatsCard>
+  );
+}
+
+FavouriteCard.propTypes = {
+  title: PropTypes.string.isRequired,
+  favourite: PropTypes.shape({
+    value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    count: PropTypes.number,
+    share: PropTypes.number
+  }),
+  detail: PropTypes.string
+};
+
+/**
+ * Profile of one customer, found by the phone number in the route, across all loaded bookings:
+ * lifetime figures, favourites, payment-mode mix, cancellations and a timeline of every booking
+ */
+function CustomerProfile() {
+  const { phone } = useParams();
+  const navigate = useNavigate();
+  const { bookingsData } = useApp();
+
+  const profile = useMemo(
+    () => statsService.calculateCustomerProfile(bookingsData, phone),
+    [bookingsData, phone]
+  );
+
+  // Timeline bookings under a heading for each month, latest first
+  const timelineMonths = useMemo(() => {
+    if (!profile) return [];
+    const months = [];
+    profile.timeline.forEach(booking => {
+      const month = getPeriodKey(booking['Slot Date'], TimeGrains.MONTH) || 'Unknown date';
+      if (months[months.length - 1]?.month !== month) months.push({ month, bookings: [] });
+      months[months.length - 1].bookings.push(booking);
+    });
+    return months;
+  }, [profile]);
+
+  if (!profile) {
+    return (
+      <EmptyState
+        title="Customer not found"
+        message={`No loaded bookings were made with the phone number ${phone}. Try adding more financial years.`}
+        action={
+          <button
+            onClick={() => navigate(-1)}
+            className="py-2 px-4 bg-primary text-white rounded shadow hover:bg-primary-light transition-colors"
+          >
+            Go Back
+          </button>
+        }
+      />
+    );
+  }
+
+  const { payments, cancellations } = profile;
+  const otherNames = profile.aliases.filter(alias => alias !== profile.name);
+
+  return (
+    <div className="p-6 space-y-8">
+      {/* Header */}
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-primary">{profile.name}</h1>
+          <p className="text-text-medium">{formatUtils.phone(profile.phone)}</p>
+          {otherNames.length > 0 && (
+            <p className="text-sm text-text-light mt-1">Also booked as {otherNames.join(', ')}</p>
+          )}
+          <p className="text-sm text-text-light mt-1">
+            First booking {formatUtils.formatDateForDisplay(profile.firstBooking)}
+            {' · '}
+            Last booking {formatUtils.formatDateForDisplay(profile.lastBooking)}
+          </p>
+        </div>
+        <button
+          onClick={() => navigate(-1)}
+          className="py-2 px-4 rounded border border-gray-300 bg-white text-text-medium hover:bg-gray-100 transition-colors"
+        >
+          Back
+        </button>
+      </div>
+
+      {profile.isSharedPhone && (
+        <div className="p-4 rounded-md border border-yellow-300 bg-yellow-50 text-sm text-yellow-800">
+          This number has been booked under names that look like different people:
+          {' '}{profile.nameClusters.map(cluster => cluster.name).join(', ')}.
+          The figures below cover all of them.
+        </div>
+      )}
+
+      {/* Lifetime figures */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        <StatsCard title="Lifetime Bookings" value={profile.totalBookings} type="number" />
+        <StatsCard title="Revenue" value={profile.totalCollection} type="currency" />
+        <StatsCard title="Outstanding Balance" value={profile.totalOutstanding} type="currency" />
+        <StatsCard title="Slots Booked" value={profile.totalSlots} type="number" />
+      </div>
+
+      {/* Favourites */}
+      <div className="bg-white p-6 rounded-lg shadow">
+        <h3 className="text-lg font-semibold mb-4">Favourites</h3>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <FavouriteCard title="Location" favourite={profile.favouriteLocation} />
+          <FavouriteCard title="Sport" favourite={profile.favouriteSport} />
+          <FavouriteCard
+            title="Time Slot"
+            favourite={profile.favouriteTimeSlot}
+            detail={profile.favouriteTimeBand && `Usually ${profile.favouriteTimeBand.value}`}
+          />
+        </div>
+      </div>
+
+      {/* Payment mix */}
+      <div className="bg-white p-6 rounded-lg shadow">
+        <h3 className="text-lg font-semibold mb-4">Payment Methods</h3>
+        {payments.totalAmount > 0 && (
+          <div className="flex h-3 rounded-full overflow-hidden mb-4" aria-hidden="true">
+            {PAYMENT_MODES.map(mode => (
+              <div
+                key={mode.key}
+                className={mode.color}
+                style={{ width: `${payments[`${mode.key}Percentage`]}%` }}
+              />
+            ))}
+          </div>
+        )}
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          {PAYMENT_MODES.map(mode => (
+            <StatsCard key={mode.key} title={mode.label} value={payments[`${mode.key}Amount`]} type="currency">
+              <p className="text-sm text-text-light">{Math.round(payments[`${mode.key}Percentage`])}%</p>
+            </StatsCard>
+          ))}
+        </div>
+      </div>
+
+      {/* Cancellation history */}
+      <div className="bg-white p-6 rounded-lg shadow">
+        <h3 className="text-lg font-semibold mb-4">
+          Cancellations
+          <span className="ml-2 text-sm font-normal text-text-light">
+            {cancellations.count} of {profile.totalBookings} bookings ({formatUtils.percentage(cancellations.rate)})
+          </span>
+        </h3>
+        {cancellations.count === 0 ? (
+          <p className="text-text-light">This customer has never cancelled a booking.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-background-light">
+                <tr>
+                  {['Date', 'Time', 'Location', 'Sport', 'Status', 'Paid', 'Balance'].map(label => (
+                    <th key={label} className="px-4 py-2 text-left font-semibold text-text-dark">{label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {cancellations.bookings.map((booking, index) => (
+                  <tr key={`${booking['Booking Reference']}-${index}`}>
+                    <td className="px-4 py-2 whitespace-nowrap">{booking['Slot Date']}</td>
+                    <td className="px-4 py-2 whitespace-nowrap">{booking['Slot Time']}</td>
+                    <td className="px-4 py-2">{booking['Location']}</td>
+                    <td className="px-4 py-2">{booking['Sport']}</td>
+                    <td className="px-4 py-2">
+                      <span className={`inline-flex px-2 py-1 rounded-full text-xs ${getStatusColor(booking.Status)}`}>
+                        {booking.Status}
+                      </span>
+                    </td>
+                    <td className="px-4 py-2">{formatUtils.currency(booking['Total Paid'])}</td>
+                    <td className="px-4 py-2">{formatUtils.currency(booking['Balance'])}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Timeline */}
+      <div className="bg-white p-6 rounded-lg shadow">
+        <h3 className="text-lg font-semibold mb-4">Booking Timeline</h3>
+        <div className="space-y-6">
+          {timelineMonths.map(({ month, bookings }) => (
+            <div key={month}>
+              <h4 className="text-sm font-semibold text-text-medium uppercase tracking-wider mb-2">{month}</h4>
+              <ol className="border-l-2 border-gray-200 ml-2 space-y-3">
+                {bookings.map((booking, index) => (
+                  <li key={`${booking['Booking Reference']}-${index}`} className="relative pl-5">
+                    <span className="absolute -left-[7px] top-1.5 w-3 h-3 rounded-full bg-primary" aria-hidden="true" />
+                    <div className="flex flex-wrap items-center justify-between gap-2">
+                      <div>
+                        <p className="font-medium text-text-dark">
+                          {formatUtils.formatDateForDisplay(booking['Slot Date'], 'long')} · {booking['Slot Time']}
+                        </p>
+                        <p className="text-sm text-text-light">
+                          {[booking['Location'], booking['Facility'], booking['Sport']].filter(Boolean).join(' · ')}
+                          {' · '}
+                          {booking['Number of slots']} slot{Number(booking['Number of slots']) === 1 ? '' : 's'}
+                          {' · '}
+                          {booking['Booking Reference']}
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-3 text-sm">
+                        <span className={`inline-flex px-2 py-1 rounded-full text-xs ${getStatusColor(booking.Status)}`}>
+                          {booking.Status}
+                        </span>
+                        <span className="font-mono">{formatUtils.currency(booking['Total Paid'])}</span>
+                        {Number(booking['Balance']) > 0 && (
+                          <span className="font-mono text-error">
+                            {formatUtils.currency(booking['Balance'])} due
+                          </span>
+                        )}
+                      </div>
+                    </div>
+                  </li>
+                ))}
+              </ol>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CustomerProfile;
@@ -3,18 +3,26 @@ import { Routes, Route, Navigate, useLocation, useParams, useNavigate } from 're
 import { useApp } from '../../context/AppContext';
 import { useBookings } from '../../hooks/useBookings';
 import { useErrorHandler } from '../../hooks/useErrorHandler';
+import { useDashboardUrlState } from '../../hooks/useUrlState';
+import { useDefaultSavedView } from '../../hooks/useSavedViews';
+import { useComparisonBaseline } from '../../hooks/useComparison';
 import { ViewTypes } from '../../utils/constants';
+import { formatFinancialYear } from '../../utils/dateUtils';
 import { ErrorSeverity, ErrorCategory } from '../../utils/errorTypes';
 import { ErrorDisplay } from '../../context/ErrorContext';
 import { ToastContainer } from '../../hooks/useToast';
-import { dataService } from '../../services/dataService';
 import ScrollToTop from '../common/ScrollToTop';
-import locations from '../../locations.json';
+import { getLocationById } from '../../utils/locationRegistry';
+import { parseDashboardState } from '../../utils/urlState';
 import LocationReport from '../reports/LocationReport';
 import { withErrorBoundary } from '../common/ErrorBoundary';
 import { useAuth } from '../../context/AuthContext';
 import { logger } from '../../utils/logger';
 import ErrorDashboard from '../error/ErrorDashboard';
+import DataQualityView from '../quality/DataQualityView';
+import DatasetImport from '../import/DatasetImport';
+import PivotView from '../pivot/PivotView';
+import CustomerProfile from '../customers/CustomerProfile';
 
 // Components
 import Header from './Header';
@@ -33,7 +41,7 @@ import HomeView from '../../pages/HomeView';
  */
 function LocationReportWrapper() {
   const { facilityId } = useParams();
-  const location = locations.find(loc => loc.Location_id === facilityId);
+  const location = getLocationById(facilityId);
   
   if (!location) {
     return (
@@ -45,7 +53,7 @@ function LocationReportWrapper() {
     );
   }
   
-  return <LocationReport locationId={location.Location_id} locationName={location.Location_name} />;
+  return <LocationReport locationId={location.id} locationName={location.name} />;
 }
 
 function DashboardFallback({ error }) {
@@ -87,14 +95,35 @@ function Dashboard() {
     window.__DASHBOARD_INITIALIZED = false;
   }
   
-  const { isLoading, bookingsData, setCurrentView, currentView, selectedYear } = useApp();
-  const { loadBookings } = useBookings();
+  const {
+    isLoading,
+    loadProgress,
+    bookingsData,
+    setCurrentView,
+    currentView,
+    selectedYears,
+    loadedYears,
+    availableYears,
+    missingYears
+  } = useApp();
+  const { loadBookings, discoverYears, cancelLoad } = useBookings();
   const { handleAsync, handleError } = useErrorHandler();
   const { session, isInitialized } = useAuth();
   const location = useLocation();
-  const prevYearRef = useRef(selectedYear);
+  // Years are tracked as a joined key so a new array with the same years is not a change
+  const selectedYearsKey = selectedYears.join(',');
+  const prevYearRef = useRef(selectedYearsKey);
   const [isInitializing, setIsInitializing] = useState(true);
   const navigate = useNavigate();
+  
+  // Mirror the view state in the query string so it can be shared and restored
+  useDashboardUrlState();
+  
+  // Open the user's default saved view on landing
+  useDefaultSavedView();
+
+  // Load the bookings of the comparison period, if one is picked
+  useComparisonBaseline();
 
   // Load initial data only once - globally
   useEffect(() => {
@@ -109,7 +138,16 @@ function Dashboard() {
           
           await handleAsync(
             async () => {
-              await loadBookings(selectedYear);
+              const years = await discoverYears();
+              if (years.length === 0) {
+                logger.warn(ErrorCategory.DATA, 'No booking files found');
+                return;
+              }
+              
+              // Years from a shared link, otherwise the most recent year the data source has
+              const linkedYears = parseDashboardState(location.search).years
+                .filter(year => years.some(item => item.year === year));
+              await loadBookings(linkedYears.length > 0 ? linkedYears : [years[years.length - 1].year]);
             },
             'Dashboard.initialization',
             {
@@ -117,7 +155,7 @@ function Dashboard() {
               category: ErrorCategory.DATA,
               metadata: {
                 operation: 'initialLoad',
-                year: selectedYear,
+                years: selectedYears,
                 hasSession: !!session
               }
             }
@@ -133,7 +171,7 @@ function Dashboard() {
             ErrorCategory.DATA,
             {
               operation: 'initialLoad',
-              year: selectedYear,
+              years: selectedYears,
               hasSession: !!session
             }
           );
@@ -149,23 +187,28 @@ function Dashboard() {
     if (isInitialized) {
       initializeDashboard();
     }
-  }, [isInitialized, session, selectedYear, loadBookings, handleAsync, handleError]);
+  }, [isInitialized, session, selectedYears, location.search, loadBookings, discoverYears, handleAsync, handleError]);
   
-  // React to year changes - reload data ONLY when year actually changes
+  // React to year changes - reload data ONLY when the year selection actually changes
   useEffect(() => {
-    // Only proceed if initialization complete and year has actually changed
-    if (window.__DASHBOARD_INITIALIZED && selectedYear !== prevYearRef.current && isInitialized) {
-      logger.info(ErrorCategory.DATA, `Selected year changed: ${prevYearRef.current} -> ${selectedYear}`);
+    // Only proceed if initialization complete and the selection has actually changed
+    if (window.__DASHBOARD_INITIALIZED && selectedYearsKey !== prevYearRef.current && isInitialized) {
+      // A cancelled load restores the previous selection, whose data is still loaded.
+      // Before anything has loaded, the selection is the startup default handled by the initial load.
+      if (selectedYearsKey === loadedYears.join(',') || loadedYears.length === 0) {
+        prevYearRef.current = selectedYearsKey;
+        return;
+      }
+      
+      logger.info(ErrorCategory.DATA, `Selected years changed: ${prevYearRef.current} -> ${selectedYearsKey}`);
       
       const reloadData = async () => {
         try {
-          // Clear any existing data cache
-          dataService.clearCache();
-          
-          // Force reload of data for the new year
+          // Load the new selection without forcing a refresh - years that are already cached
+          // are revalidated against the source instead of being downloaded and parsed again
           await handleAsync(
             async () => {
-              await loadBookings(selectedYear, true);
+              await loadBookings(selectedYears, false, { reload: true });
             },
             'Dashboard.yearChange',
             {
@@ -173,20 +216,20 @@ function Dashboard() {
               category: ErrorCategory.DATA,
               metadata: {
                 operation: 'yearChange',
-                previousYear: prevYearRef.current,
-                newYear: selectedYear,
+                previousYears: prevYearRef.current,
+                newYears: selectedYearsKey,
                 hasSession: !!session
               }
             }
           );
           
-          // Update the ref to the new year
-          prevYearRef.current = selectedYear;
+          // Update the ref to the new selection
+          prevYearRef.current = selectedYearsKey;
         } catch (error) {
           logger.error(ErrorCategory.DATA, 'Failed to load data for new year', {
             error,
-            previousYear: prevYearRef.current,
-            newYear: selectedYear
+            previousYears: prevYearRef.current,
+            newYears: selectedYearsKey
           });
           handleError(
             error,
@@ -195,8 +238,8 @@ function Dashboard() {
             ErrorCategory.DATA,
             {
               operation: 'yearChange',
-              previousYear: prevYearRef.current,
-              newYear: selectedYear,
+              previousYears: prevYearRef.current,
+              newYears: selectedYearsKey,
               hasSession: !!session
             }
           );
@@ -205,7 +248,20 @@ function Dashboard() {
 
       reloadData();
     }
-  }, [selectedYear, loadBookings, handleAsync, handleError, isInitialized, session]);
+  }, [selectedYearsKey, selectedYears, loadedYears, loadBookings, handleAsync, handleError, isInitialized, session]);
+
+  // Show parse progress once the initial load has started reporting it
+  if (isInitializing && isInitialized && loadProgress) {
+    return (
+      <Loading
+        fullScreen
+        size="lg"
+        message="Loading booking data..."
+        progress={loadProgress}
+        onCancel={cancelLoad}
+      />
+    );
+  }
 
   // Show loading state during initialization
   if (isInitializing || !isInitialized) {
@@ -263,7 +319,11 @@ function Dashboard() {
           
           {/* Main View */}
           {isLoading ? (
-            <Loading message="Loading booking data..." />
+            <Loading
+              message="Loading booking data..."
+              progress={loadProgress}
+              onCancel={cancelLoad}
+            />
           ) : bookingsData && bookingsData.length > 0 ? (
           <Routes>
             <Route path="home" element={<HomeView />} />
@@ -274,8 +334,13 @@ function Dashboard() {
             <Route path="sports" element={<CategoryView type="sports" />} />
             <Route path="status" element={<CategoryView type="status" />} />
             <Route path="source" element={<CategoryView type="source" />} />
+            <Route path="facilities" element={<CategoryView type="facilities" />} />
             <Route path="payments" element={<PaymentsView />} />
+            <Route path="pivot" element={<PivotView />} />
+            <Route path="customers/:phone" element={<CustomerProfile />} />
             <Route path="errors" element={<ErrorDashboard />} />
+            <Route path="data-quality" element={<DataQualityView />} />
+            <Route path="import" element={<DatasetImport />} />
             <Route path="reports/:facilityId" element={<LocationReportWrapper />} />
             <Route index element={<Navigate to="visualizations" replace />} />
             <Route path="*" element={
@@ -287,10 +352,28 @@ function Dashboard() {
             } />
           </Routes>
           ) : (
-            <EmptyState 
-              title="Loading Data..." 
-              message="Please wait while we load the data." 
-            />
+            // Imports do not depend on the FY data, so keep them reachable without it
+            <Routes>
+              <Route path="import" element={<DatasetImport />} />
+              <Route path="*" element={
+                availableYears?.length === 0 ? (
+                  <EmptyState 
+                    title="No Booking Files" 
+                    message="No bookings files were found in storage." 
+                  />
+                ) : missingYears.length > 0 && missingYears.join(',') === loadedYears.join(',') ? (
+                  <EmptyState 
+                    title="No Booking Data" 
+                    message={`No booking file was found for FY ${missingYears.map(formatFinancialYear).join(', ')}. Choose another year.`} 
+                  />
+                ) : (
+                  <EmptyState 
+                    title="Loading Data..." 
+                    message="Please wait while we load the data." 
+                  />
+                )
+              } />
+            </Routes>
           )}
         </div>
       </main>
@@ -0,0 +1,62 @@
+import { useApp } from '../../context/AppContext';
+import { useBookings } from '../../hooks/useBookings';
+import {
+  FilterOperators,
+  describeFilter,
+  hasActiveFilters,
+  setGroupOperator
+} from '../../utils/filterModel';
+
+/**
+ * Active filters as removable chips, with a switch between matching all or any of them
+ */
+function FilterChips() {
+  const { activeFilters } = useApp();
+  const { setFilters, removeFilter, clearFilters } = useBookings();
+
+  if (!hasActiveFilters(activeFilters)) return null;
+
+  const matchesAll = activeFilters.op === FilterOperators.AND;
+
+  return (
+    <div className="flex flex-wrap gap-2 items-center w-full">
+      {activeFilters.conditions.length > 1 && (
+        <button
+          onClick={() => setFilters(setGroupOperator(
+            activeFilters,
+            matchesAll ? FilterOperators.OR : FilterOperators.AND
+          ))}
+          className="text-xs font-medium text-text-light border border-gray-300 rounded px-2 py-1 hover:bg-gray-100"
+          title="Switch between matching all or any of the filters"
+        >
+          Match {matchesAll ? 'all' : 'any'}
+        </button>
+      )}
+
+      {activeFilters.conditions.map(node => (
+        <span
+          key={node.id}
+          className="inline-flex items-center gap-2 bg-primary text-white text-sm rounded-full pl-3 pr-2 py-1"
+        >
+          {describeFilter(node)}
+          <button
+            onClick={() => removeFilter(node.id)}
+            className="rounded-full w-5 h-5 flex items-center justify-center hover:bg-primary-dark"
+            aria-label={`Remove filter ${describeFilter(node)}`}
+          >
+            ×
+          </button>
+        </span>
+      ))}
+
+      <button
+        onClick={clearFilters}
+        className="text-sm text-primary hover:underline"
+      >
+        Clear all
+      </button>
+    </div>
+  );
+}
+
+export default FilterChips;
@@ -1,17 +1,26 @@
-import { useEffect, useState, useRef } from 'react';
-import { useApp } from '../../context/AppContext';
+import { useEffect, useState } from 'react';
 import { useFilters } from '../../hooks/useFilters';
-import { FilterTypes } from '../../utils/constants';
-import locations from '../../locations.json';
+import { FilterTypes, FilterConfig } from '../../utils/constants';
+import { LOCATIONS } from '../../utils/locationRegistry';
+import { formatHour } from '../../utils/slotIntervals';
+import MultiSelect from '../common/MultiSelect';
+import FilterChips from './FilterChips';
+import QueryBar from './QueryBar';
+import SavedViewsMenu from './SavedViewsMenu';
+
+// Hours of day offered by the hour range inputs
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
 
 /**
  * FilterControls component for data filtering
- * Handles various filter types: dates, text, location, balance
+ * Handles various filter types: dates, text, location, sport, balance,
+ * multi-value picks (sports, statuses, weekdays, time bands ...), numeric ranges (amounts, slots)
+ * and slot start-hour ranges. Filters can also be typed in the query bar.
+ * Each applied filter is added to the active filters and shown as a chip.
+ * Filter and sort combinations can be saved as named views.
  */
 function FilterControls() {
   const [isFilterTypeOpen, setIsFilterTypeOpen] = useState(false);
-  const resetTriggeredRef = useRef(false);
-  const { activeFilters } = useApp();
   
   const {
     filterType,
@@ -21,6 +30,14 @@ function FilterControls() {
     locationValue,
     textValue,
     balanceChecked,
+    sportValue,
+    sports,
+    multiValues,
+    rangeMin,
+    rangeMax,
+    hourFrom,
+    hourTo,
+    filterOptions,
     handleFilterTypeChange,
     setSingleDate,
     setStartDate,
@@ -28,28 +45,22 @@ function FilterControls() {
     setLocationValue,
     setTextValue,
     setBalanceChecked,
+    setSportValue,
+    setMultiValues,
+    setRangeMin,
+    setRangeMax,
+    setHourFrom,
+    setHourTo,
     isInputVisible,
     getTextPlaceholder,
-    getLocations,
     handleApplyFilter,
-    handleResetFilter,
-    initFromActiveFilters
+    handleResetFilter
   } = useFilters();
 
-  // Initialize filters from active filters on mount
-  useEffect(() => {
-    // Only initialize from active filters if not coming from a reset
-    if (!resetTriggeredRef.current) {
-      initFromActiveFilters();
-    } else {
-      resetTriggeredRef.current = false;
-    }
-  }, [initFromActiveFilters, activeFilters]);
-
   // Get locations for dropdown
-  const formattedLocations = locations.map(loc => ({
-    id: loc.Location_id,
-    name: loc.Location_name
+  const formattedLocations = LOCATIONS.map(loc => ({
+    id: loc.id,
+    name: loc.name
   }));
 
 
@@ -68,18 +79,14 @@ function FilterControls() {
   // Get the display label for the current filter type
   const getFilterTypeLabel = () => {
     if (!filterType) return 'Select Filter';
-    const option = Object.entries(FilterTypes).find(([_, value]) => value === filterType);
-    return option ? option[0].replace(/_/g, ' ') : 'Select Filter';
-  };
-
-  // Enhanced reset handler that tracks the reset to prevent re-initialization
-  const handleResetWithTracking = () => {
-    resetTriggeredRef.current = true;
-    handleResetFilter();
+    return FilterConfig[filterType]?.label || 'Select Filter';
   };
 
   return (
     <div className="mb-8 p-4 lg:p-6 bg-background-light rounded-md flex flex-wrap gap-5 items-center">
+      {/* Query Bar */}
+      <QueryBar />
+
       {/* Filter Section */}
       <div className="flex flex-wrap gap-5 items-center w-full">
         {/* Filter Type Selector */}
@@ -102,7 +109,7 @@ function FilterControls() {
           </button>
           
           {isFilterTypeOpen && (
-            <div className="absolute top-full left-0 mt-1 w-48 bg-white rounded-md shadow-lg z-50 py-1 border border-gray-200">
+            <div className="absolute top-full left-0 mt-1 w-56 max-h-96 overflow-y-auto bg-white rounded-md shadow-lg z-50 py-1 border border-gray-200">
               <button
                 className={`w-full text-left px-4 py-2 text-sm text-text-light hover:bg-gray-100
                           ${!filterType ? 'bg-primary text-white' : ''}`}
@@ -113,7 +120,7 @@ function FilterControls() {
               >
                 Select Filter
               </button>
-              {Object.entries(FilterTypes).map(([key, value]) => (
+              {Object.values(FilterTypes).map((value) => (
                 <button
                   key={value}
                   className={`w-full text-left px-4 py-2 text-sm text-text-light hover:bg-gray-100
@@ -123,7 +130,7 @@ function FilterControls() {
                     setIsFilterTypeOpen(false);
                   }}
                 >
-                  {key.replace(/_/g, ' ')}
+                  {FilterConfig[value].label}
                 </button>
               ))}
             </div>
@@ -180,6 +187,23 @@ function FilterControls() {
         </select>
       )}
 
+        {/* Sport Select */}
+        {isInputVisible('sport') && (
+          <select
+            id="sportSelect"
+            className="py-3 px-5 rounded border border-gray-300 bg-white text-text-medium shadow-sm focus:border-primary focus:outline-none focus:ring-1 focus:ring-primary min-w-[180px]"
+            value={sportValue}
+            onChange={(e) => setSportValue(e.target.value)}
+          >
+            <option value="">Select Sport</option>
+            {sports.map((sport) => (
+              <option key={sport} value={sport}>
+                {sport}
+              </option>
+            ))}
+          </select>
+        )}
+
         {/* Text Input (Customer, Booking Ref, Phone) */}
         {isInputVisible('text') && (
           <input
@@ -208,6 +232,68 @@ function FilterControls() {
           </div>
         )}
 
+        {/* Multi-value Select */}
+        {isInputVisible('multiSelect') && (
+          <MultiSelect
+            options={filterOptions}
+            selected={multiValues}
+            onChange={setMultiValues}
+            placeholder={`Select ${FilterConfig[filterType].label.toLowerCase()}`}
+          />
+        )}
+
+        {/* Numeric Range Inputs */}
+        {isInputVisible('numberRange') && (
+          <div className="flex gap-2 flex-wrap items-center">
+            <input
+              type="number"
+              id="rangeMin"
+              className="py-3 px-5 rounded border border-gray-300 bg-white text-text-medium shadow-sm focus:border-primary focus:outline-none focus:ring-1 focus:ring-primary w-36"
+              placeholder="Min"
+              value={rangeMin}
+              onChange={(e) => setRangeMin(e.target.value)}
+            />
+            <span className="text-text-light">to</span>
+            <input
+              type="number"
+              id="rangeMax"
+              className="py-3 px-5 rounded border border-gray-300 bg-white text-text-medium shadow-sm focus:border-primary focus:outline-none focus:ring-1 focus:ring-primary w-36"
+              placeholder="Max"
+              value={rangeMax}
+              onChange={(e) => setRangeMax(e.target.value)}
+            />
+          </div>
+        )}
+
+        {/* Hour of Day Range - bookings starting from the first hour up to the end of the last */}
+        {isInputVisible('hourRange') && (
+          <div className="flex gap-2 flex-wrap items-center">
+            <select
+              id="hourFrom"
+              className="py-3 px-5 rounded border border-gray-300 bg-white text-text-medium shadow-sm focus:border-primary focus:outline-none focus:ring-1 focus:ring-primary"
+              value={hourFrom}
+              onChange={(e) => setHourFrom(e.target.value)}
+            >
+              <option value="">Starting from</option>
+              {HOURS.map(hour => (
+                <option key={hour} value={hour}>{formatHour(hour)}</option>
+              ))}
+            </select>
+            <span className="text-text-light">to</span>
+            <select
+              id="hourTo"
+              className="py-3 px-5 rounded border border-gray-300 bg-white text-text-medium shadow-sm focus:border-primary focus:outline-none focus:ring-1 focus:ring-primary"
+              value={hourTo}
+              onChange={(e) => setHourTo(e.target.value)}
+            >
+              <option value="">Until</option>
+              {HOURS.map(hour => (
+                <option key={hour} value={hour}>{formatHour(hour + 1)}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
         {/* Filter Action Buttons */}
         <button
           id="applyFilter"
@@ -215,17 +301,23 @@ function FilterControls() {
           onClick={handleApplyFilter} // FIXED: was "applyFilter"
           disabled={!filterType}
         >
-          Apply Filter
+          Add Filter
         </button>
         
         <button
           id="resetFilter"
           className="py-3 px-5 bg-white border border-gray-300 text-text-medium rounded hover:bg-gray-50 transition-colors min-w-[100px] font-medium"
-          onClick={handleResetWithTracking} // FIXED: was "handleResetFilter"
+          onClick={handleResetFilter}
         >
           Reset
         </button>
       </div>
+
+      {/* Active filters */}
+      <FilterChips />
+
+      {/* Saved views */}
+      <SavedViewsMenu />
     </div>
   );
 }
@@ -0,0 +1,165 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useApp } from '../../context/AppContext';
+import { searchService, SearchResultTypes } from '../../services/searchService';
+import { createFilterGroup, createCondition, addCondition } from '../../utils/filterModel';
+import { getDashboardLocation } from '../../utils/urlState';
+import { getCustomerRoute } from '../../config/routes';
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DELAY = 150;
+
+const GROUP_LABELS = {
+  [SearchResultTypes.CUSTOMER]: 'Customers',
+  [SearchResultTypes.BOOKING]: 'Bookings',
+  [SearchResultTypes.LOCATION]: 'Locations',
+  [SearchResultTypes.SPORT]: 'Sports'
+};
+
+/**
+ * One search box for customers, phone numbers, booking references, locations and sports.
+ * Picking a customer opens their profile, or the table filtered to their name when they have no phone;
+ * other results open the table filtered to them.
+ */
+function GlobalSearch() {
+  const [query, setQuery] = useState('');
+  const [debouncedQuery, setDebouncedQuery] = useState('');
+  const [isOpen, setIsOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+  const containerRef = useRef(null);
+  const navigate = useNavigate();
+  const { bookingsData, selectedYears, activeDatasetId, sortKeys } = useApp();
+
+  // Debounce typing
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedQuery(query), SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const results = useMemo(
+    () => searchService.search(bookingsData, debouncedQuery),
+    [bookingsData, debouncedQuery]
+  );
+
+  // Results in display order, for keyboard navigation
+  const flatResults = useMemo(
+    () => Object.values(SearchResultTypes).flatMap(type => results[type]),
+    [results]
+  );
+
+  useEffect(() => {
+    setHighlighted(0);
+  }, [flatResults]);
+
+  // Close when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (isOpen && !containerRef.current?.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  /**
+   * Open the table filtered to a result
+   * @param {Object} result - Search result
+   */
+  const handleSelect = (result) => {
+    console.log('[GlobalSearch] Opening result:', result.type, result.label);
+    const isCustomer = result.type === SearchResultTypes.CUSTOMER;
+
+    if (isCustomer && result.phone) {
+      navigate(getCustomerRoute(result.phone));
+    } else {
+      navigate(getDashboardLocation('table', {
+        selectedYears,
+        activeDatasetId,
+        activeFilters: addCondition(createFilterGroup(), createCondition(result.filter.type, result.filter.value)),
+        // A customer's history reads best from the latest booking
+        sortKeys: isCustomer ? [{ field: 'Slot Date', direction: 'desc' }] : sortKeys,
+        currentPage: 1
+      }));
+    }
+
+    setQuery('');
+    setIsOpen(false);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      setIsOpen(false);
+      return;
+    }
+    if (!flatResults.length) return;
+
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setHighlighted((highlighted + 1) % flatResults.length);
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setHighlighted((highlighted - 1 + flatResults.length) % flatResults.length);
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      handleSelect(flatResults[highlighted]);
+    }
+  };
+
+  if (!bookingsData?.length) return null;
+
+  const showDropdown = isOpen && debouncedQuery.trim().length >= 2;
+
+  return (
+    <div ref={containerRef} className="relative flex-1 max-w-md mx-6 hidden md:block">
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onKeyDown={handleKeyDown}
+        placeholder="Search customers, phones, references, locations..."
+        className="w-full py-2 px-4 rounded-md border border-gray-300 bg-white text-sm text-text-medium focus:border-primary focus:outline-none focus:ring-1 focus:ring-primary"
+        aria-label="Search bookings"
+      />
+
+      {showDropdown && (
+        <div className="absolute top-full left-0 right-0 mt-1 bg-white rounded-md shadow-lg z-50 py-1 border border-gray-200 max-h-96 overflow-y-auto">
+          {flatResults.length === 0 ? (
+            <p className="px-4 py-3 text-sm text-gray-500">No matches for &ldquo;{debouncedQuery.trim()}&rdquo;</p>
+          ) : (
+            Object.values(SearchResultTypes)
+              .filter(type => results[type].length > 0)
+              .map(type => (
+                <div key={type} className="py-1">
+                  <p className="px-4 py-1 text-xs font-semibold text-gray-400 uppercase tracking-wider">
+                    {GROUP_LABELS[type]}
+                  </p>
+                  {results[type].map(result => {
+                    const isHighlighted = flatResults[highlighted] === result;
+                    return (
+                      <button
+                        key={result.id}
+                        onClick={() => handleSelect(result)}
+                        onMouseEnter={() => setHighlighted(flatResults.indexOf(result))}
+                        className={`w-full text-left px-4 py-2 ${isHighlighted ? 'bg-gray-100' : ''}`}
+                      >
+                        <span className="block text-sm text-text-dark">{result.label}</span>
+                        <span className="block text-xs text-gray-500">{result.detail}</span>
+                      </button>
+                    );
+                  })}
+                </div>
+              ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default GlobalSearch;
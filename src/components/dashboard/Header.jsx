@@ -1,15 +1,39 @@
 import { useState } from 'react';
 import { useAuth } from '../../context/AuthContext';
+import { useApp } from '../../context/AppContext';
+import { useBookings } from '../../hooks/useBookings';
 import { useErrorHandler } from '../../hooks/useErrorHandler';
+import { useToast } from '../../hooks/useToast';
 import { ErrorSeverity, ErrorCategory } from '../../utils/errorTypes';
+import GlobalSearch from './GlobalSearch';
 
 /**
- * Dashboard header component with user profile
+ * Dashboard header component with global search and user profile
  */
 function Header() {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
-  const { user, signOut, isDevelopment } = useAuth();
+  const { user, signOut, isDevelopment, isMockMode } = useAuth();
   const { handleAsync } = useErrorHandler();
+  const { loadedYears, activeDatasetId, isLoading, lastSync } = useApp();
+  const { syncBookings } = useBookings();
+  const { showToast, ToastDisplay } = useToast();
+  const [isSyncing, setIsSyncing] = useState(false);
+
+  /**
+   * Fetch new and changed bookings for the loaded years and report what changed
+   */
+  const handleSync = async () => {
+    setIsSyncing(true);
+    const changes = await syncBookings();
+    setIsSyncing(false);
+
+    if (changes) {
+      const hasChanges = changes.newCount + changes.updatedCount + changes.removedCount > 0;
+      showToast(changes.message, hasChanges ? 'success' : 'info');
+    } else {
+      showToast('Could not sync bookings', 'error');
+    }
+  };
 
   /**
    * Handle sign out action
@@ -54,6 +78,9 @@ function Header() {
             <h1 className="text-xl font-semibold text-primary">ClayGrounds by Plaza</h1>
           </div>
 
+          {/* Search */}
+          <GlobalSearch />
+
           {/* User information */}
           <div className="relative">
             {user || isDevelopment ? (
@@ -65,6 +92,25 @@ function Header() {
                   </div>
                 )}
                 
+                {/* Mock data badge */}
+                {isMockMode && (
+                  <div className="mr-3 px-2 py-1 bg-yellow-100 text-yellow-800 text-xs font-semibold rounded">
+                    MOCK DATA
+                  </div>
+                )}
+                
+                {/* Incremental sync */}
+                {loadedYears.length > 0 && !activeDatasetId && (
+                  <button
+                    onClick={handleSync}
+                    disabled={isSyncing || isLoading}
+                    title={lastSync ? `Last synced ${new Date(lastSync.syncedAt).toLocaleTimeString()}` : 'Fetch new bookings'}
+                    className="mr-3 px-3 py-2 text-sm text-primary border border-primary rounded-md hover:bg-primary hover:text-white transition-colors disabled:opacity-50"
+                  >
+                    {isSyncing ? 'Syncing...' : 'Sync'}
+                  </button>
+                )}
+                
                 {/* User avatar and info */}
                 <div 
                   className="flex items-center bg-gray-50 px-3 py-2 rounded-md cursor-pointer hover:bg-gray-100 transition-colors"
@@ -146,6 +192,7 @@ function Header() {
           </div>
         </div>
       </div>
+      {ToastDisplay}
     </header>
   );
 }
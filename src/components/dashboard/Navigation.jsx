@@ -1,9 +1,12 @@
 import { useEffect, useRef, useState } from 'react';
 import { NavLink, useLocation, useNavigate } from 'react-router-dom';
 import { useApp } from '../../context/AppContext';
+import { useBookings } from '../../hooks/useBookings';
 import { ViewTypes } from '../../utils/constants';
+import { formatFinancialYear } from '../../utils/dateUtils';
+import { formatUtils } from '../../utils/formatUtils';
 import PropTypes from 'prop-types';
-import locations from '../../locations.json';
+import { LOCATIONS } from '../../utils/locationRegistry';
 
 // Create a map of paths to view types for easy lookup
 const PATH_TO_VIEW = {
@@ -13,17 +16,23 @@ const PATH_TO_VIEW = {
   'sports': ViewTypes.SPORTS,
   'status': ViewTypes.STATUS,
   'source': ViewTypes.SOURCE,
+  'facilities': ViewTypes.FACILITIES,
   'payments': ViewTypes.PAYMENTS,
-  'errors': ViewTypes.ERROR_DASHBOARD
+  'pivot': ViewTypes.PIVOT,
+  'customers': ViewTypes.CUSTOMER,
+  'errors': ViewTypes.ERROR_DASHBOARD,
+  'data-quality': ViewTypes.DATA_QUALITY,
+  'import': ViewTypes.IMPORT
 };
 
 // Category options with their paths and labels
 const CATEGORY_OPTIONS = [
   { path: 'locations', label: 'Location' },
-  { path: 'months', label: 'Month' },
+  { path: 'months', label: 'Period' },
   { path: 'sports', label: 'Sport' },
   { path: 'status', label: 'Status' },
-  { path: 'source', label: 'Source' }
+  { path: 'source', label: 'Source' },
+  { path: 'facilities', label: 'Facility' }
 ];
 
 /**
@@ -34,7 +43,18 @@ const CATEGORY_OPTIONS = [
 function Navigation({ onViewChange }) {
   const location = useLocation();
   const navigate = useNavigate();
-  const { currentView, setCurrentView, selectedYear, setSelectedYear } = useApp();
+  const {
+    currentView,
+    setCurrentView,
+    selectedYears,
+    setSelectedYears,
+    availableYears,
+    importedDatasets,
+    activeDatasetId
+  } = useApp();
+  const { loadDataset, closeDataset, openLocalFiles, usesLocalFiles } = useBookings();
+  const localFileInputRef = useRef(null);
+  const [skippedLocalFiles, setSkippedLocalFiles] = useState([]);
   const [isCategoriesOpen, setIsCategoriesOpen] = useState(false);
   const [isYearSelectorOpen, setIsYearSelectorOpen] = useState(false);
   const [isReportsOpen, setIsReportsOpen] = useState(false);
@@ -55,8 +75,9 @@ function Navigation({ onViewChange }) {
     // Update our record of the last processed path
     lastProcessedPathRef.current = location.pathname;
     
-    // Extract the relevant part of the path
-    const pathSegment = location.pathname.split('/').filter(Boolean).pop();
+    // The segment after /dashboard names the view, e.g. "customers" in /dashboard/customers/9811678837
+    const segments = location.pathname.split('/').filter(Boolean);
+    const pathSegment = segments[segments.indexOf('dashboard') + 1];
     
     // Lookup the view type for this path
     const viewForPath = PATH_TO_VIEW[pathSegment];
@@ -80,6 +101,44 @@ function Navigation({ onViewChange }) {
     }
   }, [location.pathname, currentView, setCurrentView, onViewChange]);
 
+  /**
+   * Add or remove a year from the selection, keeping at least one year selected
+   * @param {string} year - Year key to toggle
+   */
+  const toggleYear = (year) => {
+    const nextYears = selectedYears.includes(year)
+      ? selectedYears.filter(y => y !== year)
+      : [...selectedYears, year];
+    
+    if (nextYears.length === 0) return;
+    setSelectedYears(nextYears);
+  };
+
+  /**
+   * Use the booking files picked for the local-file source
+   * @param {Event} event - File input change event
+   */
+  const handleLocalFiles = async (event) => {
+    const files = [...(event.target.files || [])];
+    // Clear the input so picking the same file again (after editing it) fires another change
+    event.target.value = '';
+    if (files.length === 0) return;
+
+    setIsYearSelectorOpen(false);
+    setSkippedLocalFiles(await openLocalFiles(files));
+  };
+
+  // Years found in the data source, falling back to the selection until they have been listed
+  const yearOptions = availableYears || selectedYears.map(year => ({ year }));
+
+  // Label for the year selector button reflecting the current selection
+  const activeDataset = importedDatasets.find(dataset => dataset.id === activeDatasetId);
+  const yearSelectorLabel = activeDataset
+    ? activeDataset.name
+    : selectedYears.length === 1
+      ? `FY ${formatFinancialYear(selectedYears[0])}`
+      : `${selectedYears.length} Years`;
+
   // Close dropdowns when clicking outside
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -108,13 +167,23 @@ function Navigation({ onViewChange }) {
 
                 {/* Year Selector Dropdown */}
                 <div className="relative year-selector-dropdown">
+          {usesLocalFiles && (
+            <input
+              ref={localFileInputRef}
+              type="file"
+              accept=".csv,text/csv"
+              multiple
+              className="hidden"
+              onChange={handleLocalFiles}
+            />
+          )}
           <button
             onClick={() => setIsYearSelectorOpen(!isYearSelectorOpen)}
             className={`text-text-light py-3 px-6 rounded transition-colors min-w-[120px] text-center font-medium
                      hover:bg-gray-100 hover:text-primary flex items-center justify-center gap-2
                      ${isYearSelectorOpen ? 'bg-primary text-white shadow-md' : ''}`}
           >
-            Select Year
+            {yearSelectorLabel}
             <svg 
               className={`w-4 h-4 transition-transform ${isYearSelectorOpen ? 'transform rotate-180' : ''}`}
               fill="none" 
@@ -126,27 +195,90 @@ function Navigation({ onViewChange }) {
           </button>
           
           {isYearSelectorOpen && (
-            <div className="absolute top-full left-0 mt-1 w-48 bg-white rounded-md shadow-lg z-50 py-1 border border-gray-200">
-              <button
-                className={`w-full text-left px-4 py-2 text-sm text-text-light hover:bg-gray-100
-                          ${selectedYear === '202425' ? 'bg-primary text-white' : ''}`}
-                onClick={() => {
-                  setSelectedYear('202425');
-                  setIsYearSelectorOpen(false);
-                }}
-              >
-                2024-25
-              </button>
-              <button
-                className={`w-full text-left px-4 py-2 text-sm text-text-light hover:bg-gray-100
-                          ${selectedYear === '202526' ? 'bg-primary text-white' : ''}`}
-                onClick={() => {
-                  setSelectedYear('202526');
-                  setIsYearSelectorOpen(false);
-                }}
-              >
-                2025-26
-              </button>
+            <div className="absolute top-full left-0 mt-1 w-56 bg-white rounded-md shadow-lg z-50 py-1 border border-gray-200">
+              {yearOptions.length === 0 && (
+                <p className="px-4 py-2 text-sm text-gray-500">No booking files found</p>
+              )}
+              {yearOptions.map(({ year, size, lastModified }) => (
+                <label
+                  key={year}
+                  className="w-full flex items-center gap-2 px-4 py-2 text-sm text-text-light hover:bg-gray-100 cursor-pointer"
+                >
+                  <input
+                    type="checkbox"
+                    className="w-4 h-4 text-primary focus:ring-primary rounded border-gray-300"
+                    checked={selectedYears.includes(year)}
+                    disabled={selectedYears.length === 1 && selectedYears.includes(year)}
+                    onChange={() => toggleYear(year)}
+                  />
+                  <span className="flex flex-col">
+                    {formatFinancialYear(year)}
+                    {(size != null || lastModified) && (
+                      <span className="text-xs text-gray-500">
+                        {[formatUtils.fileSize(size), formatUtils.formatDateForDisplay(lastModified)]
+                          .filter(Boolean)
+                          .join(' · ')}
+                      </span>
+                    )}
+                  </span>
+                </label>
+              ))}
+              {yearOptions.length > 1 && (
+                <button
+                  className="w-full text-left px-4 py-2 text-sm text-primary hover:bg-gray-100 border-t border-gray-100"
+                  onClick={() => {
+                    setSelectedYears(yearOptions.map(({ year }) => year));
+                    setIsYearSelectorOpen(false);
+                  }}
+                >
+                  All Years
+                </button>
+              )}
+              {usesLocalFiles && (
+                <div className="border-t border-gray-100">
+                  <button
+                    className="w-full text-left px-4 py-2 text-sm text-primary hover:bg-gray-100"
+                    onClick={() => localFileInputRef.current?.click()}
+                  >
+                    Open Booking Files…
+                  </button>
+                  {skippedLocalFiles.length > 0 && (
+                    <p className="px-4 pb-2 text-xs text-yellow-700">
+                      Skipped {skippedLocalFiles.join(', ')} - files must be named like bookings202425.csv
+                    </p>
+                  )}
+                </div>
+              )}
+              {importedDatasets.length > 0 && (
+                <div className="border-t border-gray-100">
+                  <p className="px-4 pt-2 pb-1 text-xs font-medium text-gray-500 uppercase tracking-wider">Imported</p>
+                  {importedDatasets.map((dataset) => (
+                    <button
+                      key={dataset.id}
+                      className={`w-full text-left px-4 py-2 text-sm truncate hover:bg-gray-100
+                                ${dataset.id === activeDatasetId ? 'bg-primary text-white hover:bg-primary' : 'text-text-light'}`}
+                      title={dataset.name}
+                      onClick={() => {
+                        loadDataset(dataset.id);
+                        setIsYearSelectorOpen(false);
+                      }}
+                    >
+                      {dataset.name}
+                    </button>
+                  ))}
+                  {activeDatasetId && (
+                    <button
+                      className="w-full text-left px-4 py-2 text-sm text-primary hover:bg-gray-100"
+                      onClick={() => {
+                        closeDataset();
+                        setIsYearSelectorOpen(false);
+                      }}
+                    >
+                      Back to FY Data
+                    </button>
+                  )}
+                </div>
+              )}
             </div>
           )}
         </div>
@@ -187,6 +319,18 @@ function Navigation({ onViewChange }) {
           Payments
         </NavLink>
 
+        <NavLink
+          to="/dashboard/pivot"
+          className={({ isActive }) => 
+            `text-text-light py-3 px-6 rounded transition-colors min-w-[120px] text-center font-medium
+             hover:bg-gray-100 hover:text-primary
+             ${isActive ? 'bg-primary text-white shadow-md' : ''}`
+          }
+          aria-current={currentView === ViewTypes.PIVOT ? 'page' : undefined}
+        >
+          Pivot
+        </NavLink>
+
         <NavLink
           to="/dashboard/errors"
           className={({ isActive }) => 
@@ -198,6 +342,30 @@ function Navigation({ onViewChange }) {
         >
           Error Logs
         </NavLink>
+
+        <NavLink
+          to="/dashboard/data-quality"
+          className={({ isActive }) => 
+            `text-text-light py-3 px-6 rounded transition-colors min-w-[120px] text-center font-medium
+             hover:bg-gray-100 hover:text-primary
+             ${isActive ? 'bg-primary text-white shadow-md' : ''}`
+          }
+          aria-current={currentView === ViewTypes.DATA_QUALITY ? 'page' : undefined}
+        >
+          Data Quality
+        </NavLink>
+
+        <NavLink
+          to="/dashboard/import"
+          className={({ isActive }) => 
+            `text-text-light py-3 px-6 rounded transition-colors min-w-[120px] text-center font-medium
+             hover:bg-gray-100 hover:text-primary
+             ${isActive ? 'bg-primary text-white shadow-md' : ''}`
+          }
+          aria-current={currentView === ViewTypes.IMPORT ? 'page' : undefined}
+        >
+          Import
+        </NavLink>
         
         {/* Categories Dropdown */}
         <div className="relative categories-dropdown">
@@ -258,22 +426,22 @@ function Navigation({ onViewChange }) {
           
           {isReportsOpen && (
             <div className="absolute top-full left-0 mt-1 w-48 bg-white rounded-md shadow-lg z-50 py-1 border border-gray-200 max-h-96 overflow-y-auto">
-              {locations.map((location) => (
+              {LOCATIONS.map((location) => (
                 <button
-                  key={location.Location_id}
+                  key={location.id}
                   className={`w-full text-left px-4 py-2 text-sm text-text-light hover:bg-gray-100
-                            ${selectedLocation === location.Location_id ? 'bg-primary text-white' : ''}`}
+                            ${selectedLocation === location.id ? 'bg-primary text-white' : ''}`}
                   onClick={() => {
-                    setSelectedLocation(location.Location_id);
+                    setSelectedLocation(location.id);
                     setIsReportsOpen(false);
                     
                     // Navigate to the location report page
-                    const reportPath = `/dashboard/reports/${location.Location_id}`;
+                    const reportPath = `/dashboard/reports/${location.id}`;
                     console.log(`[Navigation] Navigating to location report: ${reportPath}`);
                     navigate(reportPath);
                   }}
                 >
-                  {location.Location_name}
+                  {location.name}
                 </button>
               ))}
             </div>
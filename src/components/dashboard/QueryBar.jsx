@@ -0,0 +1,181 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useApp } from '../../context/AppContext';
+import { useBookings } from '../../hooks/useBookings';
+import { parseQuery, getQuerySuggestions, getQueryFieldValues } from '../../utils/queryLanguage';
+
+/**
+ * Query bar for typing filters, e.g. location:"Vasant Kunj" status:cancelled paid>=1000.
+ * Suggests field names and values from the loaded data, and marks clauses that do not parse.
+ * Applying a query replaces the active filters.
+ */
+function QueryBar() {
+  const [text, setText] = useState('');
+  const [cursor, setCursor] = useState(0);
+  const [isFocused, setIsFocused] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+  const inputRef = useRef(null);
+  // Cursor position to restore after a suggestion is inserted
+  const pendingCursorRef = useRef(null);
+
+  const { bookingsData } = useApp();
+  const { setFilters } = useBookings();
+
+  // Field values from the loaded data, looked up once per field
+  const getValues = useMemo(() => {
+    const cache = new Map();
+    return (name) => {
+      if (!cache.has(name)) cache.set(name, getQueryFieldValues(bookingsData, name));
+      return cache.get(name);
+    };
+  }, [bookingsData]);
+
+  const parsed = useMemo(() => parseQuery(text, { getValues }), [text, getValues]);
+  const suggestions = useMemo(
+    () => getQuerySuggestions(text, cursor, { getValues }),
+    [text, cursor, getValues]
+  );
+  const showSuggestions = isFocused && suggestions.items.length > 0;
+
+  useEffect(() => {
+    setHighlighted(0);
+  }, [suggestions]);
+
+  useEffect(() => {
+    if (pendingCursorRef.current === null || !inputRef.current) return;
+    inputRef.current.setSelectionRange(pendingCursorRef.current, pendingCursorRef.current);
+    pendingCursorRef.current = null;
+  }, [text]);
+
+  /**
+   * Replace the clause at the cursor with a suggestion
+   * @param {Object} item - Suggestion { label, text }
+   */
+  const acceptSuggestion = (item) => {
+    const before = text.slice(0, suggestions.start);
+    const after = text.slice(suggestions.end);
+    // Values end the clause, so move on to the next one
+    const insert = item.text.endsWith(':') || after.startsWith(' ') ? item.text : `${item.text} `;
+    const position = before.length + insert.length;
+
+    pendingCursorRef.current = position;
+    setText(`${before}${insert}${after}`);
+    setCursor(position);
+  };
+
+  const applyQuery = () => {
+    if (parsed.errors.length > 0) return;
+    console.log('[QueryBar] Applying query:', text);
+    setFilters(parsed.filters);
+  };
+
+  const handleKeyDown = (event) => {
+    if (showSuggestions) {
+      if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        event.preventDefault();
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+        setHighlighted((highlighted + step + suggestions.items.length) % suggestions.items.length);
+        return;
+      }
+      if (event.key === 'Tab' || (event.key === 'Enter' && suggestions.items[highlighted])) {
+        event.preventDefault();
+        acceptSuggestion(suggestions.items[highlighted]);
+        return;
+      }
+      if (event.key === 'Escape') {
+        setIsFocused(false);
+        return;
+      }
+    }
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      applyQuery();
+    }
+  };
+
+  const updateCursor = (event) => setCursor(event.target.selectionStart ?? event.target.value.length);
+
+  return (
+    <div className="w-full">
+      <div className="flex gap-2 items-start">
+        <div className="relative flex-1">
+          <input
+            ref={inputRef}
+            type="text"
+            value={text}
+            onChange={(e) => {
+              setText(e.target.value);
+              updateCursor(e);
+            }}
+            onSelect={updateCursor}
+            onFocus={() => setIsFocused(true)}
+            onBlur={() => setIsFocused(false)}
+            onKeyDown={handleKeyDown}
+            spellCheck={false}
+            placeholder='Query, e.g. location:"Vasant Kunj" -status:cancelled paid>=1000 date:2024-04-01..2024-06-30'
+            className={`w-full py-3 px-5 rounded border bg-white font-mono text-sm text-text-medium shadow-sm focus:outline-none focus:ring-1
+                       ${parsed.errors.length > 0 ? 'border-error focus:border-error focus:ring-error' : 'border-gray-300 focus:border-primary focus:ring-primary'}`}
+            aria-label="Filter query"
+            aria-invalid={parsed.errors.length > 0}
+          />
+
+          {showSuggestions && (
+            <ul className="absolute top-full left-0 mt-1 min-w-[240px] max-h-64 overflow-y-auto bg-white rounded-md shadow-lg z-50 py-1 border border-gray-200">
+              {suggestions.items.map((item, index) => (
+                <li key={item.text}>
+                  <button
+                    type="button"
+                    // Keep focus in the input
+                    onMouseDown={(e) => {
+                      e.preventDefault();
+                      acceptSuggestion(item);
+                    }}
+                    onMouseEnter={() => setHighlighted(index)}
+                    className={`w-full text-left px-4 py-1 font-mono text-sm text-text-medium ${index === highlighted ? 'bg-gray-100' : ''}`}
+                  >
+                    {item.label}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <button
+          onClick={applyQuery}
+          disabled={!text.trim() || parsed.errors.length > 0}
+          className="py-3 px-5 bg-primary text-white rounded shadow hover:bg-primary-light transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Apply Query
+        </button>
+      </div>
+
+      {/* Clauses as parsed - the ones in error are marked, with the reason on hover and below */}
+      {parsed.errors.length > 0 && (
+        <div className="mt-2 text-sm">
+          <p className="font-mono whitespace-pre-wrap break-all">
+            {parsed.clauses.map((clause, index) => (
+              <span key={clause.start}>
+                {index > 0 && ' '}
+                <span
+                  title={clause.error || undefined}
+                  className={clause.error ? 'text-error underline decoration-wavy decoration-error' : 'text-text-light'}
+                >
+                  {clause.text}
+                </span>
+              </span>
+            ))}
+          </p>
+          <ul className="mt-1 text-error">
+            {parsed.errors.map(clause => (
+              <li key={clause.start}>
+                <span className="font-mono">{clause.text}</span>: {clause.error}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default QueryBar;
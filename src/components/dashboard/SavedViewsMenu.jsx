@@ -0,0 +1,130 @@
+import { useState } from 'react';
+import { useSavedViews } from '../../hooks/useSavedViews';
+import { useToast } from '../../hooks/useToast';
+
+/**
+ * Saved views dropdown: open a saved view, save the current one, and pick the default landing view
+ */
+function SavedViewsMenu() {
+  const [selectedId, setSelectedId] = useState('');
+  const [isNaming, setIsNaming] = useState(false);
+  const [name, setName] = useState('');
+  const { showToast, ToastDisplay } = useToast();
+
+  const {
+    views,
+    defaultView,
+    isLoading,
+    canSave,
+    saveView,
+    applyView,
+    deleteView,
+    setDefaultView
+  } = useSavedViews();
+
+  const selectedView = views.find(view => view.id === selectedId) || null;
+
+  const handleSelect = (id) => {
+    setSelectedId(id);
+    if (id) applyView(id);
+  };
+
+  const handleSave = async () => {
+    const result = await saveView(name);
+    if (result?.error) {
+      showToast('Saved in this browser only - the view could not be stored online', 'warning');
+    } else {
+      showToast(`Saved view "${name.trim()}"`, 'success');
+    }
+    setName('');
+    setIsNaming(false);
+  };
+
+  const handleDelete = async () => {
+    await deleteView(selectedView.id);
+    showToast(`Deleted view "${selectedView.name}"`, 'info');
+    setSelectedId('');
+  };
+
+  if (!canSave) return null;
+
+  return (
+    <div className="flex flex-wrap gap-2 items-center w-full">
+      <select
+        id="savedViewSelect"
+        className="py-2 px-4 rounded border border-gray-300 bg-white text-text-medium shadow-sm focus:border-primary focus:outline-none focus:ring-1 focus:ring-primary min-w-[200px]"
+        value={selectedId}
+        onChange={(e) => handleSelect(e.target.value)}
+        disabled={isLoading}
+      >
+        <option value="">{isLoading ? 'Loading views...' : 'Saved views'}</option>
+        {views.map(view => (
+          <option key={view.id} value={view.id}>
+            {view.name}{defaultView?.id === view.id ? ' (default)' : ''}
+          </option>
+        ))}
+      </select>
+
+      {selectedView && (
+        <>
+          <button
+            onClick={() => setDefaultView(defaultView?.id === selectedView.id ? null : selectedView.id)}
+            className="text-sm text-primary hover:underline"
+          >
+            {defaultView?.id === selectedView.id ? 'Unset default' : 'Make default'}
+          </button>
+          <button
+            onClick={handleDelete}
+            className="text-sm text-error hover:underline"
+          >
+            Delete
+          </button>
+        </>
+      )}
+
+      {isNaming ? (
+        <div className="flex gap-2 items-center">
+          <input
+            type="text"
+            autoFocus
+            className="py-2 px-4 rounded border border-gray-300 bg-white text-text-medium shadow-sm focus:border-primary focus:outline-none focus:ring-1 focus:ring-primary"
+            placeholder="View name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && name.trim()) handleSave();
+              if (e.key === 'Escape') setIsNaming(false);
+            }}
+          />
+          <button
+            onClick={handleSave}
+            disabled={!name.trim()}
+            className="py-2 px-4 bg-primary text-white rounded shadow hover:bg-primary-light transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Save
+          </button>
+          <button
+            onClick={() => setIsNaming(false)}
+            className="text-sm text-text-light hover:underline"
+          >
+            Cancel
+          </button>
+        </div>
+      ) : (
+        <button
+          onClick={() => {
+            setName(selectedView?.name || '');
+            setIsNaming(true);
+          }}
+          className="py-2 px-4 bg-white border border-gray-300 text-text-medium rounded hover:bg-gray-50 transition-colors text-sm"
+        >
+          Save current view
+        </button>
+      )}
+
+      {ToastDisplay}
+    </div>
+  );
+}
+
+export default SavedViewsMenu;
@@ -1,12 +1,14 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useApp } from '../../context/AppContext';
 import { useBookings } from '../../hooks/useBookings';
 import { useErrorHandler } from '../../hooks/useErrorHandler';
 import { statsService } from '../../services/statsService';
 import { ErrorSeverity, ErrorCategory } from '../../utils/errorTypes';
-import { PaymentDistribution, StatusDistribution, SourceDistribution } from '../visualizations';
+import { TIME_GRAIN_LABELS } from '../../utils/dateUtils';
+import { PaymentDistribution, StatusDistribution, SourceDistribution, PeriodTrend } from '../visualizations';
 import Loading from '../common/Loading';
 import EmptyState from '../common/EmptyState';
+import TimeGrainSwitcher from '../common/TimeGrainSwitcher';
 
 /**
  * VisualizationDashboard component that displays all visualization components
@@ -16,10 +18,16 @@ import EmptyState from '../common/EmptyState';
 function VisualizationDashboard({ compact = false }) {
   const [stats, setStats] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
-  const { filteredData } = useApp();
+  const { filteredData, timeGrain } = useApp();
   const { groupedData, groupData } = useBookings();
   const { handleAsync } = useErrorHandler();
 
+  // Trend over time at the chosen grain
+  const periodStats = useMemo(
+    () => (filteredData?.length ? statsService.calculatePeriodStats(filteredData, timeGrain) : []),
+    [filteredData, timeGrain]
+  );
+
   // Calculate statistics when data changes
   useEffect(() => {
     if (!filteredData || filteredData.length === 0) {
@@ -86,6 +94,15 @@ function VisualizationDashboard({ compact = false }) {
         </p>
       </div>
 
+      {/* Trend over time */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+          <h3 className="text-xl font-semibold text-primary">Trend Analysis</h3>
+          <TimeGrainSwitcher />
+        </div>
+        <PeriodTrend data={periodStats} grainLabel={TIME_GRAIN_LABELS[timeGrain]} />
+      </div>
+
       {/* Payment Distribution */}
       <div className="bg-white rounded-lg shadow-md p-6">
         <h3 className="text-xl font-semibold text-primary mb-4">Payment Analysis</h3>
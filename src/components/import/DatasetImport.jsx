@@ -0,0 +1,256 @@
+import { useState, useRef, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useApp } from '../../context/AppContext';
+import { useBookings } from '../../hooks/useBookings';
+import { useErrorHandler } from '../../hooks/useErrorHandler';
+import { importService } from '../../services/importService';
+import { guessColumnMapping } from '../../utils/columnMapping';
+import { BOOKING_SCHEMA } from '../../utils/bookingSchema';
+import { formatUtils } from '../../utils/formatUtils';
+import { ErrorSeverity, ErrorCategory } from '../../utils/errorTypes';
+
+/**
+ * Import flow for one-off CSV/XLSX booking exports.
+ * Files are mapped onto the booking schema and shown as temporary datasets.
+ */
+function DatasetImport() {
+  const navigate = useNavigate();
+  const { importedDatasets, activeDatasetId, batchUpdate } = useApp();
+  const { loadDataset, closeDataset } = useBookings();
+  const { handleAsync } = useErrorHandler();
+  const fileInputRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const [isReading, setIsReading] = useState(false);
+  const [imported, setImported] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [readError, setReadError] = useState(null);
+
+  /**
+   * Read a dropped or picked file and guess its column mapping
+   * @param {File} file - CSV or XLSX file
+   */
+  const handleFile = useCallback(async (file) => {
+    if (!file) return;
+
+    setReadError(null);
+    setIsReading(true);
+    try {
+      const result = await importService.readFile(file);
+      if (result.rows.length === 0) {
+        throw new Error(`${file.name} has no data rows`);
+      }
+      setImported(result);
+      setMapping(guessColumnMapping(result.headers));
+    } catch (error) {
+      console.error('[DatasetImport] Could not read file:', error);
+      setReadError(error.message);
+      setImported(null);
+    } finally {
+      setIsReading(false);
+    }
+  }, []);
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    handleFile(event.dataTransfer.files?.[0]);
+  };
+
+  const handleMappingChange = (column, header) => {
+    setMapping(prev => ({ ...prev, [column]: header || null }));
+  };
+
+  /**
+   * Create the dataset from the current mapping and show it
+   */
+  const handleLoadDataset = async () => {
+    await handleAsync(
+      async () => {
+        const summary = importService.createDataset(imported, mapping);
+        batchUpdate({ importedDatasets: [...importedDatasets, summary] });
+        await loadDataset(summary.id);
+        setImported(null);
+        navigate('/dashboard/table');
+      },
+      'DatasetImport.loadDataset',
+      {
+        severity: ErrorSeverity.ERROR,
+        category: ErrorCategory.DATA,
+        metadata: {
+          fileName: imported?.fileName,
+          rowCount: imported?.rows.length
+        }
+      }
+    );
+  };
+
+  /**
+   * Remove a dataset, going back to FY data if it is on screen
+   * @param {string} datasetId - Dataset id
+   */
+  const handleRemoveDataset = async (datasetId) => {
+    importService.removeDataset(datasetId);
+    batchUpdate({ importedDatasets: importedDatasets.filter(dataset => dataset.id !== datasetId) });
+    if (datasetId === activeDatasetId) {
+      await closeDataset();
+    }
+  };
+
+  const unmappedRequired = BOOKING_SCHEMA.filter(column => column.required && !mapping[column.name]);
+  const sampleRow = imported?.rows[0] || {};
+
+  return (
+    <div className="p-6">
+      <h1 className="text-2xl font-bold mb-6">Import Bookings</h1>
+
+      {/* Drop zone */}
+      <div
+        onDragOver={(event) => {
+          event.preventDefault();
+          setIsDragging(true);
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        onClick={() => fileInputRef.current?.click()}
+        className={`border-2 border-dashed rounded-lg p-10 text-center cursor-pointer transition-colors mb-6
+                   ${isDragging ? 'border-primary bg-primary-light bg-opacity-10' : 'border-gray-300 hover:border-primary'}`}
+      >
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,.xlsx"
+          className="hidden"
+          onChange={(event) => {
+            handleFile(event.target.files?.[0]);
+            event.target.value = '';
+          }}
+        />
+        <p className="text-lg font-medium text-text-dark">
+          {isReading ? 'Reading file...' : 'Drop a CSV or XLSX booking export here'}
+        </p>
+        <p className="text-sm text-gray-500 mt-1">or click to choose a file</p>
+        {readError && <p className="text-sm text-error mt-3">{readError}</p>}
+      </div>
+
+      {/* Column mapping */}
+      {imported && (
+        <div className="bg-white rounded-lg shadow p-4 mb-6">
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+            <div>
+              <h3 className="text-lg font-semibold">{imported.fileName}</h3>
+              <p className="text-sm text-gray-500">
+                {formatUtils.number(imported.rows.length)} rows · {imported.headers.length} columns
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => setImported(null)}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded hover:bg-gray-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleLoadDataset}
+                className="px-4 py-2 bg-primary text-white rounded hover:bg-primary-dark transition-colors"
+              >
+                Load Dataset
+              </button>
+            </div>
+          </div>
+
+          {unmappedRequired.length > 0 && (
+            <p className="text-sm text-warning mb-3">
+              Required columns not mapped: {unmappedRequired.map(column => column.name).join(', ')}.
+              Affected rows will show up in the data-quality report.
+            </p>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Booking Column</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">File Column</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">First Row</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {BOOKING_SCHEMA.map(column => (
+                  <tr key={column.name}>
+                    <td className="px-4 py-2 text-sm text-gray-900">
+                      {column.name}
+                      {column.required && <span className="text-error ml-1">*</span>}
+                    </td>
+                    <td className="px-4 py-2">
+                      <select
+                        className="border rounded px-2 py-1 text-sm w-full"
+                        value={mapping[column.name] || ''}
+                        onChange={(event) => handleMappingChange(column.name, event.target.value)}
+                      >
+                        <option value="">Not mapped</option>
+                        {imported.headers.map(header => (
+                          <option key={header} value={header}>{header}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-4 py-2 text-sm text-gray-500 font-mono">
+                      {mapping[column.name] ? String(sampleRow[mapping[column.name]] ?? '') : '-'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Imported datasets */}
+      {importedDatasets.length > 0 && (
+        <div className="bg-white rounded-lg shadow p-4">
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="text-lg font-semibold">Imported Datasets</h3>
+            {activeDatasetId && (
+              <button
+                onClick={closeDataset}
+                className="text-sm text-primary hover:underline"
+              >
+                Back to financial-year data
+              </button>
+            )}
+          </div>
+          <p className="text-sm text-gray-500 mb-3">Imported datasets are kept until the page is reloaded.</p>
+          <ul className="divide-y divide-gray-200">
+            {importedDatasets.map(dataset => (
+              <li key={dataset.id} className="flex flex-wrap items-center justify-between gap-2 py-2">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">
+                    {dataset.name}
+                    {dataset.id === activeDatasetId && (
+                      <span className="ml-2 px-2 py-0.5 rounded text-xs bg-primary text-white">Showing</span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {formatUtils.number(dataset.rowCount)} rows · {dataset.issueCount} data-quality issues ·
+                    imported {new Date(dataset.importedAt).toLocaleTimeString()}
+                  </p>
+                </div>
+                <div className="flex gap-3 text-sm">
+                  {dataset.id !== activeDatasetId && (
+                    <button onClick={() => loadDataset(dataset.id)} className="text-primary hover:underline">
+                      Show
+                    </button>
+                  )}
+                  <button onClick={() => handleRemoveDataset(dataset.id)} className="text-error hover:underline">
+                    Remove
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DatasetImport;
@@ -1,11 +1,12 @@
 import { NavLink } from 'react-router-dom';
 import { useApp } from '../../context/AppContext';
+import { formatFinancialYear } from '../../utils/dateUtils';
 
 /**
  * Main Navigation Bar component
  */
 function NavBar() {
-  const { selectedYear } = useApp();
+  const { selectedYears } = useApp();
 
   // Navigation items
   const navItems = [
@@ -23,7 +24,7 @@ function NavBar() {
         <div className="flex items-center mb-2 md:mb-0">
           <div className="text-2xl font-bold text-primary">ClayGrounds</div>
           <div className="ml-2 text-sm bg-blue-100 text-blue-800 py-1 px-2 rounded">
-            {selectedYear ? `${selectedYear.slice(0, 4)}-${selectedYear.slice(4, 6)}` : 'FY 2024-25'}
+            {selectedYears?.length ? selectedYears.map(formatFinancialYear).join(', ') : 'FY 2024-25'}
           </div>
         </div>
 
@@ -2,11 +2,11 @@
  * DailyView.jsx
  * Component for displaying payment data in a daily format
  */
-import { useEffect, useState, useCallback } from 'react';
+import { useEffect, useState, useCallback, useMemo } from 'react';
 import PropTypes from 'prop-types';
 import { useApp } from '../../context/AppContext';
 import { statsService } from '../../services/statsService';
-import { getFinancialYearDates } from '../../utils/dateUtils';
+import { getFinancialYearDates, formatFinancialYear } from '../../utils/dateUtils';
 import { formatUtils } from '../../utils/formatUtils';
 import Loading from '../common/Loading';
 import EmptyState from '../common/EmptyState';
@@ -14,8 +14,10 @@ import EmptyState from '../common/EmptyState';
 /**
  * DailyView component for displaying payment data in a daily format
  */
-function DailyView({ year }) {
+function DailyView({ year, years }) {
   const [dailyPayments, setDailyPayments] = useState({});
+  // Financial years covered by the view - a multi-year selection spans all of them
+  const financialYears = useMemo(() => (years?.length ? years : [year]), [year, years]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const { filteredData } = useApp();
@@ -79,7 +81,7 @@ function DailyView({ year }) {
         }
         
         // Calculate daily payments using the service
-        const payments = statsService.calculateDailyPaymentsByMode(filteredData, year);
+        const payments = statsService.calculateDailyPaymentsByMode(filteredData, financialYears);
         console.log(`[DailyView] Processed daily payments for ${Object.keys(payments).length} days`);
         
         // If no payments were found, check a few records to debug
@@ -116,14 +118,14 @@ function DailyView({ year }) {
     };
 
     fetchDailyPayments();
-  }, [year, filteredData]);
+  }, [year, financialYears, filteredData]);
 
-  // Generate an array of dates for the selected financial year
+  // Generate an array of dates for the selected financial years
   const generateDateArray = () => {
     try {
       // Parse year format "202425" to create proper start and end dates
-      const startYear = year.substring(0, 4);
-      const endYear = String(Number(startYear) + 1);
+      const startYear = financialYears[0].substring(0, 4);
+      const endYear = String(Number(financialYears[financialYears.length - 1].substring(0, 4)) + 1);
       
       // Create dates for April 1st of start year and March 31st of end year
       const startDate = new Date(`${startYear}-04-01`);
@@ -190,9 +192,9 @@ function DailyView({ year }) {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.setAttribute('href', url);
-    a.setAttribute('download', `daily_payments_${year}.csv`);
+    a.setAttribute('download', `daily_payments_${financialYears.join('_')}.csv`);
     a.click();
-  }, [dailyPayments, dateArray, year]);
+  }, [dailyPayments, dateArray, financialYears]);
 
   if (loading) {
     return <Loading message="Processing daily payment data..." />;
@@ -211,7 +213,7 @@ function DailyView({ year }) {
   if (dateArray.length === 0) {
     return (
       <EmptyState
-        title="No Date Range Available"
+        message={`Could not determine date range for financial year ${financialYears.map(formatFinancialYear).join(', ')}`}
         message={`Could not determine date range for financial year ${year}`}
       />
     );
@@ -220,7 +222,7 @@ function DailyView({ year }) {
   return (
     <div className="bg-white rounded-lg shadow p-6">
       <h3 className="text-lg font-medium text-gray-900 mb-4">Daily Payments View</h3>
-      <p className="text-gray-500 mb-4">Daily payment breakdown for financial year: {year.substring(0, 4)}-{year.substring(4, 6)}</p>
+      <p className="text-gray-500 mb-4">Daily payment breakdown for financial year: {financialYears.map(formatFinancialYear).join(', ')}</p>
       <button onClick={exportToCSV} className="mb-4 bg-blue-500 text-white px-4 py-2 rounded">
         Export to CSV
       </button>
@@ -289,7 +291,8 @@ function DailyView({ year }) {
 }
 
 DailyView.propTypes = {
-  year: PropTypes.string.isRequired
+  year: PropTypes.string.isRequired,
+  years: PropTypes.arrayOf(PropTypes.string)
 };
 
 export default DailyView;
\ No newline at end of file
@@ -1,54 +1,31 @@
-import { useState } from 'react';
 import { useApp } from '../../context/AppContext';
-import MonthlyView from './MonthlyView';
+import { TimeGrains } from '../../utils/dateUtils';
+import TimeGrainSwitcher from '../common/TimeGrainSwitcher';
+import PeriodView from './PeriodView';
 import DailyView from './DailyView';
 
 /**
- * PaymentsView component for displaying payment data in monthly or daily view
+ * PaymentsView component for displaying payment data by day, week, month, quarter or financial year
  */
 function PaymentsView() {
-  const [viewType, setViewType] = useState('monthly'); // 'monthly' or 'daily'
-  const { selectedYear } = useApp();
+  const { selectedYear, selectedYears, timeGrain } = useApp();
 
   return (
     <div className="animate-fadeIn">
-      {/* Header with view toggle */}
-      <div className="flex items-center justify-between mb-6">
+      {/* Header with grain switcher */}
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
         <h2 className="text-2xl font-semibold text-primary">Payments Overview</h2>
-        
-        {/* View toggle buttons */}
-        <div className="flex gap-2">
-          <button
-            onClick={() => setViewType('monthly')}
-            className={`px-4 py-2 rounded-md transition-colors ${
-              viewType === 'monthly'
-                ? 'bg-primary text-white'
-                : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
-            }`}
-          >
-            Monthly View
-          </button>
-          <button
-            onClick={() => setViewType('daily')}
-            className={`px-4 py-2 rounded-md transition-colors ${
-              viewType === 'daily'
-                ? 'bg-primary text-white'
-                : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
-            }`}
-          >
-            Daily View
-          </button>
-        </div>
+        <TimeGrainSwitcher />
       </div>
 
-      {/* Render appropriate view based on selection */}
-      {viewType === 'monthly' ? (
-        <MonthlyView year={selectedYear} />
+      {/* Days get their own view, one row per date; longer periods share the period table */}
+      {timeGrain === TimeGrains.DAY ? (
+        <DailyView year={selectedYear} years={selectedYears} />
       ) : (
-        <DailyView year={selectedYear} />
+        <PeriodView years={selectedYears} />
       )}
     </div>
   );
 }
 
-export default PaymentsView; 
\ No newline at end of file
+export default PaymentsView;
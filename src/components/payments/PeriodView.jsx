@@ -2,36 +2,74 @@ import PropTypes from 'prop-types';
 import { useApp } from '../../context/AppContext';
 import { statsService } from '../../services/statsService';
 import { dataUtils } from '../../utils/dataUtils';
-import { useCallback } from 'react';
+import { TIME_GRAIN_LABELS, TimeGrains, formatFinancialYear } from '../../utils/dateUtils';
+import { useCallback, useMemo } from 'react';
 
 /**
- * MonthlyView component for displaying payment data in a monthly format
+ * PeriodView component for displaying payment data by week, month, quarter or financial year
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.years - Financial years the data covers (e.g. ['202425', '202526'])
  */
-function MonthlyView({ year }) {
-  const { filteredData } = useApp();
-  
+function PeriodView({ years }) {
+  const { filteredData, timeGrain } = useApp();
+  const grainLabel = TIME_GRAIN_LABELS[timeGrain];
+  const yearsLabel = `${years.length > 1 ? 'years' : 'year'}: ${years.map(formatFinancialYear).join(', ')}`;
+
+  // Calculate payments for each period of the chosen grain
+  const periodPayments = useMemo(
+    () => (filteredData ? statsService.calculatePaymentsByPeriod(filteredData, timeGrain) : []),
+    [filteredData, timeGrain]
+  );
+  // Periods that can span two financial years are labelled with the year they start in
+  const hasMultipleYears = timeGrain !== TimeGrains.YEAR
+    && new Set(periodPayments.map(periodData => periodData.financialYear)).size > 1;
+
+  // Function to export period payments to CSV
+  const exportToCSV = useCallback(() => {
+    const csvRows = [];
+    const headers = ['Financial Year', grainLabel, 'Cash', 'Bank', 'Hudle', 'Total'];
+    csvRows.push(headers.join(','));
+
+    periodPayments.forEach(periodData => {
+      const row = [
+        periodData.financialYear || '',
+        periodData.period,
+        periodData.cashAmount,
+        periodData.bankAmount,
+        periodData.hudleAmount,
+        periodData.totalAmount
+      ];
+      csvRows.push(row.join(','));
+    });
+
+    const csvString = csvRows.join('\n');
+    const blob = new Blob([csvString], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.setAttribute('href', url);
+    a.setAttribute('download', `${timeGrain}_payments_${years.join('_')}.csv`);
+    a.click();
+  }, [periodPayments, grainLabel, timeGrain, years]);
+
   // Return early if no booking data is available
   if (!filteredData) {
     return (
       <div className="bg-white rounded-lg shadow p-6">
-        <h3 className="text-lg font-medium text-gray-900 mb-4">Monthly Payments View</h3>
-        <p className="text-gray-500 mb-6">Monthly view for year: {year}</p>
+        <h3 className="text-lg font-medium text-gray-900 mb-4">Payments by {grainLabel}</h3>
+        <p className="text-gray-500 mb-6">{grainLabel} view for {yearsLabel}</p>
         <div className="text-center py-8">
           <p className="text-gray-500">Loading payment data...</p>
         </div>
       </div>
     );
   }
-  
-  // Calculate monthly payments
-  const monthlyPayments = statsService.calculateMonthlyPayments(filteredData);
 
-  // Return early if no monthly payments data
-  if (!monthlyPayments || monthlyPayments.length === 0) {
+  // Return early if no period payments data
+  if (periodPayments.length === 0) {
     return (
       <div className="bg-white rounded-lg shadow p-6">
-        <h3 className="text-lg font-medium text-gray-900 mb-4">Monthly Payments View</h3>
-        <p className="text-gray-500 mb-6">Monthly view for year: {year}</p>
+        <h3 className="text-lg font-medium text-gray-900 mb-4">Payments by {grainLabel}</h3>
+        <p className="text-gray-500 mb-6">{grainLabel} view for {yearsLabel}</p>
         <div className="text-center py-8">
           <p className="text-gray-500">No payment data available for the selected period.</p>
         </div>
@@ -39,47 +77,21 @@ function MonthlyView({ year }) {
     );
   }
 
-  // Function to export monthly payments to CSV
-  const exportToCSV = useCallback(() => {
-    const csvRows = [];
-    const headers = ['Month', 'Cash', 'Bank', 'Hudle', 'Total'];
-    csvRows.push(headers.join(','));
-
-    monthlyPayments.forEach(monthData => {
-      const row = [
-        monthData.month,
-        monthData.cashAmount,
-        monthData.bankAmount,
-        monthData.hudleAmount,
-        monthData.totalAmount
-      ];
-      csvRows.push(row.join(','));
-    });
-
-    const csvString = csvRows.join('\n');
-    const blob = new Blob([csvString], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.setAttribute('href', url);
-    a.setAttribute('download', `monthly_payments_${year}.csv`);
-    a.click();
-  }, [monthlyPayments, year]);
-
   return (
     <div className="bg-white rounded-lg shadow p-6">
-      <h3 className="text-lg font-medium text-gray-900 mb-4">Monthly Payments View</h3>
-      <p className="text-gray-500 mb-6">Monthly view for year: {year}</p>
+      <h3 className="text-lg font-medium text-gray-900 mb-4">Payments by {grainLabel}</h3>
+      <p className="text-gray-500 mb-6">{grainLabel} view for {yearsLabel}</p>
       <button onClick={exportToCSV} className="mb-4 bg-blue-500 text-white px-4 py-2 rounded">
         Export to CSV
       </button>
-      
-      {/* Monthly Payments Table */}
+
+      {/* Period Payments Table */}
       <div className="overflow-x-auto">
         <table className="min-w-full divide-y divide-gray-200">
           <thead>
             <tr className="bg-primary">
               <th scope="col" className="px-6 py-4 text-center text-xs font-medium text-white uppercase tracking-wider">
-                Month
+                {grainLabel}
               </th>
               <th scope="col" className="px-6 py-4 text-center text-xs font-medium text-white uppercase tracking-wider">
                 Cash
@@ -96,25 +108,28 @@ function MonthlyView({ year }) {
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
-            {monthlyPayments.map((monthData, index) => (
-              <tr key={monthData.month} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+            {periodPayments.map((periodData, index) => (
+              <tr key={periodData.period} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
                 <td className="px-6 py-4 whitespace-nowrap text-center text-sm font-bold uppercase text-primary">
-                  {monthData.month}
+                  {periodData.period}
+                  {hasMultipleYears && (
+                    <span className="block text-xs font-normal normal-case text-gray-500">FY {periodData.financialYear}</span>
+                  )}
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-900">
-                  ₹{dataUtils.formatNumber(monthData.cashAmount)}
-                  <span className="text-gray-500 text-xs ml-1">({monthData.cashPercentage.toFixed(1)}%)</span>
+                  ₹{dataUtils.formatNumber(periodData.cashAmount)}
+                  <span className="text-gray-500 text-xs ml-1">({periodData.cashPercentage.toFixed(1)}%)</span>
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-900">
-                  ₹{dataUtils.formatNumber(monthData.bankAmount)}
-                  <span className="text-gray-500 text-xs ml-1">({monthData.bankPercentage.toFixed(1)}%)</span>
+                  ₹{dataUtils.formatNumber(periodData.bankAmount)}
+                  <span className="text-gray-500 text-xs ml-1">({periodData.bankPercentage.toFixed(1)}%)</span>
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-900">
-                  ₹{dataUtils.formatNumber(monthData.hudleAmount)}
-                  <span className="text-gray-500 text-xs ml-1">({monthData.hudlePercentage.toFixed(1)}%)</span>
+                  ₹{dataUtils.formatNumber(periodData.hudleAmount)}
+                  <span className="text-gray-500 text-xs ml-1">({periodData.hudlePercentage.toFixed(1)}%)</span>
                 </td>
                 <td className="px-6 py-4 whitespace-nowrap text-center text-sm font-semibold text-primary">
-                  ₹{dataUtils.formatNumber(monthData.totalAmount)}
+                  ₹{dataUtils.formatNumber(periodData.totalAmount)}
                 </td>
               </tr>
             ))}
@@ -124,16 +139,16 @@ function MonthlyView({ year }) {
                 Total
               </td>
               <td className="px-6 py-4 whitespace-nowrap text-center text-sm font-bold text-primary">
-                ₹{dataUtils.formatNumber(monthlyPayments.reduce((sum, month) => sum + month.cashAmount, 0))}
+                ₹{dataUtils.formatNumber(periodPayments.reduce((sum, period) => sum + period.cashAmount, 0))}
               </td>
               <td className="px-6 py-4 whitespace-nowrap text-center text-sm font-bold text-primary">
-                ₹{dataUtils.formatNumber(monthlyPayments.reduce((sum, month) => sum + month.bankAmount, 0))}
+                ₹{dataUtils.formatNumber(periodPayments.reduce((sum, period) => sum + period.bankAmount, 0))}
               </td>
               <td className="px-6 py-4 whitespace-nowrap text-center text-sm font-bold text-primary">
-                ₹{dataUtils.formatNumber(monthlyPayments.reduce((sum, month) => sum + month.hudleAmount, 0))}
+                ₹{dataUtils.formatNumber(periodPayments.reduce((sum, period) => sum + period.hudleAmount, 0))}
               </td>
               <td className="px-6 py-4 whitespace-nowrap text-center text-sm font-bold text-primary">
-                ₹{dataUtils.formatNumber(monthlyPayments.reduce((sum, month) => sum + month.totalAmount, 0))}
+                ₹{dataUtils.formatNumber(periodPayments.reduce((sum, period) => sum + period.totalAmount, 0))}
               </td>
             </tr>
           </tbody>
@@ -143,8 +158,8 @@ function MonthlyView({ year }) {
   );
 }
 
-MonthlyView.propTypes = {
-  year: PropTypes.string.isRequired
+PeriodView.propTypes = {
+  years: PropTypes.arrayOf(PropTypes.string).isRequired
 };
 
-export default MonthlyView; 
\ No newline at end of file
+export default PeriodView;
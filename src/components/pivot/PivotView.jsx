@@ -0,0 +1,316 @@
+import { useState, useMemo, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { useApp } from '../../context/AppContext';
+import { GroupDimensions, GroupMeasures } from '../../services/groupingService';
+import { pivotService } from '../../services/pivotService';
+import { formatUtils } from '../../utils/formatUtils';
+import EmptyState from '../common/EmptyState';
+
+// Where a dimension can be dropped
+const Zones = {
+  AVAILABLE: 'available',
+  ROWS: 'rows',
+  COLUMNS: 'columns'
+};
+
+const ZONE_LABELS = {
+  [Zones.AVAILABLE]: 'Dimensions',
+  [Zones.ROWS]: 'Rows',
+  [Zones.COLUMNS]: 'Columns'
+};
+
+const DEFAULT_LAYOUT = { rows: ['location'], columns: ['financialYear'] };
+
+// Background for subtotal and grand-total cells
+const TOTAL_STYLES = {
+  group: '',
+  subtotal: 'bg-gray-50 font-semibold',
+  total: 'bg-background-light font-bold'
+};
+
+/**
+ * Format a measure value for a cell
+ * @param {string} measure - GroupMeasures key
+ * @param {number} value - Value
+ * @returns {string} Formatted value
+ */
+const formatMeasure = (measure, value) => (
+  GroupMeasures[measure].format === 'currency'
+    ? formatUtils.currency(Math.round(value))
+    : formatUtils.number(value)
+);
+
+/**
+ * Whether a row label repeats the group named on the row above
+ * @param {Object} row - Pivot row
+ * @param {Object|null} previous - Row above, when it is a group row
+ * @param {number} level - Row dimension level
+ * @returns {boolean} Whether the rows share the groups down to this level
+ */
+const isRepeatedLabel = (row, previous, level) => (
+  !!previous && level < row.path.length - 1 && row.type === 'group'
+  && row.path.slice(0, level + 1).every((name, index) => previous.path[index] === name)
+);
+
+/**
+ * A row of dimension chips that dimensions can be dragged into, out of and within
+ * @param {Object} props - Component props
+ * @param {string} props.zone - One of Zones
+ * @param {Array<string>} props.dimensions - GroupDimensions keys in the zone, in order
+ * @param {Function} props.onDrop - Called with (dimension, zone, index) when a chip is dropped
+ * @param {Function} [props.onRemove] - Called with a dimension to take it out of the zone
+ */
+function DimensionZone({ zone, dimensions, onDrop, onRemove }) {
+  const [isOver, setIsOver] = useState(false);
+
+  const handleDrop = (event, index) => {
+    event.preventDefault();
+    event.stopPropagation();
+    setIsOver(false);
+    const dimension = event.dataTransfer.getData('text/plain');
+    if (GroupDimensions[dimension]) onDrop(dimension, zone, index);
+  };
+
+  return (
+    <div className="flex items-start gap-3">
+      <span className="w-28 pt-2 text-sm font-medium text-text-medium">{ZONE_LABELS[zone]}</span>
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsOver(true);
+        }}
+        onDragLeave={() => setIsOver(false)}
+        onDrop={(e) => handleDrop(e, dimensions.length)}
+        className={`flex-1 flex flex-wrap gap-2 min-h-[44px] p-2 rounded border border-dashed transition-colors
+                   ${isOver ? 'border-primary bg-primary-transparent' : 'border-gray-300 bg-white'}`}
+      >
+        {dimensions.length === 0 && (
+          <span className="py-1 text-sm text-gray-400">
+            {zone === Zones.AVAILABLE ? 'All dimensions are in use' : 'Drag dimensions here'}
+          </span>
+        )}
+        {dimensions.map((dimension, index) => (
+          <span
+            key={dimension}
+            draggable
+            onDragStart={(e) => {
+              e.dataTransfer.setData('text/plain', dimension);
+              e.dataTransfer.effectAllowed = 'move';
+            }}
+            // Dropping onto a chip puts the dragged dimension before it
+            onDrop={(e) => handleDrop(e, index)}
+            className="inline-flex items-center gap-1 px-3 py-1 rounded-full bg-gray-100 text-sm text-text-dark cursor-move select-none"
+          >
+            {GroupDimensions[dimension].label}
+            {onRemove && (
+              <button
+                type="button"
+                onClick={() => onRemove(dimension)}
+                className="ml-1 text-gray-400 hover:text-error"
+                aria-label={`Remove ${GroupDimensions[dimension].label}`}
+              >
+                &times;
+              </button>
+            )}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+DimensionZone.propTypes = {
+  zone: PropTypes.oneOf(Object.values(Zones)).isRequired,
+  dimensions: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onDrop: PropTypes.func.isRequired,
+  onRemove: PropTypes.func
+};
+
+/**
+ * Pivot table of the filtered bookings: dimensions dragged onto rows and columns,
+ * chosen measures in each cell, with subtotals, grand totals and CSV export
+ */
+function PivotView() {
+  const { filteredData, selectedYears } = useApp();
+  const [layout, setLayout] = useState(DEFAULT_LAYOUT);
+  const [measures, setMeasures] = useState(['count', 'revenue']);
+
+  const available = Object.keys(GroupDimensions)
+    .filter(dimension => !layout.rows.includes(dimension) && !layout.columns.includes(dimension));
+
+  /**
+   * Move a dimension to a zone, before the dimension at `index`
+   * @param {string} dimension - GroupDimensions key
+   * @param {string} zone - One of Zones
+   * @param {number} index - Position in the zone
+   */
+  const moveDimension = useCallback((dimension, zone, index) => {
+    setLayout(current => {
+      const next = {
+        rows: current.rows.filter(item => item !== dimension),
+        columns: current.columns.filter(item => item !== dimension)
+      };
+      if (zone !== Zones.AVAILABLE) {
+        // The dimension may have come from earlier in the same zone
+        const position = current[zone].indexOf(dimension);
+        const target = position !== -1 && position < index ? index - 1 : index;
+        next[zone].splice(target, 0, dimension);
+      }
+      return next;
+    });
+  }, []);
+
+  const removeDimension = useCallback((dimension) => {
+    moveDimension(dimension, Zones.AVAILABLE, 0);
+  }, [moveDimension]);
+
+  const toggleMeasure = (measure) => {
+    setMeasures(current => (current.includes(measure)
+      ? current.filter(item => item !== measure)
+      : Object.keys(GroupMeasures).filter(item => item === measure || current.includes(item))));
+  };
+
+  const pivot = useMemo(() => {
+    if (!filteredData?.length || measures.length === 0) return null;
+    return pivotService.buildPivot(filteredData, { rows: layout.rows, columns: layout.columns, measures });
+  }, [filteredData, layout, measures]);
+
+  const columnHeaders = useMemo(() => (pivot ? pivotService.getColumnHeaders(pivot) : []), [pivot]);
+
+  const exportToCSV = useCallback(() => {
+    if (!pivot) return;
+    console.log('[PivotView] Exporting pivot to CSV');
+
+    const blob = new Blob([pivotService.toCsv(pivot)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.setAttribute('href', url);
+    a.setAttribute('download', `pivot_${[...layout.rows, 'by', ...layout.columns].join('_')}_${selectedYears.join('_')}.csv`);
+    a.click();
+    URL.revokeObjectURL(url);
+  }, [pivot, layout, selectedYears]);
+
+  if (!filteredData?.length) {
+    return (
+      <EmptyState
+        title="No bookings to pivot"
+        message="There are no bookings matching the current filters."
+      />
+    );
+  }
+
+  return (
+    <div className="p-6">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <h1 className="text-2xl font-bold">Pivot Table</h1>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setLayout(current => ({ rows: current.columns, columns: current.rows }))}
+            className="py-2 px-4 rounded border border-gray-300 bg-white text-text-medium hover:bg-gray-100 transition-colors"
+          >
+            Swap Rows and Columns
+          </button>
+          <button
+            onClick={exportToCSV}
+            disabled={!pivot}
+            className="py-2 px-4 bg-primary text-white rounded shadow hover:bg-primary-light transition-colors disabled:opacity-50"
+          >
+            Export to CSV
+          </button>
+        </div>
+      </div>
+
+      {/* Layout */}
+      <div className="bg-white p-4 rounded-lg shadow mb-6 space-y-3">
+        <DimensionZone zone={Zones.AVAILABLE} dimensions={available} onDrop={moveDimension} />
+        <DimensionZone zone={Zones.ROWS} dimensions={layout.rows} onDrop={moveDimension} onRemove={removeDimension} />
+        <DimensionZone zone={Zones.COLUMNS} dimensions={layout.columns} onDrop={moveDimension} onRemove={removeDimension} />
+
+        <div className="flex items-center gap-3">
+          <span className="w-28 text-sm font-medium text-text-medium">Measures</span>
+          <div className="flex flex-wrap gap-4">
+            {Object.entries(GroupMeasures).map(([measure, { label }]) => (
+              <label key={measure} className="flex items-center gap-2 text-sm text-text-medium cursor-pointer">
+                <input
+                  type="checkbox"
+                  className="w-4 h-4 text-primary focus:ring-primary rounded border-gray-300"
+                  checked={measures.includes(measure)}
+                  onChange={() => toggleMeasure(measure)}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {/* Table */}
+      {!pivot ? (
+        <EmptyState title="No measures selected" message="Pick at least one measure to show in the cells." />
+      ) : (
+        <div className="overflow-x-auto shadow-sm border border-gray-200 rounded-md">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-background-light">
+              {columnHeaders.map((headerRow, level) => (
+                <tr key={level}>
+                  {level === 0 && (layout.rows.length > 0 ? layout.rows : ['']).map((dimension, index) => (
+                    <th
+                      key={dimension || index}
+                      rowSpan={columnHeaders.length}
+                      className="px-4 py-2 text-left font-semibold text-text-dark whitespace-nowrap align-bottom border-r border-gray-200"
+                    >
+                      {dimension ? GroupDimensions[dimension].label : ''}
+                    </th>
+                  ))}
+                  {headerRow.map((cell, index) => (
+                    <th
+                      key={index}
+                      colSpan={cell.span}
+                      className={`px-4 py-2 text-center font-semibold text-text-dark whitespace-nowrap border-l border-gray-200 ${TOTAL_STYLES[cell.type]}`}
+                    >
+                      {cell.label}
+                    </th>
+                  ))}
+                </tr>
+              ))}
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {pivot.rows.map((row, rowIndex) => {
+                const labels = pivotService.getRowLabels(pivot, row);
+                const previous = rowIndex > 0 && pivot.rows[rowIndex - 1].type === 'group'
+                  ? pivot.rows[rowIndex - 1]
+                  : null;
+                return (
+                  <tr key={row.id || 'total'} className={TOTAL_STYLES[row.type]}>
+                    {labels.map((label, level) => (
+                      <td
+                        key={level}
+                        className="px-4 py-2 text-left whitespace-nowrap border-r border-gray-200"
+                      >
+                        {/* Outer groups are named once, on their first row */}
+                        {isRepeatedLabel(row, previous, level) ? '' : label}
+                      </td>
+                    ))}
+                    {pivot.columns.map(column => {
+                      const values = pivot.getCell(row.id, column.id);
+                      return measures.map(measure => (
+                        <td
+                          key={`${column.id}-${measure}`}
+                          className={`px-4 py-2 text-right whitespace-nowrap border-l border-gray-100 ${TOTAL_STYLES[column.type]}`}
+                        >
+                          {values ? formatMeasure(measure, values[measure]) : ''}
+                        </td>
+                      ));
+                    })}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PivotView;
@@ -0,0 +1,280 @@
+import { useState, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { useApp } from '../../context/AppContext';
+import { formatFinancialYear } from '../../utils/dateUtils';
+import { formatUtils } from '../../utils/formatUtils';
+import { QualityIssueTypes } from '../../utils/bookingSchema';
+import EmptyState from '../common/EmptyState';
+
+// Labels and descriptions for each kind of issue
+const ISSUE_LABELS = {
+  [QualityIssueTypes.PARSE_ERROR]: {
+    label: 'Parse Errors',
+    description: 'Rows PapaParse could not read cleanly'
+  },
+  [QualityIssueTypes.INVALID_DATE]: {
+    label: 'Unparseable Dates',
+    description: 'Slot Date is not a valid DD/MM/YYYY date'
+  },
+  [QualityIssueTypes.NON_NUMERIC]: {
+    label: 'Non-numeric Amounts',
+    description: 'Amount columns that were counted as 0'
+  },
+  [QualityIssueTypes.UNKNOWN_STATUS]: {
+    label: 'Unknown Statuses',
+    description: 'Status is not Confirmed, Cancelled or Partially_cancelled'
+  },
+  [QualityIssueTypes.PAYMENT_MISMATCH]: {
+    label: 'Payment Mismatches',
+    description: 'Payment modes do not add up to Total Paid'
+  },
+  [QualityIssueTypes.SLOT_MISMATCH]: {
+    label: 'Slot Count Mismatches',
+    description: 'Number of slots differs from the intervals listed in Slot Details'
+  },
+  [QualityIssueTypes.UNMAPPED_LOCATION]: {
+    label: 'Unmapped Locations',
+    description: 'Location is not a name or alias in the location registry (src/locations.json)'
+  }
+};
+
+/**
+ * Name shown for a report - imported files have a label instead of a year
+ * @param {Object} report - Quality report
+ * @returns {string} Report name
+ */
+const getReportName = (report) => report.label || `FY ${formatFinancialYear(report.year)}`;
+
+/**
+ * Key identifying a report in the selector
+ * @param {Object} report - Quality report
+ * @returns {string} Report key
+ */
+const getReportKey = (report) => report.year || report.label;
+
+/**
+ * Table of sampled issues of one kind
+ * @param {Object} props - Component props
+ * @param {string} props.type - One of QualityIssueTypes
+ * @param {Array} props.issues - Sampled issues
+ * @param {number} props.count - Total number of issues of this kind
+ */
+function IssueTable({ type, issues, count }) {
+  if (count === 0) {
+    return <p className="text-sm text-gray-500 py-4">No issues found.</p>;
+  }
+
+  const isParseError = type === QualityIssueTypes.PARSE_ERROR;
+  const isPaymentMismatch = type === QualityIssueTypes.PAYMENT_MISMATCH;
+  const isSlotMismatch = type === QualityIssueTypes.SLOT_MISMATCH;
+
+  return (
+    <div className="overflow-x-auto">
+      {issues.length < count && (
+        <p className="text-sm text-gray-500 mb-2">
+          Showing the first {issues.length} of {count} issues.
+        </p>
+      )}
+      <table className="min-w-full">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Row</th>
+            {isParseError ? (
+              <>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Code</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Message</th>
+              </>
+            ) : (
+              <>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">S No</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Booking Reference</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Column</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Value</th>
+                {isPaymentMismatch && (
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Payment Modes Total</th>
+                )}
+                {isSlotMismatch && (
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Intervals in Slot Details</th>
+                )}
+              </>
+            )}
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {issues.map((issue, index) => (
+            <tr key={`${issue.row}-${issue.field || issue.code}-${index}`}>
+              <td className="px-4 py-2 text-sm text-gray-500">{issue.row ?? '-'}</td>
+              {isParseError ? (
+                <>
+                  <td className="px-4 py-2 text-sm text-gray-500">{issue.code}</td>
+                  <td className="px-4 py-2 text-sm text-gray-900">{issue.message}</td>
+                </>
+              ) : (
+                <>
+                  <td className="px-4 py-2 text-sm text-gray-500">{issue.sNo ?? '-'}</td>
+                  <td className="px-4 py-2 text-sm text-gray-500">{issue.bookingReference ?? '-'}</td>
+                  <td className="px-4 py-2 text-sm text-gray-500">{issue.field}</td>
+                  <td className="px-4 py-2 text-sm text-gray-900 font-mono">
+                    {isPaymentMismatch ? formatUtils.currency(issue.value) : String(issue.value ?? '')}
+                  </td>
+                  {isPaymentMismatch && (
+                    <td className="px-4 py-2 text-sm text-gray-900 font-mono">{formatUtils.currency(issue.expected)}</td>
+                  )}
+                  {isSlotMismatch && (
+                    <td className="px-4 py-2 text-sm text-gray-900 font-mono">{issue.expected}</td>
+                  )}
+                </>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+IssueTable.propTypes = {
+  type: PropTypes.oneOf(Object.values(QualityIssueTypes)).isRequired,
+  issues: PropTypes.array.isRequired,
+  count: PropTypes.number.isRequired
+};
+
+/**
+ * Data-quality report for the loaded booking files
+ */
+function DataQualityView() {
+  const { dataQuality } = useApp();
+  const [selectedYear, setSelectedYear] = useState(null);
+  const [selectedIssueType, setSelectedIssueType] = useState(QualityIssueTypes.PAYMENT_MISMATCH);
+
+  // Fall back to the first report when the selected year is no longer loaded
+  const report = useMemo(() => {
+    if (!dataQuality?.length) return null;
+    return dataQuality.find(item => getReportKey(item) === selectedYear) || dataQuality[0];
+  }, [dataQuality, selectedYear]);
+
+  if (!report) {
+    return (
+      <EmptyState
+        title="No Data-Quality Report"
+        message="A report is generated each time booking data is loaded."
+      />
+    );
+  }
+
+  const requiredMissing = report.missingColumns.filter(column => column.required);
+  const unmappedLocations = Object.entries(report.unmappedLocations || {})
+    .sort(([, a], [, b]) => b - a);
+
+  return (
+    <div className="p-6">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <h1 className="text-2xl font-bold">Data Quality</h1>
+        {dataQuality.length > 1 && (
+          <select
+            className="border rounded px-3 py-2"
+            value={getReportKey(report)}
+            onChange={(e) => setSelectedYear(e.target.value)}
+          >
+            {dataQuality.map(item => (
+              <option key={getReportKey(item)} value={getReportKey(item)}>{getReportName(item)}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {/* Summary */}
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+        <div className="bg-white p-4 rounded-lg shadow">
+          <h3 className="text-lg font-semibold mb-2">Rows Checked</h3>
+          <p className="text-2xl font-bold">{formatUtils.number(report.totalRows)}</p>
+          <p className="text-sm text-gray-500 mt-1">{getReportName(report)}</p>
+        </div>
+
+        <div className="bg-white p-4 rounded-lg shadow">
+          <h3 className="text-lg font-semibold mb-2">Row Issues</h3>
+          <p className={`text-2xl font-bold ${report.issueCount > 0 ? 'text-error' : 'text-success'}`}>
+            {formatUtils.number(report.issueCount)}
+          </p>
+          {report.generatedAt && (
+            <p className="text-sm text-gray-500 mt-1">
+              Checked {new Date(report.generatedAt).toLocaleString()}
+            </p>
+          )}
+        </div>
+
+        <div className="bg-white p-4 rounded-lg shadow">
+          <h3 className="text-lg font-semibold mb-2">Columns</h3>
+          {report.missingColumns.length === 0 ? (
+            <p className="text-sm text-gray-600">All expected columns present.</p>
+          ) : (
+            <div className="space-y-1">
+              {requiredMissing.length > 0 && (
+                <p className="text-sm text-error">
+                  Missing required: {requiredMissing.map(column => column.name).join(', ')}
+                </p>
+              )}
+              {report.missingColumns.length > requiredMissing.length && (
+                <p className="text-sm text-gray-600">
+                  Missing: {report.missingColumns
+                    .filter(column => !column.required)
+                    .map(column => column.name)
+                    .join(', ')}
+                </p>
+              )}
+            </div>
+          )}
+          {report.unexpectedColumns.length > 0 && (
+            <p className="text-sm text-gray-500 mt-1">
+              Not in schema: {report.unexpectedColumns.join(', ')}
+            </p>
+          )}
+        </div>
+
+        <div className="bg-white p-4 rounded-lg shadow">
+          <h3 className="text-lg font-semibold mb-2">Locations</h3>
+          {unmappedLocations.length === 0 ? (
+            <p className="text-sm text-gray-600">Every location matches the registry.</p>
+          ) : (
+            <ul className="space-y-1">
+              {unmappedLocations.map(([name, count]) => (
+                <li key={name} className="text-sm text-error">
+                  {name} <span className="text-gray-500">({formatUtils.number(count)} rows)</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      {/* Issue types */}
+      <div className="flex flex-wrap gap-2 mb-4">
+        {Object.entries(ISSUE_LABELS).map(([type, { label }]) => (
+          <button
+            key={type}
+            onClick={() => setSelectedIssueType(type)}
+            className={`px-3 py-2 rounded text-sm transition-colors
+                       ${selectedIssueType === type ? 'bg-primary text-white shadow-md' : 'bg-gray-100 text-text-light hover:bg-gray-200'}`}
+          >
+            {label}
+            <span className={`ml-2 px-2 py-0.5 rounded-full text-xs
+                             ${report.counts[type] > 0 ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`}>
+              {report.counts[type]}
+            </span>
+          </button>
+        ))}
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-4">
+        <p className="text-sm text-gray-600 mb-3">{ISSUE_LABELS[selectedIssueType].description}</p>
+        <IssueTable
+          type={selectedIssueType}
+          issues={report.issues[selectedIssueType] || []}
+          count={report.counts[selectedIssueType] || 0}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default DataQualityView;
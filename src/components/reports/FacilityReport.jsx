@@ -7,10 +7,13 @@ import { useBookings } from '../../hooks/useBookings';
 import { useErrorHandler } from '../../hooks/useErrorHandler';
 import { ErrorSeverity, ErrorCategory } from '../../utils/errorTypes';
 import { dataUtils } from '../../utils/dataUtils';
+import { TIME_GRAIN_LABELS, formatFinancialYear } from '../../utils/dateUtils';
 import { statsService } from '../../services/statsService';
+import { customerService } from '../../services/customerService';
 import { ASSETS } from '../../utils/assets';
 import Loading from '../common/Loading';
 import EmptyState from '../common/EmptyState';
+import TimeGrainSwitcher from '../common/TimeGrainSwitcher';
 import { ptSansFontData, initFonts } from '../../utils/fonts';
 
 /**
@@ -49,15 +52,15 @@ StatCard.propTypes = {
  * Generate plain text report with location statistics
  * @param {Object} stats - Location statistics
  * @param {string} facilityName - Name of the location
- * @param {string} year - Selected year
+ * @param {Array<string>} years - Financial years the report covers
  * @returns {string} Formatted report text
  */
-function generateReport(stats, facilityName, year) {
+function generateReport(stats, facilityName, years) {
   const report = [];
   
   // Header
   report.push(`${facilityName} Statistics Report`);
-  report.push(`Year: ${year.substring(0, 4)}-${year.substring(4, 6)}`);
+  report.push(`${years.length > 1 ? 'Years' : 'Year'}: ${years.map(formatFinancialYear).join(', ')}`);
   report.push(`Generated: ${new Date().toLocaleString()}`);
   report.push(``);
 
@@ -88,22 +91,23 @@ function generateReport(stats, facilityName, year) {
   report.push(`Hudle Payments: ₹${dataUtils.formatNumber(stats.hudleAmount)} (${stats.hudlePercentage}%)`);
   report.push('');
 
-  // Monthly Payment Breakdown
-  report.push('MONTHLY PAYMENT BREAKDOWN');
+  // Payment Breakdown by period
+  const grainLabel = TIME_GRAIN_LABELS[stats.timeGrain];
+  report.push(`PAYMENT BREAKDOWN BY ${grainLabel.toUpperCase()}`);
   report.push('-'.repeat(30));
-  report.push('Month\tYear\tCash\tBank\tHudle\tTotal');
+  report.push(`${grainLabel}\tCash\tBank\tHudle\tTotal`);
   report.push('-'.repeat(70));
-  stats.monthlyPayments.forEach(monthData => {
+  stats.periodPayments.forEach(periodData => {
     report.push(
-      `${monthData.month}\t${monthData.year}\t₹${dataUtils.formatNumber(monthData.cashAmount)} (${monthData.cashPercentage}%)\t` +
-      `₹${dataUtils.formatNumber(monthData.bankAmount)} (${monthData.bankPercentage}%)\t` +
-      `₹${dataUtils.formatNumber(monthData.hudleAmount)} (${monthData.hudlePercentage}%)\t` +
-      `₹${dataUtils.formatNumber(monthData.totalAmount)}`
+      `${periodData.period}\t₹${dataUtils.formatNumber(periodData.cashAmount)} (${periodData.cashPercentage.toFixed(1)}%)\t` +
+      `₹${dataUtils.formatNumber(periodData.bankAmount)} (${periodData.bankPercentage.toFixed(1)}%)\t` +
+      `₹${dataUtils.formatNumber(periodData.hudleAmount)} (${periodData.hudlePercentage.toFixed(1)}%)\t` +
+      `₹${dataUtils.formatNumber(periodData.totalAmount)}`
     );
   });
   report.push('-'.repeat(70));
   report.push(
-    `Total\t${year.substring(0, 4)}-${year.substring(4, 6)}\t` +
+    `Total ${years.map(formatFinancialYear).join(', ')}\t` +
     `₹${dataUtils.formatNumber(stats.cashAmount)} (${stats.cashPercentage}%)\t` +
     `₹${dataUtils.formatNumber(stats.bankAmount)} (${stats.bankPercentage}%)\t` +
     `₹${dataUtils.formatNumber(stats.hudleAmount)} (${stats.hudlePercentage}%)\t` +
@@ -136,9 +140,9 @@ function generateReport(stats, facilityName, year) {
  * Generate modern styled PDF report with optimized page breaks and spacing
  * @param {Object} stats - Location statistics
  * @param {string} facilityName - Name of the location
- * @param {string} year - Selected year
+ * @param {Array<string>} years - Financial years the report covers
  */
-function generatePDF(stats, facilityName, year) {
+function generatePDF(stats, facilityName, years) {
   // Create PDF with A4 format and refined margins
   const doc = new jsPDF({
     orientation: 'portrait',
@@ -262,7 +266,7 @@ function generatePDF(stats, facilityName, year) {
   doc.setFontSize(12);
   doc.setFont(fontFamily, 'normal');
   doc.setTextColor(theme.text.medium[0], theme.text.medium[1], theme.text.medium[2]);
-  doc.text(`Year: ${year.substring(0, 4)}-${year.substring(4, 6)}`, 50, 30);
+  doc.text(`${years.length > 1 ? 'Years' : 'Year'}: ${years.map(formatFinancialYear).join(', ')}`, 50, 30);
   
   // Starting position for content (after the header)
   y = 45;
@@ -483,27 +487,28 @@ function generatePDF(stats, facilityName, year) {
   
   y += financialCardHeight + cardMargin + 5;
 
-  // Monthly Payment Breakdown Table - calculate height based on data
+  // Payment Breakdown Table - calculate height based on data
   // Estimate row height as 8mm per row plus headers
   const estimatedRowHeight = 8;
-  const tableHeight = (stats.monthlyPayments.length + 2) * estimatedRowHeight; // +2 for header and total rows
+  const tableHeight = (stats.periodPayments.length + 2) * estimatedRowHeight; // +2 for header and total rows
+  const grainLabel = TIME_GRAIN_LABELS[stats.timeGrain];
   
-  contentY = drawSectionCard('Monthly Payment Breakdown', y, tableHeight, 'normal');
+  contentY = drawSectionCard(`Payment Breakdown by ${grainLabel}`, y, tableHeight, 'normal');
   
   // Table headers and data
-  const headers = [['Month', 'Cash', 'Bank', 'Hudle', 'Total']];
+  const headers = [[grainLabel, 'Cash', 'Bank', 'Hudle', 'Total']];
   
-  const data = stats.monthlyPayments.map(monthData => [
-    `${monthData.month} ${monthData.year}`,
-    `₹${dataUtils.formatNumber(monthData.cashAmount)}`,
-    `₹${dataUtils.formatNumber(monthData.bankAmount)}`,
-    `₹${dataUtils.formatNumber(monthData.hudleAmount)}`,
-    `₹${dataUtils.formatNumber(monthData.totalAmount)}`
+  const data = stats.periodPayments.map(periodData => [
+    periodData.period,
+    `₹${dataUtils.formatNumber(periodData.cashAmount)}`,
+    `₹${dataUtils.formatNumber(periodData.bankAmount)}`,
+    `₹${dataUtils.formatNumber(periodData.hudleAmount)}`,
+    `₹${dataUtils.formatNumber(periodData.totalAmount)}`
   ]);
   
   // Add totals row
   data.push([
-    `Total (${year.substring(0, 4)}-${year.substring(4, 6)})`,
+    `Total (${years.map(formatFinancialYear).join(', ')})`,
     `₹${dataUtils.formatNumber(stats.cashAmount)}`,
     `₹${dataUtils.formatNumber(stats.bankAmount)}`,
     `₹${dataUtils.formatNumber(stats.hudleAmount)}`,
@@ -666,7 +671,7 @@ function generatePDF(stats, facilityName, year) {
   addFooter(doc);
   
   // Save the PDF
-  const fileName = `${facilityName.toLowerCase().replace(/\s+/g, '-')}-report-${year}.pdf`;
+  const fileName = `${facilityName.toLowerCase().replace(/\s+/g, '-')}-report-${years.join('_')}.pdf`;
   doc.save(fileName);
   
   console.log(`[FacilityReport] PDF generated and saved as ${fileName}`);
@@ -679,7 +684,8 @@ function generatePDF(stats, facilityName, year) {
  * @param {string} props.locationName The location name to display
  */
 function LocationReport({ locationId, locationName }) {
-  const { selectedYear, bookingsData, isLoading } = useApp();
+  const { selectedYears, bookingsData, isLoading, timeGrain } = useApp();
+  const yearsLabel = selectedYears.map(formatFinancialYear).join(', ');
   const { handleError, handleAsync } = useErrorHandler();
   const [locationData, setLocationData] = useState([]);
   const [locationStats, setLocationStats] = useState(null);
@@ -728,7 +734,7 @@ function LocationReport({ locationId, locationName }) {
           totalCollection: dataUtils.sum(locationData, 'Total Paid'),
           totalOutstanding: dataUtils.sum(locationData, 'Balance'),
           totalSlots: dataUtils.sum(locationData, 'Number of slots'),
-          uniqueCustomers: new Set(locationData.map(b => b.Phone)).size,
+          uniqueCustomers: customerService.countCustomers(locationData),
           avgBookingValue: 0,
           avgSlotsPerBooking: 0,
           completionRate: 0,
@@ -773,8 +779,9 @@ function LocationReport({ locationId, locationName }) {
         // Calculate top customers
         stats.topCustomers = statsService.calculateTopCustomers(locationData, 'revenue', 3);
 
-        // Calculate monthly payments
-        stats.monthlyPayments = statsService.calculateMonthlyPayments(locationData);
+        // Calculate payments for each period of the chosen grain
+        stats.timeGrain = timeGrain;
+        stats.periodPayments = statsService.calculatePaymentsByPeriod(locationData, timeGrain);
         
         setLocationStats(stats);
         console.log('[LocationReport] Location statistics calculated:', stats);
@@ -789,25 +796,25 @@ function LocationReport({ locationId, locationName }) {
         }
       }
     );
-  }, [locationData, locationName, handleAsync]);
+  }, [locationData, locationName, timeGrain, handleAsync]);
 
   // Function to handle report export
   const handleExport = (format = 'txt') => {
     if (!locationStats) return;
     
     if (format === 'txt') {
-      const reportText = generateReport(locationStats, locationName, selectedYear);
+      const reportText = generateReport(locationStats, locationName, selectedYears);
       const blob = new Blob([reportText], { type: 'text/plain' });
       const url = URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = url;
-      link.download = `${locationName.toLowerCase().replace(/\s+/g, '-')}-report-${selectedYear}.txt`;
+      link.download = `${locationName.toLowerCase().replace(/\s+/g, '-')}-report-${selectedYears.join('_')}.txt`;
       document.body.appendChild(link);
       link.click();
       document.body.removeChild(link);
       URL.revokeObjectURL(url);
     } else if (format === 'pdf') {
-      generatePDF(locationStats, locationName, selectedYear);
+      generatePDF(locationStats, locationName, selectedYears);
     }
     
     setShowExportDropdown(false);
@@ -823,7 +830,7 @@ function LocationReport({ locationId, locationName }) {
     return (
       <EmptyState
         title="No Data Available"
-        message={`There is no booking data available for ${locationName} in the selected year.`}
+        message={`There is no booking data available for ${locationName} in the selected years.`}
         icon="empty"
       />
     );
@@ -835,7 +842,7 @@ function LocationReport({ locationId, locationName }) {
         <div>
           <h2 className="text-2xl font-bold text-primary mb-2">{locationName} Statistics</h2>
           <p className="text-text-light">
-            Year: {selectedYear.substring(0, 4)}-{selectedYear.substring(4, 6)} • 
+            {selectedYears.length > 1 ? 'Years' : 'Year'}: {yearsLabel} • 
             {locationData.length} bookings
           </p>
         </div>
@@ -972,18 +979,18 @@ function LocationReport({ locationId, locationName }) {
             </div>
           </div>
 
-          {/* Monthly Payment Breakdown */}
+          {/* Payment Breakdown by period */}
           <div>
-            <h3 className="text-xl font-semibold mb-4">Monthly Payment Breakdown</h3>
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+              <h3 className="text-xl font-semibold">Payment Breakdown by {TIME_GRAIN_LABELS[locationStats.timeGrain]}</h3>
+              <TimeGrainSwitcher />
+            </div>
             <div className="bg-white rounded-lg shadow-sm border border-gray-100 overflow-x-auto">
               <table className="min-w-full divide-y divide-gray-200">
                 <thead>
                   <tr className="bg-primary">
                     <th scope="col" className="px-6 py-4 text-center text-xs font-medium text-white uppercase tracking-wider">
-                      Month
-                    </th>
-                    <th scope="col" className="px-6 py-4 text-center text-xs font-medium text-white uppercase tracking-wider">
-                      Year
+                      {TIME_GRAIN_LABELS[locationStats.timeGrain]}
                     </th>
                     <th scope="col" className="px-6 py-4 text-center text-xs font-medium text-white uppercase tracking-wider">
                       Cash
@@ -1000,37 +1007,31 @@ function LocationReport({ locationId, locationName }) {
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
-                  {locationStats.monthlyPayments.map((monthData, index) => (
-                    <tr key={monthData.month} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                  {locationStats.periodPayments.map((periodData, index) => (
+                    <tr key={periodData.period} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
                       <td className="px-6 py-4 whitespace-nowrap text-center text-sm font-bold uppercase text-primary">
-                        {monthData.month}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-900">
-                        {monthData.year}
+                        {periodData.period}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-900">
-                        ₹{dataUtils.formatNumber(monthData.cashAmount)}
-                        <span className="text-gray-500 text-xs ml-1">({monthData.cashPercentage.toFixed(1)}%)</span>
+                        ₹{dataUtils.formatNumber(periodData.cashAmount)}
+                        <span className="text-gray-500 text-xs ml-1">({periodData.cashPercentage.toFixed(1)}%)</span>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-900">
-                        ₹{dataUtils.formatNumber(monthData.bankAmount)}
-                        <span className="text-gray-500 text-xs ml-1">({monthData.bankPercentage.toFixed(1)}%)</span>
+                        ₹{dataUtils.formatNumber(periodData.bankAmount)}
+                        <span className="text-gray-500 text-xs ml-1">({periodData.bankPercentage.toFixed(1)}%)</span>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-900">
-                        ₹{dataUtils.formatNumber(monthData.hudleAmount)}
-                        <span className="text-gray-500 text-xs ml-1">({monthData.hudlePercentage.toFixed(1)}%)</span>
+                        ₹{dataUtils.formatNumber(periodData.hudleAmount)}
+                        <span className="text-gray-500 text-xs ml-1">({periodData.hudlePercentage.toFixed(1)}%)</span>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-center text-sm font-semibold text-primary">
-                        ₹{dataUtils.formatNumber(monthData.totalAmount)}
+                        ₹{dataUtils.formatNumber(periodData.totalAmount)}
                       </td>
                     </tr>
                   ))}
                   <tr className="bg-primary bg-opacity-10 font-medium">
                     <td className="px-6 py-4 whitespace-nowrap text-center text-sm font-bold text-primary uppercase">
-                      Total
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-center text-sm font-bold text-primary">
-                      {selectedYear.substring(0, 4)}-{selectedYear.substring(4, 6)}
+                      Total {yearsLabel}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-center text-sm font-bold text-primary">
                       ₹{dataUtils.formatNumber(locationStats.cashAmount)}
@@ -7,21 +7,23 @@ import { useErrorHandler } from '../../hooks/useErrorHandler';
 import { useBookings } from '../../hooks/useBookings';
 import { ErrorSeverity, ErrorCategory } from '../../utils/errorTypes';
 import { dataUtils } from '../../utils/dataUtils';
+import { TIME_GRAIN_LABELS, formatFinancialYear } from '../../utils/dateUtils';
 import { statsService } from '../../services/statsService';
 import { ASSETS } from '../../utils/assets';
 import { ptSansFontData, initFonts } from '../../utils/fonts';
 import Loading from '../common/Loading';
 import EmptyState from '../common/EmptyState';
+import TimeGrainSwitcher from '../common/TimeGrainSwitcher';
 import StatsCard from '../summary/StatsCard';
 
 /**
  * Generate plain text report with location statistics
  * @param {Object} stats - Location statistics
  * @param {string} locationName - Name of the location
- * @param {string} year - Selected year
+ * @param {Array<string>} years - Financial years the report covers
  * @returns {string} Formatted report text
  */
-function generateReport(stats, locationName, year) {
+function generateReport(stats, locationName, years) {
   const report = [];
   
   // Header
@@ -33,16 +35,16 @@ function generateReport(stats, locationName, year) {
  * Generate modern styled PDF report with optimized page breaks and spacing
  * @param {Object} stats - Location statistics
  * @param {string} locationName - Name of the location
- * @param {string} year - Selected year
+ * @param {Array<string>} years - Financial years the report covers
  */
-function generatePDF(stats, locationName, year) {
+function generatePDF(stats, locationName, years) {
   console.log('[LocationReport] Generating PDF with stats:', {
-    hasMonthlyPayments: !!stats.monthlyPayments,
-    monthlyPaymentsLength: stats.monthlyPayments?.length,
+    timeGrain: stats.timeGrain,
+    periodPaymentsLength: stats.periodPayments?.length,
     hasTopCustomers: !!stats.topCustomers,
     topCustomersLength: stats.topCustomers?.length,
     totalCollection: stats.totalCollection,
-    year
+    years
   });
 
   // Create PDF with A4 format and refined margins
@@ -163,7 +165,7 @@ function generatePDF(stats, locationName, year) {
   doc.setFontSize(12);
   doc.setFont(fontFamily, 'normal');
   doc.setTextColor(theme.text.medium[0], theme.text.medium[1], theme.text.medium[2]);
-  doc.text(`Year: ${year.substring(0, 4)}-${year.substring(4, 6)}`, 50, 30);
+  doc.text(`${years.length > 1 ? 'Years' : 'Year'}: ${years.map(formatFinancialYear).join(', ')}`, 50, 30);
   
   // Starting position for content (after the header)
   y = 45;
@@ -287,24 +289,24 @@ function generatePDF(stats, locationName, year) {
   
   y += paymentCardHeight + 10;
 
-  // ---------- MONTHLY PAYMENT BREAKDOWN ----------
-  if (stats.monthlyPayments && stats.monthlyPayments.length > 0) {
+  // ---------- PAYMENT BREAKDOWN BY PERIOD ----------
+  if (stats.periodPayments && stats.periodPayments.length > 0) {
     ensureSpace(80);
     
     // Table headers and data
-    const headers = [['Month', 'Cash', 'Bank', 'Hudle', 'Total']];
+    const headers = [[TIME_GRAIN_LABELS[stats.timeGrain], 'Cash', 'Bank', 'Hudle', 'Total']];
     
-    const data = stats.monthlyPayments.map(monthData => [
-      `${monthData.month} ${monthData.year}`,
-      `₹${dataUtils.formatNumber(monthData.cashAmount)}`,
-      `₹${dataUtils.formatNumber(monthData.bankAmount)}`,
-      `₹${dataUtils.formatNumber(monthData.hudleAmount)}`,
-      `₹${dataUtils.formatNumber(monthData.totalAmount)}`
+    const data = stats.periodPayments.map(periodData => [
+      periodData.period,
+      `₹${dataUtils.formatNumber(periodData.cashAmount)}`,
+      `₹${dataUtils.formatNumber(periodData.bankAmount)}`,
+      `₹${dataUtils.formatNumber(periodData.hudleAmount)}`,
+      `₹${dataUtils.formatNumber(periodData.totalAmount)}`
     ]);
     
     // Add totals row
     data.push([
-      `Total (${year.substring(0, 4)}-${year.substring(4, 6)})`,
+      `Total (${years.map(formatFinancialYear).join(', ')})`,
       `₹${dataUtils.formatNumber(stats.cashAmount)}`,
       `₹${dataUtils.formatNumber(stats.bankAmount)}`,
       `₹${dataUtils.formatNumber(stats.hudleAmount)}`,
@@ -372,7 +374,7 @@ function generatePDF(stats, locationName, year) {
   }
   
   // Save the PDF
-  const fileName = `${locationName.toLowerCase().replace(/\s+/g, '-')}-report-${year}.pdf`;
+  const fileName = `${locationName.toLowerCase().replace(/\s+/g, '-')}-report-${years.join('_')}.pdf`;
   doc.save(fileName);
   
   console.log(`[LocationReport] PDF generated and saved as ${fileName}`);
@@ -385,7 +387,7 @@ function generatePDF(stats, locationName, year) {
  * @param {string} props.locationName The location name to display
  */
 function LocationReport({ locationId, locationName }) {
-  const { selectedYear } = useApp();
+  const { selectedYears, timeGrain } = useApp();
   const { handleAsync } = useErrorHandler();
   const { bookingsData, loadBookings } = useBookings();
   const [locationStats, setLocationStats] = useState(null);
@@ -397,7 +399,7 @@ function LocationReport({ locationId, locationName }) {
     let mounted = true;
 
     const loadData = async () => {
-      if (!selectedYear) return;
+      if (!selectedYears?.length) return;
       
       setIsLoading(true);
       setError(null);
@@ -405,7 +407,7 @@ function LocationReport({ locationId, locationName }) {
       try {
         // Load bookings data if not already loaded
         if (!bookingsData || bookingsData.length === 0) {
-          await loadBookings(selectedYear);
+          await loadBookings(selectedYears);
         }
 
         // Make data available for statsService
@@ -416,7 +418,7 @@ function LocationReport({ locationId, locationName }) {
 
         // Load location stats
         if (mounted) {
-          const stats = await statsService.getLocationStats(locationId);
+          const stats = await statsService.getLocationStats(locationId, timeGrain);
           if (!stats) {
             setError(`No statistics available for ${locationName}. This could be because there are no bookings for this location or there was an error loading the data.`);
             setLocationStats(null);
@@ -441,7 +443,7 @@ function LocationReport({ locationId, locationName }) {
     return () => {
       mounted = false;
     };
-  }, [locationId, locationName, selectedYear, bookingsData, loadBookings]);
+  }, [locationId, locationName, selectedYears, timeGrain, bookingsData, loadBookings]);
 
   // Handle export to PDF
   const handleExportPDF = async () => {
@@ -449,7 +451,7 @@ function LocationReport({ locationId, locationName }) {
     
     await handleAsync(
       async () => {
-        generatePDF(locationStats, locationName, selectedYear);
+        generatePDF(locationStats, locationName, selectedYears);
       },
       'LocationReport.exportPDF',
       {
@@ -457,7 +459,7 @@ function LocationReport({ locationId, locationName }) {
         category: ErrorCategory.UI,
         metadata: {
           locationName,
-          year: selectedYear,
+          years: selectedYears,
           hasStats: !!locationStats,
           statsKeys: Object.keys(locationStats || {})
         }
@@ -471,7 +473,7 @@ function LocationReport({ locationId, locationName }) {
     
     await handleAsync(
       async () => {
-        const report = generateReport(locationStats, locationName, selectedYear);
+        const report = generateReport(locationStats, locationName, selectedYears);
         console.log(report);
       },
       'LocationReport.exportText',
@@ -480,7 +482,7 @@ function LocationReport({ locationId, locationName }) {
         category: ErrorCategory.UI,
         metadata: {
           locationName,
-          year: selectedYear,
+          years: selectedYears,
           hasStats: !!locationStats,
           statsKeys: Object.keys(locationStats || {})
         }
@@ -516,7 +518,9 @@ function LocationReport({ locationId, locationName }) {
     <div className="space-y-8">
       <div className="flex justify-between items-center">
         <h2 className="text-2xl font-bold text-primary">{locationName} Report</h2>
-        <div className="space-x-2">
+        <div className="flex items-center gap-2">
+          {/* Grain of the payment breakdown in the exported PDF */}
+          <TimeGrainSwitcher className="mr-2" />
           <button 
             onClick={handleExportPDF}
             className="btn bg-primary text-white hover:bg-primary-dark px-4 py-2 rounded"
@@ -588,6 +592,30 @@ function LocationReport({ locationId, locationName }) {
             value={locationStats.onlineBookingPercentage}
             type="percentage"
           />
+          {locationStats.utilisation && (locationStats.utilisation.percentage != null ? (
+            <StatsCard
+              title="Court Utilisation"
+              value={locationStats.utilisation.percentage}
+              type="percentage"
+              children={
+                <span className="text-sm text-gray-500">
+                  {dataUtils.formatNumber(Math.round(locationStats.utilisation.bookedHours))} of {dataUtils.formatNumber(Math.round(locationStats.utilisation.availableHours))} court hours
+                </span>
+              }
+            />
+          ) : (
+            // Without courts and opening hours in the registry there is nothing to divide by
+            <StatsCard
+              title="Court Utilisation"
+              value="Unknown"
+              children={
+                <span className="text-sm text-gray-500">
+                  {dataUtils.formatNumber(Math.round(locationStats.utilisation.bookedHours))} court hours booked
+                  {!locationStats.utilisation.capacityKnown && '; courts and opening hours are not in the location registry'}
+                </span>
+              }
+            />
+          ))}
         </div>
       </div>
 
@@ -1,6 +1,7 @@
 import { useMemo, memo } from 'react';
 import PropTypes from 'prop-types';
 import { formatUtils } from '../../utils/formatUtils';
+import ChangeIndicator from '../common/ChangeIndicator';
 
 /**
  * StatsCard component for displaying individual statistics
@@ -10,6 +11,8 @@ import { formatUtils } from '../../utils/formatUtils';
  * @param {string} props.type - Type of value (number, currency, percentage)
  * @param {string} props.icon - Optional icon component
  * @param {Object} props.trend - Trend data with value and direction
+ * @param {Object} props.comparison - Change against the comparison baseline (see comparisonService.calculateDelta)
+ * @param {boolean} props.lowerIsBetter - Show a fall against the baseline as good news
  * @param {boolean} props.isLoading - Loading state
  * @param {string} props.className - Additional CSS classes
  * @param {Function} props.onClick - Click handler
@@ -21,6 +24,8 @@ const StatsCard = memo(function StatsCard({
   type = 'text',
   icon,
   trend,
+  comparison,
+  lowerIsBetter = false,
   isLoading = false,
   className = '',
   onClick,
@@ -33,25 +38,14 @@ const StatsCard = memo(function StatsCard({
         <div className="animate-pulse">
           <div className="h-4 bg-gray-200 rounded w-1/2 mb-3"></div>
           <div className="h-8 bg-gray-300 rounded w-3/4 mb-4"></div>
-          {trend && <div className="h-3 bg-gray-200 rounded w-1/3"></div>}
+          {(trend || comparison) && <div className="h-3 bg-gray-200 rounded w-1/3"></div>}
         </div>
       </div>
     );
   }
 
   // Format value based on type
-  const formattedValue = useMemo(() => {
-    switch (type) {
-      case 'currency':
-        return formatUtils.currency(value);
-      case 'percentage':
-        return formatUtils.percentage(value, 1); // Always use 1 decimal place for percentages
-      case 'number':
-        return formatUtils.number(value);
-      default:
-        return value;
-    }
-  }, [type, value]);
+  const formattedValue = useMemo(() => formatUtils.byType(value, type), [type, value]);
 
   // Determine card styling based on props
   const cardClasses = useMemo(() => `
@@ -107,6 +101,10 @@ const StatsCard = memo(function StatsCard({
       
       {renderTrend}
       
+      {comparison && (
+        <ChangeIndicator delta={comparison} type={type} lowerIsBetter={lowerIsBetter} className="mt-2 justify-center text-center" />
+      )}
+      
       {children && <div className="mt-2">{children}</div>}
     </div>
   );
@@ -121,6 +119,13 @@ StatsCard.propTypes = {
     value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
     direction: PropTypes.oneOf(['up', 'down', 'neutral'])
   }),
+  comparison: PropTypes.shape({
+    baseline: PropTypes.number,
+    change: PropTypes.number,
+    percentChange: PropTypes.number,
+    direction: PropTypes.oneOf(['up', 'down', 'neutral'])
+  }),
+  lowerIsBetter: PropTypes.bool,
   isLoading: PropTypes.bool,
   className: PropTypes.string,
   onClick: PropTypes.func,
@@ -3,9 +3,13 @@ import { useApp } from '../../context/AppContext';
 import { useBookings } from '../../hooks/useBookings';
 import { useErrorHandler } from '../../hooks/useErrorHandler';
 import { statsService } from '../../services/statsService';
+import { comparisonService } from '../../services/comparisonService';
 import { ErrorSeverity, ErrorCategory } from '../../utils/errorTypes';
+import { TIME_GRAIN_LABELS } from '../../utils/dateUtils';
 import StatsCard from './StatsCard';
 import Loading from '../common/Loading';
+import TimeGrainSwitcher from '../common/TimeGrainSwitcher';
+import ComparisonSwitcher from '../common/ComparisonSwitcher';
 import PropTypes from 'prop-types';
 import { withErrorBoundary } from '../common/ErrorBoundary';
 import React from 'react';
@@ -19,15 +23,22 @@ const StatsFallback = ({ error }) => (
 );
 
 /**
- * SummaryStats component for displaying booking statistics
+ * SummaryStats component for displaying booking statistics, with their change
+ * against the comparison period when one is picked
  */
 function SummaryStats() {
   const [stats, setStats] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
-  const { filteredData } = useApp();
+  const { filteredData, timeGrain, baselineData } = useApp();
   const { groupedData, groupData } = useBookings();
   const { handleError, handleAsync } = useErrorHandler();
 
+  // Figures for each period of the chosen grain
+  const periodStats = useMemo(
+    () => (filteredData?.length ? statsService.calculatePeriodStats(filteredData, timeGrain) : []),
+    [filteredData, timeGrain]
+  );
+
   useEffect(() => {
     const calculateStats = async () => {
       if (!filteredData || filteredData.length === 0) {
@@ -102,6 +113,18 @@ function SummaryStats() {
     });
   }, [filteredData, groupData, handleAsync, handleError]);
 
+  // Changes against the comparison baseline, once it has loaded
+  const comparison = useMemo(() => comparisonService.compareSummary(stats, baselineData), [stats, baselineData]);
+  const periodComparison = useMemo(() => {
+    if (!baselineData?.bookings || !periodStats.length) return null;
+    return comparisonService.comparePeriods(
+      periodStats,
+      statsService.calculatePeriodStats(baselineData.bookings, timeGrain),
+      timeGrain,
+      baselineData.yearsBack
+    );
+  }, [periodStats, baselineData, timeGrain]);
+
   // If loading, show loading indicator
   if (isLoading) {
     return <Loading size="sm" message="Calculating statistics..." className="my-6" />;
@@ -114,27 +137,33 @@ function SummaryStats() {
 
   return (
     <div className="grid gap-6">
+      <ComparisonSwitcher className="justify-self-end" />
+
       {/* Overview Section */}
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
         <StatsCard
           title="Total Bookings"
           value={stats.totalBookings}
           type="number"
+          comparison={comparison?.totalBookings}
         />
         <StatsCard
           title="Total Revenue"
           value={stats.totalCollection}
           type="currency"
+          comparison={comparison?.totalCollection}
         />
         <StatsCard
           title="Total Slots"
           value={stats.totalSlots}
           type="number"
+          comparison={comparison?.totalSlots}
         />
         <StatsCard
           title="Unique Customers"
           value={stats.uniqueCustomers}
           type="number"
+          comparison={comparison?.uniqueCustomers}
         />
       </div>
 
@@ -147,16 +176,21 @@ function SummaryStats() {
             value={stats.statusStats.confirmed}
             subValue={`${Math.round(stats.statusStats.confirmationRate)}%`}
             type="number"
+            comparison={comparison?.statusStats.confirmed}
           />
           <StatsCard
             title="Cancelled"
             value={stats.statusStats.cancelled}
             type="number"
+            comparison={comparison?.statusStats.cancelled}
+            lowerIsBetter
           />
           <StatsCard
             title="Partially Cancelled"
             value={stats.statusStats.partially_cancelled}
             type="number"
+            comparison={comparison?.statusStats.partially_cancelled}
+            lowerIsBetter
           />
         </div>
       </div>
@@ -170,18 +204,21 @@ function SummaryStats() {
             value={stats.paymentStats.cash.amount}
             subValue={`${Math.round(stats.paymentStats.cash.percentage)}%`}
             type="currency"
+            comparison={comparison?.paymentStats.cash?.amount}
           />
           <StatsCard
             title="Bank Transfers"
             value={stats.paymentStats.bank.amount}
             subValue={`${Math.round(stats.paymentStats.bank.percentage)}%`}
             type="currency"
+            comparison={comparison?.paymentStats.bank?.amount}
           />
           <StatsCard
             title="Hudle Payments"
             value={stats.paymentStats.hudle.amount}
             subValue={`${Math.round(stats.paymentStats.hudle.percentage)}%`}
             type="currency"
+            comparison={comparison?.paymentStats.hudle?.amount}
           />
         </div>
       </div>
@@ -195,35 +232,45 @@ function SummaryStats() {
             value={stats.sourceStats.online}
             subValue={`${Math.round(stats.sourceStats.onlinePercentage)}%`}
             type="number"
+            comparison={comparison?.sourceStats.online}
           />
           <StatsCard
             title="Offline Bookings"
             value={stats.sourceStats.offline}
             subValue={`${Math.round(100 - stats.sourceStats.onlinePercentage)}%`}
             type="number"
+            comparison={comparison?.sourceStats.offline}
           />
         </div>
       </div>
 
-      {/* Monthly Stats */}
+      {/* Period Stats */}
       <div className="bg-white p-6 rounded-lg shadow">
-        <h3 className="text-lg font-semibold mb-4">Monthly Performance</h3>
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+          <h3 className="text-lg font-semibold">Performance by {TIME_GRAIN_LABELS[timeGrain]}</h3>
+          <TimeGrainSwitcher />
+        </div>
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-          {stats.monthlyStats.map(month => (
-            <div key={month.month} className="bg-gray-50 p-4 rounded">
-              <h4 className="font-semibold text-primary">{month.month}</h4>
+          {periodStats.map(period => (
+            <div key={period.period} className="bg-gray-50 p-4 rounded">
+              <h4 className="font-semibold text-primary">{period.period}</h4>
+              {periodComparison?.[period.period]?.baselinePeriod && (
+                <p className="text-xs text-text-light">vs {periodComparison[period.period].baselinePeriod}</p>
+              )}
               <div className="grid grid-cols-2 gap-2 mt-2">
                 <StatsCard
                   title="Bookings"
-                  value={month.bookings}
+                  value={period.bookings}
                   type="number"
                   size="sm"
+                  comparison={periodComparison?.[period.period]?.bookings}
                 />
                 <StatsCard
                   title="Revenue"
-                  value={month.revenue}
+                  value={period.revenue}
                   type="currency"
                   size="sm"
+                  comparison={periodComparison?.[period.period]?.revenue}
                 />
               </div>
             </div>
@@ -321,9 +368,7 @@ const CustomSummaryStatsWithError = withErrorBoundary(
 );
 
 const SummaryStatsWithError = withErrorBoundary(
-  React.memo(function SummaryStats(props) {
-    return <CustomSummaryStats {...props} />;
-  }),
+  React.memo(SummaryStats),
   {
     fallback: StatsFallback,
     context: 'SummaryStats',
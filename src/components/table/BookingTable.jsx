@@ -1,4 +1,4 @@
-import { useState, useCallback, memo } from 'react';
+import { useState, useCallback, useMemo, memo } from 'react';
 import PropTypes from 'prop-types';
 import { useApp } from '../../context/AppContext';
 import { useBookings } from '../../hooks/useBookings';
@@ -6,8 +6,10 @@ import { useErrorHandler } from '../../hooks/useErrorHandler';
 import { ErrorSeverity, ErrorCategory } from '../../utils/errorTypes';
 import { formatUtils } from '../../utils/formatUtils';
 import { getStatusColor } from '../../utils/statusUtils';
+import { getBookingKey } from '../../utils/bookingSync';
 import EmptyState from '../common/EmptyState';
 import Tooltip from '../common/Tooltip';
+import CustomerLink from '../common/CustomerLink';
 import { withErrorBoundary } from '../common/ErrorBoundary';
 
 function TableFallback({ error }) {
@@ -38,17 +40,33 @@ function TableFallback({ error }) {
  * @param {string} props.className - Additional CSS classes
  */
 function BookingTable({ data, onRowClick, className = '' }) {
-  const { CONSTANTS, sortField, sortDirection } = useApp();
+  const { CONSTANTS, sortKeys, lastSync, visibleColumns } = useApp();
   const { applySorting } = useBookings();
   const { handleError, handleAsync } = useErrorHandler();
   const [hoveredRowId, setHoveredRowId] = useState(null);
   const [isSorting, setIsSorting] = useState(false);
 
+  // Columns picked for display, in their usual order
+  const headers = useMemo(() => (
+    visibleColumns
+      ? CONSTANTS.TABLE_HEADERS.filter(header => visibleColumns.includes(header.key))
+      : CONSTANTS.TABLE_HEADERS
+  ), [CONSTANTS.TABLE_HEADERS, visibleColumns]);
+
+  // Rows added or changed by the last sync
+  const syncHighlights = useMemo(() => {
+    const highlights = new Map();
+    lastSync?.changedKeys.forEach(key => highlights.set(key, 'bg-yellow-50'));
+    lastSync?.newKeys.forEach(key => highlights.set(key, 'bg-green-50'));
+    return highlights;
+  }, [lastSync]);
+
   /**
    * Handle header click for sorting
    * @param {string} field - Field to sort by
+   * @param {boolean} append - Shift-click: add the field as a further sort key
    */
-  const handleHeaderClick = useCallback(async (field) => {
+  const handleHeaderClick = useCallback(async (field, append) => {
     if (!field || !CONSTANTS.TABLE_HEADERS.find(h => h.key === field)?.sortable) {
       return;
     }
@@ -58,8 +76,8 @@ function BookingTable({ data, onRowClick, className = '' }) {
     try {
       const result = await handleAsync(
         async () => {
-          console.log(`[BookingTable] Sorting by: ${field}`);
-          await applySorting(field);
+          console.log(`[BookingTable] ${append ? 'Adding sort key' : 'Sorting by'}: ${field}`);
+          await applySorting(field, { append });
         },
         'BookingTable.handleHeaderClick',
         {
@@ -67,8 +85,8 @@ function BookingTable({ data, onRowClick, className = '' }) {
           category: ErrorCategory.UI,
           metadata: {
             field,
-            currentSort: sortField,
-            direction: sortDirection
+            append,
+            currentSort: sortKeys
           }
         }
       );
@@ -80,21 +98,22 @@ function BookingTable({ data, onRowClick, className = '' }) {
           'BookingTable.handleHeaderClick',
           ErrorSeverity.ERROR,
           ErrorCategory.UI,
-          { field, currentSort: sortField }
+          { field, currentSort: sortKeys }
         );
       }
     } finally {
       setIsSorting(false);
     }
-  }, [applySorting, CONSTANTS.TABLE_HEADERS, handleAsync, handleError, sortField, sortDirection]);
+  }, [applySorting, CONSTANTS.TABLE_HEADERS, handleAsync, handleError, sortKeys]);
 
   /**
    * Format cell content based on field type
    * @param {*} value - Cell value
    * @param {string} field - Field name
+   * @param {Object} booking - Booking the cell belongs to
    * @returns {string|React.ReactNode} Formatted value
    */
-  const formatCellContent = useCallback((value, field) => {
+  const formatCellContent = useCallback((value, field, booking) => {
     if (value === undefined || value === null) return '';
 
     try {
@@ -112,6 +131,9 @@ function BookingTable({ data, onRowClick, className = '' }) {
               {value}
             </span>
           );
+        case 'Customer Name':
+        case 'Phone':
+          return <CustomerLink phone={booking['Phone']}>{String(value)}</CustomerLink>;
         default:
           return String(value);
       }
@@ -166,40 +188,49 @@ function BookingTable({ data, onRowClick, className = '' }) {
         <table className="min-w-full divide-y divide-gray-200">
           <thead className={`bg-background-light ${isSorting ? 'opacity-75' : ''}`}>
             <tr>
-              {CONSTANTS.TABLE_HEADERS.map((header) => (
-                <th
-                  key={header.key}
-                  className={`px-5 py-4 text-center text-sm font-semibold text-text-dark uppercase tracking-wider whitespace-nowrap
-                             ${header.sortable ? 'cursor-pointer hover:bg-gray-100' : ''}
-                             ${sortField === header.key ? 'bg-primary-transparent border-b-2 border-primary' : ''}`}
-                  onClick={() => header.sortable && !isSorting && handleHeaderClick(header.key)}
-                  data-field={header.key}
-                >
-                  <div className="flex items-center justify-center">
-                    {header.label}
+              {headers.map((header) => {
+                const sortIndex = sortKeys.findIndex(key => key.field === header.key);
+                const sortKey = sortKeys[sortIndex];
+                return (
+                  <th
+                    key={header.key}
+                    className={`px-5 py-4 text-center text-sm font-semibold text-text-dark uppercase tracking-wider whitespace-nowrap
+                               ${header.sortable ? 'cursor-pointer select-none hover:bg-gray-100' : ''}
+                               ${sortKey ? 'bg-primary-transparent border-b-2 border-primary' : ''}`}
+                    onClick={(e) => header.sortable && !isSorting && handleHeaderClick(header.key, e.shiftKey)}
+                    title={header.sortable ? 'Click to sort, shift-click to add to the sort' : undefined}
+                    data-field={header.key}
+                  >
+                    <div className="flex items-center justify-center">
+                      {header.label}
                     
-                    {header.sortable && (
-                      <span className="ml-2">
-                        {sortField === header.key ? (
-                          sortDirection === 'asc' ? (
-                            <svg xmlns="http://www.w3.org/2000/svg" className={`h-4 w-4 ${isSorting ? 'animate-spin' : ''}`} fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 15l7-7 7 7" />
-                            </svg>
+                      {header.sortable && (
+                        <span className="ml-2 flex items-center">
+                          {sortKey ? (
+                            sortKey.direction === 'asc' ? (
+                              <svg xmlns="http://www.w3.org/2000/svg" className={`h-4 w-4 ${isSorting ? 'animate-spin' : ''}`} fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 15l7-7 7 7" />
+                              </svg>
+                            ) : (
+                              <svg xmlns="http://www.w3.org/2000/svg" className={`h-4 w-4 ${isSorting ? 'animate-spin' : ''}`} fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                              </svg>
+                            )
                           ) : (
-                            <svg xmlns="http://www.w3.org/2000/svg" className={`h-4 w-4 ${isSorting ? 'animate-spin' : ''}`} fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 opacity-50" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16V4m0 0L3 8m4-4l4 4m6 0v12m0 0l4-4m-4 4l-4-4" />
                             </svg>
-                          )
-                        ) : (
-                          <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 opacity-50" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16V4m0 0L3 8m4-4l4 4m6 0v12m0 0l4-4m-4 4l-4-4" />
-                          </svg>
-                        )}
-                      </span>
-                    )}
-                  </div>
-                </th>
-              ))}
+                          )}
+                          {/* Position among several sort keys */}
+                          {sortKey && sortKeys.length > 1 && (
+                            <span className="ml-1 text-xs font-normal">{sortIndex + 1}</span>
+                          )}
+                        </span>
+                      )}
+                    </div>
+                  </th>
+                );
+              })}
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
@@ -207,7 +238,7 @@ function BookingTable({ data, onRowClick, className = '' }) {
               <tr
                 key={`${booking['Booking Reference']}-${index}`}
                 className={`
-                  ${index % 2 === 0 ? 'bg-white' : 'bg-background-light'} 
+                  ${syncHighlights.get(getBookingKey(booking)) || (index % 2 === 0 ? 'bg-white' : 'bg-background-light')} 
                   ${hoveredRowId === index ? 'bg-gray-50' : ''}
                   cursor-pointer transition-colors
                 `}
@@ -215,12 +246,12 @@ function BookingTable({ data, onRowClick, className = '' }) {
                 onMouseEnter={() => setHoveredRowId(index)}
                 onMouseLeave={() => setHoveredRowId(null)}
               >
-                {CONSTANTS.TABLE_HEADERS.map((header) => (
+                {headers.map((header) => (
                   <td 
                     key={`${booking['Booking Reference']}-${index}-${header.key}`}
                     className="px-5 py-4 text-center whitespace-nowrap"
                   >
-                    {formatCellContent(booking[header.key], header.key)}
+                    {formatCellContent(booking[header.key], header.key, booking)}
                   </td>
                 ))}
               </tr>
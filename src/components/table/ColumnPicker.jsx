@@ -0,0 +1,78 @@
+import { useState, useEffect } from 'react';
+import { useApp } from '../../context/AppContext';
+
+/**
+ * Dropdown of checkboxes choosing which booking table columns are shown
+ */
+function ColumnPicker() {
+  const [isOpen, setIsOpen] = useState(false);
+  const { CONSTANTS, visibleColumns, setVisibleColumns } = useApp();
+
+  const allColumns = CONSTANTS.TABLE_HEADERS.map(header => header.key);
+  const shownColumns = visibleColumns || allColumns;
+
+  // Close when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (isOpen && !event.target.closest('.column-picker')) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  /**
+   * Show or hide a column - the last visible column cannot be hidden
+   * @param {string} key - Column key
+   */
+  const toggleColumn = (key) => {
+    const next = shownColumns.includes(key)
+      ? shownColumns.filter(column => column !== key)
+      : allColumns.filter(column => column === key || shownColumns.includes(column));
+
+    if (next.length === 0) return;
+    setVisibleColumns(next.length === allColumns.length ? null : next);
+  };
+
+  return (
+    <div className="relative column-picker">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="text-sm py-2 px-4 border border-gray-300 rounded bg-white text-text-medium hover:bg-gray-50"
+      >
+        Columns ({shownColumns.length}/{allColumns.length})
+      </button>
+
+      {isOpen && (
+        <div className="absolute top-full right-0 mt-1 w-56 bg-white rounded-md shadow-lg z-50 py-2 border border-gray-200">
+          {CONSTANTS.TABLE_HEADERS.map(header => (
+            <label
+              key={header.key}
+              className="flex items-center gap-2 px-4 py-1 text-sm text-text-medium hover:bg-gray-100 cursor-pointer"
+            >
+              <input
+                type="checkbox"
+                className="w-4 h-4 text-primary focus:ring-primary rounded border-gray-300"
+                checked={shownColumns.includes(header.key)}
+                onChange={() => toggleColumn(header.key)}
+              />
+              {header.label}
+            </label>
+          ))}
+          {visibleColumns && (
+            <button
+              onClick={() => setVisibleColumns(null)}
+              className="w-full text-left px-4 pt-2 mt-1 border-t border-gray-100 text-sm text-primary hover:underline"
+            >
+              Show all columns
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ColumnPicker;
@@ -7,6 +7,7 @@ import { ErrorSeverity, ErrorCategory } from '../../utils/errorTypes';
 import BookingTable from './BookingTable';
 import TablePagination from './TablePagination';
 import BookingModal from './BookingModal';
+import ColumnPicker from './ColumnPicker';
 import Loading from '../common/Loading';
 import EmptyState from '../common/EmptyState';
 import SummaryStats from '../summary/SummaryStats';
@@ -172,6 +173,10 @@ function TableView() {
       {/* Table Content */}
       {!isLoading && pageData && pageData.length > 0 && (
         <div className="table-wrapper">
+          <div className="flex justify-end mb-2">
+            <ColumnPicker />
+          </div>
+          
           {/* Pagination (top) */}
           {filteredData && filteredData.length > rowsPerPage && (
             <TablePagination
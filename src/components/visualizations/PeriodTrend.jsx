@@ -0,0 +1,106 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import BaseChart from './BaseChart';
+
+const METRICS = {
+  bookings: { label: 'Bookings', color: 'rgb(66, 153, 225)' },
+  revenue: { label: 'Revenue', color: 'rgb(72, 187, 120)' }
+};
+
+/**
+ * PeriodTrend component for visualizing bookings or revenue over time
+ * @param {Object} props - Component props
+ * @param {Array} props.data - Period figures from statsService.calculatePeriodStats, in time order
+ * @param {string} props.grainLabel - Name of the period on the x-axis (e.g. "Week")
+ * @param {string} props.className - Additional CSS classes
+ */
+function PeriodTrend({ data, grainLabel, className = '' }) {
+  const [chartType, setChartType] = useState('bar');
+  const [metric, setMetric] = useState('bookings');
+
+  if (!data || data.length === 0) return null;
+
+  const { label, color } = METRICS[metric];
+  const chartData = {
+    labels: data.map(period => period.period),
+    datasets: [
+      {
+        label,
+        data: data.map(period => period[metric]),
+        backgroundColor: color.replace('rgb', 'rgba').replace(')', ', 0.8)'),
+        borderColor: color,
+        borderWidth: 1,
+        fill: false,
+        tension: 0.2
+      }
+    ]
+  };
+
+  const options = {
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          label: (context) => (metric === 'revenue'
+            ? `₹${context.raw.toLocaleString('en-IN')}`
+            : `${context.raw.toLocaleString()} bookings`)
+        }
+      }
+    },
+    scales: {
+      x: {
+        title: { display: true, text: grainLabel }
+      },
+      y: {
+        beginAtZero: true,
+        ticks: {
+          callback: (value) => value.toLocaleString()
+        }
+      }
+    }
+  };
+
+  const buttonClass = (active) => `px-3 py-1 rounded text-sm font-medium ${
+    active ? 'bg-primary text-white' : 'bg-gray-100 hover:bg-gray-200'
+  }`;
+
+  return (
+    <div className={`space-y-4 ${className}`}>
+      <div className="flex flex-wrap justify-between items-center gap-2">
+        <h3 className="text-lg font-semibold">{label} by {grainLabel}</h3>
+        <div className="flex space-x-2">
+          {Object.entries(METRICS).map(([key, { label: metricLabel }]) => (
+            <button key={key} onClick={() => setMetric(key)} className={buttonClass(metric === key)}>
+              {metricLabel}
+            </button>
+          ))}
+          <button onClick={() => setChartType('bar')} className={buttonClass(chartType === 'bar')}>
+            Bar Chart
+          </button>
+          <button onClick={() => setChartType('line')} className={buttonClass(chartType === 'line')}>
+            Line Chart
+          </button>
+        </div>
+      </div>
+
+      <BaseChart
+        data={chartData}
+        type={chartType}
+        options={options}
+        className="bg-white p-4 rounded-lg shadow"
+      />
+    </div>
+  );
+}
+
+PeriodTrend.propTypes = {
+  data: PropTypes.arrayOf(PropTypes.shape({
+    period: PropTypes.string.isRequired,
+    bookings: PropTypes.number,
+    revenue: PropTypes.number
+  })),
+  grainLabel: PropTypes.string.isRequired,
+  className: PropTypes.string
+};
+
+export default PeriodTrend;
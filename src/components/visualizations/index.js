@@ -1,4 +1,5 @@
 export { default as BaseChart } from './BaseChart';
 export { default as PaymentDistribution } from './PaymentDistribution';
 export { default as StatusDistribution } from './StatusDistribution';
-export { default as SourceDistribution } from './SourceDistribution'; 
\ No newline at end of file
+export { default as SourceDistribution } from './SourceDistribution';
+export { default as PeriodTrend } from './PeriodTrend'; 
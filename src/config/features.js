@@ -0,0 +1,7 @@
+/**
+ * Feature flags read from the Vite environment
+ */
+export const FEATURES = {
+  // Serve booking files from public/mock-data and use a stubbed session instead of Supabase
+  MOCK_DATA: import.meta.env.VITE_ENABLE_MOCK_DATA === 'true'
+};
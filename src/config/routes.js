@@ -1,3 +1,5 @@
+import { normalizeMobile } from '../utils/customerIdentity';
+
 /**
  * Application route configurations
  */
@@ -12,12 +14,23 @@ export const ROUTES = {
   TABLE_VIEW: '/dashboard/table',
   CATEGORY_VIEW: '/dashboard/category',
   PAYMENTS_VIEW: '/dashboard/payments',
+  PIVOT_VIEW: '/dashboard/pivot',
+  CUSTOMER_VIEW: '/dashboard/customers',
   ERROR_DASHBOARD: '/dashboard/errors',
 
   // Default redirect after authentication
   AUTH_REDIRECT: '/dashboard/home'          
 };
 
+/**
+ * Route of a customer's profile page
+ * @param {string} phone - Customer mobile number, with or without +91
+ * @returns {string} e.g. "/dashboard/customers/9811678837"
+ */
+export function getCustomerRoute(phone) {
+  return `${ROUTES.CUSTOMER_VIEW}/${normalizeMobile(phone)}`;
+}
+
 /**
  * Helper function to get full URL including site URL
  * @param {string} route - The route to append
@@ -2,7 +2,13 @@ import { createContext, useState, useContext, useReducer, useCallback, useEffect
 import { useErrorHandler } from '../hooks/useErrorHandler';
 import { ErrorSeverity, ErrorCategory } from '../utils/errorTypes';
 import { CONSTANTS, ViewTypes, FilterTypes } from '../utils/constants';
+import { createFilterGroup, hasActiveFilters } from '../utils/filterModel';
+import { TimeGrains } from '../utils/dateUtils';
 import { statsService } from '../services/statsService';
+import { ComparisonModes } from '../services/comparisonService';
+
+// Latest known year, used until the available years have been listed
+const DEFAULT_YEAR = CONSTANTS.FINANCIAL_YEARS[CONSTANTS.FINANCIAL_YEARS.length - 1];
 
 // Initial state mirroring the original store.js state
 const initialState = {
@@ -14,18 +20,34 @@ const initialState = {
   currentPage: 1,
   currentView: ViewTypes.TABLE,
   rowsPerPage: 50,
+  // Table columns to show, null for all of CONSTANTS.TABLE_HEADERS
+  visibleColumns: null,
   isLoading: false,
+  loadProgress: null,
   
-  // Filter/Sort State
-  selectedYear: '202425',
-  activeFilters: {
-    type: null,
-    value: null,
-  },
+  // Filter/Sort State - the years are replaced by the most recent year found in storage at startup
+  selectedYear: DEFAULT_YEAR,
+  selectedYears: [DEFAULT_YEAR],
+  loadedYears: [],
+  availableYears: null,
+  missingYears: [],
+  lastSync: null,
+  dataQuality: [],
+  importedDatasets: [],
+  activeDatasetId: null,
+  // Conditions combined with AND/OR groups (see utils/filterModel)
+  activeFilters: createFilterGroup(),
   currentCategoryType: null,
   selectedCategory: null,
-  sortField: 'S no',
-  sortDirection: 'asc',
+  // Sort keys, { field, direction }, most significant first
+  sortKeys: [{ field: 'S no', direction: 'asc' }],
+  // Period that time-based views group bookings by (see TimeGrains)
+  timeGrain: TimeGrains.MONTH,
+  // Period the figures are compared with - customRange is { start, end } for ComparisonModes.CUSTOM
+  comparison: { mode: ComparisonModes.NONE, customRange: null },
+  // Bookings of that period, { bookings, range, currentRange, yearsBack, missingYears, progress };
+  // bookings is null while they load, progress is the load progress of the years being fetched
+  baselineData: null,
 };
 
 // Action types
@@ -35,12 +57,18 @@ const ActionTypes = {
   SET_CURRENT_PAGE: 'SET_CURRENT_PAGE',
   SET_CURRENT_VIEW: 'SET_CURRENT_VIEW',
   SET_ROWS_PER_PAGE: 'SET_ROWS_PER_PAGE',
+  SET_VISIBLE_COLUMNS: 'SET_VISIBLE_COLUMNS',
   SET_LOADING: 'SET_LOADING',
+  SET_LOAD_PROGRESS: 'SET_LOAD_PROGRESS',
   SET_SELECTED_YEAR: 'SET_SELECTED_YEAR',
+  SET_SELECTED_YEARS: 'SET_SELECTED_YEARS',
   SET_ACTIVE_FILTERS: 'SET_ACTIVE_FILTERS',
   SET_CATEGORY_TYPE: 'SET_CATEGORY_TYPE',
   SET_SELECTED_CATEGORY: 'SET_SELECTED_CATEGORY',
   SET_SORT: 'SET_SORT',
+  SET_TIME_GRAIN: 'SET_TIME_GRAIN',
+  SET_COMPARISON: 'SET_COMPARISON',
+  SET_BASELINE_DATA: 'SET_BASELINE_DATA',
   BATCH_UPDATE: 'BATCH_UPDATE',
 };
 
@@ -62,11 +90,25 @@ function appReducer(state, action) {
     case ActionTypes.SET_ROWS_PER_PAGE:
       return { ...state, rowsPerPage: action.payload };
     
+    case ActionTypes.SET_VISIBLE_COLUMNS:
+      return { ...state, visibleColumns: action.payload };
+    
     case ActionTypes.SET_LOADING:
       return { ...state, isLoading: action.payload };
     
+    case ActionTypes.SET_LOAD_PROGRESS:
+      return { ...state, loadProgress: action.payload };
+    
     case ActionTypes.SET_SELECTED_YEAR:
-      return { ...state, selectedYear: action.payload };
+      return { ...state, selectedYear: action.payload, selectedYears: [action.payload] };
+    
+    case ActionTypes.SET_SELECTED_YEARS:
+      // The most recent year stays the primary year for single-year views
+      return {
+        ...state,
+        selectedYears: action.payload,
+        selectedYear: action.payload[action.payload.length - 1]
+      };
     
     case ActionTypes.SET_ACTIVE_FILTERS:
       return { ...state, activeFilters: action.payload };
@@ -78,11 +120,17 @@ function appReducer(state, action) {
       return { ...state, selectedCategory: action.payload };
     
     case ActionTypes.SET_SORT:
-      return { 
-        ...state, 
-        sortField: action.payload.field,
-        sortDirection: action.payload.direction
-      };
+      return { ...state, sortKeys: action.payload };
+    
+    case ActionTypes.SET_TIME_GRAIN:
+      return { ...state, timeGrain: action.payload };
+    
+    case ActionTypes.SET_COMPARISON:
+      return { ...state, comparison: action.payload };
+    
+    case ActionTypes.SET_BASELINE_DATA:
+      // Cleared on every data change while nothing is compared - skip the re-render
+      return state.baselineData === action.payload ? state : { ...state, baselineData: action.payload };
     
     case ActionTypes.BATCH_UPDATE:
       return { ...state, ...action.payload };
@@ -189,6 +237,24 @@ export function AppProvider({ children }) {
     );
   }, [handleAsync, state.currentView]);
   
+  const setVisibleColumns = useCallback((columns) => {
+    handleAsync(
+      async () => {
+        console.log('[AppContext] Setting visible columns:', columns);
+        dispatch({ type: ActionTypes.SET_VISIBLE_COLUMNS, payload: columns });
+      },
+      'AppContext.setVisibleColumns',
+      {
+        severity: ErrorSeverity.ERROR,
+        category: ErrorCategory.UI,
+        metadata: {
+          columns,
+          previousColumns: state.visibleColumns
+        }
+      }
+    );
+  }, [handleAsync, state.visibleColumns]);
+  
   const setIsLoading = useCallback((isLoading) => {
     handleAsync(
       async () => {
@@ -207,11 +273,29 @@ export function AppProvider({ children }) {
     );
   }, [handleAsync, state.isLoading]);
   
+  const setLoadProgress = useCallback((progress) => {
+    handleAsync(
+      async () => {
+        // Called for every parsed chunk, so no logging here
+        dispatch({ type: ActionTypes.SET_LOAD_PROGRESS, payload: progress });
+      },
+      'AppContext.setLoadProgress',
+      {
+        severity: ErrorSeverity.ERROR,
+        category: ErrorCategory.UI,
+        metadata: {
+          stage: progress?.stage,
+          year: progress?.year
+        }
+      }
+    );
+  }, [handleAsync]);
+  
   const setSelectedYear = useCallback((year) => {
     handleAsync(
       async () => {
-        // Only proceed if the year is actually different
-        if (year !== state.selectedYear) {
+        // Only proceed if the year is actually different (or narrows a multi-year selection)
+        if (year !== state.selectedYear || state.selectedYears.length > 1) {
           console.log('[AppContext] Setting selected year:', year);
           
           // Clear stats cache for the previous year
@@ -235,7 +319,40 @@ export function AppProvider({ children }) {
         }
       }
     );
-  }, [handleAsync, state.selectedYear]);
+  }, [handleAsync, state.selectedYear, state.selectedYears]);
+  
+  const setSelectedYears = useCallback((years) => {
+    handleAsync(
+      async () => {
+        const normalizedYears = [...new Set((years || []).filter(Boolean))].sort();
+        if (normalizedYears.length === 0) {
+          console.warn('[AppContext] At least one year must stay selected');
+          return;
+        }
+        
+        // Only proceed if the selection is actually different
+        if (normalizedYears.join(',') !== state.selectedYears.join(',')) {
+          console.log('[AppContext] Setting selected years:', normalizedYears);
+          
+          // Clear stats cache for the previously selected years
+          state.selectedYears.forEach(year => statsService.clearCacheForYear(year));
+          
+          dispatch({ type: ActionTypes.SET_SELECTED_YEARS, payload: normalizedYears });
+        } else {
+          console.log('[AppContext] Years unchanged, skipping update:', normalizedYears);
+        }
+      },
+      'AppContext.setSelectedYears',
+      {
+        severity: ErrorSeverity.ERROR,
+        category: ErrorCategory.UI,
+        metadata: {
+          years,
+          previousYears: state.selectedYears
+        }
+      }
+    );
+  }, [handleAsync, state.selectedYears]);
   
   const setActiveFilters = useCallback((filters) => {
     handleAsync(
@@ -250,7 +367,7 @@ export function AppProvider({ children }) {
         metadata: {
           filters,
           previousFilters: state.activeFilters,
-          hasFilters: !!filters?.type || !!filters?.value
+          hasFilters: hasActiveFilters(filters)
         }
       }
     );
@@ -293,13 +410,13 @@ export function AppProvider({ children }) {
     );
   }, [handleAsync, state.selectedCategory, state.currentCategoryType]);
   
-  const setSort = useCallback((field, direction) => {
+  const setSort = useCallback((sortKeys) => {
     handleAsync(
       async () => {
-        console.log('[AppContext] Setting sort:', { field, direction });
+        console.log('[AppContext] Setting sort:', sortKeys);
         dispatch({ 
           type: ActionTypes.SET_SORT, 
-          payload: { field, direction }
+          payload: sortKeys
         });
       },
       'AppContext.setSort',
@@ -307,14 +424,66 @@ export function AppProvider({ children }) {
         severity: ErrorSeverity.ERROR,
         category: ErrorCategory.UI,
         metadata: {
-          field,
-          direction,
-          previousField: state.sortField,
-          previousDirection: state.sortDirection
+          sortKeys,
+          previousSortKeys: state.sortKeys
         }
       }
     );
-  }, [handleAsync, state.sortField, state.sortDirection]);
+  }, [handleAsync, state.sortKeys]);
+  
+  const setTimeGrain = useCallback((timeGrain) => {
+    handleAsync(
+      async () => {
+        console.log('[AppContext] Setting time grain:', timeGrain);
+        dispatch({ type: ActionTypes.SET_TIME_GRAIN, payload: timeGrain });
+      },
+      'AppContext.setTimeGrain',
+      {
+        severity: ErrorSeverity.ERROR,
+        category: ErrorCategory.UI,
+        metadata: {
+          timeGrain,
+          previousTimeGrain: state.timeGrain
+        }
+      }
+    );
+  }, [handleAsync, state.timeGrain]);
+  
+  const setComparison = useCallback((comparison) => {
+    handleAsync(
+      async () => {
+        console.log('[AppContext] Setting comparison:', comparison);
+        dispatch({ type: ActionTypes.SET_COMPARISON, payload: comparison });
+      },
+      'AppContext.setComparison',
+      {
+        severity: ErrorSeverity.ERROR,
+        category: ErrorCategory.UI,
+        metadata: {
+          comparison,
+          previousComparison: state.comparison
+        }
+      }
+    );
+  }, [handleAsync, state.comparison]);
+  
+  const setBaselineData = useCallback((baselineData) => {
+    handleAsync(
+      async () => {
+        console.log('[AppContext] Setting baseline data, length:', baselineData?.bookings?.length);
+        dispatch({ type: ActionTypes.SET_BASELINE_DATA, payload: baselineData });
+      },
+      'AppContext.setBaselineData',
+      {
+        severity: ErrorSeverity.ERROR,
+        category: ErrorCategory.DATA,
+        metadata: {
+          range: baselineData?.range,
+          dataLength: baselineData?.bookings?.length
+        }
+      }
+    );
+  }, [handleAsync]);
   
   const batchUpdate = useCallback((updates) => {
     handleAsync(
@@ -341,12 +510,18 @@ export function AppProvider({ children }) {
     setFilteredData,
     setCurrentPage,
     setCurrentView,
+    setVisibleColumns,
     setIsLoading,
+    setLoadProgress,
     setSelectedYear,
+    setSelectedYears,
     setActiveFilters,
     setCategoryType,
     setSelectedCategory,
     setSort,
+    setTimeGrain,
+    setComparison,
+    setBaselineData,
     batchUpdate
   };
 
@@ -3,6 +3,23 @@ import { supabaseClient } from '../services/supabase';
 import { useErrorHandler } from '../hooks/useErrorHandler';
 import { ErrorSeverity, ErrorCategory } from '../utils/errorTypes';
 import { ROUTES, getCurrentOriginUrl, getFullUrl } from '../config/routes';
+import { FEATURES } from '../config/features';
+
+/**
+ * Session used in mock mode in place of a Supabase session
+ */
+const MOCK_SESSION = {
+  access_token: 'mock-access-token',
+  token_type: 'bearer',
+  expires_at: null,
+  user: {
+    id: 'mock-user',
+    email: 'demo@claygrounds.local',
+    user_metadata: {
+      full_name: 'Demo User'
+    }
+  }
+};
 
 const AuthContext = createContext();
 
@@ -23,6 +40,18 @@ export function AuthProvider({ children }) {
 
   // Get site URL from environment
   const siteUrl = import.meta.env.VITE_SITE_URL;
+  
+  // Mock mode replaces Google OAuth with a stubbed session
+  const isMockMode = FEATURES.MOCK_DATA;
+  
+  /**
+   * Apply the stubbed mock-mode session
+   */
+  function startMockSession() {
+    console.log('[AuthProvider] Mock data mode - using stubbed session');
+    setSession(MOCK_SESSION);
+    setUser(MOCK_SESSION.user);
+  }
 
   // Initial session check effect
   useEffect(() => {
@@ -33,6 +62,13 @@ export function AuthProvider({ children }) {
         async () => {
           if (!mounted) return;
           
+          if (isMockMode) {
+            startMockSession();
+            setIsInitialized(true);
+            setIsLoading(false);
+            return;
+          }
+          
           // Check for existing session
           const { data: { session: existingSession }, error: sessionError } = await supabaseClient.auth.getSession();
           
@@ -86,7 +122,7 @@ export function AuthProvider({ children }) {
     return () => {
       mounted = false;
     };
-  }, [handleAsync, handleError, isDevelopment]);
+  }, [handleAsync, handleError, isDevelopment, isMockMode]);
 
   // Auth state change listener effect
   useEffect(() => {
@@ -94,6 +130,9 @@ export function AuthProvider({ children }) {
     let subscription;
     
     async function setupAuthListener() {
+      // No Supabase auth events in mock mode
+      if (isMockMode) return;
+      
       const { data: { subscription: authSubscription } } = supabaseClient.auth.onAuthStateChange(
         async (event, currentSession) => {
           if (!mounted) return;
@@ -130,11 +169,11 @@ export function AuthProvider({ children }) {
         subscription.unsubscribe();
       }
     };
-  }, []);
+  }, [isMockMode]);
   
   // Session refresh effect
   useEffect(() => {
-    if (!session) return;
+    if (!session || isMockMode) return;
 
     let mounted = true;
     const REFRESH_INTERVAL = 10 * 60 * 1000;
@@ -176,11 +215,16 @@ export function AuthProvider({ children }) {
       mounted = false;
       clearInterval(refreshTimer);
     };
-  }, [session, isDevelopment, handleAsync]);
+  }, [session, isDevelopment, isMockMode, handleAsync]);
   
   async function signInWithGoogle() {
     return handleAsync(
       async () => {
+        if (isMockMode) {
+          startMockSession();
+          return { session: MOCK_SESSION };
+        }
+        
         console.log('[AuthProvider] Initiating Google sign in');
         const redirectUrl = getFullUrl(ROUTES.AUTH_REDIRECT, siteUrl);
         console.log('[AuthProvider] Using redirect URL:', redirectUrl);
@@ -222,6 +266,12 @@ export function AuthProvider({ children }) {
     return handleAsync(
       async () => {
         console.log('[AuthProvider] Signing out');
+        if (isMockMode) {
+          setSession(null);
+          setUser(null);
+          return;
+        }
+        
         const { error } = await supabaseClient.auth.signOut();
         if (error) throw error;
       },
@@ -248,6 +298,11 @@ export function AuthProvider({ children }) {
     return handleAsync(
       async () => {
         console.log('[AuthProvider] Development mode sign in');
+        if (isMockMode) {
+          startMockSession();
+          return { session: MOCK_SESSION };
+        }
+        
         const { data, error } = await supabaseClient.auth.signInWithPassword({
           email: 'dev@example.com',
           password: 'development-only'
@@ -323,6 +378,7 @@ export function AuthProvider({ children }) {
     isLoading,
     isInitialized,
     isDevelopment,
+    isMockMode,
     signInWithGoogle,
     signOut,
     devSignIn,
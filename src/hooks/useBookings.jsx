@@ -6,7 +6,18 @@ import { dataService } from '../services/dataService';
 import { filterService } from '../services/filterService';
 import { sortService } from '../services/sortService';
 import { groupingService } from '../services/groupingService';
+import { statsService } from '../services/statsService';
+import { importService } from '../services/importService';
 import { ErrorSeverity, ErrorCategory } from '../utils/errorTypes';
+import { formatFinancialYear } from '../utils/dateUtils';
+import { describeChanges } from '../utils/bookingSync';
+import {
+  createFilterGroup,
+  createCondition,
+  addCondition,
+  removeCondition,
+  hasActiveFilters
+} from '../utils/filterModel';
 
 /**
  * Custom hook to manage booking data
@@ -21,10 +32,10 @@ export const useBookings = () => {
   const loadingRef = useRef(false);
   
   const {
-    bookingsData, filteredData, sortField, sortDirection, 
-    activeFilters, selectedYear, setBookingsData, 
+    bookingsData, filteredData, sortKeys, 
+    activeFilters, selectedYears, loadedYears, availableYears, activeDatasetId, timeGrain, setBookingsData, 
     setFilteredData, batchUpdate, setIsLoading: setAppLoading,
-    setActiveFilters
+    setActiveFilters, setLoadProgress
   } = useApp();
 
   /**
@@ -46,7 +57,7 @@ export const useBookings = () => {
         const specialCases = ['status'];
         
         if (!specialCases.includes(groupBy)) {
-          normalizedGroupBy = groupBy.replace(/s$/, '');
+          normalizedGroupBy = groupBy.replace(/ies$/, 'y').replace(/s$/, '');
         }
         
         // Use memoized grouping functions
@@ -60,6 +71,10 @@ export const useBookings = () => {
           case 'year':
             grouped = await groupingService.groupByDate(data, 'year');
             break;
+          case 'period':
+            // The grain picked with the time grain switcher
+            grouped = await groupingService.groupByDate(data, timeGrain);
+            break;
           case 'location':
             grouped = await groupingService.groupByLocation(data);
             break;
@@ -72,6 +87,9 @@ export const useBookings = () => {
           case 'status':
             grouped = await groupingService.groupByStatus(data);
             break;
+          case 'facility':
+            grouped = await groupingService.groupByLocationFacility(data);
+            break;
           case 'payment':
             grouped = await groupingService.groupByPaymentMode(data);
             break;
@@ -98,33 +116,56 @@ export const useBookings = () => {
         }
       }
     );
-  }, [filteredData, handleAsync]);
+  }, [filteredData, timeGrain, handleAsync]);
 
   /**
-   * Load bookings for selected year
-   * @param {string} year - Year to load data for
+   * Load bookings for one or more financial years
+   * @param {string|Array<string>} years - Year key or list of year keys to load
    * @param {boolean} forceRefresh - Force refresh data
+   * @param {Object} [options] - Load options
+   * @param {boolean} [options.reload] - Load even if data is already shown, still using the caches
    */
-  const loadBookings = useCallback(async (year, forceRefresh = false) => {
+  const loadBookings = useCallback(async (years, forceRefresh = false, { reload = false } = {}) => {
     // Prevent concurrent loads
     if (loadingRef.current) {
       console.debug('[useBookings] Already loading, skipping...');
       return;
     }
 
-    // Skip if we already have data and no force refresh
-    if (!forceRefresh && bookingsData?.length > 0 && year === selectedYear) {
-      console.debug('[useBookings] Using existing data for year:', year);
+    const requestedYears = [...new Set(Array.isArray(years) ? years : [years])].sort();
+    const isCurrentSelection = requestedYears.join(',') === selectedYears.join(',');
+
+    // Skip if we already have data and no force refresh - this also keeps an imported dataset on screen
+    if (!forceRefresh && !reload && bookingsData?.length > 0 && isCurrentSelection) {
+      console.debug('[useBookings] Using existing data for years:', requestedYears);
       return;
     }
     
     loadingRef.current = true;
     setIsLoading(true);
     setError(null);
+    batchUpdate({ isLoading: true, loadProgress: null });
     
     await handleAsync(
       async () => {
-        const result = await dataService.loadBookings(year, forceRefresh);
+        let result;
+        try {
+          result = await dataService.loadMultipleYears(requestedYears, forceRefresh, {
+            onProgress: setLoadProgress
+          });
+        } catch (error) {
+          if (error.name !== 'AbortError') throw error;
+          
+          // Keep the data that was already loaded and restore its year selection
+          console.log('[useBookings] Load cancelled for years:', requestedYears);
+          if (loadedYears.length > 0) {
+            batchUpdate({
+              selectedYears: loadedYears,
+              selectedYear: loadedYears[loadedYears.length - 1]
+            });
+          }
+          return;
+        }
         
         // Validate the response structure
         if (!result || typeof result !== 'object') {
@@ -132,28 +173,45 @@ export const useBookings = () => {
         }
         
         // Extract bookings array and metadata
-        const { bookings = [], metadata = {} } = result;
+        const { bookings = [], metadata = {}, qualityReports = [] } = result;
         
         // Ensure bookings is an array
         if (!Array.isArray(bookings)) {
           throw new Error('Invalid bookings data format');
         }
         
-        // Update state with the validated data
-        const sortedBookings = sortService.sortData(bookings, 'S no', 'asc');
+        // Update state with the validated data - serial numbers restart every year
+        const sortedBookings = sortService.sortByMultipleFields(bookings, [
+          { field: 'Financial Year', direction: 'asc' },
+          { field: 'S no', direction: 'asc' }
+        ]);
         batchUpdate({
           bookingsData: sortedBookings,
-          filteredData: sortedBookings,
-          selectedYear: year,
+          // Keep the user's filters and sort over the newly loaded years
+          filteredData: sortService.sortByMultipleFields(filterService.applyFilterGroup(sortedBookings, activeFilters), sortKeys),
+          selectedYears: requestedYears,
+          selectedYear: requestedYears[requestedYears.length - 1],
+          loadedYears: requestedYears,
+          dataQuality: qualityReports,
+          missingYears: metadata.missingYears || [],
+          activeDatasetId: null,
+          lastSync: null,
           currentPage: 1,
           error: metadata.isMockData ? {
             type: 'warning',
             message: metadata.errorMessage || 'Using sample data. Some features may be limited.'
+          } : metadata.missingYears?.length > 0 ? {
+            type: 'warning',
+            message: `No booking file found for FY ${metadata.missingYears.map(formatFinancialYear).join(', ')}`
           } : null
         });
         
         // Group the data by default categories (only if data changed)
-        if (sortedBookings !== bookingsData) {
+        if (sortedBookings !== bookingsData && result.groups) {
+          // The worker already grouped everything except payments
+          setGroupedData(prev => ({ ...prev, ...result.groups }));
+          await groupData('payment', sortedBookings);
+        } else if (sortedBookings !== bookingsData) {
           await Promise.all([
             groupData('locations', sortedBookings),
             groupData('months', sortedBookings),
@@ -169,10 +227,10 @@ export const useBookings = () => {
         severity: ErrorSeverity.ERROR,
         category: ErrorCategory.DATA,
         metadata: {
-          year,
+          years: requestedYears,
           forceRefresh,
           hasExistingData: bookingsData?.length > 0,
-          isCurrentYear: year === selectedYear
+          isCurrentSelection
         },
         onError: (error) => {
           batchUpdate({
@@ -188,32 +246,183 @@ export const useBookings = () => {
     ).finally(() => {
       loadingRef.current = false;
       setIsLoading(false);
+      batchUpdate({ isLoading: false, loadProgress: null });
     });
-  }, [bookingsData, selectedYear, batchUpdate, groupData, handleAsync]);
+  }, [bookingsData, selectedYears, loadedYears, activeFilters, sortKeys, batchUpdate, setLoadProgress, groupData, handleAsync]);
   
   /**
-   * Apply filtering to booking data
-   * @param {string} filterType - Type of filter
-   * @param {*} filterValue - Filter value
+   * Sync the loaded years incrementally, merging only new or changed bookings.
+   * The change summary is kept as lastSync so views can highlight new rows.
+   * @returns {Promise<Object|null>} Change summary with a one-line message, or null when nothing was synced
    */
-  const applyFilter = useCallback((filterType, filterValue) => {
+  const syncBookings = useCallback(async () => {
+    // Imported datasets have no source to sync from
+    if (loadingRef.current || loadedYears.length === 0 || activeDatasetId) {
+      console.debug('[useBookings] Nothing to sync');
+      return null;
+    }
+    
+    loadingRef.current = true;
+    const result = await handleAsync(
+      async () => {
+        const { bookings, groups, qualityReports, changes, metadata } = await dataService.loadMultipleYears(
+          loadedYears, false, { sync: true }
+        );
+        
+        const sortedBookings = sortService.sortByMultipleFields(bookings, [
+          { field: 'Financial Year', direction: 'asc' },
+          { field: 'S no', direction: 'asc' }
+        ]);
+        const lastSync = { ...changes, message: describeChanges(changes) };
+        console.log(`[useBookings] ${lastSync.message}`);
+        
+        // Keep the user's filters and sort over the updated data
+        statsService.clearCache();
+        filterService.clearCache();
+        batchUpdate({
+          bookingsData: sortedBookings,
+          filteredData: sortService.sortByMultipleFields(filterService.applyFilterGroup(sortedBookings, activeFilters), sortKeys),
+          dataQuality: qualityReports,
+          missingYears: metadata.missingYears || [],
+          lastSync
+        });
+        
+        if (groups) {
+          setGroupedData(prev => ({ ...prev, ...groups }));
+        }
+        await groupData('payment', sortedBookings);
+        return lastSync;
+      },
+      'useBookings.syncBookings',
+      {
+        severity: ErrorSeverity.ERROR,
+        category: ErrorCategory.DATA,
+        metadata: { years: loadedYears }
+      }
+    ).finally(() => {
+      loadingRef.current = false;
+    });
+    
+    return result?.error ? null : result;
+  }, [loadedYears, activeDatasetId, activeFilters, sortKeys, batchUpdate, groupData, handleAsync]);
+  
+  /**
+   * List the years the data source has bookings for and publish them to the app state.
+   * Until data has been loaded, the selection moves to the most recent year found.
+   * @returns {Promise<Array<Object>>} Years sorted oldest first, as { year, fileName, size, lastModified }
+   */
+  const discoverYears = useCallback(async () => {
+    const years = await dataService.discoverYears();
+    const latestYear = years[years.length - 1]?.year;
+    
+    batchUpdate({
+      availableYears: years,
+      ...(latestYear && loadedYears.length === 0 ? {
+        selectedYears: [latestYear],
+        selectedYear: latestYear
+      } : {})
+    });
+    return years;
+  }, [batchUpdate, loadedYears]);
+  
+  /**
+   * Use booking files picked from the user's machine (local-file source) and load their years
+   * alongside the selected years that still have a file
+   * @param {Array<File>} files - Files named bookingsYYYYYY.csv
+   * @returns {Promise<Array<string>>} Names of the files skipped because their name holds no year
+   */
+  const openLocalFiles = useCallback(async (files) => {
+    const { years, skipped } = dataService.addLocalFiles(files);
+    if (years.length > 0) {
+      const available = (await discoverYears()).map(({ year }) => year);
+      const nextYears = [...new Set([...selectedYears.filter(year => available.includes(year)), ...years])];
+      await loadBookings(nextYears, false, { reload: true });
+    }
+    return skipped;
+  }, [selectedYears, discoverYears, loadBookings]);
+  
+  /**
+   * Show an imported dataset in place of the financial-year data
+   * @param {string} datasetId - Id returned by importService.createDataset
+   */
+  const loadDataset = useCallback(async (datasetId) => {
+    await handleAsync(
+      async () => {
+        const dataset = importService.getDataset(datasetId);
+        if (!dataset) {
+          throw new Error('The imported dataset is no longer available');
+        }
+        
+        console.log(`[useBookings] Showing imported dataset ${dataset.name}`);
+        
+        // Cached stats belong to the data being replaced
+        statsService.clearCache();
+        filterService.clearCache();
+        
+        batchUpdate({
+          bookingsData: dataset.bookings,
+          filteredData: sortService.sortByMultipleFields(dataset.bookings, sortKeys),
+          activeDatasetId: dataset.id,
+          activeFilters: createFilterGroup(),
+          dataQuality: [dataset.qualityReport],
+          currentPage: 1
+        });
+        
+        setGroupedData(prev => ({ ...prev, ...dataset.groups }));
+        await groupData('payment', dataset.bookings);
+      },
+      'useBookings.loadDataset',
+      {
+        severity: ErrorSeverity.ERROR,
+        category: ErrorCategory.DATA,
+        metadata: { datasetId }
+      }
+    );
+  }, [sortKeys, batchUpdate, groupData, handleAsync]);
+  
+  /**
+   * Leave an imported dataset and go back to the selected financial years
+   */
+  const closeDataset = useCallback(async () => {
+    statsService.clearCache();
+    filterService.clearCache();
+    await loadBookings(selectedYears, false, { reload: true });
+  }, [loadBookings, selectedYears]);
+  
+  /**
+   * Cancel the booking load currently in progress, keeping any data already loaded
+   */
+  const cancelLoad = useCallback(() => {
+    if (dataService.cancelLoad()) {
+      console.log('[useBookings] Cancel requested');
+    }
+  }, []);
+  
+  /**
+   * Apply a filter model, sort order and page together, refiltering the data in one pass
+   * @param {Object} view - View state; omitted fields keep their current values
+   * @param {Object} [view.activeFilters] - Root filter group (see utils/filterModel)
+   * @param {Array<Object>} [view.sortKeys] - Sort keys, { field, direction }, most significant first
+   * @param {number} [view.currentPage] - Page to show (defaults to the first)
+   * @param {string|null} [view.selectedCategory] - Category opened in category views
+   * @param {string} [view.timeGrain] - Period time-based views group by (see TimeGrains)
+   * @returns {Promise} Resolves once the view has been applied
+   */
+  const applyViewState = useCallback((view) => {
     if (!bookingsData || bookingsData.length === 0) {
-      return;
+      return Promise.resolve();
     }
     
-    handleAsync(
+    const filters = view.activeFilters ?? activeFilters;
+    const keys = view.sortKeys ?? sortKeys;
+    
+    return handleAsync(
       async () => {
         // Apply the filter
-        const newFilteredData = filterService.applyFilters(
-          bookingsData,
-          filterType,
-          filterValue
-        );
+        const newFilteredData = filterService.applyFilterGroup(bookingsData, filters);
         
-        // Apply any current sorting
-        const sortedData = sortField 
-          ? sortService.sortData(newFilteredData, sortField, sortDirection)
-          : newFilteredData;
+        // Apply the sorting
+        const sortedData = sortService.sortByMultipleFields(newFilteredData, keys);
         
         // Group the filtered data asynchronously
         await Promise.all([
@@ -228,26 +437,45 @@ export const useBookings = () => {
         // Update state
         batchUpdate({
           filteredData: sortedData,
-          activeFilters: { type: filterType, value: filterValue },
-          currentPage: 1
+          activeFilters: filters,
+          sortKeys: keys,
+          currentPage: view.currentPage ?? 1,
+          ...('selectedCategory' in view ? { selectedCategory: view.selectedCategory } : {}),
+          ...(view.timeGrain ? { timeGrain: view.timeGrain } : {})
         });
       },
-      'useBookings.applyFilter',
+      'useBookings.applyViewState',
       {
         severity: ErrorSeverity.ERROR,
         category: ErrorCategory.DATA,
         metadata: {
-          filterType,
-          filterValue,
+          view,
           dataLength: bookingsData?.length,
-          hasSorting: !!sortField
+          hasSorting: keys.length > 0
         },
         onError: (error) => {
           setError(error.message);
         }
       }
     );
-  }, [bookingsData, sortField, sortDirection, batchUpdate, handleAsync, groupData]);
+  }, [bookingsData, activeFilters, sortKeys, batchUpdate, handleAsync, groupData]);
+  
+  /**
+   * Replace the filter model and refilter the booking data in one pass
+   * @param {Object} filters - Root filter group (see utils/filterModel)
+   */
+  const setFilters = useCallback((filters) => {
+    applyViewState({ activeFilters: filters });
+  }, [applyViewState]);
+  
+  /**
+   * Add a filter condition to the active filters
+   * @param {string} filterType - Type of filter
+   * @param {*} filterValue - Filter value
+   */
+  const applyFilter = useCallback((filterType, filterValue) => {
+    setFilters(addCondition(activeFilters, createCondition(filterType, filterValue)));
+  }, [activeFilters, setFilters]);
   
   /**
    * Clear all filters
@@ -258,7 +486,7 @@ export const useBookings = () => {
         console.debug('[useBookings] Clearing all filters');
         
         // Update app context to reset filters
-        setActiveFilters({ type: null, value: null });
+        setActiveFilters(createFilterGroup());
         
         // Important: Clear the filter cache to prevent stale results
         filterService.clearCache();
@@ -274,42 +502,43 @@ export const useBookings = () => {
         severity: ErrorSeverity.ERROR,
         category: ErrorCategory.DATA,
         metadata: {
-          hasFilters: !!activeFilters?.type || !!activeFilters?.value,
+          hasFilters: hasActiveFilters(activeFilters),
           dataLength: bookingsData?.length
         }
       }
     );
-  }, [setActiveFilters, bookingsData, handleAsync]);
+  }, [setActiveFilters, setFilteredData, activeFilters, bookingsData, handleAsync]);
+  
+  /**
+   * Remove a filter condition or group from the active filters
+   * @param {string} filterId - Id of the condition or group
+   */
+  const removeFilter = useCallback((filterId) => {
+    setFilters(removeCondition(activeFilters, filterId));
+  }, [activeFilters, setFilters]);
   
   /**
    * Apply sorting to booking data
    * @param {string} field - Field to sort by
+   * @param {Object} [options] - Sort options
+   * @param {boolean} [options.append] - Add the field as a further sort key instead of sorting by it alone
    */
-  const applySorting = useCallback((field) => {
+  const applySorting = useCallback((field, { append = false } = {}) => {
     if (!filteredData || filteredData.length === 0) {
       return;
     }
     
     try {
-      // Determine the next sort direction
-      const nextDirection = sortService.getNextSortDirection(
-        sortField,
-        field,
-        sortDirection
-      );
+      // Determine the next sort keys
+      const nextKeys = sortService.getNextSortKeys(sortKeys, field, { append });
       
       // Sort the data
-      const sortedData = sortService.sortData(
-        filteredData,
-        field,
-        nextDirection
-      );
+      const sortedData = sortService.sortByMultipleFields(filteredData, nextKeys);
       
       // Update state
       batchUpdate({
         filteredData: sortedData,
-        sortField: field,
-        sortDirection: nextDirection
+        sortKeys: nextKeys
       });
     } catch (error) {
       setError(error.message);
@@ -318,17 +547,17 @@ export const useBookings = () => {
         'useBookings.applySorting',
         ErrorSeverity.ERROR,
         ErrorCategory.DATA,
-        { field }
+        { field, append }
       );
     }
-  }, [filteredData, sortField, sortDirection, batchUpdate, handleError]);
+  }, [filteredData, sortKeys, batchUpdate, handleError]);
   
   /**
    * Refresh booking data
    */
   const refreshData = useCallback(async () => {
     try {
-      return await loadBookings(selectedYear, true); // Force refresh
+      return await loadBookings(selectedYears, true); // Force refresh
     } catch (error) {
       setError(error.message);
       handleError(
@@ -339,26 +568,26 @@ export const useBookings = () => {
       );
       return null;
     }
-  }, [loadBookings, selectedYear, handleError]);
+  }, [loadBookings, selectedYears, handleError]);
   
-  // Memoize the filtered data to prevent unnecessary recalculations
+  // Memoize the filtered data to prevent unnecessary recalculations, in the order the table headers show
   const memoizedFilteredData = useMemo(() => {
-    if (!bookingsData || !activeFilters?.type) return bookingsData;
-    return filterService.applyFilters(bookingsData, activeFilters.type, activeFilters.value);
-  }, [bookingsData, activeFilters]);
+    return sortService.sortByMultipleFields(filterService.applyFilterGroup(bookingsData, activeFilters), sortKeys);
+  }, [bookingsData, activeFilters, sortKeys]);
 
-  // Auto-load data when selectedYear changes or user logs in
+  // Auto-load data when the year selection changes or user logs in
   useEffect(() => {
     let mounted = true;
     let timeoutId;
 
     const loadData = async () => {
-      if (!mounted || !selectedYear || loadingRef.current) return;
+      // Wait until the available years have been listed so the default year is known
+      if (!mounted || !availableYears || !selectedYears?.length || loadingRef.current) return;
       
       // Add a small delay to prevent rapid consecutive loads
       timeoutId = setTimeout(async () => {
         if (mounted && (session || document.body.classList.contains('dev-mode')) && isInitialized) {
-          await loadBookings(selectedYear);
+          await loadBookings(selectedYears);
         }
       }, 100);
     };
@@ -371,7 +600,7 @@ export const useBookings = () => {
         clearTimeout(timeoutId);
       }
     };
-  }, [selectedYear, session, isInitialized, loadBookings]);
+  }, [selectedYears, availableYears, session, isInitialized, loadBookings]);
   
   return {
     bookingsData,
@@ -380,7 +609,17 @@ export const useBookings = () => {
     isLoading,
     error,
     loadBookings,
+    discoverYears,
+    syncBookings,
+    cancelLoad,
+    openLocalFiles,
+    usesLocalFiles: dataService.usesLocalFiles(),
+    loadDataset,
+    closeDataset,
+    applyViewState,
+    setFilters,
     applyFilter,
+    removeFilter,
     clearFilters,
     applySorting,
     refreshData,
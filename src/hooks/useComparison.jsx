@@ -0,0 +1,109 @@
+import { useEffect, useMemo } from 'react';
+import { useApp } from '../context/AppContext';
+import { useErrorHandler } from './useErrorHandler';
+import { ErrorSeverity, ErrorCategory } from '../utils/errorTypes';
+import { FilterTypes } from '../utils/constants';
+import { removeConditionsOfType } from '../utils/filterModel';
+import { dataService } from '../services/dataService';
+import { filterService } from '../services/filterService';
+import { comparisonService, ComparisonModes } from '../services/comparisonService';
+
+// The baseline has its own dates - every other filter applies to it as well
+const DATE_FILTER_TYPES = [FilterTypes.SINGLE_DATE, FilterTypes.DATE_RANGE];
+
+/**
+ * Load the bookings the current figures are compared with (see AppContext comparison) into baselineData.
+ * The current range is the span of the filtered bookings; the baseline gets the same filters apart from dates.
+ * Years that are not loaded are fetched through dataService.loadMultipleYears, without replacing the loaded data;
+ * while they load, baselineData.progress carries the load progress.
+ * Mount once, in the dashboard.
+ */
+export const useComparisonBaseline = () => {
+  const {
+    bookingsData, filteredData, loadedYears, availableYears, activeDatasetId,
+    activeFilters, comparison, setComparison, setBaselineData
+  } = useApp();
+  const { handleAsync } = useErrorHandler();
+
+  const currentRange = useMemo(
+    () => (comparison.mode === ComparisonModes.NONE ? null : comparisonService.getDateRange(filteredData)),
+    [comparison.mode, filteredData]
+  );
+  const baselineRange = useMemo(
+    () => (currentRange ? comparisonService.getBaselineRange(currentRange, comparison.mode, comparison.customRange) : null),
+    [currentRange, comparison]
+  );
+
+  useEffect(() => {
+    if (!baselineRange) {
+      setBaselineData(null);
+      return;
+    }
+
+    let cancelled = false;
+    const controller = new AbortController();
+    const years = comparisonService.getYearKeys(baselineRange);
+    const baseline = { range: baselineRange, currentRange, yearsBack: baselineRange.yearsBack };
+    setBaselineData({ ...baseline, bookings: null, progress: null, missingYears: [] });
+
+    handleAsync(
+      async () => {
+        // Loaded years (and imported datasets) are compared within the data already in memory
+        const sources = [bookingsData];
+        const yearsToLoad = activeDatasetId ? [] : years.filter(year => !loadedYears.includes(year));
+        const missingYears = availableYears
+          ? yearsToLoad.filter(year => !availableYears.some(item => item.year === year))
+          : [];
+        const yearsToFetch = yearsToLoad.filter(year => !missingYears.includes(year));
+
+        if (yearsToFetch.length > 0) {
+          // Same path as the main load, so Cancel and the progress display cover it too
+          let result;
+          try {
+            result = await dataService.loadMultipleYears(yearsToFetch, false, {
+              signal: controller.signal,
+              onProgress: (progress) => {
+                if (!cancelled) setBaselineData({ ...baseline, bookings: null, progress, missingYears });
+              }
+            });
+          } catch (error) {
+            if (error.name !== 'AbortError') throw error;
+
+            // Cancelled from the loading display - go back to the figures on their own
+            if (!cancelled) {
+              console.log('[useComparisonBaseline] Baseline load cancelled for years:', yearsToFetch);
+              setBaselineData(null);
+              setComparison({ ...comparison, mode: ComparisonModes.NONE });
+            }
+            return;
+          }
+          if (cancelled) return;
+          missingYears.push(...result.metadata.missingYears);
+          sources.push(result.bookings);
+        }
+
+        const predicate = filterService.compileFilters(removeConditionsOfType(activeFilters, DATE_FILTER_TYPES));
+        const bookings = sources.flatMap(source => comparisonService.filterToRange(source, baselineRange))
+          .filter(booking => !predicate || predicate(booking));
+
+        if (cancelled) return;
+        console.log(`[useComparisonBaseline] ${bookings.length} baseline bookings for ${baselineRange.start} - ${baselineRange.end}`);
+        setBaselineData({ ...baseline, bookings, progress: null, missingYears });
+      },
+      'useComparisonBaseline.load',
+      {
+        severity: ErrorSeverity.WARNING,
+        category: ErrorCategory.DATA,
+        metadata: { range: baselineRange, years }
+      }
+    ).then(result => {
+      // Without a baseline the figures are shown on their own
+      if (result?.error && !cancelled) setBaselineData(null);
+    });
+
+    return () => {
+      cancelled = true;
+      controller.abort();
+    };
+  }, [baselineRange, currentRange, bookingsData, loadedYears, availableYears, activeDatasetId, activeFilters, comparison, setComparison, setBaselineData, handleAsync]);
+};
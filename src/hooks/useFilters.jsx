@@ -18,8 +18,14 @@ export const useFilters = () => {
   const [locationValue, setLocationValue] = useState('');
   const [textValue, setTextValue] = useState('');
   const [balanceChecked, setBalanceChecked] = useState(false);
+  const [sportValue, setSportValue] = useState('');
+  const [multiValues, setMultiValues] = useState([]);
+  const [rangeMin, setRangeMin] = useState('');
+  const [rangeMax, setRangeMax] = useState('');
+  const [hourFrom, setHourFrom] = useState('');
+  const [hourTo, setHourTo] = useState('');
 
-  const { bookingsData, activeFilters } = useApp();
+  const { bookingsData } = useApp();
   const { applyFilter, clearFilters } = useBookings();
   const { handleAsync, handleError } = useErrorHandler();
 
@@ -63,6 +69,44 @@ export const useFilters = () => {
     return locations || [];
   }, [locations]);
 
+  /**
+   * Sports found in the loaded data, for the sport dropdown
+   */
+  const sports = useMemo(() => {
+    if (!bookingsData?.length) return [];
+    return dataUtils.getUniqueValues(bookingsData, 'Sport').filter(Boolean).sort();
+  }, [bookingsData]);
+
+  /**
+   * Values found in the loaded data for the current multi-select filter
+   */
+  const filterOptions = useMemo(() => {
+    const config = FilterConfig[filterType];
+    if (config?.type !== 'multiSelect') return [];
+    // Fixed lists, such as weekdays, do not depend on the data
+    if (config.options) return config.options;
+    if (!bookingsData?.length) return [];
+    return dataUtils.getUniqueValues(bookingsData, config.field).filter(Boolean).sort();
+  }, [filterType, bookingsData]);
+
+  /**
+   * Clear the values entered for the next condition
+   */
+  const resetInputs = useCallback(() => {
+    setSingleDate('');
+    setStartDate('');
+    setEndDate('');
+    setLocationValue('');
+    setTextValue('');
+    setBalanceChecked(false);
+    setSportValue('');
+    setMultiValues([]);
+    setRangeMin('');
+    setRangeMax('');
+    setHourFrom('');
+    setHourTo('');
+  }, []);
+
   /**
    * Handle filter type change
    * @param {string} type - New filter type
@@ -74,12 +118,7 @@ export const useFilters = () => {
         setFilterType(type);
         
         // Reset all filter values when changing type
-        setSingleDate('');
-        setStartDate('');
-        setEndDate('');
-        setLocationValue('');
-        setTextValue('');
-        setBalanceChecked(false);
+        resetInputs();
       },
       'useFilters.handleFilterTypeChange',
       {
@@ -91,10 +130,10 @@ export const useFilters = () => {
         }
       }
     );
-  }, [handleAsync, filterType]);
+  }, [handleAsync, filterType, resetInputs]);
 
   /**
-   * Apply filter based on current values
+   * Add a condition from the current values to the active filters
    */
   const handleApplyFilter = useCallback(() => {
     handleAsync(
@@ -152,9 +191,55 @@ export const useFilters = () => {
             applyFilter(filterType, balanceChecked);
             break;
 
+          case FilterTypes.SPORT:
+            if (!sportValue) {
+              console.warn('[useFilters] No sport selected');
+              return;
+            }
+            applyFilter(filterType, sportValue);
+            break;
+
           default:
-            console.warn(`[useFilters] Unknown filter type: ${filterType}`);
+            switch (FilterConfig[filterType]?.type) {
+              case 'multiSelect':
+                if (multiValues.length === 0) {
+                  console.warn('[useFilters] No values selected');
+                  return;
+                }
+                applyFilter(filterType, multiValues);
+                break;
+
+              case 'numberRange': {
+                const min = rangeMin === '' ? null : Number(rangeMin);
+                const max = rangeMax === '' ? null : Number(rangeMax);
+                if ((min === null && max === null) || isNaN(min) || isNaN(max)) {
+                  console.warn('[useFilters] No valid range entered');
+                  return;
+                }
+                if (min !== null && max !== null && min > max) {
+                  console.warn('[useFilters] Range minimum is above the maximum');
+                  return;
+                }
+                applyFilter(filterType, { min, max });
+                break;
+              }
+
+              case 'hourRange':
+                if (hourFrom === '' || hourTo === '') {
+                  console.warn('[useFilters] No hour range selected');
+                  return;
+                }
+                applyFilter(filterType, { from: Number(hourFrom), to: Number(hourTo) });
+                break;
+
+              default:
+                console.warn(`[useFilters] Unknown filter type: ${filterType}`);
+                return;
+            }
         }
+
+        // Ready for the next condition
+        resetInputs();
       },
       'useFilters.handleApplyFilter',
       {
@@ -167,7 +252,11 @@ export const useFilters = () => {
             dateRange: !!(startDate || endDate),
             location: !!locationValue,
             text: !!textValue,
-            balance: balanceChecked
+            balance: balanceChecked,
+            sport: !!sportValue,
+            multiSelect: multiValues.length > 0,
+            range: !!(rangeMin || rangeMax),
+            hours: hourFrom !== '' && hourTo !== ''
           },
           dataLength: bookingsData?.length
         }
@@ -175,8 +264,8 @@ export const useFilters = () => {
     );
   }, [
     filterType, singleDate, startDate, endDate,
-    locationValue, textValue, balanceChecked,
-    applyFilter, handleAsync, bookingsData
+    locationValue, textValue, balanceChecked, sportValue, multiValues, rangeMin, rangeMax, hourFrom, hourTo,
+    applyFilter, resetInputs, handleAsync, bookingsData
   ]);
 
   /**
@@ -189,12 +278,7 @@ export const useFilters = () => {
         
         // Reset UI state
         setFilterType('');
-        setSingleDate('');
-        setStartDate('');
-        setEndDate('');
-        setLocationValue('');
-        setTextValue('');
-        setBalanceChecked(false);
+        resetInputs();
         
         // Clear filters from data
         clearFilters();
@@ -216,7 +300,7 @@ export const useFilters = () => {
         }
       }
     );
-  }, [clearFilters, handleAsync, filterType, singleDate, startDate, endDate, locationValue, textValue, balanceChecked]);
+  }, [clearFilters, resetInputs, handleAsync, filterType, singleDate, startDate, endDate, locationValue, textValue, balanceChecked]);
 
   /**
    * Check if a specific input should be visible
@@ -231,6 +315,8 @@ export const useFilters = () => {
         return filterType === FilterTypes.DATE_RANGE;
       case 'location':
         return filterType === FilterTypes.LOCATION;
+      case 'sport':
+        return filterType === FilterTypes.SPORT;
       case 'text':
         return [
           FilterTypes.CUSTOMER,
@@ -239,6 +325,10 @@ export const useFilters = () => {
         ].includes(filterType);
       case 'balance':
         return filterType === FilterTypes.BALANCE;
+      case 'multiSelect':
+      case 'numberRange':
+      case 'hourRange':
+        return FilterConfig[filterType]?.type === inputType;
       default:
         return false;
     }
@@ -255,56 +345,6 @@ export const useFilters = () => {
     return 'Enter search term';
   }, [filterType]);
 
-  /**
-   * Initialize filter UI from active filters
-   */
-  const initFromActiveFilters = useCallback(() => {
-    if (!activeFilters?.type) return;
-    
-    handleAsync(
-      async () => {
-        console.log('[useFilters] Initializing from active filters', activeFilters);
-        
-        setFilterType(activeFilters.type);
-        
-        switch (activeFilters.type) {
-          case FilterTypes.SINGLE_DATE:
-            setSingleDate(activeFilters.value);
-            break;
-            
-          case FilterTypes.DATE_RANGE:
-            setStartDate(activeFilters.value.startDate || '');
-            setEndDate(activeFilters.value.endDate || '');
-            break;
-            
-          case FilterTypes.LOCATION:
-            setLocationValue(activeFilters.value);
-            break;
-            
-          case FilterTypes.CUSTOMER:
-          case FilterTypes.BOOKING_REF:
-          case FilterTypes.PHONE:
-            setTextValue(activeFilters.value);
-            break;
-            
-          case FilterTypes.BALANCE:
-            setBalanceChecked(activeFilters.value);
-            break;
-        }
-      },
-      'useFilters.initFromActiveFilters',
-      {
-        severity: ErrorSeverity.ERROR,
-        category: ErrorCategory.UI,
-        metadata: {
-          filterType: activeFilters.type,
-          hasValue: !!activeFilters.value,
-          valueType: typeof activeFilters.value
-        }
-      }
-    );
-  }, [activeFilters, handleAsync]);
-
   return {
     // State
     filterType,
@@ -314,6 +354,14 @@ export const useFilters = () => {
     locationValue,
     textValue,
     balanceChecked,
+    sportValue,
+    sports,
+    multiValues,
+    rangeMin,
+    rangeMax,
+    hourFrom,
+    hourTo,
+    filterOptions,
     
     // Setters
     setSingleDate,
@@ -322,6 +370,12 @@ export const useFilters = () => {
     setLocationValue,
     setTextValue,
     setBalanceChecked,
+    setSportValue,
+    setMultiValues,
+    setRangeMin,
+    setRangeMax,
+    setHourFrom,
+    setHourTo,
     
     // Actions
     handleFilterTypeChange,
@@ -331,7 +385,6 @@ export const useFilters = () => {
     // Helpers
     getLocations,
     isInputVisible,
-    getTextPlaceholder,
-    initFromActiveFilters
+    getTextPlaceholder
   };
 };
\ No newline at end of file
@@ -0,0 +1,221 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { useApp } from '../context/AppContext';
+import { useAuth } from '../context/AuthContext';
+import { useBookings } from './useBookings';
+import { useErrorHandler } from './useErrorHandler';
+import { ErrorSeverity, ErrorCategory } from '../utils/errorTypes';
+import { ROUTES } from '../config/routes';
+import { savedViewsService } from '../services/savedViewsService';
+import { serializeFilters, deserializeFilters, createFilterGroup, isFilterGroup } from '../utils/filterModel';
+import { getDashboardLocation, hasDashboardState } from '../utils/urlState';
+
+// User whose default view has been applied, so it only happens on landing
+let defaultAppliedFor = null;
+
+/**
+ * Dashboard route of a pathname, relative to /dashboard
+ * @param {string} pathname - Current pathname
+ * @returns {string} e.g. 'table' or 'reports/vasant-kunj'
+ */
+function getDashboardRoute(pathname) {
+  return pathname.replace(new RegExp(`^${ROUTES.DASHBOARD}/?`), '') || 'table';
+}
+
+/**
+ * Named views of the dashboard - filters, sort, time grain, visible columns and route - saved per user
+ * @returns {Object} Saved views and the actions on them
+ */
+export const useSavedViews = () => {
+  const { user } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const {
+    selectedYears, activeDatasetId, activeFilters, sortKeys, timeGrain,
+    visibleColumns, setVisibleColumns
+  } = useApp();
+  const { applyViewState } = useBookings();
+  const { handleAsync } = useErrorHandler();
+  const [record, setRecord] = useState({ views: [], defaultViewId: null });
+  const [isLoading, setIsLoading] = useState(false);
+  // User whose views are in `record`
+  const [loadedFor, setLoadedFor] = useState(null);
+
+  const userId = user?.id;
+
+  // Load the user's views
+  useEffect(() => {
+    let mounted = true;
+    if (!userId) return;
+
+    setIsLoading(true);
+    handleAsync(
+      async () => {
+        const loaded = await savedViewsService.load(userId);
+        if (!mounted) return;
+        setRecord(loaded);
+        setLoadedFor(userId);
+      },
+      'useSavedViews.load',
+      {
+        severity: ErrorSeverity.WARNING,
+        category: ErrorCategory.DATA,
+        metadata: { userId }
+      }
+    ).finally(() => {
+      if (mounted) setIsLoading(false);
+    });
+
+    return () => {
+      mounted = false;
+    };
+  }, [userId, handleAsync]);
+
+  /**
+   * Store a new set of views
+   * @param {Object} next - { views, defaultViewId }
+   * @returns {Promise<*>} handleAsync result
+   */
+  const persist = useCallback((next) => {
+    setRecord(next);
+    return handleAsync(
+      async () => {
+        await savedViewsService.save(userId, next);
+      },
+      'useSavedViews.persist',
+      {
+        severity: ErrorSeverity.WARNING,
+        category: ErrorCategory.DATA,
+        metadata: {
+          userId,
+          viewCount: next.views.length
+        }
+      }
+    );
+  }, [userId, handleAsync]);
+
+  /**
+   * Save the current dashboard view under a name. A view with the same name is overwritten.
+   * @param {string} name - View name
+   * @returns {Promise<*>} handleAsync result
+   */
+  const saveView = useCallback((name) => {
+    const trimmed = name.trim();
+    if (!trimmed) return Promise.resolve();
+
+    const existing = record.views.find(view => view.name.toLowerCase() === trimmed.toLowerCase());
+    const view = {
+      id: existing?.id || `view-${Date.now().toString(36)}`,
+      name: trimmed,
+      route: getDashboardRoute(location.pathname),
+      filters: serializeFilters(activeFilters),
+      sortKeys,
+      timeGrain,
+      visibleColumns,
+      updatedAt: new Date().toISOString()
+    };
+
+    console.log('[useSavedViews] Saving view:', view);
+    const views = existing
+      ? record.views.map(item => (item.id === existing.id ? view : item))
+      : [...record.views, view];
+    return persist({ ...record, views });
+  }, [record, location.pathname, activeFilters, sortKeys, timeGrain, visibleColumns, persist]);
+
+  /**
+   * Show a saved view: open its route with its filters, sort and columns
+   * @param {string} id - View id
+   * @param {Object} [options] - Navigation options
+   * @param {boolean} [options.replace] - Replace the current history entry
+   */
+  const applyView = useCallback((id, { replace = false } = {}) => {
+    const view = record.views.find(item => item.id === id);
+    if (!view) return;
+
+    console.log('[useSavedViews] Applying view:', view.name);
+    const filters = deserializeFilters(view.filters);
+    const target = {
+      activeFilters: isFilterGroup(filters) ? filters : createFilterGroup(),
+      // Views saved before multi-column sorting have a single field and direction
+      sortKeys: view.sortKeys || (view.sortField ? [{ field: view.sortField, direction: view.sortDirection }] : undefined),
+      currentPage: 1,
+      selectedCategory: null,
+      timeGrain: view.timeGrain
+    };
+
+    setVisibleColumns(view.visibleColumns || null);
+
+    // The URL state hook restores filters and sort from the query string
+    const destination = getDashboardLocation(view.route, { ...target, selectedYears, activeDatasetId });
+    navigate(destination, { replace });
+
+    // A view with no filters and the default sort has nothing in the query string to restore
+    if (!hasDashboardState(destination.search)) {
+      applyViewState(target);
+    }
+  }, [record.views, selectedYears, activeDatasetId, setVisibleColumns, navigate, applyViewState]);
+
+  /**
+   * Delete a saved view
+   * @param {string} id - View id
+   * @returns {Promise<*>} handleAsync result
+   */
+  const deleteView = useCallback((id) => {
+    return persist({
+      views: record.views.filter(view => view.id !== id),
+      defaultViewId: record.defaultViewId === id ? null : record.defaultViewId
+    });
+  }, [record, persist]);
+
+  /**
+   * Choose the view the dashboard opens with
+   * @param {string|null} id - View id, or null for no default
+   * @returns {Promise<*>} handleAsync result
+   */
+  const setDefaultView = useCallback((id) => {
+    return persist({ ...record, defaultViewId: id });
+  }, [record, persist]);
+
+  const defaultView = useMemo(
+    () => record.views.find(view => view.id === record.defaultViewId) || null,
+    [record]
+  );
+
+  return {
+    views: record.views,
+    defaultView,
+    isLoading,
+    isLoaded: !!userId && loadedFor === userId,
+    canSave: !!userId,
+    saveView,
+    applyView,
+    deleteView,
+    setDefaultView
+  };
+};
+
+/**
+ * Open the user's default saved view once the dashboard has data.
+ * Only on landing, and not when the URL already carries a view (e.g. a shared link).
+ * Mount once, in the dashboard.
+ */
+export const useDefaultSavedView = () => {
+  const location = useLocation();
+  const { user } = useAuth();
+  const { bookingsData, isLoading } = useApp();
+  const { isLoaded, defaultView, applyView } = useSavedViews();
+
+  // Query string the dashboard was opened with
+  const landingSearchRef = useRef(location.search);
+
+  useEffect(() => {
+    if (!isLoaded || defaultAppliedFor === user.id || !bookingsData?.length || isLoading) return;
+
+    // Decided once - a default chosen later in the session applies on the next visit
+    defaultAppliedFor = user.id;
+    if (!defaultView || hasDashboardState(landingSearchRef.current)) return;
+
+    console.log('[useDefaultSavedView] Opening default view:', defaultView.name);
+    applyView(defaultView.id, { replace: true });
+  }, [isLoaded, user, bookingsData, isLoading, defaultView, applyView]);
+};
@@ -0,0 +1,83 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { useApp } from '../context/AppContext';
+import { useBookings } from './useBookings';
+import {
+  serializeDashboardState,
+  parseDashboardState,
+  hasDashboardState,
+  normalizeDashboardSearch
+} from '../utils/urlState';
+
+/**
+ * Keep the dashboard view state (years, filters, sort, page, category, time grain) in the query string.
+ * Links restore the view they were copied from, and back/forward restore earlier views.
+ * Mount once, in the dashboard.
+ */
+export const useDashboardUrlState = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const {
+    bookingsData, isLoading, selectedYears, loadedYears, availableYears, activeDatasetId,
+    activeFilters, sortKeys, currentPage, selectedCategory, timeGrain, setSelectedYears
+  } = useApp();
+  const { applyViewState } = useBookings();
+
+  // Query string the state was last read from or written to
+  const syncedSearchRef = useRef(null);
+  // Set while a query string is being applied, so the half-applied state is not written back
+  const applyingRef = useRef(false);
+
+  const search = location.search.replace(/^\?/, '');
+  const stateSearch = useMemo(() => serializeDashboardState({
+    selectedYears, activeDatasetId, activeFilters, sortKeys, currentPage, selectedCategory, timeGrain
+  }), [selectedYears, activeDatasetId, activeFilters, sortKeys, currentPage, selectedCategory, timeGrain]);
+
+  // URL -> state: on first load and on back/forward
+  useEffect(() => {
+    if (search === syncedSearchRef.current || search === stateSearch) {
+      syncedSearchRef.current = search;
+      return;
+    }
+    // Links without dashboard state (e.g. the navigation tabs) keep the current view
+    if (!hasDashboardState(search) || !bookingsData?.length || isLoading || applyingRef.current) return;
+
+    const target = parseDashboardState(search);
+    console.log('[useDashboardUrlState] Restoring view from URL:', target);
+
+    // Years first - the rest is applied once they have loaded
+    const knownYears = target.years.filter(year => !availableYears || availableYears.some(item => item.year === year));
+    if (!activeDatasetId && knownYears.length > 0 && knownYears.join(',') !== loadedYears.join(',')) {
+      if (knownYears.join(',') !== selectedYears.join(',')) {
+        setSelectedYears(knownYears);
+        return;
+      }
+    }
+
+    syncedSearchRef.current = search;
+    applyingRef.current = true;
+    applyViewState({
+      activeFilters: target.activeFilters,
+      sortKeys: target.sortKeys,
+      currentPage: target.currentPage,
+      selectedCategory: target.selectedCategory,
+      timeGrain: target.timeGrain
+    }).finally(() => {
+      applyingRef.current = false;
+    });
+  }, [search, stateSearch, bookingsData, isLoading, availableYears, activeDatasetId, loadedYears, selectedYears, setSelectedYears, applyViewState]);
+
+  // State -> URL: every change to the view becomes a history entry
+  useEffect(() => {
+    if (applyingRef.current || !bookingsData?.length || search === stateSearch) return;
+
+    // A URL that has not been applied yet wins over the current state
+    const hasState = hasDashboardState(search);
+    if (hasState && search !== syncedSearchRef.current) return;
+
+    // Replace rather than push when the URL had no state or only differs in how it was written
+    const replace = !hasState || normalizeDashboardSearch(search) === stateSearch;
+    syncedSearchRef.current = stateSearch;
+    navigate({ pathname: location.pathname, search: stateSearch ? `?${stateSearch}` : '' }, { replace });
+  }, [search, stateSearch, bookingsData, location.pathname, navigate]);
+};
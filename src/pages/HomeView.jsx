@@ -9,13 +9,13 @@ import VisualizationDashboard from '../components/dashboard/VisualizationDashboa
  * Dashboard page component displaying summary statistics and quick actions
  */
 function HomeView() {
-  const { selectedYear } = useApp();
+  const { selectedYears } = useApp();
   const { loadBookings, filteredData } = useBookings();
 
   // Load data when the component mounts
   useEffect(() => {
-    loadBookings(selectedYear);
-  }, [loadBookings, selectedYear]);
+    loadBookings(selectedYears);
+  }, [loadBookings, selectedYears]);
 
   return (
     <div className="container mx-auto px-4 py-6">
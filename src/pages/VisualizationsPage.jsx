@@ -8,13 +8,13 @@ import VisualizationDashboard from '../components/dashboard/VisualizationDashboa
  * Visualizations page component providing focused visualization experience
  */
 function VisualizationsPage() {
-  const { selectedYear } = useApp();
+  const { selectedYears } = useApp();
   const { loadBookings } = useBookings();
 
   // Load data when the component mounts
   useEffect(() => {
-    loadBookings(selectedYear);
-  }, [loadBookings, selectedYear]);
+    loadBookings(selectedYears);
+  }, [loadBookings, selectedYears]);
 
   return (
     <div className="container mx-auto px-4 py-6">
@@ -0,0 +1,153 @@
+// IndexedDB configuration
+const DB_NAME = 'claygrounds-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'bookings';
+
+// Bump when processData output or the sync state changes so stale processed rows are discarded
+const CACHE_SCHEMA_VERSION = 7;
+
+// Shared connection promise
+let dbPromise = null;
+
+/**
+ * Open (or reuse) the IndexedDB connection
+ * @returns {Promise<IDBDatabase|null>} Database or null when IndexedDB is unavailable
+ */
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+
+      request.onerror = () => {
+        console.warn('[BookingCache] Could not open IndexedDB:', request.error);
+        dbPromise = null;
+        resolve(null);
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Run a single request against the bookings store
+ * @param {string} mode - Transaction mode ('readonly' | 'readwrite')
+ * @param {Function} operation - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} Request result, or null when IndexedDB is unavailable
+ */
+async function runRequest(mode, operation) {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Persistent browser-side cache of processed bookings, keyed by year file
+ */
+export const bookingCache = {
+  /**
+   * Read a cached entry
+   * @param {string} key - Cache key (the year file name)
+   * @returns {Promise<Object|null>} Entry with data, version, groupIndex, qualityReport, syncState and timestamp, or null
+   */
+  async get(key) {
+    try {
+      const entry = await runRequest('readonly', store => store.get(key));
+      if (!entry || entry.schemaVersion !== CACHE_SCHEMA_VERSION) {
+        return null;
+      }
+      return entry;
+    } catch (error) {
+      console.warn(`[BookingCache] Failed to read ${key}:`, error);
+      return null;
+    }
+  },
+
+  /**
+   * Store processed bookings together with the source file version
+   * @param {string} key - Cache key (the year file name)
+   * @param {Array} data - Processed bookings
+   * @param {Object|null} version - Storage object version ({ eTag, size, lastModified })
+   * @param {Object} [extras] - Data derived while parsing
+   * @param {Object|null} [extras.groupIndex] - Initial groupings as row indices
+   * @param {Object|null} [extras.qualityReport] - Data-quality report for the file
+   * @param {Object|null} [extras.syncState] - Last known serial number and booking references
+   */
+  async set(key, data, version, { groupIndex = null, qualityReport = null, syncState = null } = {}) {
+    try {
+      await runRequest('readwrite', store => store.put({
+        key,
+        data,
+        version,
+        groupIndex,
+        qualityReport,
+        syncState,
+        schemaVersion: CACHE_SCHEMA_VERSION,
+        timestamp: Date.now()
+      }));
+      console.log(`[BookingCache] Persisted ${data.length} records for ${key}`);
+    } catch (error) {
+      // A full or blocked store should never break loading
+      console.warn(`[BookingCache] Failed to persist ${key}:`, error);
+    }
+  },
+
+  /**
+   * Remove a single entry
+   * @param {string} key - Cache key
+   */
+  async delete(key) {
+    try {
+      await runRequest('readwrite', store => store.delete(key));
+    } catch (error) {
+      console.warn(`[BookingCache] Failed to delete ${key}:`, error);
+    }
+  },
+
+  /**
+   * Remove every entry
+   */
+  async clear() {
+    try {
+      await runRequest('readwrite', store => store.clear());
+      console.log('[BookingCache] Persistent cache cleared');
+    } catch (error) {
+      console.warn('[BookingCache] Failed to clear cache:', error);
+    }
+  },
+
+  /**
+   * Check whether a cached version still matches the storage object
+   * @param {Object|null} cached - Version stored with the cache entry
+   * @param {Object|null} current - Version reported by storage
+   * @returns {boolean} Whether the cached data is still current
+   */
+  isSameVersion(cached, current) {
+    if (!cached || !current) return false;
+
+    if (cached.eTag && current.eTag) {
+      return cached.eTag === current.eTag;
+    }
+
+    return cached.size === current.size && cached.lastModified === current.lastModified;
+  }
+};
@@ -0,0 +1,327 @@
+import { statsService } from './statsService';
+import { sortService } from './sortService';
+import {
+  parseDate,
+  formatDate,
+  isDateInRange,
+  getPeriodKey,
+  getPeriodRange,
+  TimeGrains
+} from '../utils/dateUtils';
+
+/**
+ * Periods the current figures can be compared with
+ * @enum {string}
+ */
+export const ComparisonModes = {
+  NONE: 'none',
+  PREVIOUS_FY: 'previous-fy',
+  SAME_PERIOD_LAST_YEAR: 'same-period-last-year',
+  CUSTOM: 'custom'
+};
+
+/**
+ * Display names of the comparison modes
+ */
+export const COMPARISON_MODE_LABELS = {
+  [ComparisonModes.NONE]: 'No comparison',
+  [ComparisonModes.PREVIOUS_FY]: 'Previous FY',
+  [ComparisonModes.SAME_PERIOD_LAST_YEAR]: 'Same period last year',
+  [ComparisonModes.CUSTOM]: 'Custom range'
+};
+
+// Figures compared for the summary, its location and monthly breakdowns, and the category cards
+const SUMMARY_FIELDS = [
+  'totalBookings', 'totalCollection', 'totalSlots', 'uniqueCustomers',
+  'totalBalance', 'avgRevenuePerSlot', 'completionRate'
+];
+const STATUS_FIELDS = ['confirmed', 'cancelled', 'partially_cancelled', 'confirmationRate'];
+const SOURCE_FIELDS = ['online', 'offline', 'onlinePercentage'];
+const PAYMENT_FIELDS = ['amount', 'count', 'percentage'];
+const BREAKDOWN_FIELDS = ['bookings', 'revenue', 'slots', 'uniqueCustomers'];
+const CATEGORY_FIELDS = ['totalBookings', 'totalCollection', 'totalBalance', 'uniqueCustomers'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start year of the financial year a date falls in (2024 for 2024-25)
+ * @param {Date} date - Date object
+ * @returns {number} Year
+ */
+function getFinancialYearStart(date) {
+  return date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+}
+
+/**
+ * The same day some years earlier (29 February becomes 1 March)
+ * @param {Date} date - Date object
+ * @param {number} years - Years back
+ * @returns {Date} Shifted date
+ */
+function shiftYears(date, years) {
+  return new Date(date.getFullYear() - years, date.getMonth(), date.getDate());
+}
+
+/**
+ * Deltas for some fields of two sets of figures; a missing figure counts as 0
+ * @param {Object} [current] - Current figures
+ * @param {Object} [baseline] - Baseline figures
+ * @param {Array<string>} fields - Fields to compare
+ * @returns {Object} Field -> delta from calculateDelta
+ */
+function compareFields(current, baseline, fields) {
+  return fields.reduce((deltas, field) => {
+    deltas[field] = comparisonService.calculateDelta(current?.[field], baseline?.[field]);
+    return deltas;
+  }, {});
+}
+
+/**
+ * Baseline figures compared with the current ones: the same summary, location, monthly and
+ * category stats, worked out for a previous financial year, the same period a year earlier or a custom range
+ */
+export const comparisonService = {
+  /**
+   * First and last slot date of some bookings
+   * @param {Array} bookings - Processed bookings
+   * @returns {Object|null} { start, end } as DD/MM/YYYY strings, or null when no booking has a date
+   */
+  getDateRange(bookings) {
+    let start = null;
+    let end = null;
+    (bookings || []).forEach(booking => {
+      const date = parseDate(booking['Slot Date']);
+      if (!date || isNaN(date)) return;
+      if (!start || date < start) start = date;
+      if (!end || date > end) end = date;
+    });
+    return start ? { start: formatDate(start), end: formatDate(end) } : null;
+  },
+
+  /**
+   * Period to compare a date range with
+   * @param {Object} currentRange - { start, end } of the current figures, DD/MM/YYYY
+   * @param {string} mode - One of ComparisonModes
+   * @param {Object} [customRange] - { start, end } for ComparisonModes.CUSTOM, DD/MM/YYYY
+   * @returns {Object|null} { start, end, yearsBack } where yearsBack is how many years the baseline
+   *   lies behind the current range (null for a custom range), or null when there is nothing to compare with
+   */
+  getBaselineRange(currentRange, mode, customRange) {
+    const start = parseDate(currentRange?.start);
+    const end = parseDate(currentRange?.end);
+    if (!start || !end || isNaN(start) || isNaN(end)) return null;
+
+    switch (mode) {
+      case ComparisonModes.PREVIOUS_FY: {
+        // As many whole financial years as the current range touches, just before the first of them
+        const firstYear = getFinancialYearStart(start);
+        const yearsBack = getFinancialYearStart(end) - firstYear + 1;
+        return {
+          start: formatDate(new Date(firstYear - yearsBack, 3, 1)),
+          end: formatDate(new Date(firstYear, 2, 31)),
+          yearsBack
+        };
+      }
+      case ComparisonModes.SAME_PERIOD_LAST_YEAR:
+        return { start: formatDate(shiftYears(start, 1)), end: formatDate(shiftYears(end, 1)), yearsBack: 1 };
+      case ComparisonModes.CUSTOM: {
+        const customStart = parseDate(customRange?.start);
+        const customEnd = parseDate(customRange?.end);
+        if (!customStart || !customEnd || isNaN(customStart) || isNaN(customEnd) || customStart > customEnd) return null;
+        return { start: customRange.start, end: customRange.end, yearsBack: null };
+      }
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * Financial years a date range touches
+   * @param {Object} range - { start, end }, DD/MM/YYYY
+   * @returns {Array<string>} Year keys, e.g. ['202324', '202425']
+   */
+  getYearKeys(range) {
+    const start = parseDate(range?.start);
+    const end = parseDate(range?.end);
+    if (!start || !end || isNaN(start) || isNaN(end)) return [];
+
+    const keys = [];
+    for (let year = getFinancialYearStart(start); year <= getFinancialYearStart(end); year++) {
+      keys.push(`${year}${String((year + 1) % 100).padStart(2, '0')}`);
+    }
+    return keys;
+  },
+
+  /**
+   * Bookings with a slot date inside a range
+   * @param {Array} bookings - Processed bookings
+   * @param {Object} range - { start, end }, DD/MM/YYYY
+   * @returns {Array} Bookings in the range
+   */
+  filterToRange(bookings, range) {
+    if (!bookings || !range) return [];
+    return bookings.filter(booking => isDateInRange(booking['Slot Date'], range.start, range.end));
+  },
+
+  /**
+   * Change from a baseline figure to the current one
+   * @param {number} current - Current figure
+   * @param {number} baseline - Baseline figure
+   * @returns {Object} { current, baseline, change, percentChange, direction } - percentChange is null
+   *   when the baseline is 0; direction is 'up', 'down' or 'neutral'
+   */
+  calculateDelta(current, baseline) {
+    const currentValue = Number(current) || 0;
+    const baselineValue = Number(baseline) || 0;
+    const change = currentValue - baselineValue;
+    return {
+      current: currentValue,
+      baseline: baselineValue,
+      change,
+      percentChange: baselineValue ? (change / Math.abs(baselineValue)) * 100 : null,
+      direction: change > 0 ? 'up' : change < 0 ? 'down' : 'neutral'
+    };
+  },
+
+  /**
+   * Which baseline period each current period is compared with. Periods line up by date when
+   * the baseline is a whole number of years back - weeks by 52 weeks a year, so weekdays line up too -
+   * and in time order for a custom range.
+   * @param {Array<string>} currentKeys - Current period keys
+   * @param {Array<string>} baselineKeys - Baseline period keys
+   * @param {string} grain - One of TimeGrains
+   * @param {number|null} yearsBack - Years between the periods, null for a custom range
+   * @returns {Map<string, string|null>} Current period -> baseline period
+   */
+  alignPeriods(currentKeys, baselineKeys, grain, yearsBack) {
+    const aligned = new Map();
+
+    if (!yearsBack) {
+      const sortedCurrent = sortService.sortPeriods(currentKeys.map(key => [key]), grain).map(([key]) => key);
+      const sortedBaseline = sortService.sortPeriods(baselineKeys.map(key => [key]), grain).map(([key]) => key);
+      sortedCurrent.forEach((key, index) => aligned.set(key, sortedBaseline[index] || null));
+      return aligned;
+    }
+
+    currentKeys.forEach(key => {
+      const range = getPeriodRange(key, grain);
+      if (!range) {
+        aligned.set(key, null);
+        return;
+      }
+      const shifted = grain === TimeGrains.WEEK
+        ? new Date(range.start.getTime() - yearsBack * 52 * 7 * DAY_MS)
+        : shiftYears(range.start, yearsBack);
+      aligned.set(key, getPeriodKey(shifted, grain));
+    });
+    return aligned;
+  },
+
+  /**
+   * Compare figures period by period
+   * @param {Array} currentPeriods - From statsService.calculatePeriodStats
+   * @param {Array} baselinePeriods - From statsService.calculatePeriodStats for the baseline
+   * @param {string} grain - One of TimeGrains
+   * @param {number|null} yearsBack - Years between the periods, null for a custom range
+   * @returns {Object} Current period -> { baselinePeriod, bookings, revenue, slots, uniqueCustomers } deltas
+   */
+  comparePeriods(currentPeriods, baselinePeriods, grain, yearsBack) {
+    const baselineByPeriod = new Map((baselinePeriods || []).map(period => [period.period, period]));
+    const aligned = this.alignPeriods(
+      (currentPeriods || []).map(period => period.period),
+      [...baselineByPeriod.keys()],
+      grain,
+      yearsBack
+    );
+
+    return (currentPeriods || []).reduce((comparison, period) => {
+      const baselinePeriod = aligned.get(period.period);
+      comparison[period.period] = {
+        baselinePeriod,
+        ...compareFields(period, baselineByPeriod.get(baselinePeriod), BREAKDOWN_FIELDS)
+      };
+      return comparison;
+    }, {});
+  },
+
+  /**
+   * Compare two summaries from statsService.calculateSummaryStats
+   * @param {Object} current - Current summary
+   * @param {Object|null} baseline - Baseline summary, null when the baseline has no bookings
+   * @param {number|null} yearsBack - Years between the periods, null for a custom range
+   * @returns {Object} The summary's shape with a delta in place of each figure; locationStats is keyed by
+   *   location id and monthlyStats by month
+   */
+  compareSummaryStats(current, baseline, yearsBack) {
+    if (!current) return null;
+
+    const baselineLocations = new Map((baseline?.locationStats || []).map(item => [item.locationId, item]));
+    const paymentStats = {};
+    Object.keys(current.paymentStats || {}).forEach(mode => {
+      paymentStats[mode] = compareFields(current.paymentStats[mode], baseline?.paymentStats?.[mode], PAYMENT_FIELDS);
+    });
+
+    return {
+      ...compareFields(current, baseline, SUMMARY_FIELDS),
+      statusStats: compareFields(current.statusStats, baseline?.statusStats, STATUS_FIELDS),
+      sourceStats: compareFields(current.sourceStats, baseline?.sourceStats, SOURCE_FIELDS),
+      paymentStats,
+      locationStats: (current.locationStats || []).reduce((locations, item) => {
+        locations[item.locationId] = compareFields(item, baselineLocations.get(item.locationId), BREAKDOWN_FIELDS);
+        return locations;
+      }, {}),
+      monthlyStats: this.comparePeriods(current.monthlyStats, baseline?.monthlyStats, TimeGrains.MONTH, yearsBack)
+    };
+  },
+
+  /**
+   * Compare a summary with the one for the baseline bookings
+   * @param {Object} currentStats - From statsService.calculateSummaryStats
+   * @param {Object} baseline - { bookings, range, yearsBack } of the loaded baseline
+   * @returns {Object|null} Deltas from compareSummaryStats, or null without a loaded baseline
+   */
+  compareSummary(currentStats, baseline) {
+    if (!currentStats || !baseline?.bookings) return null;
+
+    // The range is part of the cache key so baselines of the same size are not mixed up
+    const baselineStats = statsService.calculateSummaryStats(
+      baseline.bookings,
+      `baseline_${baseline.range.start}_${baseline.range.end}`
+    );
+    console.log(`[ComparisonService] Compared ${currentStats.totalBookings} bookings with ${baseline.bookings.length} from ${baseline.range.start} - ${baseline.range.end}`);
+    return this.compareSummaryStats(currentStats, baselineStats, baseline.yearsBack);
+  },
+
+  /**
+   * Compare the stats of each category card with the same category in the baseline.
+   * Period categories are compared with the aligned baseline period (see alignPeriods).
+   * @param {Object} currentStats - Category -> stats from statsService.calculateCategoryStats
+   * @param {Object} baseline - { bookings, yearsBack } of the loaded baseline
+   * @param {Object} config - Category configuration (see categoryConfigs)
+   * @returns {Promise<Object>} Category -> { baselineCategory, totalBookings, totalCollection, totalBalance, uniqueCustomers } deltas
+   */
+  async compareCategoryStats(currentStats, baseline, config) {
+    if (!currentStats || !baseline?.bookings) return null;
+
+    const baselineGroups = statsService.groupForCategory(baseline.bookings, config);
+    const categories = Object.keys(currentStats);
+    const aligned = config.groupBy === 'period'
+      ? this.alignPeriods(categories, Object.keys(baselineGroups), config.grain || TimeGrains.MONTH, baseline.yearsBack)
+      : new Map(categories.map(category => [category, category]));
+
+    const comparisons = await Promise.all(categories.map(async category => {
+      const baselineCategory = aligned.get(category);
+      const baselineBookings = baselineGroups[baselineCategory];
+      const baselineStats = baselineBookings?.length
+        ? await statsService.calculateCategoryStats(baselineBookings, baselineCategory, config)
+        : null;
+      return [category, {
+        baselineCategory,
+        ...compareFields(currentStats[category], baselineStats, CATEGORY_FIELDS)
+      }];
+    }));
+
+    console.log(`[ComparisonService] Compared ${categories.length} ${config.category} categories with the baseline`);
+    return Object.fromEntries(comparisons);
+  }
+};
@@ -0,0 +1,84 @@
+import { normalizeMobile, clusterNames } from '../utils/customerIdentity';
+
+// Customer registries by bookings array, rebuilt whenever a new array is loaded
+const registryCache = new WeakMap();
+
+/**
+ * Customers resolved from bookings by their Customer Id (see customerIdentity.getCustomerId)
+ */
+export const customerService = {
+  /**
+   * Build (or reuse) the customer registry for a bookings array
+   * @param {Array} bookings - Processed bookings
+   * @returns {Map<string, Object>} Customer Id -> { id, phone, name, aliases, nameClusters, isSharedPhone, bookingCount }
+   */
+  getCustomers(bookings) {
+    if (!bookings) return new Map();
+    if (registryCache.has(bookings)) return registryCache.get(bookings);
+
+    const start = performance.now();
+    const nameCounts = new Map();
+
+    bookings.forEach(booking => {
+      const id = booking['Customer Id'];
+      if (!id) return;
+
+      const counts = nameCounts.get(id) || new Map();
+      const name = String(booking['Customer Name'] || '').trim();
+      counts.set(name, (counts.get(name) || 0) + 1);
+      nameCounts.set(id, counts);
+    });
+
+    const customers = new Map();
+    nameCounts.forEach((counts, id) => {
+      const nameClusters = clusterNames(counts);
+      const phone = id.startsWith('name:') ? '' : id;
+      customers.set(id, {
+        id,
+        phone,
+        name: nameClusters[0]?.name || phone || 'Unknown',
+        // Every spelling, most used first
+        aliases: [...counts.entries()].filter(([name]) => name).sort((a, b) => b[1] - a[1]).map(([name]) => name),
+        nameClusters,
+        // Names that are not variants of each other suggest several people booking on one number
+        isSharedPhone: !!phone && nameClusters.length > 1,
+        bookingCount: [...counts.values()].reduce((total, count) => total + count, 0)
+      });
+    });
+
+    const shared = [...customers.values()].filter(customer => customer.isSharedPhone).length;
+    console.log(`[CustomerService] Resolved ${customers.size} customers from ${bookings.length} bookings (${shared} shared phones) in ${Math.round(performance.now() - start)}ms`);
+
+    registryCache.set(bookings, customers);
+    return customers;
+  },
+
+  /**
+   * Look up one customer
+   * @param {Array} bookings - Processed bookings
+   * @param {string} customerId - Customer Id
+   * @returns {Object|null} Customer, or null when no booking has this id
+   */
+  getCustomer(bookings, customerId) {
+    return this.getCustomers(bookings).get(customerId) || null;
+  },
+
+  /**
+   * Customer Id of the customer with a phone number
+   * @param {string} phone - Phone number as written
+   * @returns {string} Customer Id, or '' when the number is not a mobile number
+   */
+  getIdForPhone(phone) {
+    return normalizeMobile(phone);
+  },
+
+  /**
+   * Number of distinct customers among some bookings
+   * @param {Array} bookings - Processed bookings
+   * @returns {number} Distinct Customer Ids
+   */
+  countCustomers(bookings) {
+    if (!bookings?.length) return 0;
+    return new Set(bookings.map(booking => booking['Customer Id']).filter(Boolean)).size;
+  }
+};
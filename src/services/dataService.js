@@ -1,13 +1,52 @@
 import Papa from 'papaparse';
-import { fetchProtectedCSV } from './supabase';
+import { dataSourceRegistry, getBookingFileName, getYearFromFileName } from './dataSources';
+import { localFileSource } from './dataSources/localFileSource';
+import { bookingCache } from './bookingCache';
+import { normalizeBooking, buildGroupIndex, materializeGroups } from '../utils/bookingProcessing';
+import { buildQualityReport, extendQualityReport } from '../utils/bookingSchema';
+import { CONSTANTS } from '../utils/constants';
+import { createSyncState, mergeBookingChanges, createEmptyChangeSummary, combineChangeSummaries, getBookingKey } from '../utils/bookingSync';
+
+/**
+ * Throw an AbortError if the signal has been aborted
+ * @param {AbortSignal} [signal] - Abort signal
+ */
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw new DOMException('Booking load cancelled', 'AbortError');
+  }
+}
 
 // Singleton loading state
 const loadingState = {
   isLoading: false,
   pendingRequests: new Map(),
-  cache: new Map()
+  cache: new Map(),
+  // Controllers of the loads started by loadMultipleYears that are still running
+  activeControllers: new Set()
 };
 
+/**
+ * Wait until no other fetch is running, then take the loader.
+ * Callers release it by setting loadingState.isLoading back to false.
+ * @param {string} year - Year key, for progress
+ * @param {Object} [options] - Wait options
+ * @param {Function} [options.onProgress] - Told when the load has to queue
+ * @param {AbortSignal} [options.signal] - Stops waiting
+ */
+async function acquireLoader(year, { onProgress, signal } = {}) {
+  if (loadingState.isLoading) {
+    console.debug('[DataService] Another load in progress, waiting...');
+    onProgress?.({ year, stage: 'queued' });
+    while (loadingState.isLoading) {
+      throwIfAborted(signal);
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  throwIfAborted(signal);
+  loadingState.isLoading = true;
+}
+
 class DataService {
   constructor() {
     // Initialize with a 5-minute cache TTL
@@ -22,28 +61,44 @@ class DataService {
     }
   }
 
-  async loadBookings(year, forceRefresh = false) {
+  /**
+   * Load bookings for a single year
+   * @param {string} year - Year key (e.g. '202425')
+   * @param {boolean} forceRefresh - Bypass the caches
+   * @param {Object} [options] - Load options
+   * @param {Function} [options.onProgress] - Receives { stage, year, rowsParsed, bytesProcessed, totalBytes }
+   * @param {AbortSignal} [options.signal] - Cancels the load
+   * @returns {Promise<Object>} Bookings and load metadata
+   */
+  async loadBookings(year, forceRefresh = false, options = {}) {
     console.log(`[DataService] Loading bookings for year: ${year}${forceRefresh ? ' (forced)' : ''}`);
 
-    try {
-      // Check pending requests first
-      if (loadingState.pendingRequests.has(year)) {
-        console.debug('[DataService] Using existing request for year:', year);
-        return loadingState.pendingRequests.get(year);
-      }
+    // Share a load or sync of the year that is already running
+    if (loadingState.pendingRequests.has(year)) {
+      console.debug('[DataService] Using existing request for year:', year);
+      return loadingState.pendingRequests.get(year);
+    }
 
+    let loadingPromise;
+    try {
       // Check cache if not forcing refresh
       if (!forceRefresh && this.hasValidCache(year)) {
         console.debug('[DataService] Using cached data for year:', year);
         const cachedData = loadingState.cache.get(year);
         return {
           bookings: cachedData.data,
-          metadata: { year, fromCache: true, timestamp: cachedData.timestamp }
+          metadata: {
+            year,
+            fromCache: true,
+            timestamp: cachedData.timestamp,
+            groupIndex: cachedData.groupIndex,
+            qualityReport: cachedData.qualityReport
+          }
         };
       }
 
       // Create new loading promise
-      const loadingPromise = this._loadBookingsData(year);
+      loadingPromise = this._loadBookingsData(year, forceRefresh, options);
       loadingState.pendingRequests.set(year, loadingPromise);
 
       const result = await loadingPromise;
@@ -53,47 +108,84 @@ class DataService {
       console.error('[DataService] Error in loadBookings:', error);
       throw error;
     } finally {
-      loadingState.pendingRequests.delete(year);
+      if (loadingPromise && loadingState.pendingRequests.get(year) === loadingPromise) {
+        loadingState.pendingRequests.delete(year);
+      }
     }
   }
 
-  async _loadBookingsData(year) {
-    if (loadingState.isLoading) {
-      console.debug('[DataService] Another load in progress, waiting...');
-      await new Promise(resolve => setTimeout(resolve, 100));
-      return this.loadBookings(year);
-    }
-
-    loadingState.isLoading = true;
+  async _loadBookingsData(year, forceRefresh = false, { onProgress, signal } = {}) {
+    // One fetch at a time - wait for the running one, still honouring this load's cancellation
+    await acquireLoader(year, { onProgress, signal });
 
     try {
-      // Format the year for filename
+      const source = dataSourceRegistry.getActive();
       const formattedYear = year.replace('-', '');
-      console.log('[DataService] Requesting file:', `bookings${formattedYear}.csv`);
+      const fileName = getBookingFileName(formattedYear);
+      const cacheKey = `${source.id}/${fileName}`;
+      const reportProgress = (progress) => onProgress?.({ year, ...progress });
 
-      // Fetch CSV data from Supabase
-      const csvText = await fetchProtectedCSV(`bookings${formattedYear}.csv`);
-      if (!csvText) {
-        throw new Error('No CSV content received');
+      // Revalidate the persistent cache against the source's version of the year
+      const version = await this.fetchFileVersion(source, formattedYear);
+      if (!forceRefresh) {
+        const persisted = await bookingCache.get(cacheKey);
+        if (persisted && bookingCache.isSameVersion(persisted.version, version)) {
+          console.log(`[DataService] ${fileName} unchanged, using persistent cache`);
+          this.cacheData(year, persisted.data, {
+            groupIndex: persisted.groupIndex,
+            qualityReport: persisted.qualityReport,
+            version: persisted.version,
+            syncState: persisted.syncState
+          });
+          reportProgress({ stage: 'cache', rowsParsed: persisted.data.length });
+          return {
+            bookings: persisted.data,
+            metadata: {
+              year,
+              totalBookings: persisted.data.length,
+              fromCache: true,
+              timestamp: persisted.timestamp,
+              fileVersion: version,
+              groupIndex: persisted.groupIndex,
+              qualityReport: persisted.qualityReport
+            }
+          };
+        }
       }
 
-      // Parse CSV data
-      console.log('[DataService] Starting CSV parsing');
-      const parsedData = await this.parseCSV(csvText);
-      
-      // Process the parsed data
-      console.log(`[DataService] Processing ${parsedData.length} records`);
-      const processedData = this.processData(parsedData);
+      const parsed = await this.fetchAndProcess(source, formattedYear, { reportProgress, signal });
+
+      // A year without a file loads as empty instead of failing the whole selection
+      if (!parsed) {
+        return {
+          bookings: [],
+          metadata: {
+            year,
+            totalBookings: 0,
+            missing: true,
+            lastUpdated: Date.now()
+          }
+        };
+      }
+
+      const { bookings: processedData, groupIndex, qualityReport } = parsed;
       
       // Cache the results
-      this.cacheData(year, processedData);
+      const syncState = createSyncState(processedData);
+      this.cacheData(year, processedData, { groupIndex, qualityReport, version, syncState });
+      if (version) {
+        await bookingCache.set(cacheKey, processedData, version, { groupIndex, qualityReport, syncState });
+      }
 
       return {
         bookings: processedData,
         metadata: {
           year,
           totalBookings: processedData.length,
-          lastUpdated: Date.now()
+          lastUpdated: Date.now(),
+          fileVersion: version,
+          groupIndex,
+          qualityReport
         }
       };
 
@@ -105,6 +197,492 @@ class DataService {
     }
   }
 
+  /**
+   * Download and process a year's bookings from a source
+   * @param {Object} source - Data source adapter
+   * @param {string} year - Year key (e.g. '202425')
+   * @param {Object} [options] - Load options
+   * @param {Function} [options.reportProgress] - Receives { stage, rowsParsed, bytesProcessed, totalBytes }
+   * @param {AbortSignal} [options.signal] - Cancels the download and parse
+   * @returns {Promise<Object|null>} Processed bookings, their group index and data-quality report, or null when the source has no file for the year
+   */
+  async fetchAndProcess(source, year, { reportProgress, signal } = {}) {
+    const fileName = getBookingFileName(year);
+    console.log(`[DataService] Requesting ${fileName} from ${source.label}`);
+    reportProgress?.({ stage: 'download' });
+
+    const fetched = await source.fetchBookings(year, { signal });
+    throwIfAborted(signal);
+
+    const isEmpty = fetched?.format === 'rows' ? !fetched.rows?.length : !fetched?.content;
+    if (fetched?.missing || isEmpty) {
+      console.warn(`[DataService] ${source.label} has no bookings for ${year} (${fileName})`);
+      reportProgress?.({ stage: 'missing' });
+      return null;
+    }
+
+    let parsed;
+    if (fetched.format === 'rows') {
+      // Sources that return rows skip CSV parsing
+      parsed = this.processRows(fetched.rows, year);
+    } else {
+      // Parse and process CSV data off the main thread
+      console.log('[DataService] Starting CSV parsing');
+      parsed = await this.parseInWorker(fetched.content, year, {
+        onProgress: reportProgress,
+        signal
+      });
+    }
+
+    const { bookings, qualityReport } = parsed;
+    console.log(`[DataService] Processed ${bookings.length} records`);
+    if (qualityReport?.issueCount > 0 || qualityReport?.missingColumns.length > 0) {
+      console.warn(`[DataService] ${fileName} has ${qualityReport.issueCount} data-quality issue(s)`, qualityReport.counts);
+    }
+    return parsed;
+  }
+
+  /**
+   * Bring a loaded year up to date, merging only new or changed bookings into the cached ones.
+   * Sources with fetchBookingsSince only send the rows after the last synced S no;
+   * others are revalidated and, when the file changed, downloaded and compared row by row.
+   * @param {string} year - Year key (e.g. '202425')
+   * @param {Object} [options] - Sync options
+   * @param {Function} [options.onProgress] - Receives { stage, year, rowsParsed, bytesProcessed, totalBytes }
+   * @param {AbortSignal} [options.signal] - Cancels the sync
+   * @returns {Promise<Object>} Bookings and load metadata, plus a change summary (null when the year had not been loaded)
+   */
+  async syncYear(year, options = {}) {
+    // Let a load of the same year finish first, then hold the year so loads share the sync
+    const pending = loadingState.pendingRequests.get(year);
+    if (pending) {
+      console.debug('[DataService] Waiting for the running load before syncing year:', year);
+      await pending.catch(() => null);
+    }
+
+    const syncPromise = this._syncYearData(year, options);
+    loadingState.pendingRequests.set(year, syncPromise);
+    try {
+      return await syncPromise;
+    } finally {
+      if (loadingState.pendingRequests.get(year) === syncPromise) {
+        loadingState.pendingRequests.delete(year);
+      }
+    }
+  }
+
+  async _syncYearData(year, { onProgress, signal } = {}) {
+    const source = dataSourceRegistry.getActive();
+    const formattedYear = year.replace('-', '');
+    const fileName = getBookingFileName(formattedYear);
+    const cacheKey = `${source.id}/${fileName}`;
+    const reportProgress = (progress) => onProgress?.({ year, ...progress });
+
+    const previous = loadingState.cache.get(year) || await bookingCache.get(cacheKey);
+    if (!previous?.data) {
+      // Nothing to compare against yet, so this is a plain load
+      const result = await this._loadBookingsData(year, true, { onProgress, signal });
+      return { ...result, changes: null };
+    }
+
+    await acquireLoader(year, { onProgress, signal });
+
+    try {
+      const syncState = previous.syncState || createSyncState(previous.data);
+      const synced = typeof source.fetchBookingsSince === 'function'
+        ? await this.fetchNewBookings(source, formattedYear, previous, syncState, { reportProgress, signal })
+        : await this.fetchChangedBookings(source, formattedYear, previous, syncState, { reportProgress, signal });
+
+      // Keep what is cached when nothing changed or the file has gone missing
+      if (!synced) {
+        console.log(`[DataService] ${fileName} has no changes to sync`);
+        reportProgress({ stage: 'cache', rowsParsed: previous.data.length });
+        return {
+          bookings: previous.data,
+          metadata: {
+            year,
+            totalBookings: previous.data.length,
+            fromCache: true,
+            fileVersion: previous.version,
+            groupIndex: previous.groupIndex,
+            qualityReport: previous.qualityReport
+          },
+          changes: createEmptyChangeSummary(year)
+        };
+      }
+
+      const { bookings, changes, groupIndex, qualityReport, version } = synced;
+      console.log(`[DataService] Synced ${fileName}: ${changes.newCount} new, ${changes.updatedCount} changed, ${changes.removedCount} removed`);
+
+      const nextSyncState = createSyncState(bookings);
+      this.cacheData(year, bookings, { groupIndex, qualityReport, version, syncState: nextSyncState });
+      if (version) {
+        await bookingCache.set(cacheKey, bookings, version, { groupIndex, qualityReport, syncState: nextSyncState });
+      }
+
+      return {
+        bookings,
+        metadata: {
+          year,
+          totalBookings: bookings.length,
+          lastUpdated: Date.now(),
+          fileVersion: version,
+          groupIndex,
+          qualityReport
+        },
+        changes
+      };
+    } finally {
+      loadingState.isLoading = false;
+    }
+  }
+
+  /**
+   * Append the rows a source has after the last synced serial number.
+   * Only appended bookings are picked up - edits to earlier rows need a full reload.
+   * @param {Object} source - Data source adapter with fetchBookingsSince
+   * @param {string} year - Year key (e.g. '202425')
+   * @param {Object} previous - Cached entry for the year
+   * @param {Object} syncState - State saved by the previous sync
+   * @param {Object} [options] - Fetch options
+   * @param {Function} [options.reportProgress] - Receives { stage, rowsParsed }
+   * @param {AbortSignal} [options.signal] - Cancels the query
+   * @returns {Promise<Object|null>} { bookings, changes, groupIndex, qualityReport, version }, or null when there are no new rows
+   */
+  async fetchNewBookings(source, year, previous, syncState, { reportProgress, signal } = {}) {
+    console.log(`[DataService] Requesting ${year} rows after S no ${syncState.lastSerial} from ${source.label}`);
+    reportProgress?.({ stage: 'download' });
+
+    const fetched = await source.fetchBookingsSince(year, syncState.lastSerial, { signal });
+    throwIfAborted(signal);
+    if (!fetched?.rows?.length) {
+      return null;
+    }
+
+    const added = this.processData(fetched.rows, year);
+    const bookings = previous.data.concat(added);
+    const newKeys = added.map(getBookingKey);
+    reportProgress?.({ stage: 'parse', rowsParsed: added.length });
+
+    return {
+      bookings,
+      changes: {
+        ...createEmptyChangeSummary(year),
+        previousLastSerial: syncState.lastSerial,
+        newCount: added.length,
+        newKeys
+      },
+      groupIndex: buildGroupIndex(bookings),
+      qualityReport: previous.qualityReport ? extendQualityReport(previous.qualityReport, fetched.rows) : null,
+      version: previous.version
+    };
+  }
+
+  /**
+   * Download a year again when its version changed and compare it with the cached bookings
+   * @param {Object} source - Data source adapter
+   * @param {string} year - Year key (e.g. '202425')
+   * @param {Object} previous - Cached entry for the year
+   * @param {Object} syncState - State saved by the previous sync
+   * @param {Object} [options] - Fetch options
+   * @param {Function} [options.reportProgress] - Receives { stage, rowsParsed, bytesProcessed, totalBytes }
+   * @param {AbortSignal} [options.signal] - Cancels the download and parse
+   * @returns {Promise<Object|null>} { bookings, changes, groupIndex, qualityReport, version }, or null when the file is unchanged or missing
+   */
+  async fetchChangedBookings(source, year, previous, syncState, { reportProgress, signal } = {}) {
+    const version = await this.fetchFileVersion(source, year);
+    if (version && bookingCache.isSameVersion(previous.version, version)) {
+      return null;
+    }
+
+    const parsed = await this.fetchAndProcess(source, year, { reportProgress, signal });
+    if (!parsed) {
+      return null;
+    }
+
+    // The worker's group index still applies - merged bookings keep the file's order
+    const { bookings, changes } = mergeBookingChanges(previous.data, parsed.bookings, syncState, year);
+    return { bookings, changes, groupIndex: parsed.groupIndex, qualityReport: parsed.qualityReport, version };
+  }
+
+  /**
+   * Load several financial years and merge them into one dataset
+   * @param {Array<string>} years - Year keys to load (e.g. ['202324', '202425'])
+   * @param {boolean} forceRefresh - Bypass the cache for every year
+   * @param {Object} [options] - Load options
+   * @param {Function} [options.onProgress] - Receives per-year progress plus yearIndex and yearCount
+   * @param {AbortSignal} [options.signal] - Cancels the load (cancelLoad() does the same)
+   * @param {boolean} [options.sync] - Sync each year incrementally instead of loading it
+   * @returns {Promise<Object>} Merged bookings, their initial groupings, per-year quality reports and metadata
+   *   (metadata.missingYears lists years the source had no file for). Syncs also return a combined change summary.
+   */
+  async loadMultipleYears(years, forceRefresh = false, { onProgress, signal: externalSignal, sync = false } = {}) {
+    const uniqueYears = [...new Set((years || []).filter(Boolean))].sort();
+    if (uniqueYears.length === 0) {
+      throw new Error('No years selected');
+    }
+
+    console.log(`[DataService] Loading ${uniqueYears.length} year(s): ${uniqueYears.join(', ')}`);
+
+    // Track the load so it can be cancelled from anywhere via cancelLoad()
+    const controller = new AbortController();
+    loadingState.activeControllers.add(controller);
+    externalSignal?.addEventListener('abort', () => controller.abort(), { once: true });
+    const { signal } = controller;
+
+    // Years are loaded one after another - the loader only runs one fetch at a time
+    const yearTotals = {};
+    const bookings = [];
+    const groupIndexes = [];
+    const qualityReports = [];
+    const missingYears = [];
+    const changeSummaries = [];
+    try {
+      for (const [yearIndex, year] of uniqueYears.entries()) {
+        throwIfAborted(signal);
+        const options = {
+          signal,
+          onProgress: (progress) => onProgress?.({ ...progress, yearIndex, yearCount: uniqueYears.length })
+        };
+        const result = sync
+          ? await this.syncYear(year, options)
+          : await this.loadBookings(year, forceRefresh, options);
+        if (result?.changes) {
+          changeSummaries.push(result.changes);
+        }
+        const yearBookings = result?.bookings || [];
+        if (result?.metadata?.missing) {
+          missingYears.push(year);
+        }
+        groupIndexes.push({ offset: bookings.length, groupIndex: result?.metadata?.groupIndex });
+        yearTotals[year] = yearBookings.length;
+        bookings.push(...yearBookings);
+        if (result?.metadata?.qualityReport) {
+          qualityReports.push({ ...result.metadata.qualityReport, year });
+        }
+      }
+      throwIfAborted(signal);
+    } finally {
+      loadingState.activeControllers.delete(controller);
+    }
+
+    console.log(`[DataService] Merged ${bookings.length} records across ${uniqueYears.length} year(s)`);
+
+    return {
+      bookings,
+      groups: this.mergeGroupIndexes(groupIndexes, bookings),
+      qualityReports,
+      changes: sync ? combineChangeSummaries(changeSummaries) : null,
+      metadata: {
+        years: uniqueYears,
+        yearTotals,
+        missingYears,
+        totalBookings: bookings.length,
+        lastUpdated: Date.now()
+      }
+    };
+  }
+
+  /**
+   * Cancel the loads started by loadMultipleYears that are still running
+   * @returns {boolean} Whether a load was cancelled
+   */
+  cancelLoad() {
+    if (loadingState.activeControllers.size === 0) {
+      return false;
+    }
+
+    console.log(`[DataService] Cancelling ${loadingState.activeControllers.size} active load(s)`);
+    loadingState.activeControllers.forEach(controller => controller.abort());
+    loadingState.activeControllers.clear();
+    return true;
+  }
+
+  /**
+   * List the financial years the active source has bookings for
+   * @returns {Promise<Array<Object>>} Years sorted oldest first, as { year, fileName, size, lastModified }
+   */
+  async discoverYears() {
+    const source = dataSourceRegistry.getActive();
+    const knownYears = () => CONSTANTS.FINANCIAL_YEARS.map(year => ({
+      year,
+      fileName: getBookingFileName(year),
+      size: null,
+      lastModified: null
+    }));
+
+    // Sources that cannot list their contents offer the known years
+    if (typeof source?.listYears !== 'function') {
+      return knownYears();
+    }
+
+    try {
+      const years = await source.listYears();
+      console.log(`[DataService] Found ${years.length} year(s) in ${source.label}: ${years.map(item => item.year).join(', ')}`);
+      return [...years].sort((a, b) => a.year.localeCompare(b.year));
+    } catch (error) {
+      console.warn(`[DataService] Could not list years from ${source.label}, using known years:`, error.message);
+      return knownYears();
+    }
+  }
+
+  /**
+   * Get the source's version of a year for cache revalidation
+   * @param {Object} source - Data source adapter
+   * @param {string} year - Year key (e.g. '202425')
+   * @returns {Promise<Object|null>} Version info, or null when it cannot be determined
+   */
+  async fetchFileVersion(source, year) {
+    try {
+      return await source.fetchVersion?.(year) ?? null;
+    } catch (error) {
+      // Without a version the file is simply downloaded again
+      console.warn(`[DataService] Could not revalidate ${year} from ${source.label}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get the data source bookings are loaded from
+   * @returns {Object} Data source adapter
+   */
+  getDataSource() {
+    return dataSourceRegistry.getActive();
+  }
+
+  /**
+   * Whether bookings come from files the user picks (VITE_DATA_SOURCE=local-file)
+   * @returns {boolean} True for the local-file source
+   */
+  usesLocalFiles() {
+    return dataSourceRegistry.getActive()?.id === localFileSource.id;
+  }
+
+  /**
+   * Register booking files picked by the user with the local-file source, by the year in their names
+   * @param {Array<File>} files - Picked files, named bookingsYYYYYY.csv
+   * @returns {Object} { years, skipped } - Years registered and names of files without a year in their name
+   */
+  addLocalFiles(files) {
+    const years = [];
+    const skipped = [];
+    files.forEach(file => {
+      const year = getYearFromFileName(file.name);
+      if (!year) {
+        skipped.push(file.name);
+        return;
+      }
+      localFileSource.setFile(year, file);
+      // A newly picked file replaces what was loaded for its year
+      loadingState.cache.delete(year);
+      years.push(year);
+    });
+    return { years, skipped };
+  }
+
+  /**
+   * Combine per-year group indices into groups over the merged bookings
+   * @param {Array<Object>} groupIndexes - { offset, groupIndex } for each loaded year
+   * @param {Array} bookings - Merged bookings
+   * @returns {Object|null} Initial groupings, or null if any year has none
+   */
+  mergeGroupIndexes(groupIndexes, bookings) {
+    if (groupIndexes.some(({ groupIndex }) => !groupIndex)) {
+      return null;
+    }
+
+    const merged = {};
+    groupIndexes.forEach(({ offset, groupIndex }) => {
+      Object.entries(groupIndex).forEach(([name, keys]) => {
+        merged[name] = merged[name] || {};
+        Object.entries(keys).forEach(([key, indices]) => {
+          merged[name][key] = (merged[name][key] || []).concat(indices.map(index => index + offset));
+        });
+      });
+    });
+
+    return materializeGroups(merged, bookings);
+  }
+
+  /**
+   * Parse and process a CSV in a Web Worker, streaming progress back
+   * @param {string} csvText - Raw CSV content
+   * @param {string} year - Year key used to tag rows
+   * @param {Object} [options] - Parse options
+   * @param {Function} [options.onProgress] - Receives { stage: 'parse', rowsParsed, bytesProcessed, totalBytes }
+   * @param {AbortSignal} [options.signal] - Terminates the worker when aborted
+   * @returns {Promise<Object>} Processed bookings, their group index and data-quality report
+   */
+  parseInWorker(csvText, year, { onProgress, signal } = {}) {
+    if (typeof Worker === 'undefined') {
+      console.warn('[DataService] Web Workers unavailable, parsing on the main thread');
+      return this.parseCSV(csvText).then(parsedData => this.processRows(parsedData, year));
+    }
+
+    return new Promise((resolve, reject) => {
+      throwIfAborted(signal);
+
+      const worker = new Worker(new URL('../workers/bookingParser.worker.js', import.meta.url), {
+        type: 'module'
+      });
+
+      const handleAbort = () => {
+        console.log('[DataService] Parsing cancelled');
+        worker.terminate();
+        reject(new DOMException('Booking load cancelled', 'AbortError'));
+      };
+      signal?.addEventListener('abort', handleAbort, { once: true });
+
+      const finish = () => {
+        signal?.removeEventListener('abort', handleAbort);
+        worker.terminate();
+      };
+
+      worker.onmessage = (event) => {
+        const { type, ...payload } = event.data;
+
+        switch (type) {
+          case 'progress':
+            onProgress?.({ stage: 'parse', ...payload });
+            break;
+          case 'complete':
+            finish();
+            if (payload.parseErrors.length > 0) {
+              console.warn('[DataService] Parse warnings:', payload.parseErrors);
+            }
+            console.log(`[DataService] Parse complete. Found ${payload.bookings.length} rows`);
+            resolve(payload);
+            break;
+          case 'error':
+            finish();
+            console.error('[DataService] CSV parsing failed:', payload.message);
+            reject(new Error(payload.message));
+            break;
+        }
+      };
+
+      worker.onerror = (event) => {
+        finish();
+        console.error('[DataService] Parser worker failed:', event.message);
+        reject(new Error(event.message || 'CSV parser worker failed'));
+      };
+
+      worker.postMessage({ type: 'parse', csvText, year });
+    });
+  }
+
+  /**
+   * Process rows that arrive already parsed (e.g. from a database table)
+   * @param {Array<Object>} rows - Rows keyed by CSV column name
+   * @param {string} year - Year key used to tag rows
+   * @returns {Object} Processed bookings, their group index and data-quality report
+   */
+  processRows(rows, year) {
+    const qualityReport = buildQualityReport(rows, { year });
+    const bookings = this.processData(rows, year);
+    return { bookings, groupIndex: buildGroupIndex(bookings), qualityReport };
+  }
+
   parseCSV(csvText) {
     return new Promise((resolve, reject) => {
       Papa.parse(csvText, {
@@ -126,30 +704,19 @@ class DataService {
     });
   }
 
-  processData(data) {
+  /**
+   * Normalise parsed rows and tag each with its financial year
+   * @param {Array} data - Parsed CSV rows
+   * @param {string} [year] - Year key the rows were loaded from (e.g. '202425')
+   * @returns {Array} Processed bookings
+   */
+  processData(data, year) {
     if (!Array.isArray(data)) {
       console.error('[DataService] Invalid data format:', typeof data);
       return [];
     }
 
-    return data.map(booking => {
-      // Ensure numeric fields are numbers
-      const numericFields = [
-        'Slot Price', 'Revenue', 'Balance', 'Total Paid',
-        'Number of slots', 'Cash', 'UPI', 'Bank Transfer',
-        'Hudle App', 'Hudle QR', 'Hudle Wallet', 'Venue Wallet',
-        'Hudle Pass', 'Hudle Discount', 'Venue Discount'
-      ];
-
-      const processed = { ...booking };
-      numericFields.forEach(field => {
-        if (processed[field] !== undefined) {
-          processed[field] = Number(processed[field]) || 0;
-        }
-      });
-
-      return processed;
-    });
+    return data.map(booking => normalizeBooking(booking, year));
   }
 
   hasValidCache(year) {
@@ -160,9 +727,13 @@ class DataService {
     return timestamp && (Date.now() - timestamp < this.cacheTTL);
   }
 
-  cacheData(year, data) {
+  cacheData(year, data, { groupIndex = null, qualityReport = null, version = null, syncState = null } = {}) {
     loadingState.cache.set(year, {
       data,
+      groupIndex,
+      qualityReport,
+      version,
+      syncState,
       timestamp: Date.now()
     });
     console.log(`[DataCache] Cached ${data.length} records for ${year}`);
@@ -172,6 +743,14 @@ class DataService {
     loadingState.cache.clear();
     console.log('[DataCache] Cache cleared');
   }
+
+  /**
+   * Clear the in-memory cache and the persistent IndexedDB cache
+   */
+  async clearPersistentCache() {
+    this.clearCache();
+    await bookingCache.clear();
+  }
 }
 
 // Create singleton instance
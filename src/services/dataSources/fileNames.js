@@ -0,0 +1,18 @@
+/**
+ * Name of the bookings file for a year
+ * @param {string} year - Year key (e.g. '202425' or '2024-25')
+ * @returns {string} File name (e.g. 'bookings202425.csv')
+ */
+export function getBookingFileName(year) {
+  return `bookings${String(year).replace('-', '')}.csv`;
+}
+
+/**
+ * Year a bookings file holds, read from its name
+ * @param {string} fileName - File name (e.g. 'bookings202425.csv')
+ * @returns {string|null} Year key (e.g. '202425'), or null for other files
+ */
+export function getYearFromFileName(fileName) {
+  const match = /^bookings(\d{6})\.csv$/i.exec(fileName || '');
+  return match ? match[1] : null;
+}
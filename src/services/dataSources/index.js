@@ -0,0 +1,103 @@
+/**
+ * Registry of booking data sources.
+ *
+ * Every adapter exposes:
+ * - `id` / `label` - Registry key and display name
+ * - `format` - 'csv' when fetchBookings returns CSV text, 'rows' when it returns parsed rows
+ * - `isAvailable()` - Whether the source is configured
+ * - `fetchBookings(year, { signal })` - Resolves to { format: 'csv', content } or { format: 'rows', rows },
+ *   with `missing: true` when the source has nothing for the year
+ * - `fetchVersion(year)` - Resolves to { eTag, size, lastModified } for cache revalidation, or null
+ * - `listYears()` (optional) - Resolves to the years the source has, as { year, fileName, size, lastModified }
+ * - `fetchBookingsSince(year, lastSerial, { signal })` (optional) - Resolves to { format: 'rows', rows } holding
+ *   only rows with an S no above lastSerial; incremental sync uses it instead of fetching the whole year
+ */
+import { FEATURES } from '../../config/features';
+import { supabaseStorageSource } from './supabaseStorageSource';
+import { supabaseTableSource } from './supabaseTableSource';
+import { createStaticUrlSource } from './staticUrlSource';
+import { localFileSource } from './localFileSource';
+import { mockSource } from './mockSource';
+
+const sources = new Map();
+let activeSourceId = null;
+
+export const dataSourceRegistry = {
+  /**
+   * Add or replace a source
+   * @param {Object} source - Data source adapter
+   */
+  register(source) {
+    if (!source?.id || typeof source.fetchBookings !== 'function') {
+      throw new Error('Data sources need an id and a fetchBookings method');
+    }
+    sources.set(source.id, source);
+  },
+
+  /**
+   * Look up a source by id
+   * @param {string} id - Source id
+   * @returns {Object|undefined} Data source adapter
+   */
+  get(id) {
+    return sources.get(id);
+  },
+
+  /**
+   * List registered sources
+   * @returns {Array<Object>} { id, label, available } for each source
+   */
+  list() {
+    return [...sources.values()].map(source => ({
+      id: source.id,
+      label: source.label,
+      available: source.isAvailable?.() ?? true
+    }));
+  },
+
+  /**
+   * Get the source bookings are loaded from
+   * @returns {Object} Data source adapter
+   */
+  getActive() {
+    return sources.get(activeSourceId);
+  },
+
+  /**
+   * Switch the source bookings are loaded from
+   * @param {string} id - Source id
+   */
+  setActive(id) {
+    if (!sources.has(id)) {
+      throw new Error(`Unknown data source: ${id}`);
+    }
+    activeSourceId = id;
+    console.log(`[DataSources] Active source: ${id}`);
+  }
+};
+
+// Built-in sources
+dataSourceRegistry.register(supabaseStorageSource);
+dataSourceRegistry.register(supabaseTableSource);
+dataSourceRegistry.register(localFileSource);
+dataSourceRegistry.register(mockSource);
+dataSourceRegistry.register(createStaticUrlSource({
+  id: 'static-url',
+  label: 'Static URL',
+  baseUrl: import.meta.env.VITE_BOOKINGS_BASE_URL?.trim()
+}));
+
+// Mock mode always wins; otherwise VITE_DATA_SOURCE picks the source, defaulting to Supabase Storage
+const configuredSourceId = import.meta.env.VITE_DATA_SOURCE?.trim();
+if (FEATURES.MOCK_DATA) {
+  dataSourceRegistry.setActive(mockSource.id);
+} else if (configuredSourceId && sources.has(configuredSourceId)) {
+  dataSourceRegistry.setActive(configuredSourceId);
+} else {
+  if (configuredSourceId) {
+    console.warn(`[DataSources] Unknown VITE_DATA_SOURCE "${configuredSourceId}", using ${supabaseStorageSource.id}`);
+  }
+  dataSourceRegistry.setActive(supabaseStorageSource.id);
+}
+
+export { getBookingFileName, getYearFromFileName } from './fileNames';
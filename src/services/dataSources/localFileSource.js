@@ -0,0 +1,73 @@
+/**
+ * Booking CSVs picked from the user's machine, registered per year
+ */
+const files = new Map();
+
+export const localFileSource = {
+  id: 'local-file',
+  label: 'Local File',
+  format: 'csv',
+
+  isAvailable() {
+    return files.size > 0;
+  },
+
+  /**
+   * Register the file to use for a year
+   * @param {string} year - Year key (e.g. '202425')
+   * @param {File} file - File chosen by the user
+   */
+  setFile(year, file) {
+    files.set(year, file);
+    console.log(`[Local File] Using ${file.name} for ${year}`);
+  },
+
+  /**
+   * Forget the file registered for a year, or every file
+   * @param {string} [year] - Year key
+   */
+  clearFiles(year) {
+    if (year) {
+      files.delete(year);
+    } else {
+      files.clear();
+    }
+  },
+
+  /**
+   * List the years a file has been picked for
+   * @returns {Promise<Array<Object>>} Years with { year, fileName, size, lastModified }
+   */
+  async listYears() {
+    return [...files.entries()].map(([year, file]) => ({
+      year,
+      fileName: file.name,
+      size: file.size,
+      lastModified: new Date(file.lastModified).toISOString()
+    }));
+  },
+
+  /**
+   * Read a year's file
+   * @param {string} year - Year key
+   * @returns {Promise<Object>} { format: 'csv', content }, with missing set when no file was picked for the year
+   */
+  async fetchBookings(year) {
+    const file = files.get(year);
+    if (!file) {
+      return { format: 'csv', content: null, missing: true };
+    }
+    return { format: 'csv', content: await file.text() };
+  },
+
+  /**
+   * Use the file's size and modification time as its version
+   * @param {string} year - Year key
+   * @returns {Promise<Object|null>} Version info or null when no file is registered
+   */
+  async fetchVersion(year) {
+    const file = files.get(year);
+    if (!file) return null;
+    return { eTag: null, size: file.size, lastModified: file.lastModified };
+  }
+};
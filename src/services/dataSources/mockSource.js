@@ -0,0 +1,10 @@
+import { createStaticUrlSource } from './staticUrlSource';
+
+/**
+ * Local data source that serves booking CSVs from public/mock-data
+ */
+export const mockSource = createStaticUrlSource({
+  id: 'mock',
+  label: 'Mock Data',
+  baseUrl: `${import.meta.env.BASE_URL || '/'}mock-data/data`
+});
@@ -0,0 +1,106 @@
+import { logger } from '../../utils/logger';
+import { ErrorCategory } from '../../utils/errorTypes';
+import { CONSTANTS } from '../../utils/constants';
+import { getBookingFileName } from './fileNames';
+
+/**
+ * Check that a response is the requested file and not an SPA index.html fallback
+ * @param {Response} response - Fetch response
+ * @returns {boolean} Whether the response holds the file
+ */
+function isFileResponse(response) {
+  const contentType = response.headers.get('content-type') || '';
+  return response.ok && !contentType.includes('text/html');
+}
+
+/**
+ * Create a source that fetches bookingsYYYYYY.csv files over HTTP
+ * @param {Object} config - Source configuration
+ * @param {string} config.id - Registry id
+ * @param {string} config.label - Display name
+ * @param {string} config.baseUrl - URL the booking files live under
+ * @returns {Object} Data source adapter
+ */
+export function createStaticUrlSource({ id, label, baseUrl }) {
+  const normalizedBaseUrl = (baseUrl || '').replace(/\/+$/, '');
+  const getFileUrl = (year) => `${normalizedBaseUrl}/${getBookingFileName(year)}`;
+
+  return {
+    id,
+    label,
+    format: 'csv',
+
+    isAvailable() {
+      return !!normalizedBaseUrl;
+    },
+
+    /**
+     * Find which of the known years have a file - plain HTTP cannot list a directory
+     * @returns {Promise<Array<Object>>} Years with { year, fileName, size, lastModified }
+     */
+    async listYears() {
+      const found = await Promise.all(CONSTANTS.FINANCIAL_YEARS.map(async (year) => {
+        const version = await this.fetchVersion(year).catch(() => null);
+        return version && {
+          year,
+          fileName: getBookingFileName(year),
+          size: version.size,
+          lastModified: version.lastModified
+        };
+      }));
+      return found.filter(Boolean);
+    },
+
+    /**
+     * Download a year's CSV
+     * @param {string} year - Year key (e.g. '202425')
+     * @param {Object} [options] - Fetch options
+     * @param {AbortSignal} [options.signal] - Cancels the download
+     * @returns {Promise<Object>} { format: 'csv', content }, with missing set when there is no file for the year
+     */
+    async fetchBookings(year, { signal } = {}) {
+      const url = getFileUrl(year);
+
+      try {
+        const response = await fetch(url, { signal });
+        // Dev servers answer unknown paths with index.html rather than a 404
+        if (response.status === 404 || (response.ok && !isFileResponse(response))) {
+          console.warn(`[${label}] No file at ${url}`);
+          return { format: 'csv', content: null, missing: true };
+        }
+        if (!isFileResponse(response)) {
+          throw new Error(`Booking file not found: ${getBookingFileName(year)}`);
+        }
+
+        console.log(`[${label}] Fetched ${url}`);
+        return { format: 'csv', content: await response.text() };
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          logger.error(ErrorCategory.DATA, `Failed to fetch CSV: ${url}`, {
+            error: error.message
+          });
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Read the file's HTTP metadata without downloading it
+     * @param {string} year - Year key
+     * @returns {Promise<Object|null>} Version info ({ eTag, size, lastModified }) or null if not found
+     */
+    async fetchVersion(year) {
+      const response = await fetch(getFileUrl(year), { method: 'HEAD' });
+      if (!isFileResponse(response)) {
+        return null;
+      }
+
+      const size = response.headers.get('content-length');
+      return {
+        eTag: response.headers.get('etag'),
+        size: size === null ? null : Number(size),
+        lastModified: response.headers.get('last-modified')
+      };
+    }
+  };
+}
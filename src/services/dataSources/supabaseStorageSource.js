@@ -0,0 +1,59 @@
+import { fetchProtectedCSV, fetchCSVMetadata, listProtectedCSVs, isSupabaseConfigured } from '../supabase';
+import { getBookingFileName, getYearFromFileName } from './fileNames';
+
+/**
+ * Booking CSVs in the protected-csvs Supabase Storage bucket
+ */
+export const supabaseStorageSource = {
+  id: 'supabase-storage',
+  label: 'Supabase Storage',
+  format: 'csv',
+
+  isAvailable() {
+    return isSupabaseConfigured;
+  },
+
+  /**
+   * List the years that have a bookings file in the bucket
+   * @returns {Promise<Array<Object>>} Years with { year, fileName, size, lastModified }
+   */
+  async listYears() {
+    const files = await listProtectedCSVs();
+    return files
+      .map(file => ({
+        year: getYearFromFileName(file.name),
+        fileName: file.name,
+        size: file.size,
+        lastModified: file.lastModified
+      }))
+      .filter(item => item.year);
+  },
+
+  /**
+   * Download a year's CSV from the bucket
+   * @param {string} year - Year key (e.g. '202425')
+   * @returns {Promise<Object>} { format: 'csv', content }, with missing set when the bucket has no file for the year
+   */
+  async fetchBookings(year) {
+    const fileName = getBookingFileName(year);
+    try {
+      const content = await fetchProtectedCSV(fileName);
+      return { format: 'csv', content };
+    } catch (error) {
+      // Storage reports a missing object like any other failure, so check the listing
+      if (await fetchCSVMetadata(fileName).catch(() => undefined) === null) {
+        return { format: 'csv', content: null, missing: true };
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Get the storage object's version for cache revalidation
+   * @param {string} year - Year key
+   * @returns {Promise<Object|null>} Version info or null if the file does not exist
+   */
+  async fetchVersion(year) {
+    return fetchCSVMetadata(getBookingFileName(year));
+  }
+};
@@ -0,0 +1,63 @@
+import { fetchTableRows, isSupabaseConfigured } from '../supabase';
+
+// Table layout, overridable from the environment
+const BOOKINGS_TABLE = import.meta.env.VITE_BOOKINGS_TABLE?.trim() || 'bookings';
+const YEAR_COLUMN = import.meta.env.VITE_BOOKINGS_YEAR_COLUMN?.trim() || 'financial_year';
+
+/**
+ * Bookings stored in a Supabase Postgres table.
+ * Rows use the CSV column names and a year column holding the year key (e.g. '202425').
+ */
+export const supabaseTableSource = {
+  id: 'supabase-table',
+  label: 'Supabase Table',
+  format: 'rows',
+
+  isAvailable() {
+    return isSupabaseConfigured;
+  },
+
+  /**
+   * Query a year's rows
+   * @param {string} year - Year key (e.g. '202425')
+   * @param {Object} [options] - Query options
+   * @param {AbortSignal} [options.signal] - Cancels the query
+   * @returns {Promise<Object>} { format: 'rows', rows }
+   */
+  async fetchBookings(year, { signal } = {}) {
+    const rows = await fetchTableRows(BOOKINGS_TABLE, {
+      filters: { [YEAR_COLUMN]: year.replace('-', '') },
+      orderBy: 'S no',
+      signal
+    });
+    console.log(`[Supabase Table] Fetched ${rows.length} rows from ${BOOKINGS_TABLE} for ${year}`);
+    return { format: 'rows', rows };
+  },
+
+  /**
+   * Query only the rows appended after a serial number, for incremental sync
+   * @param {string} year - Year key (e.g. '202425')
+   * @param {number} lastSerial - Highest S no already loaded
+   * @param {Object} [options] - Query options
+   * @param {AbortSignal} [options.signal] - Cancels the query
+   * @returns {Promise<Object>} { format: 'rows', rows }
+   */
+  async fetchBookingsSince(year, lastSerial, { signal } = {}) {
+    const rows = await fetchTableRows(BOOKINGS_TABLE, {
+      filters: { [YEAR_COLUMN]: year.replace('-', '') },
+      greaterThan: { 'S no': lastSerial },
+      orderBy: 'S no',
+      signal
+    });
+    console.log(`[Supabase Table] Fetched ${rows.length} rows after S no ${lastSerial} from ${BOOKINGS_TABLE} for ${year}`);
+    return { format: 'rows', rows };
+  },
+
+  /**
+   * Tables have no cheap version marker, so rows are always re-queried
+   * @returns {Promise<null>} Always null
+   */
+  async fetchVersion() {
+    return null;
+  }
+};
@@ -1,5 +1,8 @@
-import { FilterTypes, FilterConfig } from '../utils/constants';
-import { formatDate, parseDate, isDateInRange } from '../utils/dateUtils';
+import { FilterTypes, FilterConfig, TIME_BANDS } from '../utils/constants';
+import { formatDate, parseDate, isDateInRange, getWeekdayName } from '../utils/dateUtils';
+import { getSlotStartHour, isHourInRange } from '../utils/slotIntervals';
+import { normalizePhone } from '../utils/fuzzyMatch';
+import { FilterOperators, createFilterGroup, createCondition, isFilterGroup, hasActiveFilters } from '../utils/filterModel';
 
 // Cache for storing filtered results
 const filterCache = new Map();
@@ -8,6 +11,64 @@ const filterCache = new Map();
 const CACHE_MAX_SIZE = 10; // Reduced from 20 to prevent excessive caching
 const CACHE_TTL = 30000; // TTL of 30 seconds for cached results
 
+/**
+ * Cache a filtered result, evicting the oldest entry when the cache is full
+ * @param {string} cacheKey - Cache key
+ * @param {Array} data - Filtered data
+ */
+function cacheResult(cacheKey, data) {
+  filterCache.set(cacheKey, {
+    data,
+    timestamp: Date.now()
+  });
+
+  // Limit cache size
+  if (filterCache.size > CACHE_MAX_SIZE) {
+    // Find oldest entry
+    let oldestKey = null;
+    let oldestTime = Infinity;
+
+    for (const [key, entry] of filterCache.entries()) {
+      if (entry.timestamp < oldestTime) {
+        oldestTime = entry.timestamp;
+        oldestKey = key;
+      }
+    }
+
+    if (oldestKey) {
+      console.debug(`[FilterService] Removing oldest cache entry`);
+      filterCache.delete(oldestKey);
+    }
+  }
+}
+
+/**
+ * Get a cached result that has not expired
+ * @param {string} cacheKey - Cache key
+ * @returns {Array|null} Cached data
+ */
+function getCachedResult(cacheKey) {
+  const cacheEntry = filterCache.get(cacheKey);
+  if (!cacheEntry) return null;
+
+  if (Date.now() - cacheEntry.timestamp < CACHE_TTL) {
+    return cacheEntry.data;
+  }
+  filterCache.delete(cacheKey);
+  return null;
+}
+
+/**
+ * Cache key for a filter model - node ids are left out so equal models share results.
+ * Negated conditions are prefixed with "!" so they do not share the plain condition's results.
+ * @param {Object} node - Condition or group
+ * @returns {string} Key
+ */
+function getFilterKey(node) {
+  if (!isFilterGroup(node)) return `${node.negate ? '!' : ''}${node.type}=${JSON.stringify(node.value)}`;
+  return `${node.op}(${node.conditions.map(getFilterKey).join(',')})`;
+}
+
 /**
  * Service for filtering and searching data
  */
@@ -24,19 +85,10 @@ export const filterService = {
     const cacheKey = `${filterType}_${JSON.stringify(filterValue)}_${data.length}`;
     
     // Check cache with TTL
-    if (filterCache.has(cacheKey)) {
-      const cacheEntry = filterCache.get(cacheKey);
-      const currentTime = Date.now();
-      
-      // Check if cache entry is still valid
-      if (currentTime - cacheEntry.timestamp < CACHE_TTL) {
-        console.debug(`[FilterService] Using cached results for ${filterType} filter`);
-        return cacheEntry.data;
-      } else {
-        // Cache expired, remove it
-        console.debug(`[FilterService] Cache expired for ${filterType} filter`);
-        filterCache.delete(cacheKey);
-      }
+    const cached = getCachedResult(cacheKey);
+    if (cached) {
+      console.debug(`[FilterService] Using cached results for ${filterType} filter`);
+      return cached;
     }
     
     console.debug(`[FilterService] Applying filter: ${filterType}`, filterValue);
@@ -47,58 +99,12 @@ export const filterService = {
     }
 
     try {
-      let filteredData = [...data];
-      
-      switch (filterType) {
-        case FilterTypes.SINGLE_DATE:
-          filteredData = this.filterByDate(filteredData, filterValue);
-          break;
-        case FilterTypes.DATE_RANGE:
-          filteredData = this.filterByDateRange(filteredData, filterValue.startDate, filterValue.endDate);
-          break;
-        case FilterTypes.LOCATION:
-          filteredData = this.filterByField(filteredData, 'Location', filterValue);
-          break;
-        case FilterTypes.CUSTOMER:
-          filteredData = this.filterByCustomer(filteredData, filterValue);
-          break;
-        case FilterTypes.BOOKING_REF:
-          filteredData = this.filterByBookingRef(filteredData, filterValue);
-          break;
-        case FilterTypes.PHONE:
-          filteredData = this.filterByPhone(filteredData, filterValue);
-          break;
-        case FilterTypes.BALANCE:
-          filteredData = this.filterByBalance(filteredData, filterValue);
-          break;
-      }
+      const predicate = this.createPredicate(filterType, filterValue);
+      const filteredData = predicate ? data.filter(predicate) : [...data];
 
       console.debug(`[FilterService] Filter applied. Results: ${filteredData.length} records`);
       
-      // Cache the result with timestamp
-      filterCache.set(cacheKey, {
-        data: filteredData,
-        timestamp: Date.now() 
-      });
-      
-      // Limit cache size
-      if (filterCache.size > CACHE_MAX_SIZE) {
-        // Find oldest entry
-        let oldestKey = null;
-        let oldestTime = Infinity;
-        
-        for (const [key, entry] of filterCache.entries()) {
-          if (entry.timestamp < oldestTime) {
-            oldestTime = entry.timestamp;
-            oldestKey = key;
-          }
-        }
-        
-        if (oldestKey) {
-          console.debug(`[FilterService] Removing oldest cache entry`);
-          filterCache.delete(oldestKey);
-        }
-      }
+      cacheResult(cacheKey, filteredData);
       
       return filteredData;
     } catch (error) {
@@ -107,6 +113,194 @@ export const filterService = {
     }
   },
 
+  /**
+   * Build the test for one condition. Values too short to search by match everything.
+   * @param {string} filterType - One of FilterTypes
+   * @param {*} filterValue - Filter value
+   * @returns {Function|null} booking => boolean, or null when the condition filters nothing out
+   */
+  createPredicate(filterType, filterValue) {
+    switch (filterType) {
+      case FilterTypes.SINGLE_DATE: {
+        if (!filterValue) return null;
+        const formattedDate = formatDate(new Date(filterValue));
+        return booking => booking["Slot Date"] === formattedDate;
+      }
+      case FilterTypes.DATE_RANGE: {
+        const { startDate, endDate } = filterValue || {};
+        if (!startDate && !endDate) return null;
+        const start = startDate ? formatDate(new Date(startDate)) : null;
+        const end = endDate ? formatDate(new Date(endDate)) : null;
+        return booking => isDateInRange(booking["Slot Date"], start, end);
+      }
+      case FilterTypes.LOCATION:
+      case FilterTypes.SPORT:
+        return this.createFieldPredicate(FilterConfig[filterType].field, filterValue);
+      case FilterTypes.CUSTOMER: {
+        if (!filterValue || filterValue.length < 2) return null;
+        const term = filterValue.toLowerCase();
+        return booking => {
+          const customerName = booking['Customer Name'];
+          return !!customerName && String(customerName).toLowerCase().includes(term);
+        };
+      }
+      case FilterTypes.BOOKING_REF: {
+        if (!filterValue || filterValue.length < 3) return null;
+        // Clean up booking reference for filtering
+        const searchValue = filterValue.toUpperCase().trim();
+        return booking => {
+          const bookingRef = booking['Booking Reference'];
+          return !!bookingRef && String(bookingRef).includes(searchValue);
+        };
+      }
+      case FilterTypes.PHONE: {
+        if (!filterValue || filterValue.length < 9) return null;
+        // Compare without +91 or 0 prefixes, so a number matches however either side wrote it
+        const searchValue = normalizePhone(filterValue);
+        return booking => normalizePhone(booking['Phone']).includes(searchValue);
+      }
+      case FilterTypes.BALANCE:
+        if (!filterValue) return null;
+        return booking => Number(booking["Balance"]) > 0;
+      case FilterTypes.WEEKDAYS: {
+        if (!Array.isArray(filterValue) || filterValue.length === 0) return null;
+        const weekdays = new Set(filterValue);
+        return booking => weekdays.has(getWeekdayName(booking['Slot Date']));
+      }
+      case FilterTypes.HOUR_RANGE: {
+        const { from, to } = filterValue || {};
+        if (!Number.isInteger(from) || !Number.isInteger(to)) return null;
+        return this.createHourPredicate([{ from, to }]);
+      }
+      case FilterTypes.TIME_BANDS: {
+        if (!Array.isArray(filterValue)) return null;
+        const bands = TIME_BANDS.filter(band => filterValue.includes(band.name));
+        return bands.length > 0 ? this.createHourPredicate(bands) : null;
+      }
+      default:
+        switch (FilterConfig[filterType]?.type) {
+          case 'multiSelect':
+            return this.createMultiValuePredicate(FilterConfig[filterType].field, filterValue);
+          case 'numberRange':
+            return this.createRangePredicate(FilterConfig[filterType].field, filterValue);
+          default:
+            return null;
+        }
+    }
+  },
+
+  /**
+   * Build a test for bookings starting within any of several hour ranges
+   * @param {Array<Object>} ranges - { from, to } start hours, both ends included
+   * @returns {Function} booking => boolean
+   */
+  createHourPredicate(ranges) {
+    return booking => {
+      const hour = getSlotStartHour(booking);
+      return hour !== null && ranges.some(({ from, to }) => isHourInRange(hour, from, to));
+    };
+  },
+
+  /**
+   * Build a case-insensitive test for a field matching any of several values
+   * @param {string} field - Booking field
+   * @param {Array<string>} values - Accepted values
+   * @returns {Function|null} booking => boolean, or null when no value is picked
+   */
+  createMultiValuePredicate(field, values) {
+    if (!Array.isArray(values) || values.length === 0) return null;
+    const accepted = new Set(values.map(value => String(value).trim().toLowerCase()));
+    return booking => accepted.has(String(booking[field] ?? '').trim().toLowerCase());
+  },
+
+  /**
+   * Build an inclusive numeric range test on one field
+   * @param {string} field - Booking field
+   * @param {Object} range - { min, max }, either of which may be null
+   * @returns {Function|null} booking => boolean, or null when neither bound is set
+   */
+  createRangePredicate(field, range) {
+    const toBound = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+    const min = toBound(range?.min);
+    const max = toBound(range?.max);
+    if ((min === null || isNaN(min)) && (max === null || isNaN(max))) return null;
+
+    return booking => {
+      const value = Number(booking[field]);
+      if (isNaN(value)) return false;
+      return (min === null || isNaN(min) || value >= min) && (max === null || isNaN(max) || value <= max);
+    };
+  },
+
+  /**
+   * Build a case-insensitive equality test on one field
+   * @param {string} field - Booking field
+   * @param {*} value - Value to match
+   * @returns {Function|null} booking => boolean, or null for an empty value
+   */
+  createFieldPredicate(field, value) {
+    if (!value) return null;
+    // Normalize the search value
+    const searchValue = String(value).trim().toLowerCase();
+    return booking => {
+      const fieldValue = booking[field];
+      // Handle null/undefined values and convert to string for comparison
+      return !!fieldValue && String(fieldValue).trim().toLowerCase() === searchValue;
+    };
+  },
+
+  /**
+   * Compile a filter model into a single test
+   * @param {Object} node - Condition or group (see utils/filterModel)
+   * @returns {Function|null} booking => boolean, or null when nothing is filtered out
+   */
+  compileFilters(node) {
+    if (!node) return null;
+    if (!isFilterGroup(node)) {
+      const predicate = FilterConfig[node.type] ? this.createPredicate(node.type, node.value) : null;
+      return predicate && node.negate ? booking => !predicate(booking) : predicate;
+    }
+
+    const predicates = node.conditions
+      .map(child => this.compileFilters(child))
+      .filter(Boolean);
+    if (predicates.length === 0) return null;
+    if (predicates.length === 1) return predicates[0];
+
+    return node.op === FilterOperators.OR
+      ? booking => predicates.some(predicate => predicate(booking))
+      : booking => predicates.every(predicate => predicate(booking));
+  },
+
+  /**
+   * Apply a whole filter model in one pass over the data
+   * @param {Array} data - Array of booking objects
+   * @param {Object} filters - Root group (see utils/filterModel)
+   * @returns {Array} Filtered data
+   */
+  applyFilterGroup(data, filters) {
+    if (!data || !hasActiveFilters(filters)) return data;
+
+    const cacheKey = `${getFilterKey(filters)}_${data.length}`;
+    const cached = getCachedResult(cacheKey);
+    if (cached) {
+      console.debug('[FilterService] Using cached results for filter group');
+      return cached;
+    }
+
+    try {
+      const predicate = this.compileFilters(filters);
+      const filteredData = predicate ? data.filter(predicate) : [...data];
+      console.debug(`[FilterService] Filter group applied. Results: ${filteredData.length} records`);
+
+      cacheResult(cacheKey, filteredData);
+      return filteredData;
+    } catch (error) {
+      console.error(`[FilterService] Error applying filter group: ${error.message}`);
+      throw new Error(`Failed to apply filters: ${error.message}`);
+    }
+  },
+
   /**
    * Filter data by specific date
    * @param {Array} data - Array of booking objects
@@ -116,9 +310,7 @@ export const filterService = {
   filterByDate(data, dateStr) {
     if (!dateStr) return data;
     console.log(`[FilterService] Filtering by date: ${dateStr}`);
-    
-    const formattedDate = formatDate(new Date(dateStr));
-    return data.filter(booking => booking["Slot Date"] === formattedDate);
+    return data.filter(this.createPredicate(FilterTypes.SINGLE_DATE, dateStr));
   },
 
   /**
@@ -136,13 +328,7 @@ export const filterService = {
       return data;
     }
     
-    return data.filter(booking => 
-      isDateInRange(
-        booking["Slot Date"],
-        startDate ? formatDate(new Date(startDate)) : null,
-        endDate ? formatDate(new Date(endDate)) : null
-      )
-    );
+    return data.filter(this.createPredicate(FilterTypes.DATE_RANGE, { startDate, endDate }));
   },
 
   /**
@@ -155,15 +341,7 @@ export const filterService = {
   filterByField(data, field, value) {
     if (!value) return data;
     console.log(`[FilterService] Filtering by field: ${field}=${value}`);
-    
-    // Normalize the search value
-    const searchValue = String(value).trim().toLowerCase();
-    
-    return data.filter(booking => {
-      const fieldValue = booking[field];
-      // Handle null/undefined values and convert to string for comparison
-      return fieldValue && String(fieldValue).trim().toLowerCase() === searchValue;
-    });
+    return data.filter(this.createFieldPredicate(field, value));
   },
 
   /**
@@ -175,13 +353,7 @@ export const filterService = {
   filterByCustomer(data, searchTerm) {
     if (!searchTerm || searchTerm.length < 2) return data;
     console.log(`[FilterService] Filtering by customer: ${searchTerm}`);
-    
-    const term = searchTerm.toLowerCase();
-    
-    return data.filter(booking => {
-      const customerName = booking['Customer Name'];
-      return customerName && String(customerName).toLowerCase().includes(term);
-    });
+    return data.filter(this.createPredicate(FilterTypes.CUSTOMER, searchTerm));
   },
 
   /**
@@ -193,8 +365,7 @@ export const filterService = {
   filterByBalance(data, showOutstanding) {
     if (!showOutstanding) return data;
     console.log('[FilterService] Filtering for outstanding balance');
-    
-    return data.filter(booking => Number(booking["Balance"]) > 0);
+    return data.filter(this.createPredicate(FilterTypes.BALANCE, showOutstanding));
   },
 
   /**
@@ -209,14 +380,7 @@ export const filterService = {
       return data;
     }
     console.log(`[FilterService] Filtering by booking reference: ${refValue}`);
-    
-    // Clean up booking reference for filtering        
-    const searchValue = refValue.toUpperCase().trim();
-
-    return data.filter(booking => {
-      const bookingRef = booking['Booking Reference'];
-      return bookingRef && String(bookingRef).includes(searchValue);
-    });
+    return data.filter(this.createPredicate(FilterTypes.BOOKING_REF, refValue));
   },
 
   /**
@@ -231,14 +395,7 @@ export const filterService = {
       return data;
     }
     console.log(`[FilterService] Filtering by phone number: ${phoneNumber}`);
-    
-    // Clean up phone number for filtering
-    const searchValue = String(phoneNumber).replace(/\D/g, '');
-    
-    return data.filter(booking => {
-      const phone = String(booking['Phone'] || '').replace(/\D/g, '');
-      return phone.includes(searchValue);
-    });
+    return data.filter(this.createPredicate(FilterTypes.PHONE, phoneNumber));
   },
   
   /**
@@ -253,7 +410,7 @@ export const filterService = {
   /**
    * Combined filtering function to apply multiple filters at once
    * @param {Array} data - Original data array
-   * @param {Object} filters - Object containing filter types and values
+   * @param {Object} filters - Object containing filter types and values, all of which must match
    * @returns {Array} Filtered data
    */
   applyMultipleFilters(data, filters) {
@@ -263,21 +420,9 @@ export const filterService = {
       return data;
     }
     
-    try {
-      let filteredData = [...data];
-      
-      // Apply each filter in sequence
-      for (const [filterType, filterValue] of Object.entries(filters)) {
-        if (FilterConfig[filterType] && filterValue) {
-          filteredData = this.applyFilters(filteredData, filterType, filterValue);
-        }
-      }
-      
-      console.log(`[FilterService] Multiple filters applied. Results: ${filteredData.length} records`);
-      return filteredData;
-    } catch (error) {
-      console.error(`[FilterService] Error applying multiple filters: ${error.message}`);
-      throw new Error(`Failed to apply multiple filters: ${error.message}`);
-    }
+    const conditions = Object.entries(filters)
+      .filter(([filterType, filterValue]) => FilterConfig[filterType] && filterValue)
+      .map(([filterType, filterValue]) => createCondition(filterType, filterValue));
+    return this.applyFilterGroup(data, createFilterGroup(FilterOperators.AND, conditions));
   }
-};
\ No newline at end of file
+};
@@ -1,47 +1,144 @@
-import { parseDate } from '../utils/dateUtils';
-import { formatUtils } from '../utils/formatUtils';
+import { parseDate, getWeekdayName, getPeriodKey, TimeGrains, WEEKDAY_NAMES } from '../utils/dateUtils';
+import { TIME_BANDS } from '../utils/constants';
+import { getSlotStartHour, isHourInRange, formatHour } from '../utils/slotIntervals';
+import { customerService } from './customerService';
+
+// Bookings with a blank Facility column
+export const UNASSIGNED_FACILITY = 'Unassigned';
+
+// Separates location and facility in flat facility keys
+const FACILITY_KEY_SEPARATOR = ' / ';
+
+/**
+ * Flat key for a facility at a location
+ * @param {string} location - Location name
+ * @param {string} facility - Facility name
+ * @returns {string} e.g. "Rajouri / 7v7 (Turf)"
+ */
+export function getFacilityKey(location, facility) {
+  return `${location}${FACILITY_KEY_SEPARATOR}${facility || UNASSIGNED_FACILITY}`;
+}
+
+/**
+ * Split a flat facility key back into its parts
+ * @param {string} key - Key built by getFacilityKey
+ * @returns {Object} { location, facility }
+ */
+export function parseFacilityKey(key) {
+  const index = key.indexOf(FACILITY_KEY_SEPARATOR);
+  if (index === -1) return { location: key, facility: UNASSIGNED_FACILITY };
+  return {
+    location: key.slice(0, index),
+    facility: key.slice(index + FACILITY_KEY_SEPARATOR.length)
+  };
+}
+
+// Group for bookings with no value for a dimension; sorted last
+export const BLANK_GROUP = '(Blank)';
+
+/**
+ * Dimension for the period a booking's slot date falls in
+ * @param {string} label - Dimension label
+ * @param {string} grain - One of TimeGrains
+ * @returns {Object} Dimension
+ */
+function getPeriodDimension(label, grain) {
+  return {
+    label,
+    getKey: booking => getPeriodKey(booking['Slot Date'], grain) || null,
+    // Periods do not overlap, so any booking's date orders its group
+    getSortValue: booking => parseDate(booking['Slot Date'])?.getTime()
+  };
+}
+
+/**
+ * Dimensions bookings can be grouped by. `getKey` returns the booking's group (null for blank);
+ * `getSortValue`, when given, orders groups by a number instead of by name.
+ */
+export const GroupDimensions = {
+  location: { label: 'Location', getKey: booking => booking.Location || null },
+  facility: { label: 'Facility', getKey: booking => booking.Facility || null },
+  sport: { label: 'Sport', getKey: booking => booking.Sport || null },
+  source: { label: 'Source', getKey: booking => booking.Source || null },
+  status: { label: 'Status', getKey: booking => booking.Status || null },
+  financialYear: getPeriodDimension('Financial Year', TimeGrains.YEAR),
+  quarter: getPeriodDimension('Quarter', TimeGrains.QUARTER),
+  month: getPeriodDimension('Month', TimeGrains.MONTH),
+  week: getPeriodDimension('Week', TimeGrains.WEEK),
+  day: getPeriodDimension('Day', TimeGrains.DAY),
+  weekday: {
+    label: 'Weekday',
+    getKey: booking => getWeekdayName(booking['Slot Date']),
+    getSortValue: booking => WEEKDAY_NAMES.indexOf(getWeekdayName(booking['Slot Date']))
+  },
+  hour: {
+    label: 'Start Hour',
+    getKey: (booking) => {
+      const hour = getSlotStartHour(booking);
+      return hour === null ? null : formatHour(hour);
+    },
+    getSortValue: booking => getSlotStartHour(booking)
+  },
+  timeBand: {
+    label: 'Time Band',
+    getKey: (booking) => {
+      const hour = getSlotStartHour(booking);
+      return hour === null ? null : TIME_BANDS.find(band => isHourInRange(hour, band.from, band.to))?.name || null;
+    },
+    getSortValue: (booking) => {
+      const hour = getSlotStartHour(booking);
+      return TIME_BANDS.findIndex(band => hour !== null && isHourInRange(hour, band.from, band.to));
+    }
+  }
+};
+
+/**
+ * Figures computed for each group. `format` is 'number' or 'currency'.
+ */
+export const GroupMeasures = {
+  count: { label: 'Bookings', format: 'number', getValue: totals => totals.count },
+  revenue: { label: 'Total Paid', format: 'currency', getValue: totals => totals.revenue },
+  slots: { label: 'Slots', format: 'number', getValue: totals => totals.slots },
+  customers: { label: 'Unique Customers', format: 'number', getValue: totals => totals.customers.size },
+  avgValue: {
+    label: 'Avg Booking Value',
+    format: 'currency',
+    getValue: totals => (totals.count > 0 ? totals.revenue / totals.count : 0)
+  }
+};
+
+/**
+ * Running totals for a group, from which every measure is read
+ * @param {Array} bookings - Bookings in the group
+ * @param {Array<string>} measures - GroupMeasures keys
+ * @returns {Object} Measure key -> value
+ */
+function measureGroup(bookings, measures) {
+  const totals = { count: bookings.length, revenue: 0, slots: 0, customers: new Set() };
+  bookings.forEach(booking => {
+    totals.revenue += parseFloat(booking['Total Paid'] || 0) || 0;
+    totals.slots += parseInt(booking['Number of slots'] || 0) || 0;
+    if (booking['Customer Id']) totals.customers.add(booking['Customer Id']);
+  });
+  return Object.fromEntries(measures.map(measure => [measure, GroupMeasures[measure].getValue(totals)]));
+}
 
 /**
  * Service for grouping booking data by various parameters
  */
 export const groupingService = {
   /**
-   * Group bookings by date parameters (day/month/year)
+   * Group bookings by the period of their slot date
    * @param {Array} bookings - Array of booking objects
-   * @param {string} groupBy - 'day' | 'month' | 'year'
-   * @returns {Object} Grouped bookings
+   * @param {string} groupBy - One of TimeGrains: 'day' | 'week' | 'month' | 'quarter' | 'year'
+   * @returns {Object} Bookings grouped by period key (see getPeriodKey)
    */
-  groupByDate(bookings, groupBy = 'day') {
+  groupByDate(bookings, groupBy = TimeGrains.DAY) {
     if (!bookings?.length) return {};
 
     return bookings.reduce((groups, booking) => {
-      const slotDate = booking['Slot Date'];
-      if (!slotDate) return groups;
-
-      const date = parseDate(slotDate);
-      if (!date) return groups;
-
-      let key;
-      switch (groupBy) {
-        case 'day':
-          key = formatUtils.formatDate(date);
-          break;
-        case 'month':
-          // Use financial year months (April-March)
-          const month = date.getMonth();
-          const year = date.getFullYear();
-          // If month is January-March, it belongs to previous year's financial year
-          const financialYear = month < 3 ? year - 1 : year;
-          key = `${date.toLocaleString('default', { month: 'long' })} ${financialYear}`;
-          break;
-        case 'year':
-          // Financial year format (e.g., "2024-25")
-          const fy = date.getMonth() < 3 ? date.getFullYear() - 1 : date.getFullYear();
-          key = `${fy}-${(fy + 1).toString().slice(-2)}`;
-          break;
-        default:
-          key = formatUtils.formatDate(date);
-      }
+      const key = getPeriodKey(booking['Slot Date'], groupBy);
+      if (!key) return groups;
 
       if (!groups[key]) {
         groups[key] = [];
@@ -75,6 +172,45 @@ export const groupingService = {
     }, {});
   },
 
+  /**
+   * Group bookings by facility, nested under their location
+   * @param {Array} bookings - Array of booking objects
+   * @returns {Object} Map of location -> facility -> bookings
+   */
+  groupByFacility(bookings) {
+    if (!bookings?.length) return {};
+
+    return bookings.reduce((groups, booking) => {
+      const location = booking.Location;
+      if (!location) return groups;
+
+      const facility = booking.Facility || UNASSIGNED_FACILITY;
+      groups[location] = groups[location] || {};
+      if (!groups[location][facility]) {
+        groups[location][facility] = [];
+      }
+      groups[location][facility].push(booking);
+      return groups;
+    }, {});
+  },
+
+  /**
+   * Group bookings by facility with flat "Location / Facility" keys, as category views expect
+   * @param {Array} bookings - Array of booking objects
+   * @returns {Object} Bookings grouped by facility key
+   */
+  groupByLocationFacility(bookings) {
+    const nested = this.groupByFacility(bookings);
+    const groups = {};
+
+    Object.entries(nested).forEach(([location, facilities]) => {
+      Object.entries(facilities).forEach(([facility, facilityBookings]) => {
+        groups[getFacilityKey(location, facility)] = facilityBookings;
+      });
+    });
+    return groups;
+  },
+
   /**
    * Group bookings by source (Online/Offline)
    * @param {Array} bookings - Array of booking objects
@@ -199,6 +335,46 @@ export const groupingService = {
     }, {});
   },
 
+  /**
+   * Group bookings by an ordered list of dimensions, nesting one level per dimension,
+   * and compute the measures for every group at every level
+   * @param {Array} bookings - Array of booking objects
+   * @param {Array<string>} dimensions - GroupDimensions keys, outermost first
+   * @param {Array<string>} [measures] - GroupMeasures keys (all by default)
+   * @returns {Object} Root group { key, path, bookings, values, children }; children are
+   *   groups of the same shape, ordered, with `key` the group name and `path` the names from the root
+   */
+  groupByDimensions(bookings, dimensions, measures = Object.keys(GroupMeasures)) {
+    const buildGroup = (key, path, groupBookings) => {
+      const group = { key, path, bookings: groupBookings, values: measureGroup(groupBookings, measures), children: [] };
+      const dimension = GroupDimensions[dimensions[path.length]];
+      if (!dimension) return group;
+
+      const children = new Map();
+      groupBookings.forEach(booking => {
+        const childKey = dimension.getKey(booking) ?? BLANK_GROUP;
+        if (!children.has(childKey)) {
+          children.set(childKey, {
+            bookings: [],
+            sortValue: childKey === BLANK_GROUP ? Infinity : dimension.getSortValue?.(booking)
+          });
+        }
+        children.get(childKey).bookings.push(booking);
+      });
+
+      group.children = [...children.entries()]
+        .sort(([keyA, a], [keyB, b]) => {
+          if ((keyA === BLANK_GROUP) !== (keyB === BLANK_GROUP)) return keyA === BLANK_GROUP ? 1 : -1;
+          if (dimension.getSortValue) return a.sortValue - b.sortValue;
+          return keyA.localeCompare(keyB, undefined, { numeric: true, sensitivity: 'base' });
+        })
+        .map(([childKey, child]) => buildGroup(childKey, [...path, childKey], child.bookings));
+      return group;
+    };
+
+    return buildGroup(null, [], bookings || []);
+  },
+
   /**
    * Get statistics for grouped bookings
    * @param {Object} groupedBookings - Object containing grouped bookings
@@ -212,7 +388,7 @@ export const groupingService = {
         count: bookings.length,
         totalAmount: bookings.reduce((sum, b) => sum + (parseFloat(b['Total Paid'] || 0)), 0),
         totalSlots: bookings.reduce((sum, b) => sum + (parseInt(b['Number of slots'] || 0)), 0),
-        uniqueCustomers: new Set(bookings.map(b => b.Phone)).size,
+        uniqueCustomers: customerService.countCustomers(bookings),
         avgBookingValue: 0
       };
 
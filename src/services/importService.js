@@ -0,0 +1,112 @@
+import Papa from 'papaparse';
+import { readXlsxRows } from '../utils/xlsxReader';
+import { applyColumnMapping } from '../utils/columnMapping';
+import { normalizeBooking, buildGroupIndex, materializeGroups } from '../utils/bookingProcessing';
+import { buildQualityReport } from '../utils/bookingSchema';
+import { getFinancialYear } from '../utils/dateUtils';
+
+// Imported datasets live for the session only
+const datasets = new Map();
+
+/**
+ * Imports of one-off booking exports (CSV or XLSX) as temporary datasets
+ */
+export const importService = {
+  /**
+   * Read a dropped file into header-keyed rows
+   * @param {File} file - CSV or XLSX file
+   * @returns {Promise<Object>} { fileName, headers, rows }
+   */
+  async readFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    console.log(`[ImportService] Reading ${file.name}`);
+
+    if (extension === 'xlsx') {
+      const { headers, rows } = readXlsxRows(await file.arrayBuffer());
+      return { fileName: file.name, headers, rows };
+    }
+
+    if (extension === 'csv') {
+      return new Promise((resolve, reject) => {
+        Papa.parse(file, {
+          header: true,
+          dynamicTyping: true,
+          skipEmptyLines: true,
+          complete: (results) => {
+            resolve({
+              fileName: file.name,
+              headers: (results.meta.fields || []).filter(Boolean),
+              rows: results.data,
+              parseErrors: results.errors
+            });
+          },
+          error: (error) => reject(error)
+        });
+      });
+    }
+
+    throw new Error(`Unsupported file type ".${extension}". Import a .csv or .xlsx file.`);
+  },
+
+  /**
+   * Map and process imported rows into a temporary dataset
+   * @param {Object} imported - Output of readFile
+   * @param {Object} mapping - Map of schema column -> file header
+   * @returns {Object} Dataset summary ({ id, name, rowCount, importedAt, issueCount })
+   */
+  createDataset(imported, mapping) {
+    const rows = applyColumnMapping(imported.rows, mapping);
+    const qualityReport = buildQualityReport(rows, {
+      fields: Object.keys(mapping).filter(column => mapping[column]),
+      parseErrors: imported.parseErrors
+    });
+    qualityReport.label = imported.fileName;
+
+    // Exports can span financial years, so each row is tagged from its own date
+    const bookings = rows.map(row => normalizeBooking(row, getFinancialYear(row['Slot Date'])));
+
+    const dataset = {
+      id: `import-${Date.now()}`,
+      name: imported.fileName,
+      importedAt: Date.now(),
+      rowCount: bookings.length,
+      issueCount: qualityReport.issueCount,
+      bookings,
+      groupIndex: buildGroupIndex(bookings),
+      qualityReport,
+      mapping
+    };
+    datasets.set(dataset.id, dataset);
+    console.log(`[ImportService] Created dataset ${dataset.id} with ${bookings.length} bookings`);
+
+    return this.summarize(dataset);
+  },
+
+  /**
+   * Get a dataset with its bookings and groupings
+   * @param {string} id - Dataset id
+   * @returns {Object|null} Dataset, or null when it no longer exists
+   */
+  getDataset(id) {
+    const dataset = datasets.get(id);
+    if (!dataset) return null;
+    return { ...dataset, groups: materializeGroups(dataset.groupIndex, dataset.bookings) };
+  },
+
+  /**
+   * Remove a dataset
+   * @param {string} id - Dataset id
+   */
+  removeDataset(id) {
+    datasets.delete(id);
+  },
+
+  /**
+   * Summary of a dataset suitable for app state
+   * @param {Object} dataset - Dataset
+   * @returns {Object} { id, name, rowCount, importedAt, issueCount }
+   */
+  summarize({ id, name, rowCount, importedAt, issueCount }) {
+    return { id, name, rowCount, importedAt, issueCount };
+  }
+};
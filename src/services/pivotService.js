@@ -0,0 +1,186 @@
+import Papa from 'papaparse';
+import { groupingService, GroupDimensions, GroupMeasures } from './groupingService';
+
+// Joins group names into row and column ids
+const PATH_SEPARATOR = '\u001f';
+
+/**
+ * Id of a group path - the grand total is ''
+ * @param {Array<string>} path - Group names from the root
+ * @returns {string} Id
+ */
+const getPathId = path => path.join(PATH_SEPARATOR);
+
+/**
+ * Rows (or columns) of a pivot in display order: each group's members, then its subtotal,
+ * with the grand total last
+ * @param {Object} root - Root group from groupByDimensions
+ * @param {number} depth - Number of dimensions
+ * @returns {Array<Object>} { id, path, type } where type is 'group', 'subtotal' or 'total'
+ */
+function flattenGroups(root, depth) {
+  const entries = [];
+  const visit = (group) => {
+    if (group.path.length === depth) {
+      entries.push({ id: getPathId(group.path), path: group.path, type: 'group' });
+      return;
+    }
+    group.children.forEach(visit);
+    entries.push({ id: getPathId(group.path), path: group.path, type: 'subtotal' });
+  };
+
+  if (depth > 0) root.children.forEach(visit);
+  entries.push({ id: '', path: [], type: 'total' });
+  return entries;
+}
+
+/**
+ * Every group of a tree by path id
+ * @param {Object} root - Root group from groupByDimensions
+ * @returns {Map<string, Object>} Path id -> measure values
+ */
+function indexValues(root) {
+  const values = new Map();
+  const visit = (group) => {
+    values.set(getPathId(group.path), group.values);
+    group.children.forEach(visit);
+  };
+  visit(root);
+  return values;
+}
+
+/**
+ * Label of a pivot row or column entry at one dimension level
+ * @param {Object} entry - Row or column entry
+ * @param {number} level - Dimension level
+ * @returns {string} Group name, "<group> Total", "Grand Total" or ''
+ */
+function getEntryLabel(entry, level) {
+  if (level < entry.path.length) return entry.path[level];
+  if (level > entry.path.length) return '';
+  return entry.type === 'total' ? 'Grand Total' : `${entry.path[entry.path.length - 1]} Total`;
+}
+
+/**
+ * Service for cross-tabulating bookings by row and column dimensions
+ */
+export const pivotService = {
+  /**
+   * Build a pivot table: bookings grouped by the row dimensions down and the column dimensions
+   * across, with subtotals at every level and grand totals
+   * @param {Array} bookings - Array of booking objects
+   * @param {Object} config - Pivot layout
+   * @param {Array<string>} config.rows - GroupDimensions keys for rows, outermost first
+   * @param {Array<string>} config.columns - GroupDimensions keys for columns, outermost first
+   * @param {Array<string>} config.measures - GroupMeasures keys shown in each cell
+   * @returns {Object} { rows, columns, measures, rowDimensions, columnDimensions, getCell(rowId, columnId) }
+   */
+  buildPivot(bookings, { rows, columns, measures }) {
+    const start = performance.now();
+    const rowRoot = groupingService.groupByDimensions(bookings, rows, measures);
+    const columnRoot = groupingService.groupByDimensions(bookings, columns, measures);
+
+    // Each row group is split by the column dimensions, so subtotals are counted, not summed
+    // (unique customers do not add up across groups)
+    const cells = new Map();
+    const visit = (group) => {
+      cells.set(getPathId(group.path), indexValues(
+        groupingService.groupByDimensions(group.bookings, columns, measures)
+      ));
+      group.children.forEach(visit);
+    };
+    visit(rowRoot);
+
+    const pivot = {
+      rows: flattenGroups(rowRoot, rows.length),
+      columns: flattenGroups(columnRoot, columns.length),
+      measures,
+      rowDimensions: rows,
+      columnDimensions: columns,
+      getCell: (rowId, columnId) => cells.get(rowId)?.get(columnId) || null
+    };
+
+    console.log(`[PivotService] Built ${pivot.rows.length} x ${pivot.columns.length} pivot in ${Math.round(performance.now() - start)}ms`);
+    return pivot;
+  },
+
+  /**
+   * Header rows for the pivot's columns: one per column dimension, adjacent columns of the
+   * same group merged, then one of measure names when there are several
+   * @param {Object} pivot - Pivot from buildPivot
+   * @returns {Array<Array<Object>>} Rows of { label, span, type }
+   */
+  getColumnHeaders(pivot) {
+    const measureCount = pivot.measures.length;
+    const levels = Math.max(pivot.columnDimensions.length, 1);
+    const headers = [];
+
+    for (let level = 0; level < levels; level++) {
+      const cells = [];
+      pivot.columns.forEach(column => {
+        const label = pivot.columnDimensions.length === 0 ? 'Total' : getEntryLabel(column, level);
+        const groupId = level < column.path.length ? getPathId(column.path.slice(0, level + 1)) : null;
+        const previous = cells[cells.length - 1];
+
+        if (groupId !== null && previous?.groupId === groupId) {
+          previous.span += measureCount;
+        } else {
+          cells.push({ label, span: measureCount, type: column.type, groupId });
+        }
+      });
+      headers.push(cells.map(({ label, span, type }) => ({ label, span, type })));
+    }
+
+    if (measureCount > 1) {
+      headers.push(pivot.columns.flatMap(column => pivot.measures.map(measure => ({
+        label: GroupMeasures[measure].label,
+        span: 1,
+        type: column.type
+      }))));
+    }
+    return headers;
+  },
+
+  /**
+   * Row labels of a pivot row, one per row dimension
+   * @param {Object} pivot - Pivot from buildPivot
+   * @param {Object} row - Row entry
+   * @returns {Array<string>} Labels
+   */
+  getRowLabels(pivot, row) {
+    const levels = Math.max(pivot.rowDimensions.length, 1);
+    return Array.from({ length: levels }, (_, level) => getEntryLabel(row, level));
+  },
+
+  /**
+   * The pivot as CSV, one header line naming each column's groups and measure
+   * @param {Object} pivot - Pivot from buildPivot
+   * @returns {string} CSV text
+   */
+  toCsv(pivot) {
+    const rowHeaders = pivot.rowDimensions.length > 0
+      ? pivot.rowDimensions.map(dimension => GroupDimensions[dimension].label)
+      : [''];
+    const columnHeaders = pivot.columns.flatMap(column => {
+      const label = pivot.columnDimensions.length === 0
+        ? 'Total'
+        : column.type === 'group' ? column.path.join(' / ') : getEntryLabel(column, column.path.length);
+      return pivot.measures.map(measure => (
+        pivot.measures.length > 1 ? `${label} - ${GroupMeasures[measure].label}` : label
+      ));
+    });
+
+    const data = pivot.rows.map(row => [
+      ...this.getRowLabels(pivot, row),
+      ...pivot.columns.flatMap(column => {
+        const values = pivot.getCell(row.id, column.id);
+        return pivot.measures.map(measure => {
+          const value = values?.[measure] ?? 0;
+          return Number.isInteger(value) ? value : Number(value.toFixed(2));
+        });
+      })
+    ]);
+
+    return Papa.unparse({ fields: [...rowHeaders, ...columnHeaders], data });
+  }
+};
@@ -0,0 +1,116 @@
+import { fetchTableRows, upsertTableRow, isSupabaseConfigured } from './supabase';
+import { FEATURES } from '../config/features';
+
+// Table layout, overridable from the environment
+const SAVED_VIEWS_TABLE = import.meta.env.VITE_SAVED_VIEWS_TABLE?.trim() || 'saved_views';
+
+// localStorage key prefix - the user id is appended
+const STORAGE_PREFIX = 'claygrounds-saved-views:';
+
+// Loaded views by user id, so every hook instance shares one fetch
+const cache = new Map();
+
+/**
+ * Empty saved-views record
+ * @returns {Object} { views, defaultViewId }
+ */
+function emptyRecord() {
+  return { views: [], defaultViewId: null };
+}
+
+/**
+ * Whether views are stored in Supabase rather than only in this browser
+ * @returns {boolean} Whether the Supabase table is used
+ */
+function usesSupabase() {
+  return isSupabaseConfigured && !FEATURES.MOCK_DATA;
+}
+
+/**
+ * Read the localStorage copy of a user's views
+ * @param {string} userId - Supabase user id
+ * @returns {Object|null} { views, defaultViewId } or null when nothing is stored
+ */
+function readLocal(userId) {
+  try {
+    const stored = window.localStorage.getItem(`${STORAGE_PREFIX}${userId}`);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.warn('[SavedViews] Could not read saved views from localStorage:', error);
+    return null;
+  }
+}
+
+/**
+ * Write the localStorage copy of a user's views
+ * @param {string} userId - Supabase user id
+ * @param {Object} record - { views, defaultViewId }
+ */
+function writeLocal(userId, record) {
+  try {
+    window.localStorage.setItem(`${STORAGE_PREFIX}${userId}`, JSON.stringify(record));
+  } catch (error) {
+    console.warn('[SavedViews] Could not write saved views to localStorage:', error);
+  }
+}
+
+/**
+ * Named dashboard views (filters, sort, visible columns and route), stored per user.
+ * Views live in a Supabase table keyed by user id; localStorage keeps a copy and is
+ * used on its own when Supabase is not configured or cannot be reached.
+ */
+export const savedViewsService = {
+  /**
+   * Load a user's saved views
+   * @param {string} userId - Supabase user id
+   * @returns {Promise<Object>} { views, defaultViewId }
+   */
+  async load(userId) {
+    if (!userId) return emptyRecord();
+    if (cache.has(userId)) return cache.get(userId);
+
+    let record = null;
+    if (usesSupabase()) {
+      try {
+        const [row] = await fetchTableRows(SAVED_VIEWS_TABLE, { filters: { user_id: userId } });
+        if (row) {
+          record = { views: row.views || [], defaultViewId: row.default_view_id || null };
+          writeLocal(userId, record);
+        }
+      } catch (error) {
+        console.warn('[SavedViews] Falling back to localStorage:', error.message);
+      }
+    }
+
+    record = record || readLocal(userId) || emptyRecord();
+    console.log(`[SavedViews] Loaded ${record.views.length} saved views`);
+    cache.set(userId, record);
+    return record;
+  },
+
+  /**
+   * Store a user's saved views. The localStorage copy is always written, so a failed
+   * Supabase write still keeps the views in this browser.
+   * @param {string} userId - Supabase user id
+   * @param {Object} record - { views, defaultViewId }
+   * @returns {Promise<Object>} The stored record
+   */
+  async save(userId, record) {
+    if (!userId) throw new Error('Saved views need a signed-in user');
+
+    cache.set(userId, record);
+    writeLocal(userId, record);
+
+    if (usesSupabase()) {
+      await upsertTableRow(SAVED_VIEWS_TABLE, {
+        user_id: userId,
+        views: record.views,
+        default_view_id: record.defaultViewId,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id' });
+    }
+
+    console.log(`[SavedViews] Saved ${record.views.length} views`);
+    return record;
+  }
+};
@@ -0,0 +1,181 @@
+import { FilterTypes } from '../utils/constants';
+import { normalizeSearchText, normalizePhone, fuzzyScore, editDistance } from '../utils/fuzzyMatch';
+import { customerService } from './customerService';
+
+// Search indexes by bookings array, rebuilt whenever a new array is loaded
+const indexCache = new WeakMap();
+
+// Shortest query that is searched
+const MIN_QUERY_LENGTH = 2;
+
+/**
+ * Result groups, in the order they are shown
+ */
+export const SearchResultTypes = {
+  CUSTOMER: 'customers',
+  BOOKING: 'bookings',
+  LOCATION: 'locations',
+  SPORT: 'sports'
+};
+
+/**
+ * Distinct values of a field, with their normalised form
+ * @param {Array} bookings - Bookings
+ * @param {string} field - Booking field
+ * @returns {Array<Object>} { name, key, count }
+ */
+function indexField(bookings, field) {
+  const values = new Map();
+  bookings.forEach(booking => {
+    const name = booking[field];
+    if (!name) return;
+    const entry = values.get(name) || { name, key: normalizeSearchText(name), count: 0 };
+    entry.count += 1;
+    values.set(name, entry);
+  });
+  return [...values.values()];
+}
+
+/**
+ * Best results of a group, highest score first
+ * @param {Array<Object>} results - Scored results
+ * @param {number} limit - Results to keep
+ * @returns {Array<Object>} Results
+ */
+function topResults(results, limit) {
+  return results
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score || b.count - a.count)
+    .slice(0, limit);
+}
+
+/**
+ * Search across customers, phones, booking references, locations and sports
+ */
+export const searchService = {
+  /**
+   * Build (or reuse) the search index for a bookings array
+   * @param {Array} bookings - Bookings
+   * @returns {Object} { customers, bookings, locations, sports }
+   */
+  getIndex(bookings) {
+    if (indexCache.has(bookings)) return indexCache.get(bookings);
+
+    const start = performance.now();
+    const references = new Map();
+
+    // Customers are told apart by Customer Id; any name they booked under finds them
+    const customers = [...customerService.getCustomers(bookings).values()].map(customer => ({
+      name: customer.name,
+      nameKeys: customer.aliases.map(normalizeSearchText),
+      phone: customer.phone,
+      count: customer.bookingCount
+    }));
+
+    bookings.forEach(booking => {
+      const name = booking['Customer Name'] ? String(booking['Customer Name']).trim() : '';
+
+      const reference = booking['Booking Reference'];
+      if (reference && !references.has(reference)) {
+        references.set(reference, {
+          reference: String(reference),
+          key: String(reference).toLowerCase().replace(/[^a-z0-9]/g, ''),
+          customer: name,
+          date: booking['Slot Date'],
+          location: booking['Location'],
+          count: 1
+        });
+      }
+    });
+
+    const index = {
+      customers,
+      bookings: [...references.values()],
+      locations: indexField(bookings, 'Location'),
+      sports: indexField(bookings, 'Sport')
+    };
+
+    console.log(`[SearchService] Indexed ${index.customers.length} customers and ${index.bookings.length} bookings in ${Math.round(performance.now() - start)}ms`);
+    indexCache.set(bookings, index);
+    return index;
+  },
+
+  /**
+   * Search the bookings, grouping results by type
+   * @param {Array} bookings - Bookings to search
+   * @param {string} query - Text typed by the user
+   * @param {Object} [options] - Search options
+   * @param {number} [options.limit] - Results per group
+   * @returns {Object} SearchResultTypes value -> results with { id, type, label, detail, score, filter: { type, value } };
+   *   customer results also carry their normalised phone, empty when they have none
+   */
+  search(bookings, query, { limit = 5 } = {}) {
+    const results = Object.fromEntries(Object.values(SearchResultTypes).map(type => [type, []]));
+    const text = normalizeSearchText(query);
+    if (!bookings?.length || text.length < MIN_QUERY_LENGTH) return results;
+
+    const index = this.getIndex(bookings);
+    // Only queries that look like a phone number are matched against phones; a typed +91 is dropped
+    // even before the number is complete
+    const digits = /^\+?[\d\s-]+$/.test(String(query).trim())
+      ? normalizePhone(String(query).trim().replace(/^(\+91|0091)[\s-]*/, ''))
+      : '';
+    const compact = text.replace(/ /g, '');
+
+    results[SearchResultTypes.CUSTOMER] = topResults(index.customers.map(customer => {
+      let score = Math.max(0, ...customer.nameKeys.map(nameKey => fuzzyScore(text, nameKey)));
+      if (digits.length >= 3 && customer.phone.includes(digits)) {
+        score = Math.max(score, customer.phone.startsWith(digits) ? 0.95 : 0.7);
+      }
+      return {
+        id: `customer-${customer.phone || customer.nameKeys[0]}`,
+        type: SearchResultTypes.CUSTOMER,
+        label: customer.name,
+        detail: `${customer.phone || 'No phone'} · ${customer.count} booking${customer.count === 1 ? '' : 's'}`,
+        score,
+        count: customer.count,
+        phone: customer.phone,
+        filter: customer.phone
+          ? { type: FilterTypes.PHONE, value: customer.phone }
+          : { type: FilterTypes.CUSTOMER, value: customer.name }
+      };
+    }), limit);
+
+    // References are matched as typed, with one typo allowed once most of it is there
+    if (compact.length >= 3) {
+      results[SearchResultTypes.BOOKING] = topResults(index.bookings.map(booking => {
+        let score = 0;
+        if (booking.key === compact) score = 1;
+        else if (booking.key.startsWith(compact)) score = 0.9;
+        else if (booking.key.includes(compact)) score = 0.6;
+        else if (compact.length >= 8 && editDistance(compact, booking.key, 1) <= 1) score = 0.5;
+        return {
+          id: `booking-${booking.reference}`,
+          type: SearchResultTypes.BOOKING,
+          label: booking.reference,
+          detail: [booking.customer, booking.date, booking.location].filter(Boolean).join(' · '),
+          score,
+          count: booking.count,
+          filter: { type: FilterTypes.BOOKING_REF, value: booking.reference }
+        };
+      }), limit);
+    }
+
+    [
+      [SearchResultTypes.LOCATION, index.locations, FilterTypes.LOCATION],
+      [SearchResultTypes.SPORT, index.sports, FilterTypes.SPORT]
+    ].forEach(([type, entries, filterType]) => {
+      results[type] = topResults(entries.map(entry => ({
+        id: `${type}-${entry.name}`,
+        type,
+        label: entry.name,
+        detail: `${entry.count} booking${entry.count === 1 ? '' : 's'}`,
+        score: fuzzyScore(text, entry.key),
+        count: entry.count,
+        filter: { type: filterType, value: entry.name }
+      })), limit);
+    });
+
+    return results;
+  }
+};
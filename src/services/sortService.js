@@ -1,10 +1,98 @@
-import { parseDate } from '../utils/dateUtils';
-import { CONSTANTS } from '../utils/constants';
+import { CONSTANTS, SortTypes } from '../utils/constants';
+import { BOOKING_SCHEMA, ColumnTypes } from '../utils/bookingSchema';
+import { getPeriodRange } from '../utils/dateUtils';
+
+// DD/MM/YYYY, optionally followed by a time
+const DATE_TIME_PATTERN = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:[\sT,]+(.+))?$/;
+// 8:30 PM, 20:30, 20:30:15 or 8 PM
+const TIME_PATTERN = /^(\d{1,2})(?::(\d{2}))?(?::(\d{2}))?\s*([ap]\.?m\.?)?$/i;
+
+const textCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Minutes since midnight of a time of day
+ * @param {string} value - Time such as "8:30 PM" or "20:30"
+ * @returns {number|null} Minutes, or null when the value is not a time
+ */
+function parseTimeOfDay(value) {
+  const match = TIME_PATTERN.exec(String(value).trim());
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const period = match[4]?.[0].toLowerCase();
+  if (period === 'p' && hours < 12) hours += 12;
+  if (period === 'a' && hours === 12) hours = 0;
+
+  return hours * 60 + Number(match[2] || 0) + Number(match[3] || 0) / 60;
+}
+
+/**
+ * Timestamp of a DD/MM/YYYY date, including its time when it has one
+ * @param {string|Date} value - Date
+ * @returns {number|null} Milliseconds, or null when the value is not a date
+ */
+function parseDateTime(value) {
+  if (value instanceof Date) return isNaN(value) ? null : value.getTime();
+
+  const match = DATE_TIME_PATTERN.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, day, month, year, time] = match;
+  const minutes = time ? parseTimeOfDay(time) : 0;
+  return new Date(Number(year), Number(month) - 1, Number(day)).getTime() + (minutes || 0) * 60000;
+}
+
+/**
+ * Number from an amount, with or without the currency symbol and separators
+ * @param {*} value - Amount
+ * @returns {number|null} Number, or null when the value is not numeric
+ */
+function parseAmount(value) {
+  if (typeof value === 'number') return isNaN(value) ? null : value;
+  const number = parseFloat(String(value).replace(CONSTANTS.CURRENCY_SYMBOL, '').replace(/[,\s]/g, ''));
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Comparators by sort type: `key` turns a value into something comparable once per row,
+ * `compare` orders two keys ascending. Values without a key sort last.
+ */
+const COMPARATORS = {
+  [SortTypes.DATE]: { key: parseDateTime, compare: (a, b) => a - b },
+  [SortTypes.TIME]: { key: parseTimeOfDay, compare: (a, b) => a - b },
+  [SortTypes.CURRENCY]: { key: parseAmount, compare: (a, b) => a - b },
+  [SortTypes.INTEGER]: { key: parseAmount, compare: (a, b) => a - b },
+  [SortTypes.TEXT]: {
+    key: value => String(value).trim() || null,
+    compare: (a, b) => textCollator.compare(a, b)
+  }
+};
+
+// Sort types of fields that are not table columns, from the CSV schema
+const SCHEMA_SORT_TYPES = {
+  [ColumnTypes.DATE]: SortTypes.DATE,
+  [ColumnTypes.INTEGER]: SortTypes.INTEGER,
+  // Amounts and counts alike compare as numbers
+  [ColumnTypes.NUMBER]: SortTypes.CURRENCY
+};
 
 /**
  * Service for sorting data by various criteria
  */
 export const sortService = {
+  /**
+   * Sort type declared for a field: the table column's, else the CSV schema's, else text
+   * @param {string} field - Field name
+   * @returns {string} SortTypes value
+   */
+  getSortType(field) {
+    const header = CONSTANTS.TABLE_HEADERS.find(item => item.key === field);
+    if (header?.sortType) return header.sortType;
+
+    const column = BOOKING_SCHEMA.find(item => item.name === field);
+    return SCHEMA_SORT_TYPES[column?.type] || SortTypes.TEXT;
+  },
+
   /**
    * Sort data based on field and direction
    * @param {Array} data - Data array to sort
@@ -13,58 +101,7 @@ export const sortService = {
    * @returns {Array} Sorted data array
    */
   sortData(data, field, direction) {
-    console.log(`[SortService] Sorting data by ${field} in ${direction} order`);
-    
-    if (!data || !data.length || !field) {
-      console.warn('[SortService] Invalid data or field for sorting');
-      return data;
-    }
-    
-    try {
-      return [...data].sort((a, b) => {
-        const valueA = a[field];
-        const valueB = b[field];
-        
-        // Handle cases where values might be undefined or null
-        if (valueA === undefined || valueA === null) return direction === 'asc' ? -1 : 1;
-        if (valueB === undefined || valueB === null) return direction === 'asc' ? 1 : -1;
-        
-        // Handle numeric values
-        if (typeof valueA === 'number' && typeof valueB === 'number') {
-          return direction === 'asc' ? valueA - valueB : valueB - valueA;
-        }
-        
-        // Handle date values (check if it matches date format DD/MM/YYYY)
-        if (typeof valueA === 'string' && typeof valueB === 'string' && 
-            /^\d{2}\/\d{2}\/\d{4}$/.test(valueA) && /^\d{2}\/\d{2}\/\d{4}$/.test(valueB)) {
-          // Convert to date objects for comparison
-          const dateA = parseDate(valueA);
-          const dateB = parseDate(valueB);
-          if (dateA && dateB) {
-            return direction === 'asc' ? dateA - dateB : dateB - dateA;
-          }
-        }
-        
-        // Handle currency values (values starting with currency symbol)
-        if (typeof valueA === 'string' && typeof valueB === 'string' &&
-            valueA.startsWith(CONSTANTS.CURRENCY_SYMBOL) && valueB.startsWith(CONSTANTS.CURRENCY_SYMBOL)) {
-          const numA = parseFloat(valueA.replace(CONSTANTS.CURRENCY_SYMBOL, '').replace(/,/g, '')) || 0;
-          const numB = parseFloat(valueB.replace(CONSTANTS.CURRENCY_SYMBOL, '').replace(/,/g, '')) || 0;
-          return direction === 'asc' ? numA - numB : numB - numA;
-        }
-        
-        // Handle string values (case-insensitive)
-        const strA = String(valueA).toLowerCase();
-        const strB = String(valueB).toLowerCase();
-        
-        return direction === 'asc' ? 
-            strA.localeCompare(strB) : 
-            strB.localeCompare(strA);
-      });
-    } catch (error) {
-      console.error(`[SortService] Error sorting data: ${error.message}`);
-      return data; // Return unsorted data on error
-    }
+    return this.sortByMultipleFields(data, [{ field, direction }]);
   },
   
   /**
@@ -85,139 +122,98 @@ export const sortService = {
     // If clicking the same field, toggle direction
     return currentDirection === 'asc' ? 'desc' : 'asc';
   },
+
+  /**
+   * Sort keys after a header click
+   * @param {Array<Object>} sortKeys - Current keys, { field, direction }, most significant first
+   * @param {string} field - Clicked field
+   * @param {Object} [options] - Click options
+   * @param {boolean} [options.append] - Add the field as a further key (shift-click) instead of
+   *   sorting by it alone; a field that is already a key has its direction toggled in place
+   * @returns {Array<Object>} New sort keys
+   */
+  getNextSortKeys(sortKeys, field, { append = false } = {}) {
+    const existing = sortKeys.find(key => key.field === field);
+
+    if (!append) {
+      const primary = sortKeys[0];
+      return [{ field, direction: this.getNextSortDirection(primary?.field, field, primary?.direction) }];
+    }
+    if (existing) {
+      return sortKeys.map(key => (key === existing
+        ? { field, direction: key.direction === 'asc' ? 'desc' : 'asc' }
+        : key));
+    }
+    return [...sortKeys, { field, direction: 'desc' }];
+  },
   
   /**
-   * Sort data by multiple fields
+   * Sort data by several keys in one stable pass, comparing each field with the comparator
+   * of its sort type. Empty values sort last whichever the direction.
    * @param {Array} data - Data array to sort
-   * @param {Array} sortConfig - Array of sort configurations
+   * @param {Array<Object>} sortConfig - Keys, { field, direction }, most significant first
    * @returns {Array} Sorted data array
    */
   sortByMultipleFields(data, sortConfig) {
-    if (!data || !data.length || !sortConfig || !sortConfig.length) {
+    const keys = (sortConfig || []).filter(config => config?.field);
+    if (!data || !data.length || !keys.length) {
       return data;
     }
     
-    return [...data].sort((a, b) => {
-      for (const config of sortConfig) {
-        const { field, direction } = config;
-        const valueA = a[field];
-        const valueB = b[field];
-        
-        // Skip if both values are undefined/null
-        if ((valueA === undefined || valueA === null) && 
-            (valueB === undefined || valueB === null)) {
-          continue;
-        }
-        
-        // Handle cases where only one value is undefined/null
-        if (valueA === undefined || valueA === null) return direction === 'asc' ? -1 : 1;
-        if (valueB === undefined || valueB === null) return direction === 'asc' ? 1 : -1;
-        
-        // Compare values based on their type
-        if (typeof valueA === 'number' && typeof valueB === 'number') {
-          const result = valueA - valueB;
-          if (result !== 0) {
-            return direction === 'asc' ? result : -result;
-          }
-        } else if (valueA instanceof Date && valueB instanceof Date) {
-          const result = valueA - valueB;
-          if (result !== 0) {
-            return direction === 'asc' ? result : -result;
-          }
-        } else {
-          const strA = String(valueA).toLowerCase();
-          const strB = String(valueB).toLowerCase();
-          const result = strA.localeCompare(strB);
-          if (result !== 0) {
-            return direction === 'asc' ? result : -result;
-          }
-        }
-      }
-      
-      // If all fields are equal, maintain original order
-      return 0;
-    });
-  },
-  
-  /**
-   * Sort months in financial year order (April to March)
-   * @param {Array<Array>} entries - Array of [key, value] entries where key is a month string
-   * @returns {Array<Array>} Sorted entries
-   */
-  sortMonthsInFinancialYearOrder(entries) {
-    console.log('[SortService] Sorting months in financial year order');
-    
-    // Define month order for financial year (April to March)
-    const monthOrder = [
-      'April', 'May', 'June', 'July', 'August', 'September',
-      'October', 'November', 'December', 'January', 'February', 'March'
-    ];
-    
-    // Extract month and year from month string (e.g., "April 2024")
-    const extractMonthAndYear = (monthStr) => {
-      const parts = monthStr.split(' ');
-      return {
-        month: parts[0],
-        year: parseInt(parts[1] || '0', 10)
-      };
-    };
+    console.log(`[SortService] Sorting ${data.length} rows by ${keys.map(key => `${key.field} ${key.direction}`).join(', ')}`);
     
-    // Sort entries by financial year month order
-    return [...entries].sort(([a], [b]) => {
-      const monthA = extractMonthAndYear(a);
-      const monthB = extractMonthAndYear(b);
+    try {
+      const comparators = keys.map(({ field, direction }) => ({
+        field,
+        sign: direction === 'desc' ? -1 : 1,
+        ...COMPARATORS[this.getSortType(field)]
+      }));
       
-      // If years are different, sort by year first
-      if (monthA.year !== monthB.year) {
-        return monthA.year - monthB.year;
-      }
+      // Each value is parsed once rather than on every comparison
+      const rows = data.map((item, index) => ({
+        item,
+        index,
+        values: comparators.map(({ field, key }) => {
+          const value = item[field];
+          return value === undefined || value === null || value === '' ? null : key(value);
+        })
+      }));
       
-      // If years are the same, sort by month order
-      return monthOrder.indexOf(monthA.month) - monthOrder.indexOf(monthB.month);
-    });
+      rows.sort((a, b) => {
+        for (let i = 0; i < comparators.length; i++) {
+          const valueA = a.values[i];
+          const valueB = b.values[i];
+          if (valueA === null || valueB === null) {
+            if (valueA !== valueB) return valueA === null ? 1 : -1;
+            continue;
+          }
+          const result = comparators[i].compare(valueA, valueB);
+          if (result !== 0) return result * comparators[i].sign;
+        }
+        // Equal rows keep their order
+        return a.index - b.index;
+      });
+      
+      return rows.map(row => row.item);
+    } catch (error) {
+      console.error(`[SortService] Error sorting data: ${error.message}`);
+      return data; // Return unsorted data on error
+    }
   },
   
   /**
-   * Determine the data type of a field from sample data
-   * @param {Array} data - Data array to analyze
-   * @param {string} field - Field to analyze
-   * @returns {string} Detected data type ('number', 'date', 'currency', 'string')
+   * Sort period entries in time order, e.g. category cards keyed by month or week
+   * @param {Array<Array>} entries - Array of [key, value] entries where key is a period key (see getPeriodKey)
+   * @param {string} grain - One of TimeGrains
+   * @returns {Array<Array>} Sorted entries, keys that do not parse last
    */
-  detectFieldType(data, field) {
-    if (!data || !data.length || !field) {
-      return 'string';
-    }
-    
-    // Get first non-null value
-    let sampleValue = null;
-    for (const item of data) {
-      if (item[field] !== null && item[field] !== undefined) {
-        sampleValue = item[field];
-        break;
-      }
-    }
-    
-    if (sampleValue === null) {
-      return 'string';
-    }
-    
-    // Check type
-    if (typeof sampleValue === 'number') {
-      return 'number';
-    }
-    
-    if (typeof sampleValue === 'string') {
-      // Check if date
-      if (/^\d{2}\/\d{2}\/\d{4}$/.test(sampleValue)) {
-        return 'date';
-      }
-      
-      // Check if currency
-      if (sampleValue.startsWith(CONSTANTS.CURRENCY_SYMBOL)) {
-        return 'currency';
-      }
-    }
-    
-    return 'string';
+  sortPeriods(entries, grain) {
+    console.log(`[SortService] Sorting ${grain} periods in time order`);
+
+    const getStart = key => getPeriodRange(key, grain)?.start.getTime() ?? Infinity;
+    return entries
+      .map(entry => ({ entry, start: getStart(entry[0]) }))
+      .sort((a, b) => (a.start === b.start ? 0 : a.start < b.start ? -1 : 1))
+      .map(({ entry }) => entry);
   }
-};
\ No newline at end of file
+};
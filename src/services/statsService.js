@@ -1,12 +1,80 @@
 import { dataUtils } from '../utils/dataUtils';
-import { categoryConfigs } from '../utils/constants';
+import { categoryConfigs, TIME_BANDS } from '../utils/constants';
 import { groupingService } from './groupingService';
-import { isInFinancialYear } from '../utils/dateUtils';
+import { isInFinancialYear, getPeriodRange, getFinancialYear, TimeGrains } from '../utils/dateUtils';
+import { sortService } from './sortService';
+import { getHourOfDay, getDurationMinutes, getSlotStartHour, isHourInRange, formatHourRange } from '../utils/slotIntervals';
+import { customerService } from './customerService';
+import {
+  getLocationById,
+  getCourtCount,
+  getOpeningMinutes,
+  getDaysOpen
+} from '../utils/locationRegistry';
 
 // Cache for statistics calculations
 const statsCache = new Map();
 const locationStatsCache = new Map();
 
+/**
+ * Sum a currency column, ignoring blanks and stripping ₹ and thousands separators
+ * @param {Array} bookings - Array of booking objects
+ * @param {string} fieldName - Column to sum
+ * @returns {number} Total
+ */
+function sumCurrencyField(bookings, fieldName) {
+  return bookings.reduce((total, booking) => {
+    const value = booking[fieldName];
+    if (value === undefined || value === null || value === '') return total;
+    const sanitized = typeof value === 'string'
+                      ? value.replace(/[₹,]/g, '').trim()
+                      : String(value);
+    const numericValue = parseFloat(sanitized);
+    return total + (isNaN(numericValue) ? 0 : numericValue);
+  }, 0);
+}
+
+/**
+ * Cash, bank and Hudle amounts collected for a set of bookings, with each one's share
+ * @param {Array} bookings - Array of booking objects
+ * @returns {Object} { cashAmount, bankAmount, hudleAmount, totalAmount, cashPercentage, bankPercentage, hudlePercentage }
+ */
+function sumPaymentModes(bookings) {
+  const cashAmount = sumCurrencyField(bookings, 'Cash');
+  const bankAmount = sumCurrencyField(bookings, 'UPI') + sumCurrencyField(bookings, 'Bank Transfer');
+  const hudleAmount = ['Hudle App', 'Hudle QR', 'Hudle Wallet', 'Venue Wallet', 'Hudle Pass', 'Hudle Discount']
+    .reduce((total, field) => total + sumCurrencyField(bookings, field), 0);
+  const totalAmount = cashAmount + bankAmount + hudleAmount;
+
+  return {
+    cashAmount,
+    bankAmount,
+    hudleAmount,
+    totalAmount,
+    cashPercentage: totalAmount > 0 ? (cashAmount / totalAmount) * 100 : 0,
+    bankPercentage: totalAmount > 0 ? (bankAmount / totalAmount) * 100 : 0,
+    hudlePercentage: totalAmount > 0 ? (hudleAmount / totalAmount) * 100 : 0
+  };
+}
+
+/**
+ * The most common value among a set of bookings
+ * @param {Array} values - One value per booking; blanks are skipped
+ * @returns {Object|null} { value, count, share } where share is a percentage of all the values, or null when every value is blank
+ */
+function mostFrequent(values) {
+  const counts = new Map();
+  values.forEach(value => {
+    if (value === undefined || value === null || value === '') return;
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  if (!counts.size) return null;
+
+  // Ties go to the value seen first
+  const [value, count] = [...counts.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+  return { value, count, share: (count / values.length) * 100 };
+}
+
 /**
  * Service for statistical calculations and data analysis
  */
@@ -40,14 +108,13 @@ export const statsService = {
       const bySource = groupingService.groupBySource(data);
       const byStatus = groupingService.groupByStatus(data);
       const byPaymentMode = groupingService.groupByPaymentMode(data);
-      const byMonth = groupingService.groupByDate(data, 'month');
       
       // Calculate base statistics
       const stats = {
         totalBookings: data.length,
         totalCollection: dataUtils.sum(data, 'Total Paid'),
         totalSlots: dataUtils.sum(data, 'Number of slots'),
-        uniqueCustomers: new Set(data.map(b => b.Phone)).size,
+        uniqueCustomers: customerService.countCustomers(data),
         totalBalance: dataUtils.sum(data, 'Balance'),
         avgRevenuePerSlot: this.calculateAverage(data, 'Total Paid', 'Number of slots'),
         completionRate: this.calculateCompletionRate(data)
@@ -155,13 +222,7 @@ export const statsService = {
       }
       
       // Add monthly distribution
-      stats.monthlyStats = Object.entries(byMonth).map(([month, bookings]) => ({
-        month,
-        bookings: bookings.length,
-        revenue: dataUtils.sum(bookings, 'Total Paid'),
-        slots: dataUtils.sum(bookings, 'Number of slots'),
-        uniqueCustomers: new Set(bookings.map(b => b.Phone)).size
-      }));
+      stats.monthlyStats = this.calculatePeriodStats(data, TimeGrains.MONTH);
       
       // Add location distribution
       stats.locationStats = Object.entries(byLocation).map(([locationId, bookings]) => ({
@@ -169,7 +230,7 @@ export const statsService = {
         bookings: bookings.length,
         revenue: dataUtils.sum(bookings, 'Total Paid'),
         slots: dataUtils.sum(bookings, 'Number of slots'),
-        uniqueCustomers: new Set(bookings.map(b => b.Phone)).size
+        uniqueCustomers: customerService.countCustomers(bookings)
       }));
       
       // Cache the result
@@ -188,6 +249,33 @@ export const statsService = {
     }
   },
 
+  /**
+   * Group bookings the way a category view does
+   * @param {Array} data - Array of booking objects
+   * @param {Object} config - Category configuration (see categoryConfigs)
+   * @returns {Object} Category value -> bookings
+   */
+  groupForCategory(data, config) {
+    switch (config.category.toLowerCase()) {
+      case 'location':
+        return groupingService.groupByLocation(data);
+      case 'month':
+        return groupingService.groupByDate(data, 'month');
+      case 'period':
+        return groupingService.groupByDate(data, config.grain || TimeGrains.MONTH);
+      case 'sport':
+        return groupingService.groupBySport(data);
+      case 'status':
+        return groupingService.groupByStatus(data);
+      case 'source':
+        return groupingService.groupBySource(data);
+      case 'facility':
+        return groupingService.groupByLocationFacility(data);
+      default:
+        throw new Error(`Unknown category type: ${config.category}`);
+    }
+  },
+
   /**
    * Calculate statistics for a specific category using grouping service
    * @param {Array} data - Array of booking objects
@@ -199,30 +287,8 @@ export const statsService = {
     console.debug(`[StatsService] Calculating stats for category: ${category}`);
     
     try {
-      // Get the appropriate grouping function based on category type
-      let groupingFunction;
-      switch (config.category.toLowerCase()) {
-        case 'location':
-          groupingFunction = groupingService.groupByLocation;
-          break;
-        case 'month':
-          groupingFunction = (data) => groupingService.groupByDate(data, 'month');
-          break;
-        case 'sport':
-          groupingFunction = groupingService.groupBySport;
-          break;
-        case 'status':
-          groupingFunction = groupingService.groupByStatus;
-          break;
-        case 'source':
-          groupingFunction = groupingService.groupBySource;
-          break;
-        default:
-          throw new Error(`Unknown category type: ${config.category}`);
-      }
-      
       // Group the data
-      const groupedData = groupingFunction(data);
+      const groupedData = this.groupForCategory(data, config);
       const categoryData = groupedData[category] || [];
       
       // Calculate statistics for this category
@@ -230,7 +296,7 @@ export const statsService = {
         totalBookings: categoryData.length,
         totalCollection: dataUtils.sum(categoryData, 'Total Paid'),
         totalSlots: dataUtils.sum(categoryData, 'Number of slots'),
-        uniqueCustomers: new Set(categoryData.map(b => b.Phone)).size,
+        uniqueCustomers: customerService.countCustomers(categoryData),
         totalBalance: dataUtils.sum(categoryData, 'Balance'),
         avgRevenuePerSlot: this.calculateAverage(categoryData, 'Total Paid', 'Number of slots'),
         completionRate: this.calculateCompletionRate(categoryData)
@@ -240,14 +306,16 @@ export const statsService = {
       if (config.extraStats && config.extraStats.length > 0) {
         console.debug(`[StatsService] Processing ${config.extraStats.length} extra stats`);
         
-        // Calculate extra stats and add to stats object
+        // Calculate extra stats and add to stats object - the configs get the customer
+        // aggregation from here, as utils/constants cannot import services
+        const helpers = { calculateTopCustomers: this.calculateTopCustomers.bind(this) };
         const extraStatsPromises = config.extraStats.map(async (extraStat) => {
           try {
             const { label, calculate } = extraStat;
             console.debug(`[StatsService] Calculating extra stat: ${label}`);
             
             // Calculate the extra stat value
-            const value = await Promise.resolve(calculate(categoryData));
+            const value = await Promise.resolve(calculate(categoryData, helpers));
             
             // Important: For consistency, store the result exactly as returned
             // Do not modify complex objects, preserve their structure
@@ -374,21 +442,27 @@ export const statsService = {
     let totalBookingsWithTime = 0;
     
     data.forEach(booking => {
+      const [firstInterval] = booking['Slot Intervals'] || [];
       const timeStr = booking['Slot Time'];
-      if (!timeStr) return;
+      if (!firstInterval && !timeStr) return;
       
       totalBookingsWithTime++;
       
-      // Parse time string (format: "hh:mm AM/PM")
-      const [time, period] = timeStr.split(' ');
-      const [hourStr] = time.split(':');
-      let hour = parseInt(hourStr, 10);
-      
-      // Convert to 24-hour format
-      if (period === 'PM' && hour !== 12) {
-        hour += 12;
-      } else if (period === 'AM' && hour === 12) {
-        hour = 0;
+      let hour;
+      if (firstInterval) {
+        hour = getHourOfDay(firstInterval);
+      } else {
+        // Bookings without parseable Slot Details fall back to Slot Time ("hh:mm AM/PM")
+        const [time, period] = timeStr.split(' ');
+        const [hourStr] = time.split(':');
+        hour = parseInt(hourStr, 10);
+        
+        // Convert to 24-hour format
+        if (period === 'PM' && hour !== 12) {
+          hour += 12;
+        } else if (period === 'AM' && hour === 12) {
+          hour = 0;
+        }
       }
       
       // Peak hours: 6 PM (18) to 11 PM (23)
@@ -416,18 +490,21 @@ export const statsService = {
    * @returns {Array} Top customers with statistics
    */
   calculateTopCustomers(data, metric = 'count', limit = 5) {
+    const customers = customerService.getCustomers(data);
     const customerMap = new Map();
     
     // Group data by customer
     data.forEach(booking => {
-      const customerId = booking['Customer ID'] || booking['Phone'];
+      const customerId = booking['Customer Id'];
       if (!customerId) return;
       
       if (!customerMap.has(customerId)) {
+        const resolved = customers.get(customerId);
         customerMap.set(customerId, {
           id: customerId,
-          name: booking['Customer Name'] || 'Unknown',
-          phone: booking['Phone'] || 'N/A',
+          name: resolved.name,
+          phone: resolved.phone || 'N/A',
+          isSharedPhone: resolved.isSharedPhone,
           bookingCount: 0,
           totalCollection: 0,
           bookings: []
@@ -450,6 +527,65 @@ export const statsService = {
       })
       .slice(0, limit);
   },
+
+  /**
+   * Lifetime profile of one customer, from every booking made with their phone number
+   * @param {Array} data - Array of booking objects
+   * @param {string} phone - Mobile number, with or without +91
+   * @returns {Object|null} Profile, or null when no booking has this phone number
+   */
+  calculateCustomerProfile(data, phone) {
+    const customerId = customerService.getIdForPhone(phone);
+    if (!customerId || !data?.length) return null;
+
+    const bookings = data.filter(booking => booking['Customer Id'] === customerId);
+    if (!bookings.length) return null;
+    const customer = customerService.getCustomer(bookings, customerId);
+
+    // Latest first; the same order serves the timeline and the cancellation history
+    const timeline = sortService.sortByMultipleFields(bookings, [
+      { field: 'Slot Date', direction: 'desc' },
+      { field: 'Slot Time', direction: 'desc' }
+    ]);
+    const cancelled = timeline.filter(booking => booking.Status === 'Cancelled' || booking.Status === 'Partially_cancelled');
+
+    const startHours = bookings.map(getSlotStartHour);
+    const favouriteHour = mostFrequent(startHours);
+    const favouriteBand = mostFrequent(startHours.map(hour => (hour === null
+      ? null
+      : TIME_BANDS.find(band => isHourInRange(hour, band.from, band.to))?.name)));
+
+    const totalCollection = dataUtils.sum(bookings, 'Total Paid');
+
+    return {
+      phone: customer.phone,
+      name: customer.name,
+      aliases: customer.aliases,
+      nameClusters: customer.nameClusters,
+      isSharedPhone: customer.isSharedPhone,
+      totalBookings: bookings.length,
+      totalSlots: dataUtils.sum(bookings, 'Number of slots'),
+      totalCollection,
+      totalOutstanding: dataUtils.sum(bookings, 'Balance'),
+      avgBookingValue: totalCollection / bookings.length,
+      firstBooking: timeline[timeline.length - 1]['Slot Date'],
+      lastBooking: timeline[0]['Slot Date'],
+      favouriteLocation: mostFrequent(bookings.map(booking => booking['Location'])),
+      favouriteSport: mostFrequent(bookings.map(booking => booking['Sport'])),
+      favouriteTimeSlot: favouriteHour && {
+        ...favouriteHour,
+        value: formatHourRange(favouriteHour.value, favouriteHour.value)
+      },
+      favouriteTimeBand: favouriteBand,
+      cancellations: {
+        count: cancelled.length,
+        rate: (cancelled.length / bookings.length) * 100,
+        bookings: cancelled
+      },
+      payments: sumPaymentModes(bookings),
+      timeline
+    };
+  },
   
   /**
    * Clear cache for a specific year
@@ -468,6 +604,7 @@ export const statsService = {
    */
   clearCache() {
     statsCache.clear();
+    locationStatsCache.clear();
     console.debug('[StatsService] Statistics cache cleared');
   },
 
@@ -482,9 +619,17 @@ export const statsService = {
       'October', 'November', 'December', 'January', 'February', 'March'
     ];
     
-    return months.map(month => {
+    // Months from different financial years are kept apart when several years are loaded
+    const financialYears = [...new Set(data.map(booking => booking['Financial Year']))].sort();
+    const yearMonths = financialYears.flatMap(financialYear => 
+      months.map(month => ({ month, financialYear }))
+    );
+    
+    return yearMonths.map(({ month, financialYear }) => {
       // Get bookings for this month
-      const monthData = data.filter(booking => booking.Month === month);
+      const monthData = data.filter(booking => 
+        booking.Month === month && booking['Financial Year'] === financialYear
+      );
       const year = monthData.length > 0 ? monthData[0].Year : '';
       
       // Skip if no data for this month
@@ -492,6 +637,7 @@ export const statsService = {
         return {
           month,
           year,
+          financialYear,
           cashAmount: 0,
           bankAmount: 0,
           hudleAmount: 0,
@@ -502,74 +648,78 @@ export const statsService = {
         };
       }
       
-      // Helper function to safely parse currency values
-      const getCurrencyValueSum = (fieldName) => {
-        return monthData.reduce((total, booking) => {
-          // Get the value from the booking
-          const value = booking[fieldName];
-          
-          // Skip undefined, null or empty values
-          if (value === undefined || value === null || value === '') {
-            return total;
-          }
-          
-          // Parse the value - remove currency symbols and commas
-          const sanitized = typeof value === 'string' 
-                            ? value.replace(/[₹,]/g, '').trim()
-                            : String(value);
-          
-          // Convert to number and add to total (handle NaN)
-          const numericValue = parseFloat(sanitized);
-          return total + (isNaN(numericValue) ? 0 : numericValue);
-        }, 0);
-      };
-      
-      // Calculate payment amounts directly
-      const cashAmount = getCurrencyValueSum('Cash');
-      const bankAmount = getCurrencyValueSum('UPI') + getCurrencyValueSum('Bank Transfer');
-      const hudleAmount = getCurrencyValueSum('Hudle App') + 
-                        getCurrencyValueSum('Hudle QR') + 
-                        getCurrencyValueSum('Hudle Wallet') + 
-                        getCurrencyValueSum('Venue Wallet') + 
-                        getCurrencyValueSum('Hudle Pass') + 
-                        getCurrencyValueSum('Hudle Discount');
-      
-      const totalAmount = cashAmount + bankAmount + hudleAmount;
+      const payments = sumPaymentModes(monthData);
       
       // Verify the direct calculation matches the total paid for this month
       const totalPaid = dataUtils.sum(monthData, 'Total Paid');
       
       // Log verification for debugging (but only if there's data and a significant difference)
-      if (monthData.length > 0 && Math.abs(totalAmount - totalPaid) > 10) {
+      if (monthData.length > 0 && Math.abs(payments.totalAmount - totalPaid) > 10) {
         console.warn(`[StatsService] Month ${month} ${year} - Payment calculation discrepancy:`);
         console.warn(`  Total Paid: ${totalPaid}`);
-        console.warn(`  Sum of Payment Modes: ${totalAmount}`);
-        console.warn(`  Difference: ${Math.abs(totalPaid - totalAmount)}`);
+        console.warn(`  Sum of Payment Modes: ${payments.totalAmount}`);
+        console.warn(`  Difference: ${Math.abs(totalPaid - payments.totalAmount)}`);
       }
       
       return {
         month,
         year,
-        cashAmount,
-        bankAmount,
-        hudleAmount,
-        totalAmount,
-        cashPercentage: totalAmount > 0 ? (cashAmount / totalAmount) * 100 : 0,
-        bankPercentage: totalAmount > 0 ? (bankAmount / totalAmount) * 100 : 0,
-        hudlePercentage: totalAmount > 0 ? (hudleAmount / totalAmount) * 100 : 0
+        financialYear,
+        ...payments
+      };
+    });
+  },
+
+  /**
+   * Calculate payment statistics for each period of a time grain, in time order.
+   * Only periods with bookings are listed.
+   * @param {Array} data - Array of booking objects
+   * @param {string} grain - One of TimeGrains
+   * @returns {Array} { period, start, end, financialYear, cashAmount, bankAmount, hudleAmount, totalAmount, *Percentage }
+   */
+  calculatePaymentsByPeriod(data, grain) {
+    const byPeriod = groupingService.groupByDate(data, grain);
+
+    return sortService.sortPeriods(Object.entries(byPeriod), grain).map(([period, bookings]) => {
+      const range = getPeriodRange(period, grain);
+      return {
+        period,
+        start: range?.start || null,
+        end: range?.end || null,
+        financialYear: range ? getFinancialYear(range.start) : '',
+        ...sumPaymentModes(bookings)
       };
     });
   },
 
+  /**
+   * Calculate booking figures for each period of a time grain, in time order
+   * @param {Array} data - Array of booking objects
+   * @param {string} grain - One of TimeGrains
+   * @returns {Array} { period, bookings, revenue, slots, uniqueCustomers }
+   */
+  calculatePeriodStats(data, grain) {
+    const byPeriod = groupingService.groupByDate(data, grain);
+
+    return sortService.sortPeriods(Object.entries(byPeriod), grain).map(([period, bookings]) => ({
+      period,
+      bookings: bookings.length,
+      revenue: dataUtils.sum(bookings, 'Total Paid'),
+      slots: dataUtils.sum(bookings, 'Number of slots'),
+      uniqueCustomers: customerService.countCustomers(bookings)
+    }));
+  },
+
   /**
    * Get statistics for a specific location
    * @param {string} locationId - Location ID
+   * @param {string} [grain] - Time grain of the payment breakdown (see TimeGrains)
    * @returns {Object} Location-specific statistics
    */
-  async getLocationStats(locationId) {
+  async getLocationStats(locationId, grain = TimeGrains.MONTH) {
     try {
       // Check cache first
-      const cacheKey = `location_${locationId}`;
+      const cacheKey = `location_${locationId}_${grain}`;
       if (locationStatsCache.has(cacheKey)) {
         console.debug(`[StatsService] Using cached stats for location: ${locationId}`);
         return locationStatsCache.get(cacheKey);
@@ -594,47 +744,13 @@ export const statsService = {
         return null;
       }
       
-      // Try to get locations data from imported JSON
-      let locationName = null;
-      let locations = [];
-      
-      try {
-        // Dynamically import the locations data
-        locations = await import('../locations.json').then(module => module.default);
-        console.debug(`[StatsService] Loaded ${locations.length} locations from locations.json`);
-        
-        // Find the location name using the provided ID
-        const locationMatch = locations.find(loc => loc.Location_id === locationId);
-        if (locationMatch) {
-          locationName = locationMatch.Location_name;
-          console.debug(`[StatsService] Found location name: ${locationName} for ID: ${locationId}`);
-        } else {
-          console.warn(`[StatsService] Could not find location name for ID: ${locationId}`);
-        }
-      } catch (error) {
-        console.error(`[StatsService] Error loading locations: ${error.message}`);
+      const location = getLocationById(locationId);
+      if (!location) {
+        console.warn(`[StatsService] Location ${locationId} is not in the registry`);
+        return null;
       }
-      
-      // Filter bookings for this location
-      const locationBookings = bookingsData.filter(booking => {
-        // Strategy 1: Match by ID first
-        const bookingLocationId = booking.Location_id || booking.LocationID;
-        if (bookingLocationId && bookingLocationId === locationId) {
-          return true;
-        }
-        
-        // Strategy 2: Match by name if we have the location name
-        if (locationName && booking.Location === locationName) {
-          return true;
-        }
-        
-        // Strategy 3: Direct match between location ID and Location field
-        if (booking.Location === locationId) {
-          return true;
-        }
-        
-        return false;
-      });
+
+      const locationBookings = bookingsData.filter(booking => booking['Location Id'] === locationId);
       
       if (!locationBookings.length) {
         console.warn(`[StatsService] No bookings found for location ID: ${locationId}`);
@@ -642,7 +758,12 @@ export const statsService = {
       }
       
       console.debug(`[StatsService] Processing ${locationBookings.length} bookings for location`);
-      const stats = this.processLocationBookings(locationBookings);
+      const stats = {
+        ...this.processLocationBookings(locationBookings),
+        utilisation: this.calculateUtilisation(locationBookings, location),
+        timeGrain: grain,
+        periodPayments: this.calculatePaymentsByPeriod(locationBookings, grain)
+      };
       
       // Cache the results
       locationStatsCache.set(cacheKey, stats);
@@ -660,6 +781,45 @@ export const statsService = {
     }
   },
   
+  /**
+   * Share of a location's court time that was booked, using the registry's courts and opening hours.
+   * The period runs from the first to the last booked day, starting no earlier than go-live.
+   * @param {Array} bookings - Bookings at the location
+   * @param {Object} location - Registry entry
+   * @returns {Object} { percentage, bookedHours, availableHours, capacityKnown } - percentage and availableHours
+   *   are null when the registry has no courts or opening hours for the location
+   */
+  calculateUtilisation(bookings, location) {
+    const intervals = bookings
+      .filter(booking => booking.Status !== 'Cancelled')
+      .flatMap(booking => booking['Slot Intervals'] || []);
+    const bookedMinutes = getDurationMinutes(intervals);
+
+    const courts = getCourtCount(location);
+    const openingMinutes = getOpeningMinutes(location);
+    if (courts === null || openingMinutes === null) {
+      return { percentage: null, bookedHours: bookedMinutes / 60, availableHours: null, capacityKnown: false };
+    }
+
+    let availableMinutes = 0;
+    if (intervals.length > 0) {
+      const toDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+      const { first, last } = intervals.reduce((range, { start }) => ({
+        first: start < range.first ? start : range.first,
+        last: start > range.last ? start : range.last
+      }), { first: intervals[0].start, last: intervals[0].start });
+      const days = getDaysOpen(location, toDay(first), toDay(last));
+      availableMinutes = courts * openingMinutes * days;
+    }
+
+    return {
+      percentage: availableMinutes > 0 ? (bookedMinutes / availableMinutes) * 100 : null,
+      bookedHours: bookedMinutes / 60,
+      availableHours: availableMinutes / 60,
+      capacityKnown: true
+    };
+  },
+
   /**
    * Process filtered location bookings
    * @param {Array} locationBookings - Array of bookings for a single location
@@ -705,7 +865,7 @@ export const statsService = {
       totalBookings: locationBookings.length,
       totalCollection,
       totalOutstanding: dataUtils.sum(locationBookings, 'Balance'),
-      uniqueCustomers: new Set(locationBookings.map(b => b.Phone)).size,
+      uniqueCustomers: customerService.countCustomers(locationBookings),
       totalSlots: dataUtils.sum(locationBookings, 'Number of slots'),
       avgBookingValue: locationBookings.length ? totalCollection / locationBookings.length : 0,
       avgSlotsPerBooking: locationBookings.length ? 
@@ -795,13 +955,14 @@ export const statsService = {
   },
 
   /**
-   * Calculate daily payments collected by preferred payment modes for a specific financial year
+   * Calculate daily payments collected by preferred payment modes for one or more financial years
    * @param {Array} data - Array of booking objects
-   * @param {string} year - The financial year to filter payments
+   * @param {string|Array<string>} year - The financial year (or years) to filter payments
    * @returns {Object} Daily payments by preferred mode
    */
   calculateDailyPaymentsByMode(data, year) {
     const dailyPayments = {};
+    const years = Array.isArray(year) ? year : [year];
     
     // Define the mapping from actual payment modes to preferred modes
     const paymentMapping = {
@@ -820,8 +981,8 @@ export const statsService = {
     data.forEach(booking => {
       const date = booking['Slot Date']; // Assuming 'Slot Date' field is in DD/MM/YYYY format
       
-      // Check if the date is in the selected financial year using dateUtils
-      if (isInFinancialYear(date, year)) {
+      // Check if the date is in a selected financial year using dateUtils
+      if (years.some(fy => isInFinancialYear(date, fy))) {
         // Initialize the date entry if it doesn't exist
         if (!dailyPayments[date]) {
           dailyPayments[date] = {
@@ -2,6 +2,7 @@ import { createClient } from '@supabase/supabase-js';
 import { logger } from '../utils/logger';
 import { ErrorCategory } from '../utils/errorTypes';
 import { ROUTES } from '../config/routes';
+import { FEATURES } from '../config/features';
 
 // Get and validate environment variables
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL?.trim();
@@ -42,6 +43,11 @@ function validateConfig() {
   }
   
   if (errors.length > 0) {
+    // Mock mode never talks to Supabase, so missing config is only worth a warning
+    if (FEATURES.MOCK_DATA) {
+      logger.warn(ErrorCategory.AUTH, 'Supabase not configured, running with mock data only', { errors });
+      return;
+    }
     throw new Error('Supabase configuration errors:\n' + errors.join('\n'));
   }
 }
@@ -70,8 +76,13 @@ function findFirstDifference(str1, str2) {
 // Validate before proceeding
 validateConfig();
 
-// Initialize Supabase client
-export const supabaseClient = createClient(supabaseUrl, supabaseAnonKey, {
+/**
+ * Whether a Supabase client could be created from the environment
+ */
+export const isSupabaseConfigured = !!(supabaseUrl && supabaseAnonKey);
+
+// Initialize Supabase client (null in mock mode without config)
+export const supabaseClient = isSupabaseConfigured ? createClient(supabaseUrl, supabaseAnonKey, {
   auth: {
     autoRefreshToken: true,
     persistSession: true,
@@ -80,18 +91,30 @@ export const supabaseClient = createClient(supabaseUrl, supabaseAnonKey, {
     storageKey: 'supabase-auth-token',
     flowType: 'pkce'
   }
-});
+}) : null;
 
 // Debug logging for initialization
 logger.debug(ErrorCategory.AUTH, 'Supabase Configuration', {
   url: supabaseUrl,
-  keyLength: supabaseAnonKey.length,
+  keyLength: supabaseAnonKey?.length || 0,
   keyFormat: 'JWT',
-  storage: 'localStorage'
+  storage: 'localStorage',
+  mockData: FEATURES.MOCK_DATA
 });
 
+/**
+ * Get the Supabase client, failing clearly when it is not configured
+ * @returns {SupabaseClient} Supabase client
+ */
+function requireClient() {
+  if (!supabaseClient) {
+    throw new Error('Supabase is not configured');
+  }
+  return supabaseClient;
+}
+
 // Set up auth state change listener
-supabaseClient.auth.onAuthStateChange((event, session) => {
+supabaseClient?.auth.onAuthStateChange((event, session) => {
   logger.info(ErrorCategory.AUTH, `Auth state changed: ${event}`, {
     event,
     hasSession: !!session,
@@ -101,6 +124,8 @@ supabaseClient.auth.onAuthStateChange((event, session) => {
 
 // Initial session check
 (async () => {
+  if (!supabaseClient) return;
+
   try {
     const { data: { session }, error } = await supabaseClient.auth.getSession();
     
@@ -131,14 +156,14 @@ supabaseClient.auth.onAuthStateChange((event, session) => {
 export async function signInWithGoogle() {
   try {
     // Clear any existing session first
-    await supabaseClient.auth.signOut();
+    await requireClient().auth.signOut();
     
     // Clear local storage
     if (typeof window !== 'undefined') {
       window.localStorage.removeItem('supabase-auth-token');
     }
     
-    const { error } = await supabaseClient.auth.signInWithOAuth({
+    const { error } = await requireClient().auth.signInWithOAuth({
       provider: 'google',
       options: {
         redirectTo: `${window.location.origin}${ROUTES.AUTH_REDIRECT}`,
@@ -164,7 +189,7 @@ export async function signInWithGoogle() {
  */
 export async function signOut() {
   try {
-    const { error } = await supabaseClient.auth.signOut();
+    const { error } = await requireClient().auth.signOut();
     if (error) throw error;
     
     // Clear local storage
@@ -184,7 +209,7 @@ export async function signOut() {
  * @returns {Promise<Session|null>}
  */
 export async function getCurrentSession() {
-  const { data: { session }, error } = await supabaseClient.auth.getSession();
+  const { data: { session }, error } = await requireClient().auth.getSession();
   
   if (error) {
     logger.error(ErrorCategory.AUTH, 'Get session failed', {
@@ -208,7 +233,7 @@ export async function fetchProtectedCSV(fileName) {
       throw new Error('No active session');
     }
 
-    const { data, error } = await supabaseClient.storage
+    const { data, error } = await requireClient().storage
       .from('protected-csvs')
       .download(`data/${fileName}`);
 
@@ -223,4 +248,154 @@ export async function fetchProtectedCSV(fileName) {
     });
     throw error;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Convert a storage listing entry to file version info
+ * @param {Object} file - Entry returned by storage list()
+ * @returns {Object} Version info ({ eTag, size, lastModified })
+ */
+function toFileVersion(file) {
+  return {
+    eTag: file.metadata?.eTag || null,
+    size: file.metadata?.size ?? null,
+    lastModified: file.metadata?.lastModified || file.updated_at || null
+  };
+}
+
+/**
+ * List the CSV files in a folder of the protected-csvs bucket
+ * @param {Object} [options] - Listing options
+ * @param {string} [options.folder] - Folder inside the bucket
+ * @param {string} [options.search] - Only return names containing this text
+ * @returns {Promise<Array<Object>>} Files with { name, eTag, size, lastModified }
+ */
+export async function listProtectedCSVs({ folder = 'data', search } = {}) {
+  try {
+    const session = await getCurrentSession();
+    if (!session) {
+      throw new Error('No active session');
+    }
+
+    const { data, error } = await requireClient().storage
+      .from('protected-csvs')
+      .list(folder, { limit: 1000, search });
+
+    if (error) {
+      throw error;
+    }
+
+    // Folders are listed without an id
+    return (data || [])
+      .filter(item => item.id && item.name.toLowerCase().endsWith('.csv'))
+      .map(item => ({ name: item.name, ...toFileVersion(item) }));
+  } catch (error) {
+    logger.error(ErrorCategory.DATA, `Failed to list CSV files in ${folder}`, {
+      error: error.message
+    });
+    throw error;
+  }
+}
+
+/**
+ * Fetch storage metadata for a protected CSV without downloading it
+ * @param {string} fileName - Name of the CSV file
+ * @returns {Promise<Object|null>} Version info ({ eTag, size, lastModified }) or null if not found
+ */
+export async function fetchCSVMetadata(fileName) {
+  const files = await listProtectedCSVs({ search: fileName });
+  const file = files.find(item => item.name === fileName);
+  if (!file) {
+    return null;
+  }
+
+  const { eTag, size, lastModified } = file;
+  return { eTag, size, lastModified };
+}
+
+/**
+ * Fetch every row of a table matching the given filters, paging through the results
+ * @param {string} table - Table name
+ * @param {Object} [options] - Query options
+ * @param {Object} [options.filters] - Column -> value equality filters
+ * @param {Object} [options.greaterThan] - Column -> value lower bounds (exclusive)
+ * @param {string} [options.orderBy] - Column to order by so pages are stable
+ * @param {number} [options.pageSize] - Rows per request
+ * @param {AbortSignal} [options.signal] - Cancels the query
+ * @returns {Promise<Array<Object>>} Table rows
+ */
+export async function fetchTableRows(table, { filters = {}, greaterThan = {}, orderBy, pageSize = 1000, signal } = {}) {
+  try {
+    const session = await getCurrentSession();
+    if (!session) {
+      throw new Error('No active session');
+    }
+
+    const rows = [];
+    for (let from = 0; ; from += pageSize) {
+      let query = requireClient()
+        .from(table)
+        .select('*')
+        .range(from, from + pageSize - 1);
+
+      Object.entries(filters).forEach(([column, value]) => {
+        query = query.eq(column, value);
+      });
+      Object.entries(greaterThan).forEach(([column, value]) => {
+        query = query.gt(column, value);
+      });
+      if (orderBy) {
+        query = query.order(orderBy, { ascending: true });
+      }
+      if (signal) {
+        query = query.abortSignal(signal);
+      }
+
+      const { data, error } = await query;
+      if (error) {
+        throw error;
+      }
+
+      rows.push(...(data || []));
+      if (!data || data.length < pageSize) break;
+    }
+
+    return rows;
+  } catch (error) {
+    logger.error(ErrorCategory.DATA, `Failed to fetch table rows: ${table}`, {
+      error: error.message,
+      filters
+    });
+    throw error;
+  }
+}
+
+/**
+ * Insert a row, or update the existing row with the same key
+ * @param {string} table - Table name
+ * @param {Object} row - Row to write
+ * @param {Object} [options] - Write options
+ * @param {string} [options.onConflict] - Column(s) identifying an existing row
+ * @returns {Promise<void>}
+ */
+export async function upsertTableRow(table, row, { onConflict } = {}) {
+  try {
+    const session = await getCurrentSession();
+    if (!session) {
+      throw new Error('No active session');
+    }
+
+    const { error } = await requireClient()
+      .from(table)
+      .upsert(row, { onConflict });
+
+    if (error) {
+      throw error;
+    }
+  } catch (error) {
+    logger.error(ErrorCategory.DATA, `Failed to write table row: ${table}`, {
+      error: error.message
+    });
+    throw error;
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * Booking row processing shared by the main thread and the parser worker
+ * @module bookingProcessing
+ */
+import { formatFinancialYear } from './dateUtils';
+import { groupingService } from '../services/groupingService';
+import { BOOKING_SCHEMA, ColumnTypes, parseNumericValue } from './bookingSchema';
+import { parseSlotDetails } from './slotIntervals';
+import { resolveLocation } from './locationRegistry';
+import { getCustomerId } from './customerIdentity';
+
+/**
+ * Columns that are coerced to numbers
+ */
+export const NUMERIC_FIELDS = BOOKING_SCHEMA
+  .filter(column => column.type === ColumnTypes.NUMBER)
+  .map(column => column.name);
+
+/**
+ * Groupings computed up front for every load, keyed like useBookings.groupedData
+ */
+const INITIAL_GROUPINGS = {
+  locations: (bookings) => groupingService.groupByLocation(bookings),
+  months: (bookings) => groupingService.groupByDate(bookings, 'month'),
+  sports: (bookings) => groupingService.groupBySport(bookings),
+  status: (bookings) => groupingService.groupByStatus(bookings),
+  source: (bookings) => groupingService.groupBySource(bookings)
+};
+
+/**
+ * Normalise a parsed CSV row and tag it with its financial year
+ * @param {Object} row - Parsed CSV row
+ * @param {string} [year] - Year key the row was loaded from (e.g. '202425')
+ * @returns {Object} Processed booking
+ */
+export function normalizeBooking(row, year) {
+  const processed = { ...row };
+
+  // Ensure numeric fields are numbers - unparseable values are reported by the quality checks
+  NUMERIC_FIELDS.forEach(field => {
+    if (processed[field] !== undefined) {
+      processed[field] = parseNumericValue(processed[field]) || 0;
+    }
+  });
+
+  // Booked time as { start, end } intervals for utilisation and scheduling
+  processed['Slot Intervals'] = parseSlotDetails(processed['Slot Details']);
+
+  // Registry id, with aliases folded into the registry's display name
+  const location = resolveLocation(processed.Location);
+  processed['Location Id'] = location?.id || null;
+  if (location) {
+    processed.Location = location.name;
+  }
+
+  // Same customer, same id, however the phone number was written
+  processed['Customer Id'] = getCustomerId(processed);
+
+  if (year) {
+    processed['Financial Year'] = formatFinancialYear(year);
+  }
+
+  return processed;
+}
+
+/**
+ * Build the initial groupings as row indices so they survive structured cloning
+ * @param {Array} bookings - Processed bookings
+ * @returns {Object} Map of grouping name -> { groupKey: [row indices] }
+ */
+export function buildGroupIndex(bookings) {
+  const positions = new Map(bookings.map((booking, index) => [booking, index]));
+  const groupIndex = {};
+
+  Object.entries(INITIAL_GROUPINGS).forEach(([name, groupFn]) => {
+    groupIndex[name] = {};
+    Object.entries(groupFn(bookings)).forEach(([key, groupBookings]) => {
+      groupIndex[name][key] = groupBookings.map(booking => positions.get(booking));
+    });
+  });
+
+  return groupIndex;
+}
+
+/**
+ * Turn a group index back into groups of booking objects
+ * @param {Object} groupIndex - Output of buildGroupIndex
+ * @param {Array} bookings - The bookings the indices refer to
+ * @returns {Object} Map of grouping name -> { groupKey: [bookings] }
+ */
+export function materializeGroups(groupIndex, bookings) {
+  const groups = {};
+
+  Object.entries(groupIndex || {}).forEach(([name, keys]) => {
+    groups[name] = {};
+    Object.entries(keys).forEach(([key, indices]) => {
+      groups[name][key] = indices.map(index => bookings[index]);
+    });
+  });
+
+  return groups;
+}
@@ -0,0 +1,306 @@
+/**
+ * Schema contract for the bookings CSV and the data-quality checks run on every load
+ * @module bookingSchema
+ */
+import { parseSlotDetails, validateSlotIntervals } from './slotIntervals';
+import { resolveLocation } from './locationRegistry';
+
+/**
+ * Column types used by the schema
+ * @enum {string}
+ */
+export const ColumnTypes = {
+  STRING: 'string',
+  INTEGER: 'integer',
+  NUMBER: 'number',
+  DATE: 'date',
+  ENUM: 'enum'
+};
+
+/**
+ * Statuses the booking system exports
+ */
+export const BOOKING_STATUSES = ['Confirmed', 'Cancelled', 'Partially_cancelled'];
+
+/**
+ * Payment-mode columns that together make up Total Paid
+ */
+export const PAYMENT_MODE_FIELDS = [
+  'Cash', 'UPI', 'Bank Transfer', 'Hudle App', 'Hudle QR',
+  'Hudle Wallet', 'Venue Wallet', 'Hudle Pass', 'Hudle Discount'
+];
+
+/**
+ * Columns of the bookings CSV, in export order
+ */
+export const BOOKING_SCHEMA = [
+  { name: 'S no', type: ColumnTypes.INTEGER, required: true },
+  { name: 'Slot Date', type: ColumnTypes.DATE, required: true },
+  { name: 'Customer Name', type: ColumnTypes.STRING },
+  { name: 'Phone', type: ColumnTypes.STRING },
+  { name: 'Number of slots', type: ColumnTypes.NUMBER },
+  { name: 'Slot Details', type: ColumnTypes.STRING },
+  { name: 'Slot Time', type: ColumnTypes.STRING },
+  { name: 'Month', type: ColumnTypes.STRING },
+  { name: 'Year', type: ColumnTypes.INTEGER },
+  { name: 'Booking Reference', type: ColumnTypes.STRING, required: true },
+  { name: 'Status', type: ColumnTypes.ENUM, required: true, values: BOOKING_STATUSES },
+  { name: 'Source', type: ColumnTypes.STRING },
+  { name: 'Sport', type: ColumnTypes.STRING },
+  { name: 'Facility', type: ColumnTypes.STRING },
+  { name: 'Slot Price', type: ColumnTypes.NUMBER },
+  { name: 'Location', type: ColumnTypes.STRING, required: true },
+  { name: 'Venue Discount', type: ColumnTypes.NUMBER },
+  ...PAYMENT_MODE_FIELDS.map(name => ({ name, type: ColumnTypes.NUMBER })),
+  { name: 'Total Paid', type: ColumnTypes.NUMBER, required: true },
+  { name: 'Revenue', type: ColumnTypes.NUMBER },
+  { name: 'Balance', type: ColumnTypes.NUMBER }
+];
+
+/**
+ * Kinds of row-level issues collected in a quality report
+ * @enum {string}
+ */
+export const QualityIssueTypes = {
+  PARSE_ERROR: 'parseError',
+  INVALID_DATE: 'invalidDate',
+  NON_NUMERIC: 'nonNumeric',
+  UNKNOWN_STATUS: 'unknownStatus',
+  PAYMENT_MISMATCH: 'paymentMismatch',
+  SLOT_MISMATCH: 'slotMismatch',
+  UNMAPPED_LOCATION: 'unmappedLocation'
+};
+
+// Payment modes may differ from Total Paid by rounding
+const PAYMENT_TOLERANCE = 1;
+
+// Only the first issues of each kind are kept; counts always cover every row
+const MAX_ISSUE_SAMPLES = 200;
+
+const SLOT_DATE_PATTERN = /^(\d{2})\/(\d{2})\/(\d{4})$/;
+
+const NUMERIC_COLUMNS = BOOKING_SCHEMA.filter(column => column.type === ColumnTypes.NUMBER);
+
+/**
+ * Parse a numeric CSV value, tolerating currency symbols and thousands separators
+ * @param {*} value - Raw cell value
+ * @returns {number} Parsed number, 0 for empty cells, NaN when unparseable
+ */
+export function parseNumericValue(value) {
+  if (value === undefined || value === null || value === '') return 0;
+  if (typeof value === 'number') return value;
+
+  const cleaned = String(value).replace(/[₹,\s]/g, '');
+  if (cleaned === '') return 0;
+
+  return Number(cleaned);
+}
+
+/**
+ * Check that a value is a real DD/MM/YYYY date
+ * @param {*} value - Raw cell value
+ * @returns {boolean} Whether the date is valid
+ */
+export function isValidSlotDate(value) {
+  const match = SLOT_DATE_PATTERN.exec(String(value ?? '').trim());
+  if (!match) return false;
+
+  const [, day, month, year] = match.map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+/**
+ * Create an empty quality report for one year file
+ * @param {string} [year] - Year key the file belongs to
+ * @returns {Object} Quality report
+ */
+export function createQualityReport(year) {
+  const counts = {};
+  const issues = {};
+  Object.values(QualityIssueTypes).forEach(type => {
+    counts[type] = 0;
+    issues[type] = [];
+  });
+
+  return {
+    year: year || null,
+    totalRows: 0,
+    missingColumns: [],
+    unexpectedColumns: [],
+    // Location names not in the registry -> row count
+    unmappedLocations: {},
+    counts,
+    issues,
+    generatedAt: null
+  };
+}
+
+/**
+ * Record an issue, keeping only a bounded sample
+ * @param {Object} report - Quality report
+ * @param {string} type - One of QualityIssueTypes
+ * @param {Object} issue - Issue details
+ */
+function addIssue(report, type, issue) {
+  report.counts[type] += 1;
+  if (report.issues[type].length < MAX_ISSUE_SAMPLES) {
+    report.issues[type].push(issue);
+  }
+}
+
+/**
+ * Compare the CSV header against the schema
+ * @param {Object} report - Quality report
+ * @param {Array<string>} fields - Column names found in the file
+ */
+export function checkColumns(report, fields = []) {
+  const present = new Set(fields.map(field => String(field).trim()));
+  const expected = new Set(BOOKING_SCHEMA.map(column => column.name));
+
+  report.missingColumns = BOOKING_SCHEMA
+    .filter(column => !present.has(column.name))
+    .map(column => ({ name: column.name, required: !!column.required }));
+  report.unexpectedColumns = [...present].filter(field => field && !expected.has(field));
+}
+
+/**
+ * Record PapaParse errors
+ * @param {Object} report - Quality report
+ * @param {Array<Object>} errors - PapaParse error objects
+ * @param {number} [rowOffset] - Rows parsed before these errors' chunk
+ */
+export function checkParseErrors(report, errors = [], rowOffset = 0) {
+  errors.forEach(error => {
+    addIssue(report, QualityIssueTypes.PARSE_ERROR, {
+      row: typeof error.row === 'number' ? rowOffset + error.row + 1 : null,
+      message: error.message,
+      code: error.code
+    });
+  });
+}
+
+/**
+ * Validate a raw (un-normalised) CSV row against the schema
+ * @param {Object} report - Quality report
+ * @param {Object} row - Parsed CSV row
+ * @param {number} rowNumber - 1-based data row number
+ */
+export function checkBookingRow(report, row, rowNumber) {
+  report.totalRows += 1;
+
+  const reference = {
+    row: rowNumber,
+    sNo: row['S no'] ?? null,
+    bookingReference: row['Booking Reference'] ?? null
+  };
+
+  if ('Slot Date' in row && !isValidSlotDate(row['Slot Date'])) {
+    addIssue(report, QualityIssueTypes.INVALID_DATE, {
+      ...reference,
+      field: 'Slot Date',
+      value: row['Slot Date'] ?? ''
+    });
+  }
+
+  NUMERIC_COLUMNS.forEach(({ name }) => {
+    if (name in row && Number.isNaN(parseNumericValue(row[name]))) {
+      addIssue(report, QualityIssueTypes.NON_NUMERIC, { ...reference, field: name, value: row[name] });
+    }
+  });
+
+  if ('Status' in row && !BOOKING_STATUSES.includes(row.Status)) {
+    addIssue(report, QualityIssueTypes.UNKNOWN_STATUS, {
+      ...reference,
+      field: 'Status',
+      value: row.Status ?? ''
+    });
+  }
+
+  if (row.Location && !resolveLocation(row.Location)) {
+    report.unmappedLocations[row.Location] = (report.unmappedLocations[row.Location] || 0) + 1;
+    addIssue(report, QualityIssueTypes.UNMAPPED_LOCATION, {
+      ...reference,
+      field: 'Location',
+      value: row.Location
+    });
+  }
+
+  if ('Slot Details' in row && 'Number of slots' in row) {
+    const { isValid, expected, actual } = validateSlotIntervals(
+      parseSlotDetails(row['Slot Details']),
+      parseNumericValue(row['Number of slots'])
+    );
+    if (!isValid) {
+      addIssue(report, QualityIssueTypes.SLOT_MISMATCH, {
+        ...reference,
+        field: 'Number of slots',
+        value: expected,
+        expected: actual
+      });
+    }
+  }
+
+  if ('Total Paid' in row) {
+    const totalPaid = parseNumericValue(row['Total Paid']) || 0;
+    const paymentSum = PAYMENT_MODE_FIELDS.reduce(
+      (sum, field) => sum + (parseNumericValue(row[field]) || 0),
+      0
+    );
+
+    if (Math.abs(paymentSum - totalPaid) > PAYMENT_TOLERANCE) {
+      addIssue(report, QualityIssueTypes.PAYMENT_MISMATCH, {
+        ...reference,
+        field: 'Total Paid',
+        value: totalPaid,
+        expected: paymentSum
+      });
+    }
+  }
+}
+
+/**
+ * Stamp a report once every row has been checked
+ * @param {Object} report - Quality report
+ * @returns {Object} The same report
+ */
+export function finalizeQualityReport(report) {
+  report.generatedAt = Date.now();
+  report.issueCount = Object.values(report.counts).reduce((sum, count) => sum + count, 0);
+  return report;
+}
+
+/**
+ * Build a full quality report for rows that were parsed in one go
+ * @param {Array<Object>} rows - Parsed CSV rows
+ * @param {Object} [options] - Report options
+ * @param {Array<string>} [options.fields] - Header fields (defaults to the first row's keys)
+ * @param {Array<Object>} [options.parseErrors] - PapaParse errors
+ * @param {string} [options.year] - Year key
+ * @returns {Object} Quality report
+ */
+export function buildQualityReport(rows, { fields, parseErrors = [], year } = {}) {
+  const report = createQualityReport(year);
+  checkColumns(report, fields || Object.keys(rows[0] || {}));
+  checkParseErrors(report, parseErrors);
+  rows.forEach((row, index) => checkBookingRow(report, row, index + 1));
+  return finalizeQualityReport(report);
+}
+
+/**
+ * Add rows appended since a report was built, numbering them after the rows it already covers
+ * @param {Object} report - Existing quality report (left unchanged)
+ * @param {Array<Object>} rows - Newly fetched rows
+ * @returns {Object} Updated copy of the report
+ */
+export function extendQualityReport(report, rows) {
+  const extended = {
+    ...report,
+    unmappedLocations: { ...report.unmappedLocations },
+    counts: { ...report.counts },
+    issues: Object.fromEntries(Object.entries(report.issues).map(([type, samples]) => [type, [...samples]]))
+  };
+  const offset = extended.totalRows;
+  rows.forEach((row, index) => checkBookingRow(extended, row, offset + index + 1));
+  return finalizeQualityReport(extended);
+}
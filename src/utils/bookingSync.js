@@ -0,0 +1,135 @@
+/**
+ * Compare a fresh bookings file with the cached one for incremental sync
+ * @module bookingSync
+ */
+import { BOOKING_SCHEMA } from './bookingSchema';
+
+// Columns compared to decide whether a known booking changed
+const COMPARED_FIELDS = BOOKING_SCHEMA.map(column => column.name);
+
+/**
+ * Key identifying a booking across syncs.
+ * References are not unique - a rebooked slot can repeat one - so the serial number is part of the key.
+ * @param {Object} booking - Processed booking
+ * @returns {string} Booking Reference and serial number, or the serial number when there is no reference
+ */
+export function getBookingKey(booking) {
+  const reference = booking['Booking Reference'];
+  return reference ? `${reference}#${booking['S no']}` : `sno:${booking['S no']}`;
+}
+
+/**
+ * What a sync needs to remember about a year's bookings
+ * @param {Array<Object>} bookings - Processed bookings
+ * @returns {Object} { lastSerial, references, syncedAt }
+ */
+export function createSyncState(bookings) {
+  return {
+    lastSerial: bookings.reduce((max, booking) => Math.max(max, Number(booking['S no']) || 0), 0),
+    references: bookings.map(getBookingKey),
+    syncedAt: Date.now()
+  };
+}
+
+/**
+ * Summary of a sync with nothing to report
+ * @param {string} [year] - Year key
+ * @returns {Object} Change summary
+ */
+export function createEmptyChangeSummary(year) {
+  return {
+    year,
+    newCount: 0,
+    statusChanges: 0,
+    updatedCount: 0,
+    removedCount: 0,
+    newKeys: [],
+    changedKeys: [],
+    syncedAt: Date.now()
+  };
+}
+
+/**
+ * Merge a freshly parsed file into the cached bookings.
+ * Unchanged bookings keep their cached objects so views only see new or changed rows as new.
+ * @param {Array<Object>} previous - Cached bookings
+ * @param {Array<Object>} next - Bookings from the fresh file, in file order
+ * @param {Object} [syncState] - State saved by the previous sync
+ * @param {string} [year] - Year key
+ * @returns {Object} { bookings, changes }
+ */
+export function mergeBookingChanges(previous, next, syncState, year) {
+  // Rows sharing a key are paired up in file order, so none of them is lost
+  const previousByKey = new Map();
+  previous.forEach(booking => {
+    const key = getBookingKey(booking);
+    previousByKey.set(key, [...(previousByKey.get(key) || []), booking]);
+  });
+  const knownKeys = new Set(syncState?.references || previousByKey.keys());
+  const changes = {
+    ...createEmptyChangeSummary(year),
+    previousLastSerial: syncState?.lastSerial ?? null
+  };
+
+  const bookings = next.map(booking => {
+    const key = getBookingKey(booking);
+    const cached = previousByKey.get(key)?.shift();
+
+    if (!cached || !knownKeys.has(key)) {
+      changes.newCount++;
+      changes.newKeys.push(key);
+      return booking;
+    }
+
+    if (COMPARED_FIELDS.every(field => cached[field] === booking[field])) {
+      return cached;
+    }
+
+    changes.updatedCount++;
+    changes.changedKeys.push(key);
+    if (cached.Status !== booking.Status) {
+      changes.statusChanges++;
+    }
+    return booking;
+  });
+
+  // Whatever was not paired with a row of the fresh file has been removed
+  changes.removedCount = [...previousByKey.values()].reduce((count, rows) => count + rows.length, 0);
+  return { bookings, changes };
+}
+
+/**
+ * Add up the change summaries of several years
+ * @param {Array<Object>} summaries - Per-year change summaries
+ * @returns {Object} Combined change summary
+ */
+export function combineChangeSummaries(summaries) {
+  return summaries.reduce((combined, summary) => ({
+    ...combined,
+    newCount: combined.newCount + summary.newCount,
+    statusChanges: combined.statusChanges + summary.statusChanges,
+    updatedCount: combined.updatedCount + summary.updatedCount,
+    removedCount: combined.removedCount + summary.removedCount,
+    newKeys: combined.newKeys.concat(summary.newKeys),
+    changedKeys: combined.changedKeys.concat(summary.changedKeys)
+  }), { ...createEmptyChangeSummary(), years: summaries.map(summary => summary.year) });
+}
+
+/**
+ * Describe a change summary in one line
+ * @param {Object} changes - Change summary
+ * @returns {string} e.g. "42 new bookings, 3 status changes since last sync"
+ */
+export function describeChanges(changes) {
+  const otherUpdates = changes.updatedCount - changes.statusChanges;
+  const parts = [
+    changes.newCount > 0 && `${changes.newCount} new booking${changes.newCount === 1 ? '' : 's'}`,
+    changes.statusChanges > 0 && `${changes.statusChanges} status change${changes.statusChanges === 1 ? '' : 's'}`,
+    otherUpdates > 0 && `${otherUpdates} updated booking${otherUpdates === 1 ? '' : 's'}`,
+    changes.removedCount > 0 && `${changes.removedCount} removed`
+  ].filter(Boolean);
+
+  return parts.length > 0
+    ? `${parts.join(', ')} since last sync`
+    : 'No changes since last sync';
+}
@@ -0,0 +1,129 @@
+/**
+ * Map columns of imported files onto the booking schema
+ * @module columnMapping
+ */
+import { BOOKING_SCHEMA, ColumnTypes } from './bookingSchema';
+import { formatDate } from './dateUtils';
+
+/**
+ * Other header names seen in exports, keyed by schema column
+ */
+const COLUMN_ALIASES = {
+  'S no': ['sno', 'srno', 'serialno', 'serialnumber'],
+  'Slot Date': ['date', 'bookingdate', 'playdate'],
+  'Customer Name': ['customer', 'name', 'bookedby', 'username'],
+  'Phone': ['mobile', 'phonenumber', 'mobilenumber', 'contact', 'contactnumber', 'phoneno'],
+  'Number of slots': ['slots', 'noofslots', 'slotcount'],
+  'Slot Details': ['timeslots', 'slotinfo'],
+  'Slot Time': ['time', 'starttime'],
+  'Booking Reference': ['bookingref', 'reference', 'bookingid', 'hudlereference', 'refno'],
+  'Status': ['bookingstatus'],
+  'Source': ['bookingsource', 'channel'],
+  'Sport': ['game', 'activity'],
+  'Facility': ['court', 'ground', 'pitch'],
+  'Slot Price': ['price', 'rate', 'slotrate'],
+  'Location': ['venue', 'venuename', 'centre', 'center', 'branch'],
+  'Venue Discount': ['discount'],
+  'Total Paid': ['paid', 'amountpaid', 'paidamount', 'totalamountpaid'],
+  'Revenue': ['amount', 'totalamount', 'grossamount'],
+  'Balance': ['due', 'balancedue', 'outstanding', 'pending']
+};
+
+// Days between the Excel epoch (1899-12-30) and the Unix epoch
+const EXCEL_EPOCH_OFFSET = 25569;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Reduce a header to lowercase letters and digits for comparison
+ * @param {string} header - Column header
+ * @returns {string} Normalised header
+ */
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Guess which file header feeds each schema column
+ * @param {Array<string>} headers - Headers found in the imported file
+ * @returns {Object} Map of schema column -> file header (or null when no match)
+ */
+export function guessColumnMapping(headers = []) {
+  const available = new Map(headers.map(header => [normalizeHeader(header), header]));
+  const mapping = {};
+  const claim = (column, key) => {
+    mapping[column] = available.get(key);
+    available.delete(key);
+  };
+
+  // Exact matches first so they are never taken by a looser guess
+  BOOKING_SCHEMA.forEach(({ name }) => {
+    const key = normalizeHeader(name);
+    mapping[name] = null;
+    if (available.has(key)) claim(name, key);
+  });
+
+  // Then known aliases
+  BOOKING_SCHEMA.forEach(({ name }) => {
+    if (mapping[name]) return;
+    const alias = (COLUMN_ALIASES[name] || []).find(item => available.has(item));
+    if (alias) claim(name, alias);
+  });
+
+  // Finally headers that contain the column name (e.g. "Total Paid (INR)")
+  BOOKING_SCHEMA.forEach(({ name }) => {
+    if (mapping[name]) return;
+    const key = normalizeHeader(name);
+    const match = [...available.keys()].find(header => key.length >= 4 && header.includes(key));
+    if (match) claim(name, match);
+  });
+
+  return mapping;
+}
+
+/**
+ * Convert the date formats found in exports to DD/MM/YYYY
+ * @param {*} value - Raw date value (DD/MM/YYYY, YYYY-MM-DD, Excel serial or Date)
+ * @returns {*} DD/MM/YYYY string, or the original value when it cannot be read
+ */
+export function normalizeDateValue(value) {
+  if (value instanceof Date) return formatDate(value);
+
+  // Excel stores dates as days since 1899-12-30
+  if (typeof value === 'number' && value > 0) {
+    const date = new Date(Math.round((value - EXCEL_EPOCH_OFFSET) * MS_PER_DAY));
+    return formatDate(new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+
+  const text = String(value ?? '').trim();
+  if (/^\d{1,2}\/\d{1,2}\/\d{4}$/.test(text)) {
+    const [day, month, year] = text.split('/');
+    return `${day.padStart(2, '0')}/${month.padStart(2, '0')}/${year}`;
+  }
+
+  const isoMatch = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+  if (isoMatch) {
+    const [, year, month, day] = isoMatch;
+    return `${day}/${month}/${year}`;
+  }
+
+  return value;
+}
+
+/**
+ * Rename the columns of imported rows to the schema's column names
+ * @param {Array<Object>} rows - Imported rows keyed by file header
+ * @param {Object} mapping - Map of schema column -> file header
+ * @returns {Array<Object>} Rows keyed by schema column
+ */
+export function applyColumnMapping(rows, mapping) {
+  const mappedColumns = BOOKING_SCHEMA.filter(({ name }) => mapping[name]);
+
+  return rows.map(row => {
+    const mapped = {};
+    mappedColumns.forEach(({ name, type }) => {
+      const value = row[mapping[name]];
+      mapped[name] = type === ColumnTypes.DATE ? normalizeDateValue(value) : value;
+    });
+    return mapped;
+  });
+}
@@ -1,3 +1,6 @@
+import { getHourOfDay, formatHourOfDay } from './slotIntervals';
+import { WEEKDAY_NAMES, parseDate } from './dateUtils';
+
 /**
  * View type definitions
  * @enum {string}
@@ -11,7 +14,12 @@ export const ViewTypes = {
     STATUS: 'status',
     SOURCE: 'source',
     PAYMENTS: 'payments',
-    ERROR_DASHBOARD: 'errors'
+    ERROR_DASHBOARD: 'errors',
+    DATA_QUALITY: 'data-quality',
+    IMPORT: 'import',
+    FACILITIES: 'facilities',
+    PIVOT: 'pivot',
+    CUSTOMER: 'customer'
 };
   
 /**
@@ -25,7 +33,46 @@ export const FilterTypes = {
   CUSTOMER: 'customer',
   BOOKING_REF: 'booking-ref',
   PHONE: 'phone',
-  BALANCE: 'balance'
+  BALANCE: 'balance',
+  SPORT: 'sport',
+  // Any of several values
+  SPORTS: 'sports',
+  STATUSES: 'statuses',
+  SOURCES: 'sources',
+  FACILITIES: 'facilities',
+  LOCATIONS: 'locations',
+  // Numeric ranges
+  TOTAL_PAID_RANGE: 'total-paid-range',
+  SLOT_PRICE_RANGE: 'slot-price-range',
+  DISCOUNT_RANGE: 'discount-range',
+  BALANCE_RANGE: 'balance-range',
+  SLOTS_RANGE: 'slots-range',
+  // Day and time of the slot
+  WEEKDAYS: 'weekdays',
+  HOUR_RANGE: 'hour-range',
+  TIME_BANDS: 'time-bands'
+};
+
+/**
+ * Named parts of the day, as ranges of slot start hours with both ends included
+ */
+export const TIME_BANDS = [
+  { name: 'Morning', from: 5, to: 11 },
+  { name: 'Afternoon', from: 12, to: 16 },
+  { name: 'Peak Evening', from: 17, to: 21 },
+  { name: 'Late Night', from: 22, to: 4 }
+];
+
+/**
+ * How a column's values are compared when sorting
+ * @enum {string}
+ */
+export const SortTypes = {
+  DATE: 'date',
+  TIME: 'time',
+  CURRENCY: 'currency',
+  INTEGER: 'integer',
+  TEXT: 'text'
 };
   
 /**
@@ -40,17 +87,20 @@ export const CONSTANTS = {
   API_ENDPOINTS: {
     BOOKINGS: 'data/{year}/bookings.csv'
   },
+  // Known years - offered when the data source cannot list its files
+  FINANCIAL_YEARS: ['202425', '202526'],
   TABLE_HEADERS: [
-    { key: 'S no', label: 'S No', sortable: true },
-    { key: 'Slot Date', label: 'Date', sortable: true },
-    { key: 'Customer Name', label: 'Customer', sortable: true },
-    { key: 'Phone', label: 'Phone No', sortable: true },
-    { key: 'Location', label: 'Location', sortable: true },
-    { key: 'Booking Reference', label: 'Hudle Reference', sortable: true },
-    { key: 'Status', label: 'Status', sortable: true },
-    { key: 'Venue Discount', label: 'Discount', sortable: true },
-    { key: 'Total Paid', label: 'Paid', sortable: true },
-    { key: 'Balance', label: 'Balance', sortable: true }
+    { key: 'S no', label: 'S No', sortable: true, sortType: SortTypes.INTEGER },
+    { key: 'Slot Date', label: 'Date', sortable: true, sortType: SortTypes.DATE },
+    { key: 'Slot Time', label: 'Time', sortable: true, sortType: SortTypes.TIME },
+    { key: 'Customer Name', label: 'Customer', sortable: true, sortType: SortTypes.TEXT },
+    { key: 'Phone', label: 'Phone No', sortable: true, sortType: SortTypes.TEXT },
+    { key: 'Location', label: 'Location', sortable: true, sortType: SortTypes.TEXT },
+    { key: 'Booking Reference', label: 'Hudle Reference', sortable: true, sortType: SortTypes.TEXT },
+    { key: 'Status', label: 'Status', sortable: true, sortType: SortTypes.TEXT },
+    { key: 'Venue Discount', label: 'Discount', sortable: true, sortType: SortTypes.CURRENCY },
+    { key: 'Total Paid', label: 'Paid', sortable: true, sortType: SortTypes.CURRENCY },
+    { key: 'Balance', label: 'Balance', sortable: true, sortType: SortTypes.CURRENCY }
   ]
 };
   
@@ -92,23 +142,109 @@ export const FilterConfig = {
     type: 'checkbox',
     field: 'Balance',
     label: 'Outstanding Balance'
+  },
+  [FilterTypes.SPORT]: {
+    type: 'select',
+    field: 'Sport',
+    label: 'Sport'
+  },
+  // Values are arrays of field values
+  [FilterTypes.SPORTS]: {
+    type: 'multiSelect',
+    field: 'Sport',
+    label: 'Sports'
+  },
+  [FilterTypes.STATUSES]: {
+    type: 'multiSelect',
+    field: 'Status',
+    label: 'Statuses'
+  },
+  [FilterTypes.SOURCES]: {
+    type: 'multiSelect',
+    field: 'Source',
+    label: 'Sources'
+  },
+  [FilterTypes.FACILITIES]: {
+    type: 'multiSelect',
+    field: 'Facility',
+    label: 'Facilities'
+  },
+  [FilterTypes.LOCATIONS]: {
+    type: 'multiSelect',
+    field: 'Location',
+    label: 'Locations'
+  },
+  // Values are { min, max }, either of which may be null
+  [FilterTypes.TOTAL_PAID_RANGE]: {
+    type: 'numberRange',
+    field: 'Total Paid',
+    label: 'Total Paid'
+  },
+  [FilterTypes.SLOT_PRICE_RANGE]: {
+    type: 'numberRange',
+    field: 'Slot Price',
+    label: 'Slot Price'
+  },
+  [FilterTypes.DISCOUNT_RANGE]: {
+    type: 'numberRange',
+    field: 'Venue Discount',
+    label: 'Venue Discount'
+  },
+  [FilterTypes.BALANCE_RANGE]: {
+    type: 'numberRange',
+    field: 'Balance',
+    label: 'Balance Amount'
+  },
+  [FilterTypes.SLOTS_RANGE]: {
+    type: 'numberRange',
+    field: 'Number of slots',
+    label: 'Number of Slots'
+  },
+  // Day names from WEEKDAY_NAMES
+  [FilterTypes.WEEKDAYS]: {
+    type: 'multiSelect',
+    field: 'Slot Date',
+    label: 'Weekdays',
+    options: WEEKDAY_NAMES
+  },
+  // Value is { from, to }, slot start hours with both ends included
+  [FilterTypes.HOUR_RANGE]: {
+    type: 'hourRange',
+    field: 'Slot Time',
+    label: 'Hour of Day'
+  },
+  // Band names from TIME_BANDS
+  [FilterTypes.TIME_BANDS]: {
+    type: 'multiSelect',
+    field: 'Slot Time',
+    label: 'Time Bands',
+    options: TIME_BANDS.map(band => band.name)
   }
 };
   
 /**
- * Category view configuration
+ * Category view configuration.
+ * Extra stats are calculated with (bookings, helpers); helpers come from statsService.calculateCategoryStats.
  */
 export const categoryConfigs = {
+  // Grouped by the period picked with the time grain switcher
   months: {
-    category: 'Month',
-    valueField: 'Month',
-    displayNameField: 'Month',
-    sortOrder: ['April', 'May', 'June', 'July', 'August', 'September', 
-               'October', 'November', 'December', 'January', 'February', 'March'],
+    category: 'Period',
+    groupBy: 'period',
+    valueField: 'Slot Date',
+    displayNameField: 'Slot Date',
     extraStats: [
       { 
         label: 'Average Daily Bookings',
-        calculate: (bookings) => Math.round(bookings.length / 30)
+        // Days from the first to the last booking in the period
+        calculate: (bookings) => {
+          const times = bookings.map(b => parseDate(b['Slot Date'])?.getTime()).filter(time => !isNaN(time));
+          if (times.length === 0) return 0;
+          const first = times.reduce((min, time) => Math.min(min, time));
+          const last = times.reduce((max, time) => Math.max(max, time));
+          const days = Math.round((last - first) / (24 * 60 * 60 * 1000)) + 1;
+          return Math.round(bookings.length / days);
+        }
       },
       {
         label: 'Online Bookings',
@@ -259,40 +395,16 @@ export const categoryConfigs = {
       },
       {
         label: 'Top Customer',
-        calculate: (bookings) => {
-          if (bookings.length === 0) return 'N/A';
-          const customerData = {};
-          bookings.forEach(b => {
-            const phone = b['Phone'];
-            const customerName = b['Customer Name'];
-            
-            if (!phone) return;
-            
-            // Normalize phone number
-            const normalizedPhone = String(phone).replace(/\D/g, '');
-            
-            if (!customerData[normalizedPhone]) {
-              customerData[normalizedPhone] = {
-                count: 0,
-                name: customerName,
-                phone: phone
-              };
-            }
-            
-            customerData[normalizedPhone].count += 1;
-          });
-          
-          const sortedCustomers = Object.entries(customerData)
-            .sort(([, a], [, b]) => b.count - a.count);
-            
-          const topCustomer = sortedCustomers[0];
+        calculate: (bookings, { calculateTopCustomers }) => {
+          // Counted by customer, so numbers written with +91 and name variants add up
+          const [topCustomer] = calculateTopCustomers(bookings, 'count', 1);
           
           if (!topCustomer) return 'N/A';
           
           return {
-            name: topCustomer[1].name,
-            phone: topCustomer[1].phone,
-            displayText: topCustomer[1].name
+            name: topCustomer.name,
+            phone: topCustomer.phone,
+            displayText: topCustomer.name
           };
         }
       }
@@ -325,5 +437,46 @@ export const categoryConfigs = {
         }
       }
     ]
+  },
+  facilities: {
+    category: 'Facility',
+    valueField: 'Facility',
+    displayNameField: 'Facility',
+    // Facility names repeat across locations, so cards are keyed "Location / Facility"
+    nestedUnder: 'Location',
+    extraStats: [
+      {
+        label: 'Revenue/Slot',
+        calculate: (bookings) => {
+          const totalSlots = bookings.reduce((sum, b) => sum + (Number(b['Number of slots']) || 0), 0);
+          const totalCollection = bookings.reduce((sum, b) => sum + (Number(b['Total Paid']) || 0), 0);
+          if (!totalSlots) return '₹0';
+          return `₹${Math.round(totalCollection / totalSlots).toLocaleString('en-IN')}`;
+        }
+      },
+      {
+        label: 'Peak Hour',
+        calculate: (bookings) => {
+          const hourCounts = {};
+          bookings.forEach(b => {
+            (b['Slot Intervals'] || []).forEach(interval => {
+              const hour = getHourOfDay(interval);
+              hourCounts[hour] = (hourCounts[hour] || 0) + 1;
+            });
+          });
+          const peakHour = Object.entries(hourCounts)
+            .sort(([,a], [,b]) => b - a)[0];
+          return peakHour ? formatHourOfDay(Number(peakHour[0])) : 'N/A';
+        }
+      },
+      {
+        label: 'Cancellation Rate',
+        calculate: (bookings) => {
+          if (bookings.length === 0) return '0.0%';
+          const cancelled = bookings.filter(b => b.Status === 'Cancelled').length;
+          return `${((cancelled / bookings.length) * 100).toFixed(1)}%`;
+        }
+      }
+    ]
   }
 };
\ No newline at end of file
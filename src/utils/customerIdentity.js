@@ -0,0 +1,102 @@
+/**
+ * Telling customers apart: mobile numbers written different ways and name variants
+ * @module customerIdentity
+ */
+import { normalizePhone, normalizeSearchText, editDistance } from './fuzzyMatch';
+
+// Indian mobile numbers are ten digits starting 6-9
+const MOBILE_PATTERN = /^[6-9]\d{9}$/;
+
+// Names the booking apps fill in when the customer gave none, e.g. "Guest_65Ae4F26C6219"
+const PLACEHOLDER_NAME_PATTERN = /^guest(\b|_)/i;
+
+/**
+ * Reduce a phone number to a ten-digit Indian mobile number
+ * @param {*} phone - Phone number as written, with or without +91, 0091 or 0
+ * @returns {string} Ten digits, or '' when the number is not a mobile number
+ */
+export function normalizeMobile(phone) {
+  const digits = normalizePhone(phone);
+  return MOBILE_PATTERN.test(digits) ? digits : '';
+}
+
+/**
+ * Whether a customer name is a placeholder rather than a real name
+ * @param {string} name - Customer name
+ * @returns {boolean} Whether the name says nothing about who booked
+ */
+export function isPlaceholderName(name) {
+  return !name || PLACEHOLDER_NAME_PATTERN.test(String(name).trim());
+}
+
+/**
+ * Stable id of the customer who made a booking: their mobile number when it has one,
+ * otherwise their normalised name, so the same customer gets the same id in every file and year
+ * @param {Object} booking - Booking with Phone and Customer Name
+ * @returns {string|null} e.g. "9811678837" or "name:rahul sharma"; null when there is neither
+ */
+export function getCustomerId(booking) {
+  const mobile = normalizeMobile(booking['Phone']);
+  if (mobile) return mobile;
+
+  const name = normalizeSearchText(booking['Customer Name']);
+  return name && !isPlaceholderName(booking['Customer Name']) ? `name:${name}` : null;
+}
+
+/**
+ * Whether two words of a name can be the same word: equal, one an initial or
+ * abbreviation of the other ("s" and "singh"), or one typo apart
+ * @param {string} a - Normalised word
+ * @param {string} b - Normalised word
+ * @returns {boolean} Whether the words match
+ */
+function wordsMatch(a, b) {
+  if (a.startsWith(b) || b.startsWith(a)) return true;
+  return Math.min(a.length, b.length) >= 4 && editDistance(a, b, 1) <= 1;
+}
+
+/**
+ * Whether two names can belong to the same person, e.g. "Jaspreet", "Jaspreet Singh" and "jaspreet s".
+ * Words are compared in order, as far as the shorter name goes.
+ * @param {string} a - Customer name
+ * @param {string} b - Customer name
+ * @returns {boolean} Whether the names are variants of each other
+ */
+export function areNameVariants(a, b) {
+  const wordsA = normalizeSearchText(a).split(' ').filter(Boolean);
+  const wordsB = normalizeSearchText(b).split(' ').filter(Boolean);
+  if (!wordsA.length || !wordsB.length) return false;
+
+  const length = Math.min(wordsA.length, wordsB.length);
+  for (let i = 0; i < length; i++) {
+    if (!wordsMatch(wordsA[i], wordsB[i])) return false;
+  }
+  return true;
+}
+
+/**
+ * Group the names a phone number was booked under into the people they appear to belong to.
+ * Each name joins the first group whose main name it is a variant of, so "Rahul" does not
+ * pull "Rahul Sharma" and "Rahul Verma" together. Placeholder names are left out.
+ * @param {Map<string, number>|Object} nameCounts - Name as written -> bookings under it
+ * @returns {Array<Object>} { name, variants, count }, most booked first; name is the most used variant
+ */
+export function clusterNames(nameCounts) {
+  const entries = (nameCounts instanceof Map ? [...nameCounts.entries()] : Object.entries(nameCounts))
+    .filter(([name]) => !isPlaceholderName(name))
+    // Most used first; of two equally used names the fuller one leads its group
+    .sort((a, b) => b[1] - a[1] || b[0].length - a[0].length);
+
+  const clusters = [];
+  entries.forEach(([name, count]) => {
+    const cluster = clusters.find(item => areNameVariants(item.name, name));
+    if (cluster) {
+      cluster.variants.push(name);
+      cluster.count += count;
+    } else {
+      clusters.push({ name, variants: [name], count });
+    }
+  });
+
+  return clusters.sort((a, b) => b.count - a.count);
+}
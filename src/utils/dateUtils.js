@@ -260,4 +260,155 @@ export function getFinancialYearDates(financialYear) {
     console.error(`[dateUtils] Error getting financial year dates:`, error);
     return { start: null, end: null };
   }
-}
\ No newline at end of file
+}
+/**
+ * Format a financial year key for display
+ * @param {string} financialYear - Financial year in "YYYYYY" format (e.g., "202425") or "YYYY-YY" format
+ * @returns {string} Financial year in "YYYY-YY" format (e.g., "2024-25")
+ */
+export function formatFinancialYear(financialYear) {
+  if (!financialYear) return '';
+  if (financialYear.includes('-')) return financialYear;
+  return `${financialYear.substring(0, 4)}-${financialYear.substring(4, 6)}`;
+}
+
+/**
+ * Day names, Monday first, as used by the weekday filter
+ */
+export const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+/**
+ * Day of the week of a DD/MM/YYYY date
+ * @param {string} dateStr - Date string in DD/MM/YYYY format
+ * @returns {string|null} Day name (e.g. "Monday"), or null for an invalid date
+ */
+export function getWeekdayName(dateStr) {
+  const date = parseDate(dateStr);
+  if (!date || isNaN(date)) return null;
+  // getDay() counts from Sunday
+  return WEEKDAY_NAMES[(date.getDay() + 6) % 7];
+}
+
+/**
+ * Time grains bookings can be rolled up to, finest first
+ */
+export const TimeGrains = {
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month',
+  QUARTER: 'quarter',
+  YEAR: 'year'
+};
+
+/**
+ * Display names of the time grains
+ */
+export const TIME_GRAIN_LABELS = {
+  [TimeGrains.DAY]: 'Day',
+  [TimeGrains.WEEK]: 'Week',
+  [TimeGrains.MONTH]: 'Month',
+  [TimeGrains.QUARTER]: 'Quarter',
+  [TimeGrains.YEAR]: 'FY'
+};
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Monday of the week a date falls in
+ * @param {Date} date - Date object
+ * @returns {Date} Start of the week
+ */
+function getWeekStart(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+}
+
+/**
+ * ISO-8601 week of a date: weeks start on Monday and belong to the year of their Thursday
+ * @param {Date} date - Date object
+ * @returns {Object} { year, week } where week is 1-53
+ */
+export function getISOWeek(date) {
+  const monday = getWeekStart(date);
+  const thursday = new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + 3);
+  const year = thursday.getFullYear();
+  // Week 1 is the week with 4 January in it
+  const firstMonday = getWeekStart(new Date(year, 0, 4));
+  return { year, week: 1 + Math.round((monday - firstMonday) / (7 * DAY_MS)) };
+}
+
+/**
+ * Name of the period a date falls in, used as its group key
+ * @param {Date|string} date - Date object or DD/MM/YYYY string
+ * @param {string} grain - One of TimeGrains
+ * @returns {string} e.g. "01/04/2024", "2024-W14", "April 2024", "Q1 2024-25" or "2024-25";
+ *   '' for an invalid date
+ */
+export function getPeriodKey(date, grain) {
+  const d = date instanceof Date ? date : parseDate(date);
+  if (!d || isNaN(d)) return '';
+
+  switch (grain) {
+    case TimeGrains.WEEK: {
+      const { year, week } = getISOWeek(d);
+      return `${year}-W${String(week).padStart(2, '0')}`;
+    }
+    case TimeGrains.MONTH:
+      return `${MONTH_NAMES[d.getMonth()]} ${d.getFullYear()}`;
+    case TimeGrains.QUARTER:
+      return `Q${getFiscalQuarter(d)} ${getFinancialYear(d)}`;
+    case TimeGrains.YEAR:
+      return getFinancialYear(d);
+    default:
+      return formatDate(d);
+  }
+}
+
+/**
+ * First and last day of a period named by getPeriodKey
+ * @param {string} key - Period key
+ * @param {string} grain - One of TimeGrains
+ * @returns {Object|null} { start, end } as Date objects, or null when the key does not parse
+ */
+export function getPeriodRange(key, grain) {
+  let start = null;
+  let match;
+
+  switch (grain) {
+    case TimeGrains.WEEK:
+      if ((match = /^(\d{4})-W(\d{2})$/.exec(key))) {
+        const firstMonday = getWeekStart(new Date(Number(match[1]), 0, 4));
+        start = new Date(firstMonday.getFullYear(), firstMonday.getMonth(),
+          firstMonday.getDate() + (Number(match[2]) - 1) * 7);
+      }
+      break;
+    case TimeGrains.MONTH:
+      if ((match = /^(\w+) (\d{4})$/.exec(key)) && MONTH_NAMES.includes(match[1])) {
+        start = new Date(Number(match[2]), MONTH_NAMES.indexOf(match[1]), 1);
+      }
+      break;
+    case TimeGrains.QUARTER:
+      if ((match = /^Q([1-4]) (\d{4})-\d{2}$/.exec(key))) {
+        start = new Date(Number(match[2]), 3 * Number(match[1]), 1);
+      }
+      break;
+    case TimeGrains.YEAR:
+      if ((match = /^(\d{4})-\d{2}$/.exec(key))) {
+        start = new Date(Number(match[1]), 3, 1);
+      }
+      break;
+    default:
+      start = /^\d{2}\/\d{2}\/\d{4}$/.test(key) ? parseDate(key) : null;
+  }
+  if (!start || isNaN(start)) return null;
+
+  const monthsLong = { [TimeGrains.MONTH]: 1, [TimeGrains.QUARTER]: 3, [TimeGrains.YEAR]: 12 }[grain];
+  const end = monthsLong
+    ? new Date(start.getFullYear(), start.getMonth() + monthsLong, 0)
+    : new Date(start.getFullYear(), start.getMonth(), start.getDate() + (grain === TimeGrains.WEEK ? 6 : 0));
+  return { start, end };
+}
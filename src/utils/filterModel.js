@@ -0,0 +1,272 @@
+/**
+ * Filter model: any number of conditions combined with AND/OR groups
+ * @module filterModel
+ */
+import { FilterConfig, FilterTypes } from './constants';
+import { formatHourRange } from './slotIntervals';
+
+/**
+ * How the members of a group combine
+ * @enum {string}
+ */
+export const FilterOperators = {
+  AND: 'and',
+  OR: 'or'
+};
+
+let nextId = 0;
+
+/**
+ * Id for a condition or group - only needs to be unique within the session
+ * @param {string} prefix - 'c' for conditions, 'g' for groups
+ * @returns {string} Node id
+ */
+function createId(prefix) {
+  nextId += 1;
+  return `${prefix}${nextId}`;
+}
+
+/**
+ * Create a group of conditions
+ * @param {string} [op] - One of FilterOperators
+ * @param {Array<Object>} [conditions] - Conditions and nested groups
+ * @returns {Object} { id, op, conditions }
+ */
+export function createFilterGroup(op = FilterOperators.AND, conditions = []) {
+  return { id: createId('g'), op, conditions };
+}
+
+/**
+ * Create a single condition
+ * @param {string} type - One of FilterTypes
+ * @param {*} value - Filter value, shaped as the filter type expects
+ * @param {boolean} [negate] - Match the bookings the condition would leave out
+ * @returns {Object} { id, type, value, negate? }
+ */
+export function createCondition(type, value, negate = false) {
+  return negate
+    ? { id: createId('c'), type, value, negate: true }
+    : { id: createId('c'), type, value };
+}
+
+/**
+ * Whether a node is a group rather than a condition
+ * @param {Object} node - Condition or group
+ * @returns {boolean} Whether it is a group
+ */
+export function isFilterGroup(node) {
+  return Array.isArray(node?.conditions);
+}
+
+/**
+ * Whether a filter model has any conditions
+ * @param {Object} filters - Root group
+ * @returns {boolean} Whether anything is filtered
+ */
+export function hasActiveFilters(filters) {
+  return isFilterGroup(filters) && filters.conditions.length > 0;
+}
+
+/**
+ * Number of conditions in a model, counting inside nested groups
+ * @param {Object} node - Condition or group
+ * @returns {number} Condition count
+ */
+export function countConditions(node) {
+  if (!isFilterGroup(node)) return node ? 1 : 0;
+  return node.conditions.reduce((sum, child) => sum + countConditions(child), 0);
+}
+
+/**
+ * Filter type of a node - a group only has one when all its conditions share it.
+ * Negated conditions are kept apart from the plain ones.
+ * @param {Object} node - Condition or group
+ * @returns {string|null} Filter type, prefixed with "!" when negated
+ */
+function getNodeType(node) {
+  if (!isFilterGroup(node)) return node.negate ? `!${node.type}` : node.type;
+  const types = new Set(node.conditions.map(getNodeType));
+  return types.size === 1 ? [...types][0] : null;
+}
+
+/**
+ * Add a condition to the root group.
+ * A second condition on the same filter type is ORed with the first (Sport = Football OR Sport = Cricket);
+ * different filter types are combined by the root group's operator.
+ * @param {Object} filters - Root group
+ * @param {Object} condition - Condition from createCondition
+ * @returns {Object} New root group
+ */
+export function addCondition(filters, condition) {
+  const root = isFilterGroup(filters) ? filters : createFilterGroup();
+  const sameValue = (node) => !isFilterGroup(node)
+    && getNodeType(node) === getNodeType(condition)
+    && JSON.stringify(node.value) === JSON.stringify(condition.value);
+
+  const index = root.conditions.findIndex(node => getNodeType(node) === getNodeType(condition));
+  if (index === -1) {
+    return { ...root, conditions: [...root.conditions, condition] };
+  }
+
+  const existing = root.conditions[index];
+  const members = isFilterGroup(existing) ? existing.conditions : [existing];
+  if (members.some(sameValue)) return root;
+
+  // Booleans such as Outstanding Balance, and ranges, replace the previous value instead
+  if (['checkbox', 'numberRange', 'hourRange'].includes(FilterConfig[condition.type]?.type)) {
+    return replaceNode(root, index, condition);
+  }
+
+  const group = isFilterGroup(existing) && existing.op === FilterOperators.OR
+    ? { ...existing, conditions: [...existing.conditions, condition] }
+    : createFilterGroup(FilterOperators.OR, [existing, condition]);
+  return replaceNode(root, index, group);
+}
+
+/**
+ * Copy of a group with one member replaced
+ * @param {Object} group - Group
+ * @param {number} index - Member index
+ * @param {Object} node - Replacement
+ * @returns {Object} New group
+ */
+function replaceNode(group, index, node) {
+  const conditions = [...group.conditions];
+  conditions[index] = node;
+  return { ...group, conditions };
+}
+
+/**
+ * Copy of a group without the conditions a test picks out, anywhere in the model.
+ * Groups left with one member collapse into that member; empty groups are dropped.
+ * @param {Object} group - Group
+ * @param {Function} shouldRemove - node => boolean
+ * @returns {Object} New group
+ */
+function pruneGroup(group, shouldRemove) {
+  return {
+    ...group,
+    conditions: group.conditions
+      .filter(node => !shouldRemove(node))
+      .map(node => {
+        if (!isFilterGroup(node)) return node;
+        const pruned = pruneGroup(node, shouldRemove);
+        return pruned.conditions.length === 1 ? pruned.conditions[0] : pruned;
+      })
+      .filter(node => !isFilterGroup(node) || node.conditions.length > 0)
+  };
+}
+
+/**
+ * Remove a condition or group anywhere in the model.
+ * Groups left with one member collapse into that member.
+ * @param {Object} filters - Root group
+ * @param {string} id - Id of the node to remove
+ * @returns {Object} New root group
+ */
+export function removeCondition(filters, id) {
+  return isFilterGroup(filters) ? pruneGroup(filters, node => node.id === id) : createFilterGroup();
+}
+
+/**
+ * Remove every condition of some filter types, e.g. the date conditions when the
+ * same filters are applied to another period
+ * @param {Object} filters - Root group
+ * @param {Array<string>} types - FilterTypes to remove
+ * @returns {Object} New root group
+ */
+export function removeConditionsOfType(filters, types) {
+  return isFilterGroup(filters)
+    ? pruneGroup(filters, node => !isFilterGroup(node) && types.includes(node.type))
+    : createFilterGroup();
+}
+
+/**
+ * Change how a group's members combine
+ * @param {Object} filters - Root group
+ * @param {string} op - One of FilterOperators
+ * @returns {Object} New root group
+ */
+export function setGroupOperator(filters, op) {
+  return { ...filters, op };
+}
+
+/**
+ * Readable form of a condition's value
+ * @param {Object} condition - Condition
+ * @returns {string} Value label
+ */
+export function describeValue({ type, value }) {
+  switch (type) {
+    case FilterTypes.DATE_RANGE:
+      return `${value?.startDate || '…'} to ${value?.endDate || '…'}`;
+    case FilterTypes.BALANCE:
+      return value ? 'outstanding only' : 'any';
+    case FilterTypes.HOUR_RANGE:
+      return value ? `starting ${formatHourRange(value.from, value.to)}` : 'any';
+    default:
+      if (Array.isArray(value)) return value.join(', ');
+      if (FilterConfig[type]?.type === 'numberRange') return describeRange(value);
+      return String(value ?? '');
+  }
+}
+
+/**
+ * Readable form of a numeric range
+ * @param {Object} range - { min, max }
+ * @returns {string} e.g. "500 to 1000", "at least 500"
+ */
+function describeRange({ min, max } = {}) {
+  const hasMin = min !== null && min !== undefined && min !== '';
+  const hasMax = max !== null && max !== undefined && max !== '';
+  if (hasMin && hasMax) return `${min} to ${max}`;
+  if (hasMin) return `at least ${min}`;
+  if (hasMax) return `at most ${max}`;
+  return 'any';
+}
+
+/**
+ * One-line description of a condition or group, as shown on filter chips
+ * @param {Object} node - Condition or group
+ * @returns {string} e.g. "Sport: Football or Cricket"
+ */
+export function describeFilter(node) {
+  if (!isFilterGroup(node)) {
+    return `${FilterConfig[node.type]?.label || node.type}: ${node.negate ? 'not ' : ''}${describeValue(node)}`;
+  }
+
+  // Conditions on one filter type read as "Label: a or b"
+  const type = getNodeType(node);
+  if (type && node.conditions.every(child => !isFilterGroup(child))) {
+    const filterType = node.conditions[0].type;
+    const values = node.conditions.map(child => `${child.negate ? 'not ' : ''}${describeValue(child)}`);
+    return `${FilterConfig[filterType]?.label || filterType}: ${values.join(` ${node.op} `)}`;
+  }
+  return `(${node.conditions.map(describeFilter).join(` ${node.op.toUpperCase()} `)})`;
+}
+
+/**
+ * Plain form of a filter model for URLs and storage - node ids are left out
+ * @param {Object} node - Condition or group
+ * @returns {Object|Array} [type, value] ([type, value, 1] when negated) for a condition, { op, c } for a group
+ */
+export function serializeFilters(node) {
+  if (!isFilterGroup(node)) return node.negate ? [node.type, node.value, 1] : [node.type, node.value];
+  return { op: node.op, c: node.conditions.map(serializeFilters) };
+}
+
+/**
+ * Rebuild a filter model from serializeFilters output, dropping unknown filter types
+ * @param {Object|Array} data - Serialized condition or group
+ * @returns {Object|null} Condition or group, or null when nothing valid is left
+ */
+export function deserializeFilters(data) {
+  if (Array.isArray(data)) {
+    const [type, value, negate] = data;
+    return FilterConfig[type] ? createCondition(type, value, !!negate) : null;
+  }
+  if (!data || !Array.isArray(data.c)) return null;
+
+  const op = data.op === FilterOperators.OR ? FilterOperators.OR : FilterOperators.AND;
+  return createFilterGroup(op, data.c.map(deserializeFilters).filter(Boolean));
+}
@@ -47,6 +47,25 @@ export const formatUtils = {
     return Number(value).toLocaleString(CONSTANTS.CURRENCY_LOCALE);
   },
   
+  /**
+   * Format a statistic the way its type is shown
+   * @param {number|string} value - Value to format
+   * @param {string} type - 'number', 'currency', 'percentage' or 'text'
+   * @returns {string|number} Formatted value; text is returned as it is
+   */
+  byType: (value, type) => {
+    switch (type) {
+      case 'currency':
+        return formatUtils.currency(value);
+      case 'percentage':
+        return formatUtils.percentage(value, 1); // Always use 1 decimal place for percentages
+      case 'number':
+        return formatUtils.number(value);
+      default:
+        return value;
+    }
+  },
+  
   /**
    * Format phone number
    * @param {string} phone - Phone number to format
@@ -62,6 +81,18 @@ export const formatUtils = {
     return numStr;
   },
   
+  /**
+   * Format a file size in bytes
+   * @param {number} bytes - Size in bytes
+   * @returns {string} Human readable size (e.g. '1.4 MB')
+   */
+  fileSize: (bytes) => {
+    if (typeof bytes !== 'number' || isNaN(bytes)) return '';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  },
+  
   /**
    * Truncate text with ellipsis
    * @param {string} text - Text to truncate
@@ -0,0 +1,114 @@
+/**
+ * Typo-tolerant text matching for search
+ * @module fuzzyMatch
+ */
+
+/**
+ * Lower-case a value and reduce it to words separated by single spaces
+ * @param {*} value - Text to normalise
+ * @returns {string} Normalised text
+ */
+export function normalizeSearchText(value) {
+  return String(value ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Reduce an Indian phone number to its 10 digits, dropping a +91, 0091 or 0 prefix
+ * @param {*} phone - Phone number as written
+ * @returns {string} Digits only
+ */
+export function normalizePhone(phone) {
+  const digits = String(phone ?? '').replace(/\D/g, '');
+  if (digits.length === 14 && digits.startsWith('0091')) return digits.slice(4);
+  if (digits.length === 12 && digits.startsWith('91')) return digits.slice(2);
+  if (digits.length === 11 && digits.startsWith('0')) return digits.slice(1);
+  return digits;
+}
+
+/**
+ * Edit distance between two strings (insertions, deletions, substitutions and swapped neighbours)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} [max] - Stop early once the distance is known to exceed this
+ * @returns {number} Distance, or max + 1 when it exceeds max
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+}
+
+/**
+ * Typos allowed for a word of a given length
+ * @param {number} length - Word length
+ * @returns {number} Allowed edit distance
+ */
+function allowedTypos(length) {
+  if (length < 4) return 0;
+  return length < 8 ? 1 : 2;
+}
+
+/**
+ * How well a query matches a text, from 0 (no match) to 1 (exact).
+ * Whole and prefix matches rank above substrings, which rank above matches with typos;
+ * with typos every query word has to be close to a word of the text.
+ * @param {string} query - Normalised query (see normalizeSearchText)
+ * @param {string} text - Normalised text
+ * @returns {number} Score
+ */
+export function fuzzyScore(query, text) {
+  if (!query || !text) return 0;
+  if (text === query) return 1;
+  if (text.startsWith(query)) return 0.9;
+
+  const words = text.split(' ');
+  if (words.some(word => word.startsWith(query))) return 0.8;
+  if (text.includes(query)) return 0.6;
+
+  let total = 0;
+  for (const queryWord of query.split(' ')) {
+    const maxTypos = allowedTypos(queryWord.length);
+    let best = 0;
+    for (const word of words) {
+      if (word.startsWith(queryWord)) {
+        best = 1;
+        break;
+      }
+      // A typed word may still be a prefix of a longer one, so compare against the same length too
+      const distance = Math.min(
+        editDistance(queryWord, word, maxTypos),
+        word.length > queryWord.length ? editDistance(queryWord, word.slice(0, queryWord.length), maxTypos) : Infinity
+      );
+      if (distance <= maxTypos) {
+        best = Math.max(best, 1 - distance / (maxTypos + 1));
+      }
+    }
+    if (best === 0) return 0;
+    total += best;
+  }
+
+  return 0.5 * total / query.split(' ').length;
+}
@@ -0,0 +1,101 @@
+/**
+ * Location master data and reconciliation of CSV "Location" strings against it
+ * @module locationRegistry
+ */
+import locations from '../locations.json';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Registry entries: { id, name, aliases, city, openingHours: { open, close }, courts: { sport: count }, goLive }.
+ * Only the ids and names come from the location master list; city, hours, courts and go-live are null
+ * until they are known, and aliases are added as spellings turn up in the bookings files.
+ */
+export const LOCATIONS = locations;
+
+/**
+ * Reduce a location name to the form used for matching - case, spacing and punctuation are ignored
+ * @param {string} name - Location name or alias
+ * @returns {string} Match key
+ */
+function toMatchKey(name) {
+  return String(name ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Names and aliases -> entry
+const ENTRIES_BY_KEY = new Map();
+LOCATIONS.forEach(entry => {
+  [entry.name, ...(entry.aliases || [])].forEach(name => {
+    ENTRIES_BY_KEY.set(toMatchKey(name), entry);
+  });
+});
+
+const ENTRIES_BY_ID = new Map(LOCATIONS.map(entry => [entry.id, entry]));
+
+/**
+ * Find a registry entry by id
+ * @param {string} id - Location id
+ * @returns {Object|null} Registry entry
+ */
+export function getLocationById(id) {
+  return ENTRIES_BY_ID.get(id) || null;
+}
+
+/**
+ * Resolve a CSV "Location" string to its registry entry
+ * @param {string} name - Location as written in the bookings file
+ * @returns {Object|null} Registry entry, or null when the name is not in the registry
+ */
+export function resolveLocation(name) {
+  if (!name) return null;
+  return ENTRIES_BY_KEY.get(toMatchKey(name)) || null;
+}
+
+/**
+ * Minutes a location is open each day
+ * @param {Object} entry - Registry entry
+ * @returns {number|null} Opening minutes per day, or null when the opening hours are not known
+ */
+export function getOpeningMinutes(entry) {
+  const toMinutes = (time) => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+  };
+
+  const { open, close } = entry.openingHours || {};
+  if (!open || !close) return null;
+
+  // A close time at or before opening runs past midnight
+  const minutes = toMinutes(close) - toMinutes(open);
+  return minutes > 0 ? minutes : minutes + 24 * 60;
+}
+
+/**
+ * Number of courts at a location, for one sport or in total
+ * @param {Object} entry - Registry entry
+ * @param {string} [sport] - Sport name
+ * @returns {number|null} Court count, or null when the location's courts are not known
+ */
+export function getCourtCount(entry, sport) {
+  const courts = entry.courts;
+  if (!courts) return null;
+  if (sport) return courts[sport] || 0;
+  return Object.values(courts).reduce((sum, count) => sum + count, 0);
+}
+
+/**
+ * Days a location was open between two dates, counting from its go-live date
+ * @param {Object} entry - Registry entry
+ * @param {Date} start - First day of the period
+ * @param {Date} end - Last day of the period
+ * @returns {number} Whole days, 0 when the location went live after the period
+ */
+export function getDaysOpen(entry, start, end) {
+  const goLive = entry.goLive ? new Date(`${entry.goLive}T00:00:00`) : null;
+  const from = goLive && goLive > start ? goLive : start;
+  const days = Math.floor((end - from) / MS_PER_DAY) + 1;
+  return Math.max(days, 0);
+}
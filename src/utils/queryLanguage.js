@@ -0,0 +1,339 @@
+/**
+ * Text query language for filters, e.g.
+ * location:"Vasant Kunj" status:cancelled paid>=1000 date:2024-04-01..2024-06-30 sport:football,cricket
+ *
+ * A query is a list of clauses, all of which must match. A clause is field, operator and value;
+ * a leading "-" (or "!") negates it. Lists are comma separated, ranges are written a..b with
+ * either end optional, and values with spaces are quoted. A list field is written once, with all
+ * its values (sport:football,cricket), as a booking has only one of each; negated clauses can repeat.
+ * @module queryLanguage
+ */
+import { FilterTypes, FilterConfig } from './constants';
+import { createCondition, createFilterGroup } from './filterModel';
+
+/**
+ * How a field's value is written
+ * @enum {string}
+ */
+export const QueryValueKinds = {
+  LIST: 'list',
+  TEXT: 'text',
+  NUMBER: 'number',
+  HOUR: 'hour',
+  DATE: 'date'
+};
+
+/**
+ * Fields a query can use, and the filter each becomes
+ */
+export const QUERY_FIELDS = {
+  location: { filterType: FilterTypes.LOCATIONS, kind: QueryValueKinds.LIST },
+  status: { filterType: FilterTypes.STATUSES, kind: QueryValueKinds.LIST },
+  source: { filterType: FilterTypes.SOURCES, kind: QueryValueKinds.LIST },
+  sport: { filterType: FilterTypes.SPORTS, kind: QueryValueKinds.LIST },
+  facility: { filterType: FilterTypes.FACILITIES, kind: QueryValueKinds.LIST },
+  weekday: { filterType: FilterTypes.WEEKDAYS, kind: QueryValueKinds.LIST },
+  band: { filterType: FilterTypes.TIME_BANDS, kind: QueryValueKinds.LIST },
+  customer: { filterType: FilterTypes.CUSTOMER, kind: QueryValueKinds.TEXT, minLength: 2 },
+  phone: { filterType: FilterTypes.PHONE, kind: QueryValueKinds.TEXT, minLength: 9 },
+  ref: { filterType: FilterTypes.BOOKING_REF, kind: QueryValueKinds.TEXT, minLength: 3 },
+  paid: { filterType: FilterTypes.TOTAL_PAID_RANGE, kind: QueryValueKinds.NUMBER },
+  price: { filterType: FilterTypes.SLOT_PRICE_RANGE, kind: QueryValueKinds.NUMBER },
+  discount: { filterType: FilterTypes.DISCOUNT_RANGE, kind: QueryValueKinds.NUMBER },
+  balance: { filterType: FilterTypes.BALANCE_RANGE, kind: QueryValueKinds.NUMBER },
+  slots: { filterType: FilterTypes.SLOTS_RANGE, kind: QueryValueKinds.NUMBER },
+  hour: { filterType: FilterTypes.HOUR_RANGE, kind: QueryValueKinds.HOUR },
+  date: { filterType: FilterTypes.DATE_RANGE, kind: QueryValueKinds.DATE }
+};
+
+const CLAUSE_PATTERN = /^([-!]?)([a-z]+)(>=|<=|>|<|:|=)([\s\S]*)$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Split a query into whitespace-separated clauses, keeping quoted values together
+ * @param {string} text - Query text
+ * @returns {Array<Object>} { text, start, end, unterminated }
+ */
+export function tokenizeQuery(text) {
+  const tokens = [];
+  let current = null;
+  let inQuote = false;
+
+  for (let i = 0; i <= text.length; i++) {
+    const char = text[i];
+    if (i === text.length || (!inQuote && /\s/.test(char))) {
+      if (current) {
+        tokens.push({ ...current, end: i, unterminated: inQuote });
+        current = null;
+      }
+      continue;
+    }
+    if (!current) current = { text: '', start: i };
+    if (char === '"') inQuote = !inQuote;
+    current.text += char;
+  }
+
+  return tokens;
+}
+
+/**
+ * Split a value on commas outside quotes and strip the quotes
+ * @param {string} value - Raw value
+ * @returns {Array<string>} Values
+ */
+function splitValues(value) {
+  const parts = [];
+  let current = '';
+  let inQuote = false;
+  for (const char of value) {
+    if (char === '"') inQuote = !inQuote;
+    else if (char === ',' && !inQuote) {
+      parts.push(current.trim());
+      current = '';
+    } else current += char;
+  }
+  parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Split a value written as a..b
+ * @param {string} value - Raw value
+ * @returns {Array<string>|null} [from, to] with '' for an open end, or null when it is not a range
+ */
+function splitRange(value) {
+  const index = value.indexOf('..');
+  if (index === -1) return null;
+  return [value.slice(0, index).trim(), value.slice(index + 2).trim()];
+}
+
+/**
+ * Parse a number, or '' for an open end
+ * @param {string} value - Raw value
+ * @returns {number|null|undefined} Number, null for '', undefined when invalid
+ */
+function toNumber(value) {
+  if (value === '') return null;
+  const number = Number(value.replace(/,/g, ''));
+  return isNaN(number) ? undefined : number;
+}
+
+/**
+ * Build the filter value for one clause
+ * @param {Object} field - Entry of QUERY_FIELDS
+ * @param {string} name - Field name as typed
+ * @param {string} op - Operator
+ * @param {string} raw - Value as typed
+ * @param {Function} [getValues] - Field name -> values found in the data, to check list values against
+ * @returns {Object} { filterType, value } or { error }
+ */
+function parseValue(field, name, op, raw, getValues) {
+  const isEquals = op === ':' || op === '=';
+  if (op === '>' || op === '<') {
+    return { error: `Use ${op}= instead of ${op} - bounds are inclusive` };
+  }
+
+  switch (field.kind) {
+    case QueryValueKinds.LIST: {
+      if (!isEquals) return { error: `${name} takes a list of values, e.g. ${name}:a,b` };
+      const values = splitValues(raw).filter(Boolean);
+      if (values.length === 0) return { error: `${name} needs at least one value` };
+
+      // Use the spelling found in the data, and flag values no booking has.
+      // An unambiguous start of a value is enough, e.g. weekday:sat
+      const known = getValues?.(name);
+      if (!known?.length) return { filterType: field.filterType, value: values };
+      const resolve = (value) => {
+        const key = value.toLowerCase();
+        const exact = known.find(option => String(option).toLowerCase() === key);
+        if (exact) return exact;
+        const partial = known.filter(option => String(option).toLowerCase().startsWith(key));
+        return partial.length === 1 ? partial[0] : null;
+      };
+      const unknown = values.filter(value => !resolve(value));
+      if (unknown.length > 0) {
+        return { error: `No ${name} called ${unknown.map(value => `"${value}"`).join(', ')}` };
+      }
+      return { filterType: field.filterType, value: values.map(resolve) };
+    }
+
+    case QueryValueKinds.TEXT: {
+      if (!isEquals) return { error: `${name} only supports ${name}:value` };
+      const [value] = splitValues(raw);
+      const length = name === 'phone' ? value.replace(/\D/g, '').length : value.length;
+      if (length < field.minLength) {
+        return { error: `${name} needs at least ${field.minLength} ${name === 'phone' ? 'digits' : 'characters'}` };
+      }
+      return { filterType: field.filterType, value };
+    }
+
+    case QueryValueKinds.NUMBER:
+    case QueryValueKinds.HOUR: {
+      const isHour = field.kind === QueryValueKinds.HOUR;
+      const range = splitRange(raw) || (isEquals ? [raw, raw] : op === '>=' ? [raw, ''] : ['', raw]);
+      if (!isEquals && splitRange(raw)) return { error: `Write a range as ${name}:a..b` };
+
+      const [min, max] = range.map(part => toNumber(part.trim()));
+      if (min === undefined || max === undefined || (min === null && max === null)) {
+        return { error: `${name} needs a number${isHour ? ' of hours (0-23)' : ''}` };
+      }
+      if (min !== null && max !== null && min > max && !isHour) {
+        return { error: `${name} range starts above where it ends` };
+      }
+      if (!isHour) return { filterType: field.filterType, value: { min, max } };
+
+      // Hours wrap past midnight, so 22..2 is valid
+      const from = min ?? 0;
+      const to = max ?? 23;
+      if (![from, to].every(hour => Number.isInteger(hour) && hour >= 0 && hour <= 23)) {
+        return { error: 'hour takes whole hours from 0 to 23' };
+      }
+      return { filterType: field.filterType, value: { from, to } };
+    }
+
+    case QueryValueKinds.DATE: {
+      const range = splitRange(raw);
+      const [startDate, endDate] = range || (isEquals ? [raw, null] : op === '>=' ? [raw, ''] : ['', raw]);
+      if (range && !isEquals) return { error: 'Write a date range as date:from..to' };
+
+      const dates = [startDate, endDate].filter(Boolean);
+      if (dates.length === 0) return { error: 'date needs a date, e.g. date:2024-04-01' };
+      const invalid = dates.find(date => !DATE_PATTERN.test(date) || isNaN(new Date(date)));
+      if (invalid) return { error: `"${invalid}" is not a date - use YYYY-MM-DD` };
+      if (startDate && endDate && startDate > endDate) return { error: 'date range starts after it ends' };
+
+      if (endDate === null) return { filterType: FilterTypes.SINGLE_DATE, value: startDate };
+      return { filterType: FilterTypes.DATE_RANGE, value: { startDate, endDate } };
+    }
+
+    default:
+      return { error: `${name} cannot be queried` };
+  }
+}
+
+/**
+ * Parse a query into a filter model
+ * @param {string} text - Query text
+ * @param {Object} [options] - Parse options
+ * @param {Function} [options.getValues] - Field name -> values found in the data, for checking list values
+ * @returns {Object} { filters, clauses, errors } - clauses are tokens with a condition or an error
+ */
+export function parseQuery(text, { getValues } = {}) {
+  // Values of the list fields used so far, to catch repeated clauses that could never all match
+  const listValues = new Map();
+
+  const clauses = tokenizeQuery(text || '').map(token => {
+    if (token.unterminated) return { ...token, error: 'Missing closing quote' };
+
+    const match = CLAUSE_PATTERN.exec(token.text);
+    if (!match) return { ...token, error: 'Expected field:value, e.g. status:cancelled' };
+
+    const [, negation, fieldName, op, raw] = match;
+    const name = fieldName.toLowerCase();
+    const field = QUERY_FIELDS[name];
+    if (!field) return { ...token, error: `Unknown field "${fieldName}"` };
+    if (!raw.trim()) return { ...token, error: `${name} needs a value` };
+
+    const result = parseValue(field, name, op, raw.trim(), getValues);
+    if (result.error) return { ...token, error: result.error };
+
+    if (field.kind === QueryValueKinds.LIST && !negation) {
+      const earlier = listValues.get(name);
+      if (earlier) {
+        const combined = [...new Set([...earlier, ...result.value])].map(quoteValue).join(',');
+        return { ...token, error: `A booking has one ${name}, so repeated ${name} clauses never all match - use ${name}:${combined}` };
+      }
+      listValues.set(name, result.value);
+    }
+    return { ...token, condition: createCondition(result.filterType, result.value, !!negation) };
+  });
+
+  const conditions = clauses.filter(clause => clause.condition).map(clause => clause.condition);
+  return {
+    filters: createFilterGroup(undefined, conditions),
+    clauses,
+    errors: clauses.filter(clause => clause.error)
+  };
+}
+
+/**
+ * Quote a value when it contains spaces, commas or quotes
+ * @param {string} value - Value
+ * @returns {string} Value as written in a query
+ */
+function quoteValue(value) {
+  return /[\s,"]/.test(value) ? `"${String(value).replace(/"/g, '')}"` : value;
+}
+
+/**
+ * Autocomplete suggestions for the clause at the cursor: field names, then values from the data
+ * @param {string} text - Query text
+ * @param {number} cursor - Cursor position
+ * @param {Object} [options] - Suggestion options
+ * @param {Function} [options.getValues] - Field name -> values found in the data
+ * @param {number} [options.limit] - Most suggestions returned
+ * @returns {Object} { start, end, items: [{ label, text }] } - text replaces start..end
+ */
+export function getQuerySuggestions(text, cursor, { getValues, limit = 8 } = {}) {
+  const token = tokenizeQuery(text).find(item => cursor >= item.start && cursor <= item.end)
+    || { text: '', start: cursor, end: cursor };
+  const typed = token.text.slice(0, cursor - token.start);
+  const none = { start: cursor, end: cursor, items: [] };
+
+  const match = CLAUSE_PATTERN.exec(typed);
+  if (!match) {
+    // Still typing the field name
+    const [, negation, partial] = /^([-!]?)([a-z]*)$/i.exec(typed) || [];
+    if (partial === undefined) return none;
+    return {
+      start: token.start,
+      end: token.end,
+      items: Object.keys(QUERY_FIELDS)
+        .filter(name => name.startsWith(partial.toLowerCase()))
+        .slice(0, limit)
+        .map(name => ({ label: name, text: `${negation}${name}:` }))
+    };
+  }
+
+  const [, negation, fieldName, op, raw] = match;
+  const name = fieldName.toLowerCase();
+  if (QUERY_FIELDS[name]?.kind !== QueryValueKinds.LIST || (op !== ':' && op !== '=')) return none;
+
+  // Complete the last value of the list
+  const values = splitValues(raw);
+  const partial = values.pop().toLowerCase();
+  const prefix = `${negation}${fieldName}${op}${values.map(quoteValue).join(',')}${values.length ? ',' : ''}`;
+
+  const candidates = (getValues?.(name) || [])
+    .filter(value => !values.some(picked => picked.toLowerCase() === String(value).toLowerCase()));
+  const ranked = [
+    ...candidates.filter(value => String(value).toLowerCase().startsWith(partial)),
+    ...candidates.filter(value => !String(value).toLowerCase().startsWith(partial) && String(value).toLowerCase().includes(partial))
+  ];
+
+  return {
+    start: token.start,
+    end: token.end,
+    items: ranked.slice(0, limit).map(value => ({ label: String(value), text: `${prefix}${quoteValue(String(value))}` }))
+  };
+}
+
+/**
+ * Values a list field can take in the loaded data
+ * @param {Array} bookings - Loaded bookings
+ * @param {string} name - Field name (key of QUERY_FIELDS)
+ * @returns {Array<string>} Values, sorted
+ */
+export function getQueryFieldValues(bookings, name) {
+  const field = QUERY_FIELDS[name];
+  if (field?.kind !== QueryValueKinds.LIST) return [];
+
+  const config = FilterConfig[field.filterType];
+  if (config.options) return config.options;
+
+  const values = new Set();
+  (bookings || []).forEach(booking => {
+    if (booking[config.field]) values.add(booking[config.field]);
+  });
+  return [...values].sort();
+}
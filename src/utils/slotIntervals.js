@@ -0,0 +1,207 @@
+/**
+ * Parse "Slot Details" into time intervals and work with them
+ * @module slotIntervals
+ */
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+// One interval, e.g. "Apr 1, 2024 08:30 PM - 09:00 PM" or "11:30 PM - Jul 8, 2024 12:00 AM".
+// A date only appears where it changes; other intervals carry on from the previous one.
+const INTERVAL_PATTERN = /(?:([A-Z][a-z]{2}) (\d{1,2}), (\d{4}) )?(\d{1,2}):(\d{2}) ([AP]M) - (?:([A-Z][a-z]{2}) (\d{1,2}), (\d{4}) )?(\d{1,2}):(\d{2}) ([AP]M)/g;
+
+/**
+ * Build a date from the parts matched by INTERVAL_PATTERN
+ * @param {Date} day - Day to use when no date was matched
+ * @param {Array<string>} dateParts - [month, day, year], possibly undefined
+ * @param {Array<string>} timeParts - [hour, minute, period]
+ * @returns {Date|null} Local date and time, or null for an unknown month
+ */
+function toDate(day, [monthName, dayOfMonth, year], [hour, minute, period]) {
+  let date = day;
+  if (monthName) {
+    const month = MONTHS.indexOf(monthName);
+    if (month === -1) return null;
+    date = new Date(Number(year), month, Number(dayOfMonth));
+  }
+
+  // 12 AM is midnight and 12 PM is noon
+  const hours = (Number(hour) % 12) + (period === 'PM' ? 12 : 0);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate(), hours, Number(minute));
+}
+
+/**
+ * Midnight at the start of a date's day
+ * @param {Date} date - Date
+ * @returns {Date} Start of the day
+ */
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Parse a booking's "Slot Details" into time intervals.
+ * Days are separated by " | " and intervals past midnight roll over to the next day.
+ * @param {string} details - e.g. "Apr 1, 2024 08:30 PM - 09:00 PM, 09:00 PM - 09:30 PM"
+ * @returns {Array<Object>} Intervals as { start, end } Dates, in booking order
+ */
+export function parseSlotDetails(details) {
+  if (typeof details !== 'string' || !details) return [];
+
+  const intervals = [];
+  let day = null;
+  let previousEnd = null;
+
+  for (const match of details.matchAll(INTERVAL_PATTERN)) {
+    const [, startMonth, startDay, startYear, startHour, startMinute, startPeriod,
+      endMonth, endDay, endYear, endHour, endMinute, endPeriod] = match;
+
+    // Intervals before the first date have nothing to anchor them
+    if (!startMonth && !day) continue;
+
+    let start = toDate(day, [startMonth, startDay, startYear], [startHour, startMinute, startPeriod]);
+    if (!start) continue;
+    if (!startMonth && previousEnd && start < previousEnd) {
+      start = new Date(start.getTime() + MS_PER_DAY);
+    }
+
+    let end = toDate(startOfDay(start), [endMonth, endDay, endYear], [endHour, endMinute, endPeriod]);
+    if (!end) continue;
+    if (end <= start) {
+      end = new Date(end.getTime() + MS_PER_DAY);
+    }
+
+    intervals.push({ start, end });
+    day = startOfDay(end);
+    previousEnd = end;
+  }
+
+  return intervals;
+}
+
+/**
+ * Check parsed intervals against the booking's "Number of slots"
+ * @param {Array<Object>} intervals - Output of parseSlotDetails
+ * @param {number} numberOfSlots - Number of slots on the booking
+ * @returns {Object} { isValid, expected, actual }
+ */
+export function validateSlotIntervals(intervals, numberOfSlots) {
+  const expected = Number(numberOfSlots) || 0;
+  return {
+    isValid: intervals.length === expected,
+    expected,
+    actual: intervals.length
+  };
+}
+
+/**
+ * Length of an interval, or of several added together
+ * @param {Object|Array<Object>} intervals - One { start, end } interval or a list of them
+ * @returns {number} Duration in minutes
+ */
+export function getDurationMinutes(intervals) {
+  const list = Array.isArray(intervals) ? intervals : [intervals];
+  return list.reduce((total, { start, end }) => total + (end - start) / MS_PER_MINUTE, 0);
+}
+
+/**
+ * Hour of day (0-23) an interval starts in
+ * @param {Object} interval - { start, end } interval
+ * @returns {number} Hour of day
+ */
+export function getHourOfDay(interval) {
+  return interval.start.getHours();
+}
+
+/**
+ * Label for the hour starting at a given hour of day
+ * @param {number} hour - Hour of day (0-23)
+ * @returns {string} e.g. "8 PM - 9 PM"
+ */
+export function formatHourOfDay(hour) {
+  return formatHourRange(hour, hour);
+}
+
+/**
+ * Every hour of day (0-23) an interval occupies, e.g. 10:30 PM - 12:30 AM covers 22, 23 and 0
+ * @param {Object} interval - { start, end } interval
+ * @returns {Array<number>} Hours of day in order
+ */
+export function getHoursCovered(interval) {
+  const hours = [];
+  const cursor = new Date(interval.start);
+  cursor.setMinutes(0, 0, 0);
+
+  while (cursor < interval.end) {
+    hours.push(cursor.getHours());
+    cursor.setHours(cursor.getHours() + 1);
+  }
+  return hours;
+}
+
+/**
+ * Whether two intervals share any time - touching intervals do not overlap
+ * @param {Object} a - { start, end } interval
+ * @param {Object} b - { start, end } interval
+ * @returns {boolean} Whether they overlap
+ */
+export function intervalsOverlap(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Time two intervals share
+ * @param {Object} a - { start, end } interval
+ * @param {Object} b - { start, end } interval
+ * @returns {number} Overlap in minutes (0 when they do not overlap)
+ */
+export function getOverlapMinutes(a, b) {
+  const overlap = Math.min(a.end, b.end) - Math.max(a.start, b.start);
+  return overlap > 0 ? overlap / MS_PER_MINUTE : 0;
+}
+
+/**
+ * Hour of day a booking starts, from its first slot interval or, failing that, its "Slot Time"
+ * @param {Object} booking - Processed booking
+ * @returns {number|null} Hour of day (0-23), or null when neither can be read
+ */
+export function getSlotStartHour(booking) {
+  const [first] = booking['Slot Intervals'] || [];
+  if (first?.start instanceof Date) return first.start.getHours();
+
+  const match = /(\d{1,2}):(\d{2})\s*(AM|PM)/i.exec(booking['Slot Time'] || '');
+  if (!match) return null;
+  return (Number(match[1]) % 12) + (match[3].toUpperCase() === 'PM' ? 12 : 0);
+}
+
+/**
+ * Whether an hour of day falls in a range of hours, both ends included.
+ * A range whose start is after its end runs past midnight (22 to 4 covers 22, 23, 0 ... 4).
+ * @param {number} hour - Hour of day (0-23)
+ * @param {number} from - First hour of the range
+ * @param {number} to - Last hour of the range
+ * @returns {boolean} Whether the hour is in the range
+ */
+export function isHourInRange(hour, from, to) {
+  return from <= to ? hour >= from && hour <= to : hour >= from || hour <= to;
+}
+
+/**
+ * Label for the start of an hour of day
+ * @param {number} hour - Hour of day (24 is read as midnight)
+ * @returns {string} e.g. "8 PM"
+ */
+export function formatHour(hour) {
+  return `${hour % 12 || 12} ${hour % 24 < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * Label for a range of hours, both ends included
+ * @param {number} from - First hour of the range
+ * @param {number} to - Last hour of the range
+ * @returns {string} e.g. "6 AM - 12 PM" for 6 to 11
+ */
+export function formatHourRange(from, to) {
+  return `${formatHour(from)} - ${formatHour(to + 1)}`;
+}
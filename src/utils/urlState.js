@@ -0,0 +1,143 @@
+/**
+ * Dashboard view state encoded as query parameters on the /dashboard/* routes
+ * @module urlState
+ */
+import { ROUTES } from '../config/routes';
+import { serializeFilters, deserializeFilters, hasActiveFilters, createFilterGroup, isFilterGroup } from './filterModel';
+import { TimeGrains } from './dateUtils';
+
+const DEFAULT_SORT_KEYS = [{ field: 'S no', direction: 'asc' }];
+const DEFAULT_TIME_GRAIN = TimeGrains.MONTH;
+
+/**
+ * Query parameters owned by the dashboard
+ */
+export const DashboardParams = {
+  YEARS: 'years',
+  FILTERS: 'filters',
+  SORT: 'sort',
+  PAGE: 'page',
+  CATEGORY: 'category',
+  GRAIN: 'grain'
+};
+
+/**
+ * Sort keys as written in the query string, e.g. "Slot Date:desc,Customer Name:asc"
+ * @param {Array<Object>} sortKeys - Sort keys, { field, direction }
+ * @returns {string} Encoded keys
+ */
+function serializeSortKeys(sortKeys) {
+  return sortKeys.map(({ field, direction }) => `${field}:${direction}`).join(',');
+}
+
+/**
+ * Decode sort keys, dropping repeated fields
+ * @param {string} value - Encoded keys
+ * @returns {Array<Object>} Sort keys, { field, direction }
+ */
+function parseSortKeys(value) {
+  const keys = [];
+  value.split(',').forEach(part => {
+    const separator = part.lastIndexOf(':');
+    const field = separator === -1 ? part : part.slice(0, separator);
+    if (!field || keys.some(key => key.field === field)) return;
+    keys.push({ field, direction: part.slice(separator + 1) === 'desc' ? 'desc' : 'asc' });
+  });
+  return keys;
+}
+
+/**
+ * Encode view state as a query string. Defaults are left out to keep links short.
+ * @param {Object} state - { selectedYears, activeDatasetId, activeFilters, sortKeys, currentPage, selectedCategory, timeGrain }
+ * @returns {string} Query string without the leading "?"
+ */
+export function serializeDashboardState(state) {
+  const params = new URLSearchParams();
+
+  // Imported datasets only exist in this browser, so their links carry no years
+  if (!state.activeDatasetId && state.selectedYears?.length) {
+    params.set(DashboardParams.YEARS, state.selectedYears.join(','));
+  }
+  if (hasActiveFilters(state.activeFilters)) {
+    params.set(DashboardParams.FILTERS, JSON.stringify(serializeFilters(state.activeFilters)));
+  }
+  const sort = serializeSortKeys(state.sortKeys || []);
+  if (sort && sort !== serializeSortKeys(DEFAULT_SORT_KEYS)) {
+    params.set(DashboardParams.SORT, sort);
+  }
+  if (state.currentPage > 1) {
+    params.set(DashboardParams.PAGE, String(state.currentPage));
+  }
+  if (state.selectedCategory) {
+    params.set(DashboardParams.CATEGORY, state.selectedCategory);
+  }
+  if (state.timeGrain && state.timeGrain !== DEFAULT_TIME_GRAIN) {
+    params.set(DashboardParams.GRAIN, state.timeGrain);
+  }
+
+  return params.toString();
+}
+
+/**
+ * Location of a dashboard route showing the given view state, for navigate()
+ * @param {string} route - Route under /dashboard, e.g. 'table'
+ * @param {Object} state - View state, as for serializeDashboardState
+ * @returns {Object} { pathname, search }
+ */
+export function getDashboardLocation(route, state) {
+  const search = serializeDashboardState(state);
+  return { pathname: `${ROUTES.DASHBOARD}/${route}`, search: search ? `?${search}` : '' };
+}
+
+/**
+ * Decode view state from a query string, ignoring values that do not parse
+ * @param {string} search - Query string, with or without the leading "?"
+ * @returns {Object} { years, activeFilters, sortKeys, currentPage, selectedCategory, timeGrain }
+ */
+export function parseDashboardState(search) {
+  const params = new URLSearchParams(search);
+
+  let activeFilters = createFilterGroup();
+  const filters = params.get(DashboardParams.FILTERS);
+  if (filters) {
+    try {
+      const parsed = deserializeFilters(JSON.parse(filters));
+      if (isFilterGroup(parsed)) activeFilters = parsed;
+    } catch (error) {
+      console.warn('[urlState] Ignoring filters that do not parse:', error.message);
+    }
+  }
+
+  const sortKeys = parseSortKeys(params.get(DashboardParams.SORT) || '');
+  const page = parseInt(params.get(DashboardParams.PAGE), 10);
+  const timeGrain = params.get(DashboardParams.GRAIN);
+
+  return {
+    years: (params.get(DashboardParams.YEARS) || '').split(',').filter(year => /^\d{6}$/.test(year)).sort(),
+    activeFilters,
+    sortKeys: sortKeys.length > 0 ? sortKeys : DEFAULT_SORT_KEYS,
+    currentPage: page > 0 ? page : 1,
+    selectedCategory: params.get(DashboardParams.CATEGORY) || null,
+    timeGrain: Object.values(TimeGrains).includes(timeGrain) ? timeGrain : DEFAULT_TIME_GRAIN
+  };
+}
+
+/**
+ * Whether a query string carries any dashboard state
+ * @param {string} search - Query string
+ * @returns {boolean} Whether a dashboard parameter is present
+ */
+export function hasDashboardState(search) {
+  const params = new URLSearchParams(search);
+  return Object.values(DashboardParams).some(name => params.has(name));
+}
+
+/**
+ * Query string as serializeDashboardState would write it, so equivalent URLs compare equal
+ * @param {string} search - Query string
+ * @returns {string} Normalised query string
+ */
+export function normalizeDashboardSearch(search) {
+  const { years, ...state } = parseDashboardState(search);
+  return serializeDashboardState({ ...state, selectedYears: years });
+}
@@ -0,0 +1,129 @@
+/**
+ * Minimal XLSX reader for importing booking exports
+ * @module xlsxReader
+ */
+import { unzipSync, strFromU8 } from 'fflate';
+
+const DEFAULT_SHEET_PATH = 'xl/worksheets/sheet1.xml';
+
+/**
+ * Parse an XML file from the unzipped workbook
+ * @param {Object} files - Unzipped files keyed by path
+ * @param {string} path - File path inside the archive
+ * @returns {Document|null} Parsed document, or null if the file is missing
+ */
+function parseXml(files, path) {
+  if (!files[path]) return null;
+  return new DOMParser().parseFromString(strFromU8(files[path]), 'application/xml');
+}
+
+/**
+ * Find the path of the workbook's first sheet
+ * @param {Object} files - Unzipped files keyed by path
+ * @returns {string} Sheet path
+ */
+function getFirstSheetPath(files) {
+  const workbook = parseXml(files, 'xl/workbook.xml');
+  const relationships = parseXml(files, 'xl/_rels/workbook.xml.rels');
+  const firstSheet = workbook?.getElementsByTagName('sheet')[0];
+  if (!firstSheet || !relationships) return DEFAULT_SHEET_PATH;
+
+  const relationId = firstSheet.getAttribute('r:id');
+  const relation = [...relationships.getElementsByTagName('Relationship')]
+    .find(item => item.getAttribute('Id') === relationId);
+  const target = relation?.getAttribute('Target');
+  if (!target) return DEFAULT_SHEET_PATH;
+
+  return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+}
+
+/**
+ * Read the shared string table
+ * @param {Object} files - Unzipped files keyed by path
+ * @returns {Array<string>} Shared strings by index
+ */
+function getSharedStrings(files) {
+  const doc = parseXml(files, 'xl/sharedStrings.xml');
+  if (!doc) return [];
+
+  // Rich text strings are split across several <t> elements
+  return [...doc.getElementsByTagName('si')].map(item =>
+    [...item.getElementsByTagName('t')].map(text => text.textContent).join('')
+  );
+}
+
+/**
+ * Convert a cell reference column (e.g. "AB12") to a zero-based index
+ * @param {string} reference - Cell reference
+ * @returns {number} Column index
+ */
+function getColumnIndex(reference) {
+  const letters = (reference || '').replace(/[0-9]/g, '');
+  return [...letters].reduce((index, letter) => index * 26 + (letter.charCodeAt(0) - 64), 0) - 1;
+}
+
+/**
+ * Read a cell's value
+ * @param {Element} cell - <c> element
+ * @param {Array<string>} sharedStrings - Shared string table
+ * @returns {string|number|boolean|null} Cell value
+ */
+function getCellValue(cell, sharedStrings) {
+  const type = cell.getAttribute('t');
+  const rawValue = cell.getElementsByTagName('v')[0]?.textContent;
+
+  switch (type) {
+    case 's':
+      return sharedStrings[Number(rawValue)] ?? '';
+    case 'inlineStr':
+      return [...cell.getElementsByTagName('t')].map(text => text.textContent).join('');
+    case 'str':
+      return rawValue ?? '';
+    case 'b':
+      return rawValue === '1';
+    default:
+      if (rawValue === undefined || rawValue === '') return null;
+      return Number(rawValue);
+  }
+}
+
+/**
+ * Read the first sheet of an XLSX workbook as header-keyed rows
+ * @param {ArrayBuffer} buffer - XLSX file contents
+ * @returns {Object} { headers, rows }
+ */
+export function readXlsxRows(buffer) {
+  const files = unzipSync(new Uint8Array(buffer), {
+    filter: file => file.name.startsWith('xl/')
+  });
+
+  const sheet = parseXml(files, getFirstSheetPath(files));
+  if (!sheet) {
+    throw new Error('The workbook has no readable sheet');
+  }
+
+  const sharedStrings = getSharedStrings(files);
+  const grid = [...sheet.getElementsByTagName('row')].map(row => {
+    const values = [];
+    [...row.getElementsByTagName('c')].forEach((cell, position) => {
+      const reference = cell.getAttribute('r');
+      values[reference ? getColumnIndex(reference) : position] = getCellValue(cell, sharedStrings);
+    });
+    return values;
+  });
+
+  const [headerRow = [], ...dataRows] = grid;
+  const headers = Array.from(headerRow, value => String(value ?? '').trim());
+
+  const rows = dataRows
+    .filter(values => values.some(value => value !== null && value !== undefined && value !== ''))
+    .map(values => {
+      const row = {};
+      headers.forEach((header, index) => {
+        if (header) row[header] = values[index] ?? null;
+      });
+      return row;
+    });
+
+  return { headers: headers.filter(Boolean), rows };
+}
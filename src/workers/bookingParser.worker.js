@@ -0,0 +1,75 @@
+/**
+ * Web Worker that parses a bookings CSV off the main thread.
+ *
+ * Messages in:  { type: 'parse', csvText, year }
+ * Messages out: { type: 'progress', rowsParsed, bytesProcessed, totalBytes }
+ *               { type: 'complete', bookings, parseErrors, groupIndex, qualityReport }
+ *               { type: 'error', message }
+ */
+import Papa from 'papaparse';
+import { normalizeBooking, buildGroupIndex } from '../utils/bookingProcessing';
+import {
+  createQualityReport,
+  checkColumns,
+  checkParseErrors,
+  checkBookingRow,
+  finalizeQualityReport
+} from '../utils/bookingSchema';
+
+// Rows are streamed to the processor in chunks of this many characters
+const CHUNK_SIZE = 256 * 1024;
+
+self.onmessage = (event) => {
+  const { type, csvText, year } = event.data || {};
+  if (type !== 'parse') return;
+
+  const totalBytes = csvText.length;
+  const bookings = [];
+  const parseErrors = [];
+  const qualityReport = createQualityReport(year);
+
+  try {
+    Papa.parse(csvText, {
+      header: true,
+      dynamicTyping: true,
+      skipEmptyLines: true,
+      chunkSize: CHUNK_SIZE,
+      chunk: (results) => {
+        // Error rows are relative to the chunk
+        const rowOffset = bookings.length;
+        if (rowOffset === 0) {
+          checkColumns(qualityReport, results.meta.fields);
+        }
+
+        // Quality checks run on the raw row, before numbers are coerced
+        results.data.forEach(row => {
+          checkBookingRow(qualityReport, row, bookings.length + 1);
+          bookings.push(normalizeBooking(row, year));
+        });
+        parseErrors.push(...results.errors);
+        checkParseErrors(qualityReport, results.errors, rowOffset);
+
+        self.postMessage({
+          type: 'progress',
+          rowsParsed: bookings.length,
+          bytesProcessed: Math.min(results.meta.cursor, totalBytes),
+          totalBytes
+        });
+      },
+      complete: () => {
+        self.postMessage({
+          type: 'complete',
+          bookings,
+          parseErrors,
+          groupIndex: buildGroupIndex(bookings),
+          qualityReport: finalizeQualityReport(qualityReport)
+        });
+      },
+      error: (error) => {
+        self.postMessage({ type: 'error', message: error.message });
+      }
+    });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};